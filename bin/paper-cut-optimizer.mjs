@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * Línea de comandos del optimizador de corte.
+ * Ejemplo: node bin/paper-cut-optimizer.mjs --cut 8.5x11 --sheet 17x22 --margin 0.375 --grip 0.5 --tail 0.375
+ */
+
+import { readFileSync } from 'node:fs';
+import { HELP_TEXT, parseCliArgs, buildJob, runOptimizer, formatReport } from '../src/engine/cli.js';
+
+try {
+    const { options, json, help } = parseCliArgs(process.argv.slice(2));
+    if (help) {
+        console.log(HELP_TEXT);
+        process.exit(0);
+    }
+
+    // Valores del archivo JSON (o de la entrada estándar); las opciones de la línea de comandos tienen prioridad
+    const fromFile = options.input
+        ? JSON.parse(readFileSync(options.input === '-' ? 0 : options.input, 'utf8'))
+        : {};
+    const job = buildJob({ ...fromFile, ...options });
+    const result = runOptimizer(job);
+
+    console.log(json ? JSON.stringify({ unit: 'in', ...result }, null, 2) : formatReport(result, job.unit));
+    process.exit(result.error ? 1 : 0);
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Use --help para ver las opciones.');
+    process.exit(2);
+}
@@ -1,131 +1,830 @@
-import React, { useState, useEffect, useMemo, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useContext } from 'react';
+import {
+  calculateDuplexLayout,
+  calculateDieCutLayout,
+  calculateRollLayout,
+  calculateRollLength,
+  calculateSignatureLayout,
+  gearRepeat,
+  GEAR_PITCH,
+  calculateParentLayout,
+  calculateGangLayout,
+  rankSheetCatalog,
+  calculateBatch,
+  rankLayoutCandidates,
+  calculateJobCost,
+  calculateSheetWaste,
+  calculateCutSequence,
+  checkPressLimits,
+  UNITS,
+  parseDimension,
+  parseLength,
+  roundTo,
+  convertInputValue,
+} from './engine/index.js';
+import {
+  PRESET_KINDS,
+  PRESS_FIELDS,
+  createId,
+  loadLibrary,
+  saveLibrary,
+  serializeLibrary,
+  parseLibraryFile,
+  mergeLibraries,
+  searchJobs,
+  duplicateJob,
+} from './jobLibrary';
+import { encodeShareLink, decodeShareLink, candidateLayoutKey, candidateId } from './shareLink';
+import { BATCH_COLUMNS, parseBatchText, buildBatchJobs, batchJobName, serializeBatchResults } from './batch';
+import { WORK_ORDER_PAPERS, printPageRule, printableArea, chooseSketchScale } from './workOrder';
+import { createHistory, addHistoryEntry, updateShownEntry, historyTarget, historyMode, comparedFields, changedFields } from './calcHistory';
+import { LOCALES, DEFAULT_LOCALE, createI18n, loadLocale, saveLocale, localizeInput, delocalizeInput, localizeNumbers } from './i18n';
+import {
+  DEFAULT_VIEW,
+  MIN_ZOOM,
+  MAX_ZOOM,
+  clampView,
+  zoomAt,
+  findPieceAt,
+  describePiece,
+  buildDimensionLines,
+  buildRulerTicks,
+} from './sketchView';
 
 // Constantes de diseño para el canvas
 const MAX_CANVAS_WIDTH = 500;
 // La constante CANVAS_ASPECT_RATIO no es estrictamente necesaria aquí ya que el canvas se dimensiona dinámicamente.
+const GRAIN_ARROW_MIN_PIECE = 16; // Lado mínimo (px) de una pieza para dibujar su flecha de fibra
+const GRAIN_ARROW_MAX_LENGTH = 40; // Largo máximo (px) de la flecha de fibra
+const DUPLEX_FACE_GAP = 24; // Separación (px) entre el tiro y el retiro en el croquis
+const DUPLEX_TITLE_HEIGHT = 18; // Alto (px) del título de cada cara en el croquis
+const PIECE_LABEL_MIN_SIZE = 20; // Lado mínimo (px) de una pieza para dibujar su número (F1/R1)
+// Giro del número de página según la dirección de su cabeza en el pliego (modo libro)
+const HEAD_ANGLES = { up: 0, right: Math.PI / 2, down: Math.PI, left: -Math.PI / 2 };
+const HEAD_LABELS = { up: 'arriba', right: 'a la derecha', down: 'abajo', left: 'a la izquierda' };
+const RULER_SIZE = 18; // Ancho (px) de las reglas del croquis
+const ZOOM_STEP = 1.25; // Factor de zoom por paso de la rueda o de los botones
+const CANDIDATE_LIMIT = 8; // Layouts alternativos que se listan
+const MAX_PINNED_CANDIDATES = 3; // Layouts alternativos que se pueden fijar para comparar
+const THUMBNAIL_WIDTH = 160; // Ancho máximo (px) de la miniatura de un layout alternativo
 
 /**
- * Componente principal de la aplicación.
+ * Posiciones del bloque de piezas en el pliego (ver BLOCK_ALIGNMENTS en el motor).
+ */
+const ALIGNMENT_OPTIONS = {
+  start: 'Contra la cola y el margen izquierdo',
+  center: 'Centrado en el pliego',
+  guide: 'Contra la escuadra lateral',
+  gripper: 'Contra la pinza',
+};
+// Nombre de cada lado del pliego en el reporte de franjas sobrantes
+const WASTE_SIDE_LABELS = { left: 'Izquierda', right: 'Derecha', top: 'Cola', bottom: 'Pinza' };
+
+/**
+ * Modos de trabajo: un solo arte, varios artes combinados (gang-run), etiquetas en rollo o libro en signaturas.
+ */
+const JOB_MODE_OPTIONS = {
+  single: 'Arte Único',
+  gang: 'Combinado',
+  roll: 'Rollo',
+  book: 'Libro',
+};
+
+/**
+ * Formas del arte (ver DIE_SHAPES en el motor) y acomodos de las formas troqueladas (ver NESTING_MODES).
+ */
+const SHAPE_OPTIONS = {
+  rectangle: 'Rectángulo',
+  rounded: 'Rectángulo redondeado',
+  circle: 'Círculo',
+  oval: 'Óvalo',
+};
+const NESTING_OPTIONS = {
+  grid: 'Cuadrícula recta',
+  staggered: 'Filas escalonadas (hexagonal)',
+};
+
+/**
+ * Cómo se indican los cilindros disponibles en modo rollo: por dientes del engrane o por su repetición.
+ */
+const REPEAT_INPUT_OPTIONS = {
+  teeth: 'Dientes (paso 1/8")',
+  length: 'Repetición',
+};
+const METERS_PER_INCH = 0.0254;
+
+/**
+ * Encuadernaciones del modo libro (ver BINDING_TYPES en el motor).
+ */
+const BINDING_OPTIONS = {
+  saddle: 'Caballete (grapa)',
+  perfect: 'Rústica (lomo fresado)',
+};
+
+/**
+ * Métodos de impresión a dos caras: nombre y descripción de cómo se voltea el pliego para el retiro.
+ */
+const DUPLEX_OPTIONS = {
+  simplex: { label: 'Una cara', description: 'Solo tiro.' },
+  sheetwise: { label: 'Tiro y retiro', description: 'Dos placas; el pliego se voltea de lado.' },
+  turn: { label: 'Voltear de lado', description: 'Una placa; frentes y vueltas lado a lado, misma pinza.' },
+  tumble: { label: 'Voltear de cabeza', description: 'Una placa; frentes arriba y vueltas abajo, la Cola pasa a ser la Pinza.' },
+};
+
+/**
+ * Dibuja una flecha de doble punta centrada en (cx, cy) en la dirección de la fibra ('x' horizontal, 'y' vertical).
+ */
+const drawGrainArrow = (ctx, cx, cy, length, axis, color) => {
+    const half = length / 2;
+    const head = Math.min(5, length / 3);
+    const [dx, dy] = axis === 'x' ? [1, 0] : [0, 1];
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(cx - dx * half, cy - dy * half);
+    ctx.lineTo(cx + dx * half, cy + dy * half);
+    // Puntas en ambos extremos
+    [1, -1].forEach(sign => {
+        const tipX = cx + sign * dx * half;
+        const tipY = cy + sign * dy * half;
+        ctx.moveTo(tipX - sign * dx * head - dy * head, tipY - sign * dy * head - dx * head);
+        ctx.lineTo(tipX, tipY);
+        ctx.lineTo(tipX - sign * dx * head + dy * head, tipY - sign * dy * head + dx * head);
+    });
+    ctx.stroke();
+    ctx.restore();
+};
+
+/**
+ * Colores para distinguir cada arte en los trabajos combinados (gang-run).
+ */
+const ITEM_COLORS = ['#34d399', '#60a5fa', '#f472b6', '#fbbf24', '#a78bfa', '#f87171', '#2dd4bf', '#fb923c'];
+
+/**
+ * Catálogo predeterminado de pliegos de prensa (pulgadas). El usuario puede editarlo en la UI;
+ * al cambiar de unidad, sus medidas se convierten junto con el resto del trabajo.
+ */
+const DEFAULT_SHEET_CATALOG = [
+    { id: 'sheet-1', name: 'Carta Doble', width: '17', height: '22' },
+    { id: 'sheet-2', name: 'Digital', width: '12', height: '18' },
+    { id: 'sheet-3', name: 'Digital Plus', width: '13', height: '19' },
+    { id: 'sheet-4', name: 'Cartulina', width: '20', height: '26' },
+    { id: 'sheet-5', name: 'Medio Pliego', width: '19', height: '25' },
+    { id: 'sheet-6', name: 'Pliego 23x35', width: '23', height: '35' },
+    { id: 'sheet-7', name: 'Pliego 25x38', width: '25', height: '38' },
+];
+
+// --- Exportación vectorial (SVG / PDF) a tamaño real ---
+const POINTS_PER_INCH = 72;
+const CROP_MARK_LENGTH = 0.25; // Largo de las marcas de corte (pulgadas)
+const CROP_MARK_OFFSET = 0.0625; // Separación entre la marca y la línea de corte (pulgadas)
+
+/**
+ * Mezcla un color hexadecimal con blanco. Los formatos vectoriales usan colores sólidos claros
+ * en lugar de transparencias para que el PDF no necesite estados gráficos adicionales.
+ */
+const lightenColor = (hex, amount) => {
+    const channels = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    return `#${channels.map(c => Math.round(c + (255 - c) * amount).toString(16).padStart(2, '0')).join('')}`;
+};
+
+/**
+ * Construye la lista de figuras (en pulgadas, origen arriba a la izquierda) de la plantilla de imposición:
+ * zonas de Cola y Pinza, márgenes laterales, piezas (en un libro, con su número de página), pliegues, sangrado,
+ * marcas de corte y cotas. Usa los mismos datos del layout que LayoutCanvas; también la dibuja la orden de trabajo.
+ * Los textos van en el idioma de `i18n` (ver createI18n).
+ */
+const buildExportShapes = (layout, unit, i18n) => {
+    const { sheetW: SW, sheetH: SH, lateralMargin: LM, grip: GRIP, tail: TAIL } = layout;
+    const BLEED = layout.bleed || 0;
+    const { t } = i18n;
+    const fmt = (value) => i18n.length(value, unit);
+    const shapes = [];
+
+    // Zonas de Cola (superior), Pinza (inferior) y Márgenes Laterales
+    shapes.push({ type: 'rect', x: 0, y: 0, w: SW, h: TAIL, fill: '#e5e7eb' });
+    shapes.push({ type: 'rect', x: 0, y: SH - GRIP, w: SW, h: GRIP, fill: '#fde2e2', stroke: '#ef4444', lineWidth: 0.5 });
+    shapes.push({ type: 'rect', x: 0, y: TAIL, w: LM, h: SH - TAIL - GRIP, fill: '#f3f4f6' });
+    shapes.push({ type: 'rect', x: SW - LM, y: TAIL, w: LM, h: SH - TAIL - GRIP, fill: '#f3f4f6' });
+
+    // Esquinas redondeadas de las formas troqueladas (el círculo y el óvalo son rectángulos de esquinas w/2 x h/2)
+    const dieCut = Boolean(layout.shape) && layout.shape !== 'rectangle';
+    const corners = (piece, grow) => {
+        if (piece.shape === 'circle' || piece.shape === 'oval') return { rx: piece.w / 2 + grow, ry: piece.h / 2 + grow };
+        if (piece.shape === 'rounded') return { rx: piece.cornerRadius + grow, ry: piece.cornerRadius + grow };
+        return {};
+    };
+
+    // Piezas (caja de corte o línea de troquel) y caja de sangrado
+    layout.pieces.forEach(piece => {
+        const color = piece.itemIndex !== undefined
+            ? ITEM_COLORS[piece.itemIndex % ITEM_COLORS.length]
+            : (piece.rotated !== layout.rotated ? '#fb923c' : '#34d399');
+        if (BLEED > 0 && !layout.singleCut) {
+            shapes.push({ type: 'rect', x: piece.x - BLEED, y: piece.y - BLEED, w: piece.w + 2 * BLEED, h: piece.h + 2 * BLEED, ...corners(piece, BLEED), stroke: '#db2777', lineWidth: 0.5, dash: true });
+        }
+        shapes.push({ type: 'rect', x: piece.x, y: piece.y, w: piece.w, h: piece.h, ...corners(piece, 0), fill: lightenColor(color, 0.6), stroke: color, lineWidth: 0.5 });
+        // Cota de la pieza, o en un libro su número de página y hacia dónde va su cabeza (solo si hay espacio para el texto)
+        if (piece.w >= 1 && piece.h >= 0.4) {
+            const text = piece.page !== undefined ? t('Pág. {page} (cabeza {head})', { page: piece.page, head: t(HEAD_LABELS[piece.head]) }) : `${fmt(piece.w)} x ${fmt(piece.h)}`;
+            shapes.push({ type: 'text', x: piece.x + piece.w / 2, y: piece.y + piece.h / 2 + 0.04, text, size: 7, anchor: 'middle', fill: '#374151' });
+        }
+    });
+    // Pliegues del libro (el lomo en violeta)
+    (layout.folds || []).forEach(fold => {
+        shapes.push({ type: 'line', x1: fold.x, y1: fold.y, x2: fold.x + fold.w, y2: fold.y + fold.h, stroke: fold.spine ? '#7c3aed' : '#6b7280', lineWidth: 0.5, dash: true });
+    });
+    if (BLEED > 0 && layout.singleCut) {
+        layout.blocks.forEach(block => {
+            const blockW = block.cols * block.w + (block.cols - 1) * block.gutterX;
+            const blockH = block.rows * block.h + (block.rows - 1) * block.gutterY;
+            shapes.push({ type: 'rect', x: block.x - BLEED, y: block.y - BLEED, w: blockW + 2 * BLEED, h: blockH + 2 * BLEED, stroke: '#db2777', lineWidth: 0.5, dash: true });
+        });
+    }
+
+    // Marcas de corte: una por cada línea de corte, por fuera del área ocupada por las piezas
+    // (las formas troqueladas y las etiquetas en rollo no se cortan en guillotina)
+    if (layout.pieces.length > 0 && !dieCut && !layout.roll) {
+        const unique = (values) => [...new Set(values.map(v => Math.round(v * 10000) / 10000))];
+        const cutsX = unique(layout.pieces.flatMap(p => [p.x, p.x + p.w]));
+        const cutsY = unique(layout.pieces.flatMap(p => [p.y, p.y + p.h]));
+        const minX = Math.min(...layout.pieces.map(p => p.x)) - BLEED - CROP_MARK_OFFSET;
+        const maxX = Math.max(...layout.pieces.map(p => p.x + p.w)) + BLEED + CROP_MARK_OFFSET;
+        const minY = Math.min(...layout.pieces.map(p => p.y)) - BLEED - CROP_MARK_OFFSET;
+        const maxY = Math.max(...layout.pieces.map(p => p.y + p.h)) + BLEED + CROP_MARK_OFFSET;
+        const mark = { type: 'line', stroke: '#000000', lineWidth: 0.25 };
+        cutsX.forEach(x => {
+            shapes.push({ ...mark, x1: x, y1: Math.max(0, minY - CROP_MARK_LENGTH), x2: x, y2: minY });
+            shapes.push({ ...mark, x1: x, y1: maxY, x2: x, y2: Math.min(SH, maxY + CROP_MARK_LENGTH) });
+        });
+        cutsY.forEach(y => {
+            shapes.push({ ...mark, x1: Math.max(0, minX - CROP_MARK_LENGTH), y1: y, x2: minX, y2: y });
+            shapes.push({ ...mark, x1: maxX, y1: y, x2: Math.min(SW, maxX + CROP_MARK_LENGTH), y2: y });
+        });
+    }
+
+    // Contorno del pliego y cotas generales
+    shapes.push({ type: 'rect', x: 0, y: 0, w: SW, h: SH, stroke: '#374151', lineWidth: 1 });
+    if (layout.roll) {
+        // En rollo, una repetición del web: sin Cola ni Pinza, con el refile de matriz a los lados
+        shapes.push({ type: 'text', x: SW / 2, y: SH - 0.08, text: t('Web: {web} — Repetición: {repeat}', { web: fmt(SW), repeat: fmt(SH) }), size: 9, anchor: 'middle', fill: '#374151' });
+        shapes.push({ type: 'text', x: SW - 0.1, y: SH - 0.08, text: t('Refile de matriz: {value}', { value: fmt(LM) }), size: 8, anchor: 'end', fill: '#374151' });
+        return shapes;
+    }
+    shapes.push({ type: 'text', x: 0.1, y: Math.min(TAIL, 0.3) - 0.08, text: t('Cola: {value}', { value: fmt(TAIL) }), size: 8, anchor: 'start', fill: '#374151' });
+    shapes.push({ type: 'text', x: 0.1, y: SH - 0.08, text: t('Pinza: {value}', { value: fmt(GRIP) }), size: 8, anchor: 'start', fill: '#ef4444' });
+    shapes.push({ type: 'text', x: SW / 2, y: SH - 0.08, text: t('Pliego: {width} x {height}', { width: fmt(SW), height: fmt(SH) }), size: 9, anchor: 'middle', fill: '#374151' });
+    shapes.push({ type: 'text', x: SW - 0.1, y: SH - 0.08, text: t('Margen lateral: {value}', { value: fmt(LM) }), size: 8, anchor: 'end', fill: '#374151' });
+
+    return shapes;
+};
+
+/**
+ * Genera el SVG de la plantilla a tamaño real (las medidas del documento están en pulgadas).
+ */
+const renderLayoutSvg = (layout, unit, i18n) => {
+    const pt = (value) => (value * POINTS_PER_INCH).toFixed(2);
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    const anchors = { start: 'start', middle: 'middle', end: 'end' };
+
+    const body = buildExportShapes(layout, unit, i18n).map(shape => {
+        if (shape.type === 'rect') {
+            return `<rect x="${pt(shape.x)}" y="${pt(shape.y)}" width="${pt(shape.w)}" height="${pt(shape.h)}" fill="${shape.fill || 'none'}"`
+                + (shape.rx ? ` rx="${pt(shape.rx)}" ry="${pt(shape.ry)}"` : '')
+                + (shape.stroke ? ` stroke="${shape.stroke}" stroke-width="${shape.lineWidth}"` : '')
+                + (shape.dash ? ' stroke-dasharray="3 2"' : '') + '/>';
+        }
+        if (shape.type === 'line') {
+            return `<line x1="${pt(shape.x1)}" y1="${pt(shape.y1)}" x2="${pt(shape.x2)}" y2="${pt(shape.y2)}" stroke="${shape.stroke}" stroke-width="${shape.lineWidth}"`
+                + (shape.dash ? ' stroke-dasharray="3 2"' : '') + '/>';
+        }
+        return `<text x="${pt(shape.x)}" y="${pt(shape.y)}" font-family="Helvetica, Arial, sans-serif" font-size="${shape.size}" text-anchor="${anchors[shape.anchor]}" fill="${shape.fill}">${escape(shape.text)}</text>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.sheetW}in" height="${layout.sheetH}in" viewBox="0 0 ${pt(layout.sheetW)} ${pt(layout.sheetH)}">`,
+        ...body,
+        '</svg>',
+    ].join('\n');
+};
+
+/**
+ * Genera un PDF vectorial de una página del tamaño exacto del pliego (sin dependencias externas).
+ * El texto usa la fuente estándar Helvetica, por lo que se limita a caracteres ASCII.
+ */
+const renderLayoutPdf = (layout, unit, i18n) => {
+    const H = layout.sheetH * POINTS_PER_INCH;
+    const pt = (value) => (value * POINTS_PER_INCH).toFixed(2);
+    const ptY = (value) => (H - value * POINTS_PER_INCH).toFixed(2); // El PDF tiene el origen abajo a la izquierda
+    const rgb = (hex) => [1, 3, 5].map(i => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+    const ascii = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '?');
+    const escape = (text) => ascii(text).replace(/[\\()]/g, '\\$&');
+    // Rectángulo con esquinas elípticas rx x ry: cuatro lados y cuatro curvas de Bézier (aproximación estándar de un cuarto de elipse)
+    const roundedRectPath = ({ x, y, w, h, rx, ry }) => {
+        const k = 0.5523;
+        const point = (px, py) => `${pt(px)} ${ptY(py)}`;
+        return [
+            `${point(x + rx, y)} m`,
+            `${point(x + w - rx, y)} l`,
+            `${point(x + w - rx + k * rx, y)} ${point(x + w, y + ry - k * ry)} ${point(x + w, y + ry)} c`,
+            `${point(x + w, y + h - ry)} l`,
+            `${point(x + w, y + h - ry + k * ry)} ${point(x + w - rx + k * rx, y + h)} ${point(x + w - rx, y + h)} c`,
+            `${point(x + rx, y + h)} l`,
+            `${point(x + rx - k * rx, y + h)} ${point(x, y + h - ry + k * ry)} ${point(x, y + h - ry)} c`,
+            `${point(x, y + ry)} l`,
+            `${point(x, y + ry - k * ry)} ${point(x + rx - k * rx, y)} ${point(x + rx, y)} c h`,
+        ].join(' ');
+    };
+
+    const ops = buildExportShapes(layout, unit, i18n).map(shape => {
+        if (shape.type === 'rect') {
+            const path = shape.rx ? roundedRectPath(shape) : `${pt(shape.x)} ${ptY(shape.y + shape.h)} ${pt(shape.w)} ${pt(shape.h)} re`;
+            const style = [
+                shape.fill ? `${rgb(shape.fill)} rg` : '',
+                shape.stroke ? `${rgb(shape.stroke)} RG ${shape.lineWidth} w ${shape.dash ? '[3 2] 0 d' : '[] 0 d'}` : '',
+            ].filter(Boolean).join(' ');
+            const paint = shape.fill && shape.stroke ? 'B' : (shape.fill ? 'f' : 'S');
+            return `${style} ${path} ${paint}`;
+        }
+        if (shape.type === 'line') {
+            return `${rgb(shape.stroke)} RG ${shape.lineWidth} w ${shape.dash ? '[3 2] 0 d' : '[] 0 d'} ${pt(shape.x1)} ${ptY(shape.y1)} m ${pt(shape.x2)} ${ptY(shape.y2)} l S`;
+        }
+        // Ancho aproximado de Helvetica (0.5 em por carácter) para centrar o alinear a la derecha
+        const width = ascii(shape.text).length * shape.size * 0.5;
+        const offset = shape.anchor === 'middle' ? width / 2 : (shape.anchor === 'end' ? width : 0);
+        return `BT /F1 ${shape.size} Tf ${rgb(shape.fill)} rg ${(shape.x * POINTS_PER_INCH - offset).toFixed(2)} ${ptY(shape.y)} Td (${escape(shape.text)}) Tj ET`;
+    });
+
+    const content = ops.join('\n');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pt(layout.sheetW)} ${H.toFixed(2)}] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>`,
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    ];
+
+    // Tabla de referencias cruzadas con la posición (en bytes) de cada objeto
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return pdf;
+};
+
+/**
+ * Descarga un archivo generado en el navegador.
+ */
+const downloadFile = (content, filename, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Idioma de la interfaz (ver createI18n): lo provee App y lo leen todos los componentes con useI18n.
+ */
+const I18nContext = React.createContext(createI18n(DEFAULT_LOCALE));
+const useI18n = () => useContext(I18nContext);
+
+/**
+ * Componente principal de la aplicación: el idioma seleccionado, guardado en el navegador, para toda la interfaz.
  */
 const App = () => {
-  // --- Estados para los parámetros de entrada (en pulgadas) ---
-  // Aceptamos strings para evitar problemas de redondeo y conversión de input
+  const [locale, setLocale] = useState(() => loadLocale());
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+
+  useEffect(() => {
+    saveLocale(locale);
+    document.documentElement.lang = LOCALES[locale].language;
+  }, [locale]);
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <Optimizer onLocaleChange={setLocale} />
+    </I18nContext.Provider>
+  );
+};
+
+/**
+ * Optimizador: formulario del trabajo, resultados, croquis y paneles. `onLocaleChange` cambia el idioma.
+ */
+const Optimizer = ({ onLocaleChange }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  // --- Estados para los parámetros de entrada (en la unidad seleccionada) ---
+  // Aceptamos strings para evitar problemas de redondeo y conversión de input, y para admitir fracciones ("8 1/2")
+  const [unit, setUnit] = useState('in'); // 'in' | 'mm' | 'cm'
   const [cutWidth, setCutWidth] = useState("8.5"); // Ancho del Arte
   const [cutHeight, setCutHeight] = useState("11.0"); // Largo del Arte
+  const [shape, setShape] = useState('rectangle'); // Forma del arte: 'rectangle' | 'rounded' | 'circle' | 'oval'
+  const [cornerRadius, setCornerRadius] = useState("0.125"); // Radio de esquina (rectángulo redondeado)
+  const [dieSpacing, setDieSpacing] = useState("0.125"); // Separación mínima entre líneas de troquel
+  const [nesting, setNesting] = useState('grid'); // Acomodo de las formas troqueladas: 'grid' | 'staggered'
   const [sheetWidth, setSheetWidth] = useState("17.0"); // Ancho del Pliego
   const [sheetHeight, setSheetHeight] = useState("22.0"); // Largo del Pliego
   
   // MARGENES Y VALORES PREDETERMINADOS
   const [lateralMargin, setLateralMargin] = useState("0.375"); // Margen Lateral (Izquierda/Derecha)
-  const [gutter, setGutter] = useState("0.125"); // Margen entre Etiquetas (Gutter)
+  const [gutter, setGutter] = useState("0.125"); // Gutter horizontal: espacio entre columnas
+  const [gutterVertical, setGutterVertical] = useState("0.125"); // Gutter vertical: espacio entre filas
   const [tail, setTail] = useState("0.375"); // Cola (Margen inferior)
   const [grip, setGrip] = useState("0.5"); // Pinza (Margen superior de agarre)
+  const [bleed, setBleed] = useState("0"); // Sangrado (Bleed) por lado de cada pieza
+  const [singleCut, setSingleCut] = useState(false); // Corte sencillo: las piezas adyacentes comparten el sangrado
+  const [alignment, setAlignment] = useState('start'); // Posición del bloque: 'start' | 'center' | 'guide' | 'gripper'
+  const [fixedCols, setFixedCols] = useState(""); // Columnas fijas del bloque principal ('' = automático)
+  const [fixedRows, setFixedRows] = useState(""); // Filas fijas del bloque principal ('' = automático)
+
+  // FIBRA DEL PAPEL: dirección de la fibra del pliego y lado del arte que debe quedar paralelo a ella
+  const [sheetGrain, setSheetGrain] = useState('long'); // 'long' (fibra larga) | 'short' (fibra corta)
+  const [grainParallel, setGrainParallel] = useState('any'); // 'any' | 'width' | 'height'
+
+  // DOS CARAS: método de impresión del retiro ('simplex' = una sola cara)
+  const [duplex, setDuplex] = useState('simplex'); // 'simplex' | 'sheetwise' | 'turn' | 'tumble'
+
+  // PRENSA (opcional): perfil de la biblioteca con los límites de pliego y la pinza requerida
+  const [pressId, setPressId] = useState(''); // '' = sin prensa
+
+  // TRABAJO COMBINADO (GANG-RUN): varios artes con su cantidad en un mismo pliego
+  const [gangMode, setGangMode] = useState(false);
+  const [gangItems, setGangItems] = useState([
+    { id: 'item-1', name: 'Tarjeta', width: '3.5', height: '2', quantity: '1000', canRotate: true },
+    { id: 'item-2', name: 'Postal', width: '6', height: '4', quantity: '500', canRotate: true },
+  ]);
+
+  // ETIQUETAS EN ROLLO: web de ancho fijo y cilindros porta-placa disponibles (la repetición es el largo de cada impresión)
+  const [rollMode, setRollMode] = useState(false);
+  const [webWidth, setWebWidth] = useState("13"); // Ancho del Web
+  const [edgeTrim, setEdgeTrim] = useState("0.125"); // Refile de matriz por borde del web
+  const [gapAcross, setGapAcross] = useState("0.125"); // Gap entre carriles
+  const [gapAround, setGapAround] = useState("0.125"); // Gap mínimo entre etiquetas en avance
+  const [repeats, setRepeats] = useState("96, 104, 112"); // Cilindros disponibles, separados por comas
+  const [repeatInput, setRepeatInput] = useState('teeth'); // 'teeth' (dientes del engrane) | 'length' (repetición)
+
+  // LIBRO: folleto o libro impuesto en signaturas (el arte es la página refilada)
+  const [signatureMode, setSignatureMode] = useState(false);
+  const [pageCount, setPageCount] = useState("16"); // Páginas del libro
+  const [binding, setBinding] = useState('saddle'); // 'saddle' | 'perfect'
+  const [creep, setCreep] = useState("0.004"); // Creep por hoja encajada (grueso del papel)
+
+  // COSTOS: arranque (pliegos fijos), merma (%) y precio del papel. No requieren recalcular el layout.
+  const [spoilageSheets, setSpoilageSheets] = useState("50"); // Pliegos de arranque (make-ready)
+  const [spoilagePct, setSpoilagePct] = useState("3"); // Merma de tiraje (%)
+  const [paperPrice, setPaperPrice] = useState("0"); // Precio del papel
+  const [priceBasis, setPriceBasis] = useState('sheet'); // 'sheet' | 'thousand'
+
+  // PLIEGO MADRE (opcional): tamaño del stock del que se cortan los pliegos de prensa
+  const [parentWidth, setParentWidth] = useState(""); // Ancho del Pliego Madre
+  const [parentHeight, setParentHeight] = useState(""); // Largo del Pliego Madre
+  const [parentTrim, setParentTrim] = useState("0.125"); // Refile por borde del Pliego Madre
+
+  // CATÁLOGO DE PLIEGOS: lista editable de tamaños de pliego y resultados del modo "Buscar Mejor Pliego"
+  const [sheetCatalog, setSheetCatalog] = useState(DEFAULT_SHEET_CATALOG);
+  const [quantity, setQuantity] = useState("1000"); // Cantidad de piezas requerida
+  const [catalogResults, setCatalogResults] = useState(null);
+  // MODO LOTE: resultados de los trabajos importados de un CSV ({ rows, error })
+  const [batchResults, setBatchResults] = useState(null);
+  // ORDEN DE TRABAJO: datos del ticket impreso para el taller y tamaño de la hoja
+  const [workOrder, setWorkOrder] = useState({ jobName: '', customer: '', dueDate: '', stock: '', notes: '', paper: 'letter', includeCutPlan: true });
+  // Solicitud de cálculo diferido: se calcula en el siguiente render, cuando el layout ya refleja
+  // los valores cargados (pliego del catálogo, trabajo guardado, enlace compartido o historial de cálculos).
+  // Es un objeto { layoutKey, fromHistory, replaceLink, record } con las opciones de handleCalculate.
+  const [calculateRequest, setCalculateRequest] = useState(null);
+
+  // BIBLIOTECA: trabajos guardados y presets, persistidos en el almacenamiento local del navegador
+  const [library, setLibrary] = useState(() => loadLibrary());
 
   // Estado para almacenar el layout calculado y mostrado
   const [displayLayout, setDisplayLayout] = useState(null);
   // Estado para indicar si los inputs han cambiado desde la última vez que se calculó
   const [isDirty, setIsDirty] = useState(true);
   // Estado para rastrear si el layout actual es el óptimo o una versión invertida
-  const [currentLayoutKey, setCurrentLayoutKey] = useState('optimal'); // 'optimal' | 'inverted'
+  const [currentLayoutKey, setCurrentLayoutKey] = useState('optimal'); // 'optimal' | 'inverted' | candidateLayoutKey(id)
+  // Layouts alternativos del último cálculo (ver rankLayoutCandidates) y los fijados para comparar
+  const [layoutCandidates, setLayoutCandidates] = useState([]);
+  const [pinnedCandidateIds, setPinnedCandidateIds] = useState([]);
+  // Valores del trabajo con los que se calculó el layout mostrado (para el enlace compartido)
+  const calculatedValuesRef = useRef(null);
+  // HISTORIAL: cada cálculo de la sesión, para deshacer, rehacer y comparar (ver calcHistory)
+  const [calcHistory, setCalcHistory] = useState(createHistory);
 
-  // --- Cálculo del Layout Bruto (se recalcula automáticamente con useMemo) ---
-  const rawLayout = useMemo(() => {
+  // --- Parámetros numéricos del trabajo (se usan en el cálculo principal y en el catálogo) ---
+  const job = useMemo(() => ({
     // Convertir todas las entradas a números y asegurar que no sean NaN
-    const CW = Math.max(0, parseFloat(cutWidth) || 0);
-    const CH = Math.max(0, parseFloat(cutHeight) || 0);
-    const SW = Math.max(0, parseFloat(sheetWidth) || 0);
-    const SH = Math.max(0, parseFloat(sheetHeight) || 0);
-    const LM = Math.max(0, parseFloat(lateralMargin) || 0); // Margen Lateral
-    
-    // NOTA IMPORTANTE: Para la imprenta, la Pinza (Grip) típicamente va en la parte de abajo (Tail)
-    // y la Cola (Tail) va en la parte de arriba (Grip).
-    // Se ha invertido el uso de las variables G y T para reflejar esto en la UI y el cálculo:
-    // G = Margen Superior (Cola)
-    // T = Margen Inferior (Pinza o Grip)
-    const T_calc = Math.max(0, parseFloat(grip) || 0);  // Pinza (Grip) se usa como Margen Inferior
-    const G_calc = Math.max(0, parseFloat(tail) || 0);  // Cola (Tail) se usa como Margen Superior
-
-    const GT = Math.max(0, parseFloat(gutter) || 0);       // Margen entre Etiquetas
-
-    // Asegurar dimensiones positivas y margen mínimo
-    if (CW <= 0 || CH <= 0 || SW <= 0 || SH <= 0) {
-      return { optimalKey: null, error: "Las dimensiones deben ser positivas.", sheetW: SW, sheetH: SH, grip: T_calc, lateralMargin: LM, gutter: GT, tail: G_calc };
-    }
-    // Verificación de espacio mínimo disponible (Ancho: 2*LM; Alto: G_calc + T_calc)
-    if (G_calc + T_calc >= SH || 2 * LM >= SW) {
-        return { optimalKey: null, error: "Los márgenes o pinza/cola son demasiado grandes para el pliego.", sheetW: SW, sheetH: SH, grip: T_calc, lateralMargin: LM, gutter: GT, tail: G_calc };
-    }
-
-    // 1. Área Útil para el tendido de piezas (excluyendo márgenes exteriores)
-    const effectiveW = SW - 2 * LM;     // Ancho utilizable
-    const effectiveH = SH - G_calc - T_calc; // Alto utilizable (entre Cola y Pinza)
+    cutW: parseLength(cutWidth, unit),
+    cutH: parseLength(cutHeight, unit),
+    sheetW: parseLength(sheetWidth, unit),
+    sheetH: parseLength(sheetHeight, unit),
+    lateralMargin: parseLength(lateralMargin, unit),
+    gutter: parseLength(gutter, unit),
+    gutterX: parseLength(gutter, unit),
+    gutterY: parseLength(gutterVertical, unit),
+    grip: parseLength(grip, unit),
+    tail: parseLength(tail, unit),
+    bleed: parseLength(bleed, unit),
+    singleCut,
+    sheetGrain,
+    grainParallel,
+    duplex,
+    alignment,
+    fixedCols: Math.max(0, parseInt(fixedCols, 10) || 0),
+    fixedRows: Math.max(0, parseInt(fixedRows, 10) || 0),
+    shape,
+    cornerRadius: parseLength(cornerRadius, unit),
+    dieSpacing: parseLength(dieSpacing, unit),
+    nesting,
+  }), [unit, cutWidth, cutHeight, shape, cornerRadius, dieSpacing, nesting, sheetWidth, sheetHeight, lateralMargin, gutter, gutterVertical, tail, grip, bleed, singleCut, alignment, fixedCols, fixedRows, sheetGrain, grainParallel, duplex]);
 
-    // 2. Función para calcular el ajuste (N) en una dimensión
-    const calculateFit = (usableLength, pieceLength, gutterLength) => {
-        if (pieceLength + gutterLength <= 0) return 0;
-        // Number.EPSILON para corregir problemas de precisión de coma flotante.
-        return Math.floor((usableLength + gutterLength) / (pieceLength + gutterLength) + Number.EPSILON);
-    };
-
-    // --- Opción A: Arte W x H (Normal) ---
-    const fitW1 = calculateFit(effectiveW, CW, GT);
-    const fitH1 = calculateFit(effectiveH, CH, GT);
-    const total1 = fitW1 * fitH1;
+  // --- Trabajo en rollo: la etiqueta del trabajo sobre el web y los cilindros disponibles ---
+  const rollJob = useMemo(() => ({
+    cutW: job.cutW,
+    cutH: job.cutH,
+    shape: job.shape,
+    cornerRadius: job.cornerRadius,
+    webWidth: parseLength(webWidth, unit),
+    edgeTrim: parseLength(edgeTrim, unit),
+    gapAcross: parseLength(gapAcross, unit),
+    gapAround: parseLength(gapAround, unit),
+    repeats: repeats.split(/\s*[,;]\s*/).filter(Boolean)
+      .map(value => (repeatInput === 'teeth' ? gearRepeat(parseInt(value, 10) || 0) : parseLength(value, unit))),
+  }), [job, unit, webWidth, edgeTrim, gapAcross, gapAround, repeats, repeatInput]);
 
-    // --- Opción B: Arte H x W (Rotado 90 grados) ---
-    const fitW2 = calculateFit(effectiveW, CH, GT); // Ancho de la pieza es CH
-    const fitH2 = calculateFit(effectiveH, CW, GT); // Alto de la pieza es CW
-    const total2 = fitW2 * fitH2;
+  // --- Libro: las páginas del trabajo en signaturas sobre el pliego ---
+  const signatureJob = useMemo(() => ({
+    ...job,
+    pageCount: parseInt(pageCount, 10) || 0,
+    binding,
+    creep: parseLength(creep, unit),
+  }), [job, unit, pageCount, binding, creep]);
 
-    // 4. Seleccionar la mejor opción
-    const optimalKey = total1 >= total2 ? 'A' : 'B';
+  // --- Segundo nivel (opcional): pliegos de prensa que salen de cada pliego madre ---
+  const parentLayout = useMemo(() => {
+    const PW = parseLength(parentWidth, unit);
+    const PH = parseLength(parentHeight, unit);
+    const PT = parseLength(parentTrim, unit);
+    if (PW <= 0 || PH <= 0 || job.sheetW <= 0 || job.sheetH <= 0) return null;
+    return calculateParentLayout(PW, PH, PT, job.sheetW, job.sheetH);
+  }, [job, unit, parentWidth, parentHeight, parentTrim]);
 
-    // Se devuelven ambos layouts para permitir la inversión manual.
-    // Los valores de grip y tail devueltos son los originales para fines de visualización en la UI
+  // --- Prensa seleccionada (valores numéricos en pulgadas) y verificación de sus límites ---
+  const press = useMemo(() => {
+    const profile = library.presses.find(entry => entry.id === pressId);
+    if (!profile) return null;
     return {
-        layoutA: { total: total1, fitW: fitW1, fitH: fitH1, rotated: false, cutW: CW, cutH: CH },
-        layoutB: { total: total2, fitW: fitW2, fitH: fitH2, rotated: true, cutW: CH, cutH: CW },
-        optimalKey,
-        sheetW: SW, sheetH: SH,
-        // Los valores de los estados originales son los que se pasan
-        grip: Math.max(0, parseFloat(grip) || 0), 
-        lateralMargin: LM, 
-        gutter: GT, 
-        tail: Math.max(0, parseFloat(tail) || 0),
-        error: null
+      name: profile.name,
+      gripperEdge: profile.gripperEdge,
+      minSheetW: parseLength(profile.minWidth, 'in'),
+      minSheetH: parseLength(profile.minHeight, 'in'),
+      maxSheetW: parseLength(profile.maxWidth, 'in') || Infinity, // Sin máximo si se deja vacío
+      maxSheetH: parseLength(profile.maxHeight, 'in') || Infinity,
+      grip: parseLength(profile.grip, 'in'),
+      tail: parseLength(profile.tail, 'in'),
+      side: parseLength(profile.side, 'in'),
     };
+  }, [library.presses, pressId]);
+  const pressError = useMemo(() => (press ? checkPressLimits(press, job, unit) : null), [press, job, unit]);
+
+  // --- Cálculo del Layout Bruto (se recalcula automáticamente con useMemo) ---
+  const rawLayout = useMemo(() => {
+    // En rollo no hay pliego, prensa de pliegos ni pliego madre
+    if (rollMode) return calculateRollLayout(rollJob);
+    // Los libros se imponen en signaturas; las formas troqueladas tienen su propio acomodo (a una cara)
+    const result = signatureMode
+      ? calculateSignatureLayout(signatureJob)
+      : (job.shape === 'rectangle' ? calculateDuplexLayout(job) : calculateDieCutLayout(job));
+    if (result.error) return result;
+    // El pliego o los márgenes no cumplen con la prensa: se muestra como error del cálculo
+    if (pressError) return { ...result, optimalKey: null, error: pressError };
+    return { ...result, parent: parentLayout };
+  }, [rollMode, rollJob, signatureMode, signatureJob, job, parentLayout, pressError]);
 
-  }, [cutWidth, cutHeight, sheetWidth, sheetHeight, lateralMargin, gutter, tail, grip]);
+  // --- Cálculo del Trabajo Combinado (solo en modo gang-run) ---
+  const gangLayout = useMemo(() => {
+    if (!gangMode) return null;
+    const items = gangItems.map(item => ({
+      name: item.name,
+      width: parseLength(item.width, unit),
+      height: parseLength(item.height, unit),
+      quantity: parseInt(item.quantity, 10) || 0,
+      canRotate: item.canRotate,
+    }));
+    const result = calculateGangLayout(items, job);
+    if (pressError && !result.error) return { ...result, sheets: 0, total: 0, pieces: [], error: pressError };
+    return result;
+  }, [gangMode, gangItems, job, unit, pressError]);
 
   // Efecto para marcar el estado como 'sucio' si algún input cambia
   useEffect(() => {
     setIsDirty(true);
-  }, [cutWidth, cutHeight, sheetWidth, sheetHeight, lateralMargin, gutter, tail, grip]);
+  }, [cutWidth, cutHeight, shape, cornerRadius, dieSpacing, nesting, sheetWidth, sheetHeight, lateralMargin, gutter, gutterVertical, tail, grip, bleed, singleCut, alignment, fixedCols, fixedRows, sheetGrain, grainParallel, duplex, pressId, parentWidth, parentHeight, parentTrim, gangMode, gangItems, rollMode, webWidth, edgeTrim, gapAcross, gapAround, repeats, repeatInput, signatureMode, pageCount, binding, creep]);
+
+
+  // Handlers (y el traductor) del último render, para los efectos que solo deben correr cuando cambia su disparador.
+  // Se actualiza antes que los efectos siguientes, así que estos siempre usan los valores vigentes.
+  const latestHandlersRef = useRef({});
+  useEffect(() => {
+    latestHandlersRef.current = { handleCalculate, applyJobValues, t };
+  });
 
+  // Efecto para calcular automáticamente cuando se carga un pliego del catálogo, un trabajo guardado o un enlace
+  useEffect(() => {
+    if (calculateRequest) latestHandlersRef.current.handleCalculate(calculateRequest);
+  }, [calculateRequest]);
+
+  // Efecto para persistir la biblioteca en cada cambio
+  useEffect(() => {
+    saveLibrary(library);
+  }, [library]);
 
   // Handlers
-  const handleCalculate = () => {
+
+  // --- Valores del trabajo ---
+  // Valores que se guardan con cada trabajo y en el enlace compartido (tal como se escribieron, en su unidad)
+  const jobInputs = {
+    unit: [unit, setUnit],
+    cutWidth: [cutWidth, setCutWidth], cutHeight: [cutHeight, setCutHeight],
+    shape: [shape, setShape], cornerRadius: [cornerRadius, setCornerRadius], dieSpacing: [dieSpacing, setDieSpacing], nesting: [nesting, setNesting],
+    sheetWidth: [sheetWidth, setSheetWidth], sheetHeight: [sheetHeight, setSheetHeight],
+    lateralMargin: [lateralMargin, setLateralMargin], gutter: [gutter, setGutter], gutterVertical: [gutterVertical, setGutterVertical],
+    tail: [tail, setTail], grip: [grip, setGrip],
+    bleed: [bleed, setBleed], singleCut: [singleCut, setSingleCut], alignment: [alignment, setAlignment], pressId: [pressId, setPressId],
+    fixedCols: [fixedCols, setFixedCols], fixedRows: [fixedRows, setFixedRows],
+    sheetGrain: [sheetGrain, setSheetGrain], grainParallel: [grainParallel, setGrainParallel], duplex: [duplex, setDuplex],
+    gangMode: [gangMode, setGangMode], gangItems: [gangItems, setGangItems],
+    rollMode: [rollMode, setRollMode], webWidth: [webWidth, setWebWidth], edgeTrim: [edgeTrim, setEdgeTrim],
+    gapAcross: [gapAcross, setGapAcross], gapAround: [gapAround, setGapAround], repeats: [repeats, setRepeats], repeatInput: [repeatInput, setRepeatInput],
+    signatureMode: [signatureMode, setSignatureMode], pageCount: [pageCount, setPageCount], binding: [binding, setBinding], creep: [creep, setCreep],
+    parentWidth: [parentWidth, setParentWidth], parentHeight: [parentHeight, setParentHeight], parentTrim: [parentTrim, setParentTrim],
+    quantity: [quantity, setQuantity], spoilageSheets: [spoilageSheets, setSpoilageSheets], spoilagePct: [spoilagePct, setSpoilagePct],
+    paperPrice: [paperPrice, setPaperPrice], priceBasis: [priceBasis, setPriceBasis],
+  };
+  const getJobValues = () => Object.fromEntries(Object.entries(jobInputs).map(([key, [value]]) => [key, value]));
+  // Carga valores de un trabajo (guardado o de la URL); se ignoran las claves desconocidas.
+  // Los trabajos anteriores al gutter vertical usan el mismo gutter en ambas direcciones.
+  const applyJobValues = (loaded) => {
+    const values = loaded.gutter !== undefined && loaded.gutterVertical === undefined ? { ...loaded, gutterVertical: loaded.gutter } : loaded;
+    Object.entries(values).forEach(([key, value]) => {
+      if (!jobInputs[key] || (key === 'unit' && !UNITS[value])) return;
+      jobInputs[key][1](value);
+    });
+  };
+
+  // Sincroniza la URL con el escenario mostrado; cada escenario nuevo es una entrada del historial.
+  // Con `replace` se reemplaza la entrada actual (Deshacer y Rehacer no agregan pasos a Atrás/Adelante).
+  const syncShareLink = (values, layoutKey, replace = false) => {
+    const search = encodeShareLink(values, layoutKey);
+    if (search === window.location.search) return;
+    const url = `${window.location.pathname}${search}`;
+    if (replace) window.history.replaceState(null, '', url);
+    else window.history.pushState(null, '', url);
+  };
+
+  // Efecto para restaurar el trabajo desde la URL al abrir un enlace y al navegar con Atrás/Adelante.
+  // Solo el enlace abierto se agrega al historial de cálculos; Atrás/Adelante vuelven a escenarios ya calculados.
+  useEffect(() => {
+    const restoreFromUrl = (record) => {
+      const link = decodeShareLink(window.location.search, latestHandlersRef.current.t);
+      if (!link) return;
+      latestHandlersRef.current.applyJobValues(link.values);
+      setCalculateRequest({ layoutKey: link.layoutKey, fromHistory: true, record });
+    };
+    const handlePopState = () => restoreFromUrl(false);
+    restoreFromUrl(true);
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Combina un layout (A o B) con los datos del pliego para su visualización
+  const composeDisplayLayout = (selectedLayout) => ({
+      ...selectedLayout,
+      // En rollo el "pliego" es el web a lo largo de la repetición del cilindro elegido para ese layout
+      sheetW: rawLayout.sheetW, sheetH: rawLayout.roll ? selectedLayout.repeat : rawLayout.sheetH,
+      roll: rawLayout.roll,
+      // Libro: signatura elegida, páginas, encuadernación y pliegos por ejemplar
+      signatureMode: rawLayout.signatureMode, signature: rawLayout.signature, signatures: rawLayout.signatures,
+      sheets: rawLayout.sheets, pageCount: rawLayout.pageCount, totalPages: rawLayout.totalPages, blankPages: rawLayout.blankPages,
+      binding: rawLayout.binding, creep: rawLayout.creep, maxCreep: rawLayout.maxCreep,
+      grip: rawLayout.grip, lateralMargin: rawLayout.lateralMargin, 
+      gutter: rawLayout.gutter, gutterX: rawLayout.gutterX, gutterY: rawLayout.gutterY,
+      tail: rawLayout.tail, bleed: rawLayout.bleed, singleCut: rawLayout.singleCut, alignment: rawLayout.alignment,
+      sheetGrain: rawLayout.sheetGrain, grainParallel: rawLayout.grainParallel,
+      grainAxis: rawLayout.grainAxis, grainRotation: rawLayout.grainRotation,
+      duplex: rawLayout.duplex, plates: rawLayout.plates, flipAxis: rawLayout.flipAxis,
+      shape: rawLayout.shape, nesting: rawLayout.nesting, cornerRadius: rawLayout.cornerRadius,
+      dieSpacing: rawLayout.dieSpacing, nestingTotals: rawLayout.nestingTotals,
+      parent: rawLayout.parent, error: rawLayout.error
+  });
+
+  // Agrega el cálculo mostrado al historial de cálculos de la sesión
+  const recordCalculation = (values, layoutKey, calculated) => {
+    setCalcHistory(history => addHistoryEntry(history, {
+      id: createId('calc'),
+      time: new Date(),
+      values,
+      layoutKey,
+      layout: calculated,
+      wastePct: calculateSheetWaste(calculated),
+    }));
+  };
+
+  // `layoutKey` permite mostrar directamente el layout invertido o un alternativo (enlace compartido);
+  // `fromHistory` evita agregar una entrada al historial cuando se restaura desde la URL;
+  // `replaceLink` actualiza la URL sin agregar una entrada al historial del navegador (al deshacer o rehacer);
+  // `record: false` no agrega el cálculo al historial de cálculos (al deshacer o rehacer).
+  const handleCalculate = ({ layoutKey = 'optimal', fromHistory = false, replaceLink = false, record = true } = {}) => {
+    const values = getJobValues();
+    calculatedValuesRef.current = values;
+    // Las alternativas solo se comparan en rectángulos a una cara: en dos caras, en modo combinado, en formas
+    // troqueladas (que no se cortan en guillotina), en rollo y en libro las piezas no son intercambiables
+    const comparable = !gangMode && !rollMode && !signatureMode && !rawLayout.error && duplex === 'simplex' && shape === 'rectangle';
+    const candidates = comparable ? rankLayoutCandidates(job, CANDIDATE_LIMIT) : [];
+    setLayoutCandidates(candidates);
+    setPinnedCandidateIds([]);
+
+    if (gangMode) {
+        // El trabajo combinado usa su propio empaquetado; el pliego y los márgenes son los mismos
+        const gangDisplay = {
+            ...gangLayout,
+            sheetW: job.sheetW, sheetH: job.sheetH,
+            grip: job.grip, lateralMargin: job.lateralMargin,
+            gutter: job.gutter, gutterX: job.gutterX, gutterY: job.gutterY, tail: job.tail, bleed: job.bleed, singleCut: false,
+            parent: parentLayout,
+        };
+        setDisplayLayout(gangDisplay);
+        setCurrentLayoutKey('optimal');
+        setIsDirty(false);
+        if (!fromHistory) syncShareLink(values, 'optimal', replaceLink);
+        if (record) recordCalculation(values, 'optimal', gangDisplay);
+        return;
+    }
+
     if (rawLayout.error) {
         // Si hay error, solo mostramos el error sin intentar construir un layout válido.
-        setDisplayLayout({ ...rawLayout, total: 0, fitW: 0, fitH: 0 });
+        const errorDisplay = { ...rawLayout, total: 0, fitW: 0, fitH: 0 };
+        setDisplayLayout(errorDisplay);
         setCurrentLayoutKey('optimal');
         setIsDirty(false);
+        if (!fromHistory) syncShareLink(values, 'optimal', replaceLink);
+        if (record) recordCalculation(values, 'optimal', errorDisplay);
         return;
     }
     
-    // Elige el layout óptimo para la visualización inicial
-    const optimalLayout = rawLayout.optimalKey === 'A' ? rawLayout.layoutA : rawLayout.layoutB;
-
-    setDisplayLayout({
-        ...optimalLayout,
-        sheetW: rawLayout.sheetW, sheetH: rawLayout.sheetH,
-        grip: rawLayout.grip, lateralMargin: rawLayout.lateralMargin, 
-        gutter: rawLayout.gutter, tail: rawLayout.tail, error: rawLayout.error
-    });
-    setCurrentLayoutKey('optimal');
+    // Layout alternativo pedido por el enlace o el historial (si ya no está entre los alternativos, el óptimo)
+    const candidate = candidateId(layoutKey) && candidates.find(row => row.id === candidateId(layoutKey));
+    const shownKey = candidate || !candidateId(layoutKey) ? layoutKey : 'optimal';
+
+    // Elige el layout óptimo para la visualización inicial (o el alternativo si se pide el invertido)
+    const keyToDisplay = shownKey === 'inverted'
+                         ? (rawLayout.optimalKey === 'A' ? 'B' : 'A')
+                         : rawLayout.optimalKey;
+
+    const calculated = composeDisplayLayout(candidate ? candidate.layout : rawLayout[`layout${keyToDisplay}`]);
+    setDisplayLayout(calculated);
+    setCurrentLayoutKey(shownKey);
     setIsDirty(false);
+    if (!fromHistory) syncShareLink(values, shownKey, replaceLink);
+    if (record) recordCalculation(values, shownKey, calculated);
+  };
+
+  // --- Historial de cálculos ---
+  // Vuelve a calcular una entrada del historial con sus valores y su orientación, sin agregarla de nuevo
+  const handleRestoreCalculation = (index) => {
+    const entry = calcHistory.entries[index];
+    if (!entry) return;
+    setCalcHistory(history => ({ ...history, index }));
+    applyJobValues(entry.values);
+    setCalculateRequest({ layoutKey: entry.layoutKey, replaceLink: true, record: false });
+  };
+  // Deshacer (`step` = -1) o Rehacer (`step` = 1)
+  const handleHistoryStep = (step) => {
+    const index = historyTarget(calcHistory, step);
+    if (index !== null) handleRestoreCalculation(index);
   };
   
+  // Muestra otro layout del mismo cálculo (invertido, óptimo o alternativo): actualiza la URL y la entrada mostrada
+  // del historial de cálculos, para que el enlace y Deshacer/Rehacer vuelvan a este layout
+  const showLayoutVariant = (selectedLayout, layoutKey) => {
+      const shown = composeDisplayLayout(selectedLayout);
+      setDisplayLayout(shown);
+      setCurrentLayoutKey(layoutKey);
+      syncShareLink(calculatedValuesRef.current, layoutKey);
+      setCalcHistory(history => updateShownEntry(history, { layoutKey, layout: shown, wastePct: calculateSheetWaste(shown) }));
+  };
+
   const handleInvert = () => {
       if (!displayLayout) return;
 
@@ -138,79 +837,249 @@ const App = () => {
 
       const invertedLayout = rawLayout[`layout${keyToDisplay}`];
 
-      setDisplayLayout({
-          ...invertedLayout,
-          sheetW: rawLayout.sheetW, sheetH: rawLayout.sheetH,
-          grip: rawLayout.grip, lateralMargin: rawLayout.lateralMargin, 
-          gutter: rawLayout.gutter, tail: rawLayout.tail, error: rawLayout.error
-      });
       // Marcamos el nuevo estado (si era óptimo, ahora es invertido; si era invertido, ahora es óptimo)
-      setCurrentLayoutKey(currentIsOptimal ? 'inverted' : 'optimal');
+      showLayoutVariant(invertedLayout, currentIsOptimal ? 'inverted' : 'optimal');
   };
 
+  // La orientación que mostraría "Invertir" va contra la fibra (para advertir antes de invertir)
+  const invertAgainstGrain = (() => {
+      if (!displayLayout || !rawLayout.optimalKey) return false;
+      const targetKey = currentLayoutKey === 'optimal'
+                        ? (rawLayout.optimalKey === 'A' ? 'B' : 'A')
+                        : rawLayout.optimalKey;
+      return rawLayout[`layout${targetKey}`].grainViolation;
+  })();
+
   const handleRevert = () => {
       if (!displayLayout || currentLayoutKey === 'optimal') return;
       
       // Simplemente volvemos al layout originalmente seleccionado como óptimo
       const optimalLayout = rawLayout.optimalKey === 'A' ? rawLayout.layoutA : rawLayout.layoutB;
       
-      setDisplayLayout({
-          ...optimalLayout,
-          sheetW: rawLayout.sheetW, sheetH: rawLayout.sheetH,
-          grip: rawLayout.grip, lateralMargin: rawLayout.lateralMargin, 
-          gutter: rawLayout.gutter, tail: rawLayout.tail, error: rawLayout.error
+      showLayoutVariant(optimalLayout, 'optimal');
+  };
+
+  // --- Layouts alternativos ---
+  const handleShowCandidate = (candidate) => {
+      if (!displayLayout) return;
+      showLayoutVariant(candidate.layout, candidateLayoutKey(candidate.id));
+  };
+
+  const handleTogglePinCandidate = (id) => {
+      setPinnedCandidateIds(ids => {
+          if (ids.includes(id)) return ids.filter(pinned => pinned !== id);
+          return ids.length < MAX_PINNED_CANDIDATES ? [...ids, id] : ids;
+      });
+  };
+
+  // --- Catálogo de Pliegos ---
+  const handleRankCatalog = () => {
+    const sheets = sheetCatalog.map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      sheetW: parseLength(entry.width, unit),
+      sheetH: parseLength(entry.height, unit),
+    }));
+    // Los pliegos fuera del rango de la prensa seleccionada se marcan con el error de la prensa
+    const results = rankSheetCatalog(sheets, job, parseInt(quantity, 10) || 0).map(row => {
+      const error = press && !row.error ? checkPressLimits(press, { ...job, sheetW: row.sheetW, sheetH: row.sheetH }, unit) : null;
+      return error ? { ...row, error } : row;
+    });
+    setCatalogResults(results);
+  };
+
+  // Calcula un lote de trabajos pegado o importado; las celdas vacías toman los valores del formulario
+  const handleRunBatch = (text) => {
+    try {
+      const jobs = buildBatchJobs(parseBatchText(text), unit, job, parseInt(quantity, 10) || 0, i18n.decimal);
+      // Como en el catálogo, los pliegos fuera del rango de la prensa seleccionada se marcan con su error
+      const rows = calculateBatch(jobs).map((row, index) => {
+        const error = press && !row.error ? checkPressLimits(press, jobs[index], unit) : null;
+        return error ? { ...row, error } : row;
       });
-      setCurrentLayoutKey('optimal');
+      setBatchResults({ rows, error: null });
+    } catch (error) {
+      setBatchResults({ rows: [], error: error.message });
+    }
+  };
+
+  const handleExportBatch = () => {
+    if (!batchResults || batchResults.rows.length === 0) return;
+    downloadFile(serializeBatchResults(batchResults.rows, unit, i18n), 'lote.csv', 'text/csv');
+  };
+
+  // Carga un pliego del catálogo en el croquis
+  const handleSelectCatalogSheet = (row) => {
+    setSheetWidth(convertInputValue(String(row.sheetW), 'in', unit));
+    setSheetHeight(convertInputValue(String(row.sheetH), 'in', unit));
+    setCalculateRequest({ layoutKey: 'optimal' });
+  };
+
+  // --- Biblioteca de Trabajos y Presets ---
+  // Campos que completa cada tipo de preset
+  const presetInputs = {
+    artwork: { width: [cutWidth, setCutWidth], height: [cutHeight, setCutHeight] },
+    sheet: { width: [sheetWidth, setSheetWidth], height: [sheetHeight, setSheetHeight] },
+    margins: {
+      lateralMargin: [lateralMargin, setLateralMargin], gutter: [gutter, setGutter], gutterVertical: [gutterVertical, setGutterVertical],
+      grip: [grip, setGrip], tail: [tail, setTail], bleed: [bleed, setBleed],
+    },
+  };
+
+  // Guarda el trabajo actual; si ya existe uno con el mismo nombre, se actualiza
+  const handleSaveJob = (name) => {
+    const values = getJobValues();
+    const savedAt = new Date().toISOString();
+    setLibrary(current => {
+      const existing = current.jobs.find(entry => entry.name === name);
+      const jobs = existing
+        ? current.jobs.map(entry => (entry.id === existing.id ? { ...entry, values, savedAt } : entry))
+        : [...current.jobs, { id: createId('job'), name, savedAt, values }];
+      return { ...current, jobs };
+    });
+  };
+
+  // Carga un trabajo guardado y calcula su layout
+  const handleLoadJob = (savedJob) => {
+    applyJobValues(savedJob.values);
+    setCatalogResults(null);
+    setCalculateRequest({ layoutKey: 'optimal' });
+  };
+
+  const handleDuplicateJob = (savedJob) => {
+    setLibrary(current => ({ ...current, jobs: [...current.jobs, duplicateJob(savedJob, current.jobs)] }));
+  };
+
+  const handleDeleteJob = (id) => {
+    setLibrary(current => ({ ...current, jobs: current.jobs.filter(entry => entry.id !== id) }));
+  };
+
+  // Aplica un preset (guardado en pulgadas) convirtiéndolo a la unidad seleccionada
+  const handleApplyPreset = (preset) => {
+    Object.entries(presetInputs[preset.kind]).forEach(([field, [, setter]]) => {
+      setter(convertInputValue(preset.values[field], 'in', unit));
+    });
+  };
+
+  // Guarda los valores actuales de un tipo (arte, pliego o márgenes) como preset
+  const handleSavePreset = (kind, name) => {
+    const values = Object.fromEntries(Object.entries(presetInputs[kind]).map(([field, [value]]) => [field, convertInputValue(value, unit, 'in')]));
+    setLibrary(current => ({ ...current, presets: [...current.presets, { id: createId('preset'), kind, name, values }] }));
+  };
+
+  // --- Prensas ---
+  // Selecciona una prensa y completa Pinza, Cola y Margen Lateral con sus valores
+  const handleSelectPress = (id) => {
+    setPressId(id);
+    const profile = library.presses.find(entry => entry.id === id);
+    if (!profile) return;
+    setGrip(convertInputValue(profile.grip, 'in', unit));
+    setTail(convertInputValue(profile.tail, 'in', unit));
+    setLateralMargin(convertInputValue(profile.side, 'in', unit));
+  };
+
+  // Agrega o actualiza un perfil de prensa (medidas en pulgadas)
+  const handleSavePress = (profile) => {
+    setLibrary(current => ({
+      ...current,
+      presses: current.presses.some(entry => entry.id === profile.id)
+        ? current.presses.map(entry => (entry.id === profile.id ? profile : entry))
+        : [...current.presses, profile],
+    }));
+  };
+
+  const handleDeletePress = (id) => {
+    setLibrary(current => ({ ...current, presses: current.presses.filter(entry => entry.id !== id) }));
+    if (id === pressId) setPressId('');
+  };
+
+  const handleDeletePreset = (id) => {
+    setLibrary(current => ({ ...current, presets: current.presets.filter(preset => preset.id !== id) }));
   };
 
+  const handleExportLibrary = () => {
+    downloadFile(serializeLibrary(library), 'biblioteca-trabajos.json', 'application/json');
+  };
+
+  // Importa un archivo de biblioteca (lanza un Error si no es válido) y lo agrega a la actual
+  const handleImportLibrary = (text) => {
+    const imported = parseLibraryFile(text);
+    setLibrary(current => mergeLibraries(current, imported));
+    return imported;
+  };
+
+  // --- Cambio de Unidad: convierte todos los valores del trabajo a la nueva unidad ---
+  const handleUnitChange = (newUnit) => {
+    if (newUnit === unit) return;
+    const convert = (value) => convertInputValue(value, unit, newUnit);
+    [
+      [cutWidth, setCutWidth], [cutHeight, setCutHeight], [cornerRadius, setCornerRadius], [dieSpacing, setDieSpacing],
+      [sheetWidth, setSheetWidth], [sheetHeight, setSheetHeight],
+      [lateralMargin, setLateralMargin], [gutter, setGutter], [gutterVertical, setGutterVertical], [tail, setTail], [grip, setGrip], [bleed, setBleed],
+      [parentWidth, setParentWidth], [parentHeight, setParentHeight], [parentTrim, setParentTrim],
+      [webWidth, setWebWidth], [edgeTrim, setEdgeTrim], [gapAcross, setGapAcross], [gapAround, setGapAround], [creep, setCreep],
+    ].forEach(([value, setter]) => setter(convert(value)));
+    setSheetCatalog(sheetCatalog.map(entry => ({ ...entry, width: convert(entry.width), height: convert(entry.height) })));
+    setGangItems(gangItems.map(item => ({ ...item, width: convert(item.width), height: convert(item.height) })));
+    // Los cilindros por dientes no dependen de la unidad
+    if (repeatInput === 'length') setRepeats(repeats.split(/\s*[,;]\s*/).filter(Boolean).map(convert).join(', '));
+    setUnit(newUnit);
+  };
+
+  // Formatea una longitud (pulgadas) en la unidad seleccionada, con el separador decimal del idioma
+  const fmt = (inches) => i18n.length(inches, unit);
+  // Forma que se edita en el formulario (en libro, la página es siempre un rectángulo)
+  const formShape = signatureMode ? 'rectangle' : shape;
+
+  const updateWorkOrder = (field, value) => setWorkOrder(current => ({ ...current, [field]: value }));
+
   const handlePrint = () => {
-    // Abre el diálogo de impresión del navegador
+    // Abre el diálogo de impresión del navegador (se imprime la orden de trabajo)
     window.print();
   };
 
+  // Exporta la plantilla de imposición a tamaño real (SVG o PDF vectorial)
+  const handleExport = (format) => {
+    if (!displayLayout || displayLayout.total === 0 || displayLayout.error) return;
+    const filename = `croquis-${roundTo(displayLayout.sheetW, 3)}x${roundTo(displayLayout.sheetH, 3)}`;
+    if (format === 'svg') {
+      downloadFile(renderLayoutSvg(displayLayout, unit, i18n), `${filename}.svg`, 'image/svg+xml');
+    } else {
+      downloadFile(renderLayoutPdf(displayLayout, unit, i18n), `${filename}.pdf`, 'application/pdf');
+    }
+  };
+
   const layout = displayLayout; // Usamos el layout que se está mostrando
 
+  // Planificación de cantidades y costos sobre el layout mostrado
+  const jobCost = useMemo(() => calculateJobCost(layout, {
+    quantity: parseInt(quantity, 10) || 0,
+    spoilageSheets: Math.max(0, parseInt(spoilageSheets, 10) || 0),
+    spoilagePct: Math.max(0, parseDimension(spoilagePct) || 0),
+    price: Math.max(0, parseDimension(paperPrice) || 0),
+    priceBasis,
+  }), [layout, quantity, spoilageSheets, spoilagePct, paperPrice, priceBasis]);
+  // Largo del rollo para la cantidad pedida (se actualiza al instante, como los costos)
+  const rollLength = useMemo(() => (
+    layout && layout.roll && !layout.error ? calculateRollLength(layout, parseInt(quantity, 10) || 0) : null
+  ), [layout, quantity]);
+
 
   return (
     <div className="p-4 md:p-8 bg-gray-50 min-h-screen font-inter">
-      {/* Estilos para impresión: ajustados para hoja Carta */}
+      {/* Estilos para impresión: solo se imprime la orden de trabajo, en la hoja elegida */}
       <style>{`
         @media print {
-            /* Define el tamaño del papel Carta (Letter) y los márgenes de impresión */
-            @page {
-                size: Letter portrait; /* Usar Letter (8.5in x 11in) en modo vertical */
-                margin: 0.5in; /* Márgenes ligeros para el contenido */
-            }
-            
+            ${printPageRule(workOrder.paper)}
+
             .no-print { display: none !important; }
             .print-only { display: block !important; }
-            
-            /* Cambiar el contenedor principal de grid a bloque para que fluya verticalmente */
-            .container-print { 
-                display: block !important; 
-                width: 7.5in; /* Ancho de la página menos los márgenes */
-                margin: 0 auto;
-            }
-            
-            /* Ajustar el espaciado y el ancho de las columnas en la impresión */
-            .col-span-1, .lg\\:col-span-1 {
-                width: 100% !important; /* Cada "columna" ocupa todo el ancho */
-                margin-bottom: 20px; /* Separación entre módulos */
-                padding: 0 !important;
-                box-shadow: none !important;
-                border: none !important;
-                background: none !important;
-            }
-            
-            .print-results { page-break-after: avoid; } /* Evita salto de página innecesario */
-            
-            /* Asegurar que el croquis no se desborde */
-            canvas {
-                max-width: 100% !important;
-                height: auto !important;
-            }
-            
-            /* Quitar el fondo del body */
+            /* Cada layout adicional y el plan de corte empiezan en una hoja nueva */
+            .print-page-break { break-before: page; }
+            .work-order section, .work-order table { break-inside: avoid; }
+
+            /* Sin el relleno ni el fondo de la pantalla */
+            .min-h-screen { min-height: 0 !important; padding: 0 !important; }
             body, html {
                 background: none !important;
             }
@@ -219,219 +1088,1083 @@ const App = () => {
       `}</style>
 
       <h1 className="text-3xl font-bold text-center text-indigo-700 mb-6 border-b-2 pb-2 no-print">
-        Optimizador de Corte de Pliego
+        {t('Optimizador de Corte de Pliego')}
       </h1>
-      <h1 className="print-only text-xl font-bold text-center mb-4">Reporte de Optimización de Pliego</h1>
 
 
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 container-print">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 no-print">
         {/* --- Columna de Controles (1) - Ocultar en impresión --- */}
         <div className="bg-white p-6 rounded-xl shadow-lg h-min space-y-4 col-span-1 no-print">
-          <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-3">
-            1. Dimensiones del Arte (Pulgadas)
-          </h2>
-          {/* Diseño a dos columnas para Ancho y Largo */}
-          <div className="grid grid-cols-2 gap-4">
-            <InputGroup
-              label="Ancho"
-              value={cutWidth}
-              onChange={e => setCutWidth(e.target.value)}
-            />
-            <InputGroup
-              label="Largo"
-              value={cutHeight}
-              onChange={e => setCutHeight(e.target.value)}
-            />
+          {/* Selector de Idioma: textos de la interfaz y separador decimal de los números */}
+          <label className="flex items-center justify-between">
+            <span className="text-sm font-medium text-gray-600">{t('Idioma')}</span>
+            <select
+              value={i18n.locale}
+              onChange={e => onLocaleChange(e.target.value)}
+              className="p-1 border border-indigo-300 rounded-lg text-sm"
+            >
+              {Object.entries(LOCALES).map(([code, { label }]) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          {/* Selector de Unidades: convierte todo el trabajo */}
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium text-gray-600">{t('Unidades')}</span>
+            <div className="flex rounded-lg overflow-hidden border border-indigo-300">
+              {Object.keys(UNITS).map(key => (
+                <button
+                  key={key}
+                  onClick={() => handleUnitChange(key)}
+                  className={`px-3 py-1 text-sm font-semibold transition duration-200 ${
+                    unit === key ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-600 hover:bg-indigo-50'
+                  }`}
+                >
+                  {t(UNITS[key].abbr)}
+                </button>
+              ))}
+            </div>
           </div>
 
-          <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-3 pt-4">
-            2. Dimensiones del Pliego (Pulgadas)
-          </h2>
-          {/* Diseño a dos columnas para Ancho Pliego y Largo Pliego */}
-          <div className="grid grid-cols-2 gap-4">
-            <InputGroup
-              label="Ancho Pliego"
-              value={sheetWidth}
-              onChange={e => setSheetWidth(e.target.value)}
-            />
-            <InputGroup
-              label="Largo Pliego"
-              value={sheetHeight}
-              onChange={e => setSheetHeight(e.target.value)}
-            />
+          {/* Selector de Modo: un solo arte, varios artes combinados (gang-run), etiquetas en rollo o libro en signaturas */}
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium text-gray-600">{t('Modo')}</span>
+            <div className="flex rounded-lg overflow-hidden border border-indigo-300">
+              {Object.entries(JOB_MODE_OPTIONS).map(([value, label]) => (
+                <button
+                  key={label}
+                  onClick={() => { setGangMode(value === 'gang'); setRollMode(value === 'roll'); setSignatureMode(value === 'book'); }}
+                  className={`px-3 py-1 text-sm font-semibold transition duration-200 ${
+                    (gangMode ? 'gang' : (rollMode ? 'roll' : (signatureMode ? 'book' : 'single'))) === value ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-600 hover:bg-indigo-50'
+                  }`}
+                >
+                  {t(label)}
+                </button>
+              ))}
+            </div>
           </div>
-        </div>
 
-        {/* --- Columna de Margenes, Botones y Resultados (2) --- */}
-        <div className="bg-white p-6 rounded-xl shadow-lg h-min space-y-4 col-span-1 print-results">
-          <div className="no-print">
-            <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-3">
-              3. Márgenes y Agarre (Pulgadas)
-            </h2>
-            {/* Diseño a dos columnas para Márgenes y Agarre */}
-            <div className="grid grid-cols-2 gap-4">
+          <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-3">
+            1. {t(gangMode ? 'Artes Combinados' : (rollMode ? 'Dimensiones de la Etiqueta' : (signatureMode ? 'Dimensiones de la Página' : 'Dimensiones del Arte')))} ({t(UNITS[unit].label)})
+          </h2>
+          {gangMode ? (
+            <GangItemsEditor items={gangItems} onItemsChange={setGangItems} />
+          ) : (
+            <>
+              {/* En libro las páginas son rectangulares */}
+              {!signatureMode && (
+                <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2 mb-4">
+                  <span className="truncate">{t('Forma')}</span>
+                  <select
+                    value={shape}
+                    onChange={e => setShape(e.target.value)}
+                    className="w-2/3 p-1 border border-gray-300 rounded-lg text-sm"
+                  >
+                    {Object.entries(SHAPE_OPTIONS).map(([value, label]) => (
+                      <option key={value} value={value}>{t(label)}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {/* Diseño a dos columnas para Ancho y Largo (en el círculo, solo el diámetro) */}
+              <div className="grid grid-cols-2 gap-4">
                 <InputGroup
-                  label="Margen Lateral"
-                  value={lateralMargin}
-                  onChange={e => setLateralMargin(e.target.value)}
-                  description="Izq./Der."
+                  label={t(formShape === 'circle' ? 'Diámetro' : 'Ancho')}
+                  value={cutWidth}
+                  onChange={setCutWidth}
                 />
+                {formShape !== 'circle' && (
+                  <InputGroup
+                    label={t('Largo')}
+                    value={cutHeight}
+                    onChange={setCutHeight}
+                  />
+                )}
+                {formShape === 'rounded' && (
+                  <InputGroup
+                    label={t('Radio de Esquina')}
+                    value={cornerRadius}
+                    onChange={setCornerRadius}
+                  />
+                )}
+                {formShape !== 'rectangle' && !rollMode && (
+                  <InputGroup
+                    label={t('Separación Troquel')}
+                    value={dieSpacing}
+                    onChange={setDieSpacing}
+                    description={t('Mínima entre líneas de troquel.')}
+                  />
+                )}
+              </div>
+              {formShape !== 'rectangle' && !rollMode && (
+                <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2 mt-4">
+                  <span className="truncate">{t('Acomodo')}</span>
+                  <select
+                    value={nesting}
+                    onChange={e => setNesting(e.target.value)}
+                    className="w-2/3 p-1 border border-gray-300 rounded-lg text-sm"
+                  >
+                    {Object.entries(NESTING_OPTIONS).map(([value, label]) => (
+                      <option key={value} value={value}>{t(label)}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {signatureMode && (
+                <>
+                  <div className="grid grid-cols-2 gap-4 mt-4">
+                    <InputGroup
+                      label={t('Páginas')}
+                      value={pageCount}
+                      onChange={setPageCount}
+                      description={t('Se completa a múltiplo de 4.')}
+                    />
+                    <InputGroup
+                      label={t('Creep')}
+                      value={creep}
+                      onChange={setCreep}
+                      description={t('Por hoja encajada.')}
+                    />
+                  </div>
+                  <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2 mt-4">
+                    <span className="truncate">{t('Encuadernación')}</span>
+                    <select
+                      value={binding}
+                      onChange={e => setBinding(e.target.value)}
+                      className="w-2/3 p-1 border border-gray-300 rounded-lg text-sm"
+                    >
+                      {Object.entries(BINDING_OPTIONS).map(([value, label]) => (
+                        <option key={value} value={value}>{t(label)}</option>
+                      ))}
+                    </select>
+                  </label>
+                </>
+              )}
+            </>
+          )}
+          {!rollMode && !signatureMode && (
+            <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2">
+              <span className="truncate">{t('Fibra Requerida')}</span>
+              <select
+                value={grainParallel}
+                onChange={e => setGrainParallel(e.target.value)}
+                className="w-2/3 p-1 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="any">{t('Sin requisito')}</option>
+                <option value="width">{t('Paralela al ancho del arte')}</option>
+                <option value="height">{t('Paralela al largo del arte')}</option>
+              </select>
+            </label>
+          )}
+          {!gangMode && (
+            <PresetPicker kind="artwork" presets={library.presets} unit={unit} onApply={handleApplyPreset} onSave={handleSavePreset} />
+          )}
+
+          {rollMode ? (
+            <>
+              <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-3 pt-4">
+                2. {t('Web y Cilindros')} ({t(UNITS[unit].label)})
+              </h2>
+              {/* El ancho del web fija los carriles; la repetición del cilindro, las etiquetas alrededor */}
+              <div className="grid grid-cols-2 gap-4">
                 <InputGroup
-                  label="Gutter"
-                  value={gutter}
-                  onChange={e => setGutter(e.target.value)}
-                  description="Entre etiquetas."
+                  label={t('Ancho del Web')}
+                  value={webWidth}
+                  onChange={setWebWidth}
                 />
-                {/* INTERCAMBIADO: Grip va en el cálculo como Pinza (abajo), Tail como Cola (arriba) */}
                 <InputGroup
-                  label="Pinza (Grip)"
-                  value={grip}
-                  onChange={e => setGrip(e.target.value)}
-                  description="Agarre inferior."
+                  label={t('Refile de Matriz')}
+                  value={edgeTrim}
+                  onChange={setEdgeTrim}
+                  description={t('Por borde del web.')}
                 />
                 <InputGroup
-                  label="Cola (Tail)"
-                  value={tail}
-                  onChange={e => setTail(e.target.value)}
-                  description="Margen superior."
+                  label={t('Gap entre Carriles')}
+                  value={gapAcross}
+                  onChange={setGapAcross}
+                  description={t('A lo ancho.')}
                 />
-            </div>
-            
-            {/* Botón de Cálculo */}
-            <div className="flex flex-col space-y-3 mt-8">
-              <button 
-                onClick={handleCalculate} 
-                className={`w-full p-3 rounded-lg font-semibold transition duration-200 shadow-md ${
-                  isDirty 
-                    ? 'bg-indigo-600 text-white hover:bg-indigo-700' 
-                    : 'bg-green-500 text-white cursor-default'
-                }`}
-                disabled={!isDirty}
-              >
-                {isDirty ? 'Calcular Optimización' : 'Valores Actualizados'}
+                <InputGroup
+                  label={t('Gap en Avance')}
+                  value={gapAround}
+                  onChange={setGapAround}
+                  description={t('Mínimo, alrededor.')}
+                />
+                <InputGroup
+                  label={t('Cantidad')}
+                  value={quantity}
+                  onChange={setQuantity}
+                  description={t('Etiquetas requeridas.')}
+                />
+              </div>
+              <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2">
+                <span className="truncate">{t('Cilindros por')}</span>
+                <select
+                  value={repeatInput}
+                  onChange={e => setRepeatInput(e.target.value)}
+                  className="w-2/3 p-1 border border-gray-300 rounded-lg text-sm"
+                >
+                  {Object.entries(REPEAT_INPUT_OPTIONS).map(([value, label]) => (
+                    <option key={value} value={value}>{t(label)}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2">
+                <span className="truncate">{t('Cilindros Disponibles')}</span>
+                <input
+                  type="text"
+                  value={localizeInput(repeats, i18n.decimal)}
+                  onChange={e => setRepeats(delocalizeInput(e.target.value, i18n.decimal))}
+                  className="w-2/3 p-1 border border-gray-300 rounded-lg text-sm text-right"
+                />
+              </label>
+              <p className="text-xs text-gray-400 text-right">
+                {t(repeatInput === 'teeth' ? 'Dientes de cada engrane, separados por comas.' : 'Repetición de cada cilindro, separadas por comas.')}
+              </p>
+            </>
+          ) : (
+            <>
+              <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-3 pt-4">
+                2. {t('Dimensiones del Pliego')} ({t(UNITS[unit].label)})
+              </h2>
+              {/* Diseño a dos columnas para Ancho Pliego y Largo Pliego */}
+              <div className="grid grid-cols-2 gap-4">
+                <InputGroup
+                  label={t('Ancho Pliego')}
+                  value={sheetWidth}
+                  onChange={setSheetWidth}
+                />
+                <InputGroup
+                  label={t('Largo Pliego')}
+                  value={sheetHeight}
+                  onChange={setSheetHeight}
+                />
+              </div>
+              <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2">
+                <span className="truncate">{t('Fibra del Pliego')}</span>
+                <select
+                  value={sheetGrain}
+                  onChange={e => setSheetGrain(e.target.value)}
+                  className="w-2/3 p-1 border border-gray-300 rounded-lg text-sm"
+                >
+                  <option value="long">{t('Fibra larga (paralela al lado largo)')}</option>
+                  <option value="short">{t('Fibra corta (paralela al lado corto)')}</option>
+                </select>
+              </label>
+              <PresetPicker kind="sheet" presets={library.presets} unit={unit} onApply={handleApplyPreset} onSave={handleSavePreset} />
+
+              <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-3 pt-4">
+                4. {t('Pliego Madre (Opcional)')}
+              </h2>
+              {/* Tamaño del stock del que se cortan los pliegos de prensa */}
+              <div className="grid grid-cols-2 gap-4">
+                <InputGroup
+                  label={t('Ancho Madre')}
+                  value={parentWidth}
+                  onChange={setParentWidth}
+                />
+                <InputGroup
+                  label={t('Largo Madre')}
+                  value={parentHeight}
+                  onChange={setParentHeight}
+                />
+                <InputGroup
+                  label={t('Refile')}
+                  value={parentTrim}
+                  onChange={setParentTrim}
+                  description={t('Por borde.')}
+                />
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* --- Columna de Margenes, Botones y Resultados (2) --- */}
+        <div className="bg-white p-6 rounded-xl shadow-lg h-min space-y-4 col-span-1">
+          <div className="no-print">
+            {!rollMode && (
+              <>
+                <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-3">
+                  3. {t('Márgenes y Agarre')} ({t(UNITS[unit].label)})
+                </h2>
+                {/* Prensa: completa Pinza, Cola y Margen Lateral y verifica el tamaño del pliego */}
+                <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2 mb-4">
+                  <span className="truncate">{t('Prensa')}</span>
+                  <select
+                    value={pressId}
+                    onChange={e => handleSelectPress(e.target.value)}
+                    className="w-2/3 p-1 border border-gray-300 rounded-lg text-sm"
+                  >
+                    <option value="">{t('Sin prensa')}</option>
+                    {library.presses.map(profile => (
+                      <option key={profile.id} value={profile.id}>{profile.name}</option>
+                    ))}
+                  </select>
+                </label>
+                {/* Diseño a dos columnas para Márgenes y Agarre */}
+                <div className="grid grid-cols-2 gap-4">
+                    <InputGroup
+                      label={t('Margen Lateral')}
+                      value={lateralMargin}
+                      onChange={setLateralMargin}
+                      description={t('Izq./Der.')}
+                    />
+                    {/* En libro las páginas van juntas: se separan al doblar y refilar */}
+                    {!signatureMode && (
+                      <>
+                        <InputGroup
+                          label={t('Gutter Horizontal')}
+                          value={gutter}
+                          onChange={setGutter}
+                          description={t('Entre columnas.')}
+                        />
+                        <InputGroup
+                          label={t('Gutter Vertical')}
+                          value={gutterVertical}
+                          onChange={setGutterVertical}
+                          description={t('Entre filas.')}
+                        />
+                      </>
+                    )}
+                    {/* INTERCAMBIADO: Grip va en el cálculo como Pinza (abajo), Tail como Cola (arriba) */}
+                    <InputGroup
+                      label={t('Pinza (Grip)')}
+                      value={grip}
+                      onChange={setGrip}
+                      description={t('Agarre inferior.')}
+                    />
+                    <InputGroup
+                      label={t('Cola (Tail)')}
+                      value={tail}
+                      onChange={setTail}
+                      description={t('Margen superior.')}
+                    />
+                    <InputGroup
+                      label={t('Sangrado (Bleed)')}
+                      value={bleed}
+                      onChange={setBleed}
+                      description={t('Por lado de la pieza.')}
+                    />
+                    {!signatureMode && (
+                      <label className="flex items-start space-x-2 text-sm text-gray-600 pt-1">
+                        <input
+                          type="checkbox"
+                          checked={singleCut}
+                          onChange={e => setSingleCut(e.target.checked)}
+                          className="mt-0.5 accent-indigo-600"
+                        />
+                        <span>
+                          {t('Corte sencillo')}
+                          <span className="block text-xs text-gray-400">{t('Sangrados compartidos, sin gutter.')}</span>
+                        </span>
+                      </label>
+                    )}
+                </div>
+                {!gangMode && (
+                  <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2 mt-4">
+                    <span className="truncate">{t('Posición del Bloque')}</span>
+                    <select
+                      value={alignment}
+                      onChange={e => setAlignment(e.target.value)}
+                      className="w-2/3 p-1 border border-gray-300 rounded-lg text-sm"
+                    >
+                      {Object.entries(ALIGNMENT_OPTIONS).map(([value, label]) => (
+                        <option key={value} value={value}>{t(label)}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                {!gangMode && !signatureMode && (
+                  <div className="grid grid-cols-2 gap-4 mt-4">
+                    <InputGroup
+                      label={t('Columnas Fijas')}
+                      value={fixedCols}
+                      onChange={setFixedCols}
+                      description={t('Vacío = automático.')}
+                    />
+                    <InputGroup
+                      label={t('Filas Fijas')}
+                      value={fixedRows}
+                      onChange={setFixedRows}
+                      description={t('Vacío = automático.')}
+                    />
+                  </div>
+                )}
+                {!gangMode && !signatureMode && shape === 'rectangle' && (
+                  <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2 mt-4">
+                    <span className="truncate">{t('Impresión')}</span>
+                    <select
+                      value={duplex}
+                      onChange={e => setDuplex(e.target.value)}
+                      className="w-2/3 p-1 border border-gray-300 rounded-lg text-sm"
+                    >
+                      {Object.entries(DUPLEX_OPTIONS).map(([value, { label }]) => (
+                        <option key={value} value={value}>{t(label)}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                {!gangMode && !signatureMode && shape === 'rectangle' && duplex !== 'simplex' && (
+                  <p className="text-xs text-gray-400 text-right">{t(DUPLEX_OPTIONS[duplex].description)}</p>
+                )}
+                <div className="mt-4">
+                  <PresetPicker kind="margins" presets={library.presets} unit={unit} onApply={handleApplyPreset} onSave={handleSavePreset} />
+                </div>
+              </>
+            )}
+          
+            {/* Botón de Cálculo */}
+            <div className="flex flex-col space-y-3 mt-8">
+              <button 
+                onClick={() => handleCalculate()} 
+                className={`w-full p-3 rounded-lg font-semibold transition duration-200 shadow-md ${
+                  isDirty 
+                    ? 'bg-indigo-600 text-white hover:bg-indigo-700' 
+                    : 'bg-green-500 text-white cursor-default'
+                }`}
+                disabled={!isDirty}
+              >
+                {t(isDirty ? 'Calcular Optimización' : 'Valores Actualizados')}
               </button>
+              {calcHistory.entries.length > 1 && (
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleHistoryStep(-1)}
+                    disabled={historyTarget(calcHistory, -1) === null}
+                    className="flex-1 p-2 rounded-lg border border-gray-300 text-sm font-semibold text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+                  >
+                    {t('↶ Deshacer')}
+                  </button>
+                  <button
+                    onClick={() => handleHistoryStep(1)}
+                    disabled={historyTarget(calcHistory, 1) === null}
+                    className="flex-1 p-2 rounded-lg border border-gray-300 text-sm font-semibold text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+                  >
+                    {t('Rehacer ↷')}
+                  </button>
+                </div>
+              )}
             </div>
           </div>
-          
+        
           {/* Resultados */}
           <div className={`mt-6 ${!layout ? 'hidden' : ''}`}>
             <h2 className="text-xl font-bold text-green-700 border-t pt-4 mt-6">
-              Resultado de Optimización
+              {t('Resultado de Optimización')}
             </h2>
             {layout && (
               <div className="text-lg space-y-1">
                 <p className="flex justify-between">
-                  <span className="font-medium text-gray-600">Total de Piezas:</span>
+                  <span className="font-medium text-gray-600">{t(layout.signatureMode ? 'Páginas por Pliego:' : 'Total de Piezas:')}</span>
                   <span className="font-bold text-3xl text-indigo-600">{layout.total}</span>
                 </p>
-                <p className="flex justify-between border-t pt-2">
-                  <span className="text-gray-600">Ajuste Horizontal:</span>
-                  <span className="font-semibold text-gray-800">{layout.fitW}</span>
-                </p>
-                <p className="flex justify-between">
-                  <span className="text-gray-600">Ajuste Vertical:</span>
-                  <span className="font-semibold text-gray-800">{layout.fitH}</span>
-                </p>
-                <p className="flex justify-between">
-                  <span className="text-gray-600">Orientación del Arte:</span>
-                  <span className={`font-semibold ${layout.rotated ? 'text-orange-500' : 'text-blue-500'}`}>
-                    {layout.rotated ? 'Rotado (H x W)' : 'Normal (W x H)'}
-                  </span>
-                </p>
-                <p className="flex justify-between border-t pt-2">
-                  <span className="text-gray-600">Dim. Pliego Utilizado:</span>
-                  <span className="font-semibold text-gray-800">{layout.sheetW}" x {layout.sheetH}"</span>
-                </p>
-                <p className="flex justify-between">
-                  <span className="text-gray-600">Dim. Arte Utilizado:</span>
-                  <span className="font-semibold text-gray-800">{layout.cutW}" x {layout.cutH}"</span>
-                </p>
-                
+                {layout.gang ? (
+                  /* Resultado del trabajo combinado: pliegos a imprimir y excedente por arte */
+                  <>
+                    <p className="flex justify-between border-t pt-2">
+                      <span className="text-gray-600">{t('Pliegos a Imprimir:')}</span>
+                      <span className="font-bold text-xl text-gray-800">{layout.sheets}</span>
+                    </p>
+                    {layout.sheets > 0 && (
+                      <table className="w-full text-sm mt-2">
+                        <thead>
+                          <tr className="border-b text-gray-600">
+                            <th className="p-1 text-left">{t('Arte')}</th>
+                            <th className="p-1 text-right">{t('x Pliego')}</th>
+                            <th className="p-1 text-right">{t('Cantidad')}</th>
+                            <th className="p-1 text-right">{t('Producidas')}</th>
+                            <th className="p-1 text-right">{t('Excedente')}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {layout.items.map((item, index) => (
+                            <tr key={index} className="border-b">
+                              <td className="p-1">
+                                <span className="inline-block w-3 h-3 rounded-sm mr-1 align-middle" style={{ backgroundColor: ITEM_COLORS[index % ITEM_COLORS.length] }} />
+                                {item.name} ({fmt(item.width)} x {fmt(item.height)})
+                              </td>
+                              <td className="p-1 text-right">{item.perSheet}</td>
+                              <td className="p-1 text-right">{item.quantity}</td>
+                              <td className="p-1 text-right">{item.produced}</td>
+                              <td className="p-1 text-right font-semibold text-orange-500">{item.overs}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                    <p className="flex justify-between border-t pt-2">
+                      <span className="text-gray-600">{t('Dim. Pliego Utilizado:')}</span>
+                      <span className="font-semibold text-gray-800">{fmt(layout.sheetW)} x {fmt(layout.sheetH)}</span>
+                    </p>
+                  </>
+                ) : layout.roll ? (
+                  /* Resultado en rollo: carriles, etiquetas alrededor, cilindro elegido, rendimiento y largo del rollo */
+                  <>
+                    <p className="flex justify-between border-t pt-2">
+                      <span className="text-gray-600">{t('Etiquetas a lo Ancho (Carriles):')}</span>
+                      <span className="font-semibold text-gray-800">{layout.fitW}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Etiquetas Alrededor:')}</span>
+                      <span className="font-semibold text-gray-800">{layout.fitH}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Orientación de la Etiqueta:')}</span>
+                      <span className={`font-semibold ${layout.rotated ? 'text-orange-500' : 'text-blue-500'}`}>
+                        {t(layout.rotated ? 'Rotada (H x W)' : 'Normal (W x H)')}
+                      </span>
+                    </p>
+                    <p className="flex justify-between border-t pt-2">
+                      <span className="text-gray-600">{t('Cilindro:')}</span>
+                      <span className="font-semibold text-gray-800">
+                        {fmt(layout.repeat)}{repeatInput === 'teeth' ? ` (${t('{teeth} dientes', { teeth: roundTo(layout.repeat / GEAR_PITCH, 0) })})` : ''}
+                      </span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Gap Real en Avance:')}</span>
+                      <span className="font-semibold text-gray-800">{fmt(layout.gapAround)}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Etiquetas por Metro Lineal:')}</span>
+                      <span className="font-semibold text-gray-800">{i18n.fixed(layout.labelsPerMeter, 1)}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Etiquetas por Pie Lineal:')}</span>
+                      <span className="font-semibold text-gray-800">{i18n.fixed(layout.labelsPerFoot, 1)}</span>
+                    </p>
+                    {rollLength && rollLength.impressions > 0 && (
+                      <p className="flex justify-between">
+                        <span className="text-gray-600">{t('Largo del Rollo ({count} etiquetas):', { count: parseInt(quantity, 10) })}</span>
+                        <span className="font-semibold text-indigo-600">
+                          {i18n.fixed(rollLength.rollLength * METERS_PER_INCH, 1)} m / {i18n.fixed(rollLength.rollLength / 12, 1)} {t('pies')}
+                        </span>
+                      </p>
+                    )}
+                    {layout.cylinders.length > 1 && (
+                      <table className="w-full text-sm mt-2">
+                        <thead>
+                          <tr className="border-b text-gray-600">
+                            <th className="p-1 text-left">{t('Cilindro')}</th>
+                            <th className="p-1 text-right">{t('Alrededor')}</th>
+                            <th className="p-1 text-right">{t('x Repetición')}</th>
+                            <th className="p-1 text-right">{t('Etiq./m')}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {layout.cylinders.map(cylinder => (
+                            <tr key={cylinder.repeat} className={`border-b ${cylinder.repeat === layout.repeat ? 'font-semibold text-indigo-600' : ''}`}>
+                              <td className="p-1">{fmt(cylinder.repeat)}</td>
+                              <td className="p-1 text-right">{cylinder.around}</td>
+                              <td className="p-1 text-right">{cylinder.labelsPerRepeat}</td>
+                              <td className="p-1 text-right">{i18n.fixed(cylinder.labelsPerMeter, 1)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                    <p className="flex justify-between border-t pt-2">
+                      <span className="text-gray-600">{t('Web x Repetición:')}</span>
+                      <span className="font-semibold text-gray-800">{fmt(layout.sheetW)} x {fmt(layout.sheetH)}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Dim. Etiqueta Utilizada:')}</span>
+                      <span className="font-semibold text-gray-800">{fmt(layout.cutW)} x {fmt(layout.cutH)}</span>
+                    </p>
+                  </>
+                ) : layout.signatureMode ? (
+                  /* Resultado del libro: signatura elegida, encuadernación y pliegos por ejemplar */
+                  <>
+                    <p className="flex justify-between border-t pt-2">
+                      <span className="text-gray-600">{t('Signatura:')}</span>
+                      <span className="font-semibold text-gray-800">
+                        {t('{pages} páginas ({cols} x {rows} por cara)', { pages: layout.signature.pages, cols: layout.fitW, rows: layout.fitH })}
+                      </span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Orientación de la Página:')}</span>
+                      <span className={`font-semibold ${layout.rotated ? 'text-orange-500' : 'text-blue-500'}`}>
+                        {t(layout.rotated ? 'Rotada (H x W)' : 'Normal (W x H)')}
+                      </span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Encuadernación:')}</span>
+                      <span className="font-semibold text-gray-800">{t(BINDING_OPTIONS[layout.binding])}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Páginas del Libro:')}</span>
+                      <span className="font-semibold text-gray-800">
+                        {layout.totalPages}{layout.blankPages > 0 ? ` (${t('{count} en blanco', { count: layout.blankPages })})` : ''}
+                      </span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Signaturas:')}</span>
+                      <span className="font-semibold text-gray-800">
+                        {layout.signatures.map(({ pages, count }) => `${count} x ${pages} pp`).join(' + ')}
+                      </span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Pliegos por Ejemplar:')}</span>
+                      <span className="font-bold text-xl text-indigo-600">{layout.sheets}</span>
+                    </p>
+                    {layout.maxCreep > 0 && (
+                      <p className="flex justify-between">
+                        <span className="text-gray-600">{t('Creep Máximo (páginas centrales):')}</span>
+                        <span className="font-semibold text-gray-800">{fmt(layout.maxCreep)}</span>
+                      </p>
+                    )}
+                    <p className="flex justify-between border-t pt-2">
+                      <span className="text-gray-600">{t('Dim. Pliego Utilizado:')}</span>
+                      <span className="font-semibold text-gray-800">{fmt(layout.sheetW)} x {fmt(layout.sheetH)}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Signatura Extendida:')}</span>
+                      <span className="font-semibold text-gray-800">{fmt(layout.flatW)} x {fmt(layout.flatH)}</span>
+                    </p>
+                  </>
+                ) : (
+                  <>
+                    <p className="flex justify-between border-t pt-2">
+                      <span className="text-gray-600">{t('Ajuste Horizontal:')}</span>
+                      <span className="font-semibold text-gray-800">{layout.fitW}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Ajuste Vertical:')}</span>
+                      <span className="font-semibold text-gray-800">{layout.fitH}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Orientación del Arte:')}</span>
+                      <span className={`font-semibold ${layout.rotated ? 'text-orange-500' : 'text-blue-500'}`}>
+                        {t(layout.rotated ? 'Rotado (H x W)' : 'Normal (W x H)')}{layout.mixed ? ` + ${t('Mixto')}` : ''}
+                      </span>
+                    </p>
+                    {layout.mixed && (
+                      <p className="flex justify-between">
+                        <span className="text-gray-600">{t('Piezas en Sobrantes (Rotadas):')}</span>
+                        <span className="font-semibold text-orange-500">{layout.extraPieces}</span>
+                      </p>
+                    )}
+                    <p className="flex justify-between border-t pt-2">
+                      <span className="text-gray-600">{t('Dim. Pliego Utilizado:')}</span>
+                      <span className="font-semibold text-gray-800">{fmt(layout.sheetW)} x {fmt(layout.sheetH)}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Dim. Arte Utilizado:')}</span>
+                      <span className="font-semibold text-gray-800">{fmt(layout.cutW)} x {fmt(layout.cutH)}</span>
+                    </p>
+                  </>
+                )}
+                {layout.grainAxis && (
+                  <p className="flex justify-between">
+                    <span className="text-gray-600">{t('Fibra del Pliego:')}</span>
+                    <span className="font-semibold text-gray-800">
+                      {t(layout.sheetGrain === 'long' ? 'Larga' : 'Corta')} ({t(layout.grainAxis === 'x' ? '↔ horizontal' : '↕ vertical')})
+                    </span>
+                  </p>
+                )}
+                {layout.grainRotation !== null && layout.grainRotation !== undefined && (
+                  <p className="flex justify-between">
+                    <span className="text-gray-600">{t(layout.grainParallel === 'width' ? 'Fibra Requerida (al ancho):' : 'Fibra Requerida (al largo):')}</span>
+                    {layout.grainViolation ? (
+                      <span className="font-semibold text-red-600">{t('⚠ Contra la fibra')}</span>
+                    ) : (
+                      <span className="font-semibold text-green-600">{t('✔ A favor de la fibra')}</span>
+                    )}
+                  </p>
+                )}
+                {layout.shape && layout.shape !== 'rectangle' && (
+                  <>
+                    <p className="flex justify-between border-t pt-2">
+                      <span className="text-gray-600">{t('Troquel:')}</span>
+                      <span className="font-semibold text-gray-800">
+                        {t(SHAPE_OPTIONS[layout.shape])}{layout.shape === 'rounded' ? ` (${t('radio {value}', { value: fmt(layout.cornerRadius) })})` : ''}
+                      </span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Separación entre Troqueles:')}</span>
+                      <span className="font-semibold text-gray-800">{fmt(layout.dieSpacing)}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Acomodo:')}</span>
+                      <span className="font-semibold text-gray-800">{t(NESTING_OPTIONS[layout.nesting])}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Cuadrícula / Escalonado:')}</span>
+                      <span className="font-semibold text-gray-800">
+                        {t('{grid} / {staggered} piezas', { grid: layout.nestingTotals.grid, staggered: layout.nestingTotals.staggered })}
+                      </span>
+                    </p>
+                  </>
+                )}
+                {layout.duplex && layout.duplex !== 'simplex' && (
+                  <>
+                    <p className="flex justify-between border-t pt-2">
+                      <span className="text-gray-600">{t('Impresión:')}</span>
+                      <span className="font-semibold text-gray-800">{t(DUPLEX_OPTIONS[layout.duplex].label)}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="text-gray-600">{t('Placas:')}</span>
+                      <span className="font-semibold text-gray-800">{layout.plates}</span>
+                    </p>
+                    {!layout.signatureMode && (
+                      <p className="flex justify-between">
+                        <span className="text-gray-600">{t('Piezas Terminadas por Pliego:')}</span>
+                        <span className="font-semibold text-gray-800">
+                          {layout.total}{layout.plates === 1 ? ` (${t('{count} frentes + {count} vueltas', { count: layout.total / 2 })})` : ''}
+                        </span>
+                      </p>
+                    )}
+                  </>
+                )}
+                {layout.bleed > 0 && (
+                  <p className="flex justify-between">
+                    <span className="text-gray-600">{t('Sangrado:')}</span>
+                    <span className="font-semibold text-gray-800">
+                      {fmt(layout.bleed)} ({t(layout.singleCut ? 'Corte Sencillo' : 'Corte Doble')})
+                    </span>
+                  </p>
+                )}
+                {layout.wasteStrips && layout.wasteStrips.length > 0 && (
+                  <div className="border-t pt-2">
+                    <p className="text-gray-600">{t('Franjas Sobrantes (con márgenes):')}</p>
+                    {layout.wasteStrips.map(strip => (
+                      <p key={strip.side} className="flex justify-between pl-2">
+                        <span className="text-gray-500">{t(WASTE_SIDE_LABELS[strip.side])}:</span>
+                        <span className="font-semibold text-orange-500">{fmt(strip.w)} x {fmt(strip.h)}</span>
+                      </p>
+                    ))}
+                  </div>
+                )}
+              
+                {layout.parent && !layout.parent.error && (
+                  <>
+                    <p className="flex justify-between border-t pt-2">
+                      <span className="text-gray-600">{t('Pliegos por Pliego Madre:')}</span>
+                      <span className="font-semibold text-gray-800">{layout.parent.sheetsPerParent}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span className="font-medium text-gray-600">{t('Piezas por Pliego Madre:')}</span>
+                      <span className="font-bold text-xl text-indigo-600">{layout.total * layout.parent.sheetsPerParent}</span>
+                    </p>
+                  </>
+                )}
+
+                {layout.parent && layout.parent.error && (
+                    <div className="bg-red-100 border border-red-400 text-red-700 p-3 rounded mt-4">
+                        <p className="font-semibold">{t('Pliego Madre:')}</p>
+                        <p>{i18n.message(layout.parent.error)}</p>
+                    </div>
+                )}
+
                 {currentLayoutKey === 'inverted' && (
                     <div className="bg-orange-100 border border-orange-400 text-orange-700 p-3 rounded mt-4">
-                        <p className="font-semibold">Visualizando Layout Invertido</p>
+                        <p className="font-semibold">{t('Visualizando Layout Invertido')}</p>
+                    </div>
+                )}
+                {candidateId(currentLayoutKey) && (
+                    <div className="bg-orange-100 border border-orange-400 text-orange-700 p-3 rounded mt-4">
+                        <p className="font-semibold">{t('Visualizando Layout Alternativo')}</p>
                     </div>
                 )}
 
 
                 {isDirty && (
                     <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 p-3 rounded mt-4 no-print">
-                        <p className="font-semibold">Advertencia:</p>
-                        <p>Los datos han cambiado. Pulse "Calcular Optimización" para actualizar el resultado y el croquis.</p>
+                        <p className="font-semibold">{t('Advertencia:')}</p>
+                        <p>{t('Los datos han cambiado. Pulse "Calcular Optimización" para actualizar el resultado y el croquis.')}</p>
                     </div>
                 )}
-                
+              
                 {layout.error && (
                     <div className="bg-red-100 border border-red-400 text-red-700 p-3 rounded mt-4">
-                        <p className="font-semibold">Error:</p>
-                        <p>{layout.error}</p>
+                        <p className="font-semibold">{t('Error:')}</p>
+                        <p>{i18n.message(layout.error)}</p>
                     </div>
                 )}
               </div>
             )}
           </div>
-          
+
+          {/* Costos y Cantidades (se actualizan al instante sobre el layout mostrado; en rollo no hay pliegos) */}
+          {layout && layout.total > 0 && !layout.roll && (
+            <div className="border-t pt-4 mt-6 space-y-3">
+              <h2 className="text-xl font-bold text-gray-700">{t('Costos y Cantidades')}</h2>
+              <div className="grid grid-cols-2 gap-4 no-print">
+                {!layout.gang && (
+                  <InputGroup
+                    label={t('Cantidad')}
+                    value={quantity}
+                    onChange={setQuantity}
+                    description={t(layout.signatureMode ? 'Ejemplares requeridos.' : 'Piezas requeridas.')}
+                  />
+                )}
+                <InputGroup
+                  label={t('Arranque')}
+                  value={spoilageSheets}
+                  onChange={setSpoilageSheets}
+                  description={t('Pliegos fijos.')}
+                />
+                <InputGroup
+                  label={t('Merma (%)')}
+                  value={spoilagePct}
+                  onChange={setSpoilagePct}
+                  description={t('Sobre pliegos netos.')}
+                />
+                <InputGroup
+                  label={t('Precio')}
+                  value={paperPrice}
+                  onChange={setPaperPrice}
+                  description={t(layout.parent && !layout.parent.error ? 'Por pliego madre.' : 'Por pliego.')}
+                />
+                <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2">
+                  <span className="truncate">{t('Base')}</span>
+                  <select
+                    value={priceBasis}
+                    onChange={e => setPriceBasis(e.target.value)}
+                    className="w-1/2 p-1 border border-gray-300 rounded-lg text-sm"
+                  >
+                    <option value="sheet">{t('Por pliego')}</option>
+                    <option value="thousand">{t('Por millar')}</option>
+                  </select>
+                </label>
+              </div>
+              {jobCost && (
+                <div className="text-base space-y-1">
+                  <p className="flex justify-between">
+                    <span className="text-gray-600">{t('Pliegos Netos:')}</span>
+                    <span className="font-semibold text-gray-800">{jobCost.netSheets}</span>
+                  </p>
+                  <p className="flex justify-between">
+                    <span className="text-gray-600">{t('Arranque + Merma:')}</span>
+                    <span className="font-semibold text-gray-800">{jobCost.spoilage}</span>
+                  </p>
+                  <p className="flex justify-between">
+                    <span className="font-medium text-gray-600">{t('Pliegos de Prensa:')}</span>
+                    <span className="font-bold text-indigo-600">{jobCost.pressSheets}</span>
+                  </p>
+                  {jobCost.parentSheets !== null && (
+                    <p className="flex justify-between">
+                      <span className="font-medium text-gray-600">{t('Pliegos Madre a Pedir:')}</span>
+                      <span className="font-bold text-indigo-600">{jobCost.parentSheets}</span>
+                    </p>
+                  )}
+                  <p className="flex justify-between border-t pt-2">
+                    <span className="text-gray-600">{t('Costo Total del Papel:')}</span>
+                    <span className="font-bold text-gray-800">${i18n.fixed(jobCost.totalCost, 2)}</span>
+                  </p>
+                  <p className="flex justify-between">
+                    <span className="text-gray-600">{t(layout.signatureMode ? 'Costo por Ejemplar:' : 'Costo por Pieza:')}</span>
+                    <span className="font-semibold text-gray-800">${i18n.fixed(jobCost.costPerPiece, 4)}</span>
+                  </p>
+                  <p className="flex justify-between">
+                    <span className="text-gray-600">{t('Desperdicio (Área):')}</span>
+                    <span className="font-semibold text-orange-500">{i18n.fixed(jobCost.wastePct, 1)}%</span>
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+        
           {/* Mensaje inicial */}
           {!layout && (
             <div className="p-6 text-center text-gray-500 bg-gray-100 rounded-lg mt-8 border border-dashed no-print">
-                <p className="font-semibold">¡Bienvenido!</p>
-                <p>Ingrese los valores y pulse "Calcular Optimización" para ver el resultado.</p>
+                <p className="font-semibold">{t('¡Bienvenido!')}</p>
+                <p>{t('Ingrese los valores y pulse "Calcular Optimización" para ver el resultado.')}</p>
             </div>
           )}
-          {/* EL BOTÓN DE IMPRIMIR SE HA MOVIDO ABAJO DE TODO EL GRID */}
-
         </div>
 
         {/* --- Croquis de Corte (3) --- */}
         <div className="bg-white p-6 rounded-xl shadow-lg col-span-1 lg:col-span-1">
           <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-4">
-            Croquis de Corte
+            {t('Croquis de Corte')}
           </h2>
+          {layout && layout.total > 0 && layout.parent && layout.parent.layout && (
+            <div className="mb-4">
+              <h3 className="text-sm font-semibold text-gray-600 mb-2">
+                {t('Pliego Madre: {width} x {height} ({count} pliegos)', { width: fmt(layout.parent.parentW), height: fmt(layout.parent.parentH), count: layout.parent.sheetsPerParent })}
+              </h3>
+              <ParentSheetCanvas parent={layout.parent} />
+              <h3 className="text-sm font-semibold text-gray-600 mt-4">{t('Pliego de Prensa')}</h3>
+            </div>
+          )}
           {layout && layout.total > 0 ? (
-            <LayoutCanvas layout={layout} />
+            <LayoutCanvas layout={layout} unit={unit} />
           ) : (
             <div className="flex justify-center items-center h-64 bg-gray-100 rounded-lg border-2 border-dashed border-gray-300 text-gray-500">
-                Croquis disponible tras el cálculo.
+                {t('Croquis disponible tras el cálculo.')}
             </div>
           )}
-          
-          {/* Botones de Inversión (NUEVOS) */}
-          {layout && layout.total > 0 && (
+        
+          {/* Botones de Inversión (NUEVOS). Con requisito de fibra se puede invertir aunque no quepan piezas a favor de la fibra. */}
+          {layout && !layout.gang && !layout.error && (layout.total > 0 || invertAgainstGrain) && (
              <div className="flex justify-center space-x-4 mt-4 no-print">
                 <button 
                     onClick={handleInvert} 
-                    className="flex-1 bg-blue-500 text-white p-2 rounded-lg font-semibold hover:bg-blue-600 transition duration-200 shadow-md"
+                    className={`flex-1 text-white p-2 rounded-lg font-semibold transition duration-200 shadow-md ${
+                        invertAgainstGrain ? 'bg-orange-500 hover:bg-orange-600' : 'bg-blue-500 hover:bg-blue-600'
+                    }`}
+                    title={invertAgainstGrain ? t('La orientación invertida va contra la fibra del pliego') : undefined}
                 >
-                    Invertir Orientación
+                    {t(invertAgainstGrain ? 'Invertir Orientación ⚠' : 'Invertir Orientación')}
                 </button>
                 <button 
                     onClick={handleRevert} 
                     disabled={currentLayoutKey === 'optimal'}
                     className={`flex-1 p-2 rounded-lg font-semibold transition duration-200 shadow-md ${
-                        currentLayoutKey === 'inverted' 
+                        currentLayoutKey !== 'optimal' 
                         ? 'bg-yellow-500 text-gray-900 hover:bg-yellow-600' 
                         : 'bg-gray-300 text-gray-500 cursor-not-allowed'
                     }`}
                 >
-                    Volver (Óptimo)
+                    {t('Volver (Óptimo)')}
                 </button>
              </div>
           )}
+          {layout && !layout.gang && !layout.error && invertAgainstGrain && (
+            <p className="text-sm text-orange-600 mt-2 no-print">
+              {t('⚠ Invertir la orientación pondrá el arte contra la fibra del pliego.')}
+            </p>
+          )}
 
           <p className="text-sm text-gray-500 mt-4 no-print">
-            El croquis muestra el pliego con la Pinza (rojo, inferior), la Cola (gris oscuro, superior) y los Márgenes Laterales (gris claro). Las piezas se muestran en verde. El espacio entre ellas es el Gutter.
+            {t('El croquis muestra el pliego con la Pinza (rojo, inferior), la Cola (gris oscuro, superior) y los Márgenes Laterales (gris claro). Las piezas (caja de corte) se muestran en verde y el sangrado con línea punteada magenta; en layouts mixtos, las piezas rotadas en los sobrantes se muestran en naranja. El espacio entre ellas es el Gutter; las formas troqueladas se dibujan con su línea de troquel. Las flechas indican la dirección de la fibra (en rojo, las piezas contra la fibra). En impresión a dos caras se muestran el tiro y el retiro lado a lado, tal como se ve el pliego al voltearlo: la vuelta R1 respalda al frente F1 (en azul, las vueltas que comparten placa con los frentes). Use la rueda del mouse o pellizque para acercar, arrastre para desplazar y pase el cursor sobre una pieza para ver su fila, columna y distancia a la pinza y a la escuadra; las Cotas muestran márgenes, gutters y sobrantes (naranja). En modo rollo se dibuja una repetición del web: los carriles a lo ancho y los límites de la vuelta del cilindro con línea punteada. En modo libro cada página muestra su número girado hacia su cabeza (▲) en el tiro y el retiro, con los pliegues en línea punteada gris y el lomo en violeta.')}
           </p>
         </div>
       </div>
-      
-      {/* --- Botón de Imprimir (Movido a la parte inferior de la interfaz, fuera del grid) --- */}
+    
+      {/* --- Secuencia de Corte para el operador de guillotina --- */}
+      {layout && layout.total > 0 && !layout.error && !layout.roll && !layout.signatureMode && (!layout.shape || layout.shape === 'rectangle') && (
+        <CutSequencePanel layout={layout} unit={unit} />
+      )}
+
+      {/* --- Layouts alternativos: ranking y comparación lado a lado --- */}
+      {layout && !layout.gang && !layout.error && layoutCandidates.length > 0 && (
+        <LayoutCandidatesPanel
+          candidates={layoutCandidates}
+          sheetW={layout.sheetW}
+          sheetH={layout.sheetH}
+          unit={unit}
+          shownId={candidateId(currentLayoutKey)}
+          pinnedIds={pinnedCandidateIds}
+          onShow={handleShowCandidate}
+          onTogglePin={handleTogglePinCandidate}
+        />
+      )}
+
+      {/* --- Historial de cálculos: volver a un cálculo anterior y comparar escenarios --- */}
+      {calcHistory.entries.length > 0 && (
+        <CalculationHistoryPanel history={calcHistory} unit={unit} presses={library.presses} onRestore={handleRestoreCalculation} />
+      )}
+
+      {/* --- Catálogo de Pliegos y modo "Buscar Mejor Pliego" --- */}
+      {!rollMode && !signatureMode && (
+        <SheetCatalogPanel
+          catalog={sheetCatalog}
+          onCatalogChange={setSheetCatalog}
+          unit={unit}
+          quantity={quantity}
+          onQuantityChange={setQuantity}
+          results={catalogResults}
+          onRank={handleRankCatalog}
+          onSelectSheet={handleSelectCatalogSheet}
+        />
+      )}
+
+      {/* --- Modo Lote: varios trabajos desde un CSV o una hoja de cálculo --- */}
+      {!gangMode && !rollMode && !signatureMode && (
+        <BatchPanel unit={unit} results={batchResults} onRun={handleRunBatch} onExport={handleExportBatch} />
+      )}
+
+      {/* --- Perfiles de Prensa --- */}
+      <PressProfilesPanel
+        presses={library.presses}
+        unit={unit}
+        selectedId={pressId}
+        onSave={handleSavePress}
+        onDelete={handleDeletePress}
+      />
+
+      {/* --- Biblioteca de Trabajos guardados y Presets --- */}
+      <JobLibraryPanel
+        library={library}
+        onSaveJob={handleSaveJob}
+        onLoadJob={handleLoadJob}
+        onDuplicateJob={handleDuplicateJob}
+        onDeleteJob={handleDeleteJob}
+        onDeletePreset={handleDeletePreset}
+        onExport={handleExportLibrary}
+        onImport={handleImportLibrary}
+      />
+
+      {/* --- Orden de Trabajo: datos del ticket para el taller, hoja e impresión --- */}
       <div className="mt-8 pt-6 border-t border-gray-300 max-w-2xl mx-auto no-print">
+        <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-4">{t('Orden de Trabajo')}</h2>
+        <div className="grid grid-cols-2 gap-4 mb-4">
+          {[['jobName', 'Trabajo', 'text'], ['customer', 'Cliente', 'text'], ['dueDate', 'Fecha de Entrega', 'date'], ['stock', 'Papel', 'text']].map(([field, label, type]) => (
+            <label key={field} className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2">
+              <span className="truncate">{t(label)}</span>
+              <input
+                type={type}
+                value={workOrder[field]}
+                onChange={e => updateWorkOrder(field, e.target.value)}
+                className="w-2/3 p-1 border border-gray-300 rounded-lg text-sm"
+              />
+            </label>
+          ))}
+          <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2">
+            <span className="truncate">{t('Hoja')}</span>
+            <select
+              value={workOrder.paper}
+              onChange={e => updateWorkOrder('paper', e.target.value)}
+              className="w-2/3 p-1 border border-gray-300 rounded-lg text-sm"
+            >
+              {Object.entries(WORK_ORDER_PAPERS).map(([value, { label }]) => (
+                <option key={value} value={value}>{t(label)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center space-x-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={workOrder.includeCutPlan}
+              onChange={e => updateWorkOrder('includeCutPlan', e.target.checked)}
+              className="accent-indigo-600"
+            />
+            <span>{t('Incluir secuencia de corte')}</span>
+          </label>
+        </div>
+        <textarea
+          value={workOrder.notes}
+          onChange={e => updateWorkOrder('notes', e.target.value)}
+          rows={2}
+          placeholder={t('Notas para el taller')}
+          aria-label={t('Notas para el taller')}
+          className="w-full p-2 border border-gray-300 rounded-lg text-sm mb-4"
+        />
         <button 
             onClick={handlePrint} 
             className="w-full bg-gray-600 text-white p-4 rounded-lg font-extrabold text-lg hover:bg-gray-700 transition duration-200 shadow-2xl tracking-wider"
         >
-            Imprimir Croquis
+            {t('Imprimir Orden de Trabajo')}
         </button>
+        {/* Exportación a tamaño real para preprensa / plotter */}
+        {layout && layout.total > 0 && !layout.error && (
+          <div className="flex space-x-4 mt-4">
+            <button
+                onClick={() => handleExport('svg')}
+                className="flex-1 bg-white text-gray-700 border border-gray-400 p-3 rounded-lg font-semibold hover:bg-gray-100 transition duration-200 shadow-md"
+            >
+                {t('Exportar SVG (Tamaño Real)')}
+            </button>
+            <button
+                onClick={() => handleExport('pdf')}
+                className="flex-1 bg-white text-gray-700 border border-gray-400 p-3 rounded-lg font-semibold hover:bg-gray-100 transition duration-200 shadow-md"
+            >
+                {t('Exportar PDF (Tamaño Real)')}
+            </button>
+          </div>
+        )}
       </div>
       {/* --- NUEVA SECCIÓN: Pie de Página/Firma --- */}
       <footer className="mt-8 pt-4 pb-4 text-center text-gray-500 text-sm no-print">
@@ -440,77 +2173,126 @@ const App = () => {
         </p>
       </footer>
       {/* --- FIN NUEVA SECCIÓN --- */}
-      
+
+      {/* --- Orden de Trabajo impresa (solo al imprimir) --- */}
+      <WorkOrder
+        layout={layout}
+        unit={unit}
+        order={workOrder}
+        pressName={press ? press.name : null}
+        quantity={parseInt(quantity, 10) || 0}
+        jobCost={jobCost}
+        rollLength={rollLength}
+        alternatives={layout && !layout.error ? layoutCandidates.filter(candidate => pinnedCandidateIds.includes(candidate.id)) : []}
+        composeLayout={composeDisplayLayout}
+      />
     </div>
   );
 };
 
 /**
  * Componente para un grupo de entrada de texto. (Ajustado para ser compacto y responsive)
+ * Es un campo de texto (no numérico) para admitir fracciones y números mixtos como "8 1/2".
+ * El valor se guarda con punto decimal y se muestra y escribe con el separador del idioma;
+ * `onChange` recibe el texto ya convertido. Un texto que no es un número en el idioma (por ejemplo "0,5" con
+ * punto decimal) se calcularía como 0: el campo se marca en rojo con el separador que se debe usar.
  */
-const InputGroup = ({ label, value, onChange, description = '' }) => (
-  <div className="flex flex-col space-y-1">
-    <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2">
-      <span className="truncate">{label}</span>
-      <input
-        type="number"
-        step="0.001" 
-        min="0"
-        value={value}
-        onChange={onChange}
-        // w-full para adaptarse a la columna, text-right para mejor visualización
-        className="w-1/2 p-1 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm transition duration-150 text-right text-sm"
-      />
-    </label>
-    {description && <p className="text-xs text-gray-400 mt-0.5 text-right">{description}</p>}
-  </div>
-);
+const InputGroup = ({ label, value, onChange, description = '' }) => {
+  const { decimal, t } = useI18n();
+  const invalid = String(value).trim() !== '' && Number.isNaN(parseDimension(value));
+  return (
+    <div className="flex flex-col space-y-1">
+      <label className="text-sm font-medium text-gray-600 flex justify-between items-center space-x-2">
+        <span className="truncate">{label}</span>
+        <input
+          type="text"
+          inputMode="decimal"
+          value={localizeInput(value, decimal)}
+          onChange={e => onChange(delocalizeInput(e.target.value, decimal))}
+          aria-invalid={invalid}
+          // w-full para adaptarse a la columna, text-right para mejor visualización
+          className={`w-1/2 p-1 border ${invalid ? 'border-red-500 bg-red-50' : 'border-gray-300'} rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm transition duration-150 text-right text-sm`}
+        />
+      </label>
+      {invalid && <p className="text-xs text-red-600 mt-0.5 text-right">{t('Valor no válido: use "{decimal}" como separador decimal.', { decimal })}</p>}
+      {description && <p className="text-xs text-gray-400 mt-0.5 text-right">{description}</p>}
+    </div>
+  );
+};
 
 /**
- * Componente para dibujar el Croquis de Corte.
- * Ahora dibuja la Pinza (Grip) en la parte inferior y la Cola (Tail) en la superior.
+ * Traza (sin pintar) el contorno de una forma troquelada dentro de la caja x, y, w, h del canvas:
+ * círculo u óvalo inscritos, o rectángulo con esquinas de radio `radius`.
  */
-const LayoutCanvas = ({ layout }) => {
-  const canvasRef = useRef(null);
-
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas || layout.total === 0 || layout.error) return;
+const traceShape = (ctx, shape, x, y, w, h, radius) => {
+    ctx.beginPath();
+    if (shape === 'circle' || shape === 'oval') {
+        ctx.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, 2 * Math.PI);
+        return;
+    }
+    const r = Math.min(radius, w / 2, h / 2);
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+};
 
-    const ctx = canvas.getContext('2d');
-    
+/**
+ * Dibuja una cara del pliego (tiro o retiro) en el canvas, con el origen en la esquina superior izquierda
+ * del pliego. `face` trae las piezas y bloques de esa cara, los pliegues del libro (si los hay) y los márgenes
+ * tal como quedan en ella: { pieces, blocks, folds, grip, tail }. La Pinza siempre se dibuja abajo (el borde que toma la prensa).
+ * Los textos van en el idioma de `i18n`.
+ */
+const drawSheetFace = (ctx, layout, face, unit, scaleFactor, i18n) => {
+    const { t } = i18n;
     // Dimensiones del Pliego (Sheet) y Márgenes
     const SW = layout.sheetW;
     const SH = layout.sheetH;
     const LM = layout.lateralMargin; // Margen Lateral
-    const GT = layout.gutter;       // Gutter
+    const BLEED = layout.bleed || 0; // Sangrado por lado
     // Pinza (Grip) va abajo. Cola (Tail) va arriba.
-    const GRIP = layout.grip; // Pinza (Grip, valor original del input)
-    const TAIL = layout.tail; // Cola (Tail, valor original del input)
-
-    // Determinar la escala para que el pliego quepa en MAX_CANVAS_WIDTH
-    const scaleFactor = MAX_CANVAS_WIDTH / SW; 
+    const GRIP = face.grip;
+    const TAIL = face.tail;
 
     const drawW = SW * scaleFactor;
     const drawH = SH * scaleFactor;
 
-    canvas.width = drawW;
-    canvas.height = drawH;
-    ctx.clearRect(0, 0, drawW, drawH);
-
     // --- Dibujar el Pliego (Sheet) ---
     ctx.strokeStyle = '#374151'; // Gris oscuro
     ctx.lineWidth = 2;
-    ctx.strokeRect(0, 0, drawW, drawH);
+    if (layout.roll) {
+        // En rollo se dibuja una repetición del web: los bordes del web continuos y los límites
+        // de la repetición (una vuelta del cilindro) con línea punteada
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(0, drawH);
+        ctx.moveTo(drawW, 0);
+        ctx.lineTo(drawW, drawH);
+        ctx.stroke();
+        ctx.save();
+        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(drawW, 0);
+        ctx.moveTo(0, drawH);
+        ctx.lineTo(drawW, drawH);
+        ctx.stroke();
+        ctx.restore();
+    } else {
+        ctx.strokeRect(0, 0, drawW, drawH);
+    }
 
     // --- Dibujar la COLA (TAIL) - Margen Superior ---
     const tailH = TAIL * scaleFactor;
     ctx.fillStyle = 'rgba(107, 114, 128, 0.2)'; // Gris más oscuro
-    ctx.fillRect(0, 0, drawW, tailH); 
+    ctx.fillRect(0, 0, drawW, tailH);
     ctx.fillStyle = '#374151';
     ctx.font = '10px Arial';
     ctx.textAlign = 'left';
-    ctx.fillText('Cola (T)', 5, 15);
+    ctx.fillText(t(layout.roll ? 'Avance del web ↓' : 'Cola (T)'), 5, 15);
 
     // --- Dibujar la PINZA (GRIP) - Margen Inferior ---
     const gripH = GRIP * scaleFactor;
@@ -520,75 +2302,1969 @@ const LayoutCanvas = ({ layout }) => {
     ctx.lineWidth = 1;
     ctx.strokeRect(0, drawH - gripH, drawW, gripH);
     ctx.fillStyle = '#ef4444';
-    ctx.fillText('Pinza (G)', 5, drawH - 5);
-
+    if (!layout.roll) ctx.fillText(t('Pinza (G)'), 5, drawH - 5);
 
     // --- Dibujar los Márgenes Laterales (Lateral Margin) ---
     const lateralMarginW = LM * scaleFactor;
     // Área imprimible es entre Cola (arriba) y Pinza (abajo)
     const printableAreaH = drawH - tailH - gripH;
-    
+
     // Margen Izquierdo (entre Cola y Pinza)
     ctx.fillStyle = 'rgba(107, 114, 128, 0.1)'; // Gris claro
     ctx.fillRect(0, tailH, lateralMarginW, printableAreaH);
     // Margen Derecho (entre Cola y Pinza)
     ctx.fillRect(drawW - lateralMarginW, tailH, lateralMarginW, printableAreaH);
-    
-    // --- Dibujar las Piezas de Arte y Gutters ---
-    const cutDrawW = layout.cutW * scaleFactor;
-    const cutDrawH = layout.cutH * scaleFactor;
-    const gutterDraw = GT * scaleFactor;
 
-    ctx.strokeStyle = '#34d399'; // Verde claro
-    ctx.fillStyle = 'rgba(52, 211, 153, 0.4)'; // Verde
+    // --- Dibujar los Gutters de cada bloque ---
+    // Cada bloque es una cuadrícula uniforme; en layouts mixtos hay un bloque principal y bloques en los sobrantes.
+    ctx.fillStyle = 'rgba(107, 114, 128, 0.3)'; // Gris para el Gutter
+    face.blocks.forEach(block => {
+        const gutterDrawX = block.gutterX * scaleFactor;
+        const gutterDrawY = block.gutterY * scaleFactor;
+        const blockX = block.x * scaleFactor;
+        const blockY = block.y * scaleFactor;
+        const pieceDrawW = block.w * scaleFactor;
+        const pieceDrawH = block.h * scaleFactor;
+        const blockDrawW = block.cols * pieceDrawW + (block.cols - 1) * gutterDrawX;
+        const blockDrawH = block.rows * pieceDrawH + (block.rows - 1) * gutterDrawY;
+
+        // Gutters entre columnas
+        for (let i = 0; i < block.cols - 1; i++) {
+            ctx.fillRect(blockX + (i + 1) * pieceDrawW + i * gutterDrawX, blockY, gutterDrawX, blockDrawH);
+        }
+        // Gutters entre filas
+        for (let j = 0; j < block.rows - 1; j++) {
+            ctx.fillRect(blockX, blockY + (j + 1) * pieceDrawH + j * gutterDrawY, blockDrawW, gutterDrawY);
+        }
+    });
+
+    // --- Dibujar las Piezas de Arte en su posición y orientación real ---
     ctx.lineWidth = 1;
+    face.pieces.forEach(piece => {
+        const x = piece.x * scaleFactor;
+        const y = piece.y * scaleFactor;
+        const w = piece.w * scaleFactor;
+        const h = piece.h * scaleFactor;
+        if (piece.itemIndex !== undefined) {
+            // Trabajo combinado: cada arte con su propio color
+            const color = ITEM_COLORS[piece.itemIndex % ITEM_COLORS.length];
+            ctx.fillStyle = `${color}66`; // Color con transparencia
+            ctx.strokeStyle = color;
+        } else if (piece.side === 'back' && layout.plates === 1) {
+            // Vueltas que comparten placa con los frentes (voltear de lado o de cabeza)
+            ctx.fillStyle = 'rgba(96, 165, 250, 0.4)'; // Azul
+            ctx.strokeStyle = '#60a5fa';
+        } else {
+            // Las piezas en orientación contraria al bloque principal se distinguen en naranja
+            const isAlt = piece.rotated !== layout.rotated;
+            ctx.fillStyle = isAlt ? 'rgba(251, 146, 60, 0.4)' : 'rgba(52, 211, 153, 0.4)'; // Naranja / Verde
+            ctx.strokeStyle = isAlt ? '#fb923c' : '#34d399';
+        }
+        if (piece.shape && piece.shape !== 'rectangle') {
+            // Línea de troquel con la forma real de la pieza
+            traceShape(ctx, piece.shape, x, y, w, h, piece.cornerRadius * scaleFactor);
+            ctx.fill();
+            ctx.stroke();
+        } else {
+            ctx.fillRect(x, y, w, h);
+            ctx.strokeRect(x, y, w, h); // Línea de corte (Trim Box)
+        }
+    });
+
+    // --- Pliegues del libro: punteados, el lomo (último pliegue) en violeta ---
+    if (face.folds) {
+        ctx.save();
+        ctx.setLineDash([6, 3]);
+        ctx.lineWidth = 1;
+        face.folds.forEach(fold => {
+            ctx.strokeStyle = fold.spine ? '#7c3aed' : '#6b7280';
+            ctx.beginPath();
+            ctx.moveTo(fold.x * scaleFactor, fold.y * scaleFactor);
+            ctx.lineTo((fold.x + fold.w) * scaleFactor, (fold.y + fold.h) * scaleFactor);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
 
-    // Posición inicial: Después de la Cola (arriba) y el Margen Izquierdo
-    const startX = lateralMarginW;
-    const startY = tailH; // Empieza después de la Cola (Margen Superior)
+    // --- Número de cada página del libro, girado hacia su cabeza (▲); las páginas en blanco en gris ---
+    face.pieces.forEach(piece => {
+        if (piece.page === undefined) return;
+        const w = piece.w * scaleFactor;
+        const h = piece.h * scaleFactor;
+        if (Math.min(w, h) < PIECE_LABEL_MIN_SIZE) return; // Página demasiado pequeña para el número
+        // Extensión de la página en la dirección de su cabeza
+        const extent = piece.head === 'up' || piece.head === 'down' ? h : w;
+        ctx.save();
+        ctx.translate(piece.x * scaleFactor + w / 2, piece.y * scaleFactor + h / 2);
+        ctx.rotate(HEAD_ANGLES[piece.head]);
+        ctx.textAlign = 'center';
+        ctx.fillStyle = piece.page > layout.pageCount ? '#9ca3af' : '#1f2937';
+        ctx.font = 'bold 14px Arial';
+        ctx.fillText(String(piece.page), 0, 5);
+        ctx.font = '9px Arial';
+        ctx.fillText('▲', 0, -extent / 2 + 12);
+        ctx.restore();
+    });
 
-    for (let i = 0; i < layout.fitW; i++) {
-      for (let j = 0; j < layout.fitH; j++) {
-        // Coordenadas con Gutter incluido
-        const x = startX + i * cutDrawW + i * gutterDraw;
-        const y = startY + j * cutDrawH + j * gutterDraw;
+    // --- Número de cada pieza en dos caras: el frente F1 queda respaldado por la vuelta R1 ---
+    ctx.fillStyle = '#1f2937';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'center';
+    face.pieces.forEach(piece => {
+        if (piece.label === undefined) return;
+        const w = piece.w * scaleFactor;
+        const h = piece.h * scaleFactor;
+        if (Math.min(w, h) < PIECE_LABEL_MIN_SIZE) return; // Pieza demasiado pequeña para el número
+        ctx.fillText(`${t(piece.side === 'back' ? 'R' : 'F')}${piece.label}`, piece.x * scaleFactor + w / 2, piece.y * scaleFactor + 12);
+    });
 
-        // Dibujamos la pieza
-        ctx.fillRect(x, y, cutDrawW, cutDrawH);
-        ctx.strokeRect(x, y, cutDrawW, cutDrawH); // Línea de corte (Trim Box)
-        
-        // Dibujar Gutter Vertical (líneas horizontales de separación)
-        // No dibujamos el último gutter si es que existe
-        if (j < layout.fitH - 1) {
-            ctx.fillStyle = 'rgba(107, 114, 128, 0.3)'; // Gris para el Gutter
-            ctx.fillRect(x, y + cutDrawH, cutDrawW, gutterDraw);
-        }
+    // --- Dirección de la Fibra: flecha en cada pieza (roja si la pieza va contra la fibra requerida) ---
+    if (layout.grainAxis) {
+        face.pieces.forEach(piece => {
+            const w = piece.w * scaleFactor;
+            const h = piece.h * scaleFactor;
+            if (Math.min(w, h) < GRAIN_ARROW_MIN_PIECE) return; // Pieza demasiado pequeña para la flecha
+            const against = layout.grainRotation !== null && layout.grainRotation !== undefined && piece.rotated !== layout.grainRotation;
+            const length = Math.min(GRAIN_ARROW_MAX_LENGTH, 0.5 * (layout.grainAxis === 'x' ? w : h));
+            drawGrainArrow(ctx, piece.x * scaleFactor + w / 2, piece.y * scaleFactor + h / 2, length, layout.grainAxis, against ? '#dc2626' : 'rgba(55, 65, 81, 0.6)');
+        });
+        // Leyenda en la Cola (esquina superior derecha)
+        ctx.fillStyle = '#374151';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(t('Fibra'), drawW - 30, 15);
+        drawGrainArrow(ctx, drawW - 15, 11, 18, layout.grainAxis, '#374151');
+    }
 
-        // Dibujar Gutter Horizontal (líneas verticales de separación)
-        if (i < layout.fitW - 1) {
-            ctx.fillStyle = 'rgba(107, 114, 128, 0.3)';
-            // Extender el Gutter vertical hasta el borde superior de la siguiente pieza.
-            const nextGutterV = (j < layout.fitH - 1) ? gutterDraw : 0;
-            ctx.fillRect(x + cutDrawW, y, gutterDraw, cutDrawH + nextGutterV); 
+    // --- Dibujar la Caja de Sangrado (Bleed Box) ---
+    // En corte doble cada pieza tiene su propia caja de sangrado; en corte sencillo el sangrado
+    // es compartido y solo se marca el contorno de cada bloque.
+    if (BLEED > 0) {
+        const bleedDraw = BLEED * scaleFactor;
+        ctx.save();
+        ctx.setLineDash([4, 3]);
+        ctx.strokeStyle = '#db2777'; // Magenta
+        ctx.lineWidth = 1;
+        if (layout.singleCut) {
+            face.blocks.forEach(block => {
+                const blockW = block.cols * block.w + (block.cols - 1) * block.gutterX;
+                const blockH = block.rows * block.h + (block.rows - 1) * block.gutterY;
+                ctx.strokeRect(
+                    (block.x - BLEED) * scaleFactor, (block.y - BLEED) * scaleFactor,
+                    blockW * scaleFactor + 2 * bleedDraw, blockH * scaleFactor + 2 * bleedDraw
+                );
+            });
+        } else {
+            face.pieces.forEach(piece => {
+                const x = piece.x * scaleFactor - bleedDraw;
+                const y = piece.y * scaleFactor - bleedDraw;
+                const w = piece.w * scaleFactor + 2 * bleedDraw;
+                const h = piece.h * scaleFactor + 2 * bleedDraw;
+                if (piece.shape && piece.shape !== 'rectangle') {
+                    // El sangrado sigue la forma del troquel (el rectángulo redondeado crece también en su radio)
+                    traceShape(ctx, piece.shape, x, y, w, h, piece.cornerRadius * scaleFactor + bleedDraw);
+                    ctx.stroke();
+                } else {
+                    ctx.strokeRect(x, y, w, h);
+                }
+            });
         }
-      }
+        ctx.restore();
     }
 
     // --- Etiquetar el Pliego ---
     ctx.fillStyle = '#374151';
     ctx.font = '12px Arial';
     ctx.textAlign = 'center';
-    ctx.fillText(`Pliego: ${SW}" x ${SH}"`, drawW / 2, drawH - 5 - gripH);
-     // Ajustado para estar encima de la pinza
+    // Ajustado para estar encima de la pinza
+    const sheetLabel = layout.roll
+        ? t('Web: {web} — Repetición: {repeat}', { web: i18n.length(SW, unit), repeat: i18n.length(SH, unit) })
+        : t('Pliego: {width} x {height}', { width: i18n.length(SW, unit), height: i18n.length(SH, unit) });
+    ctx.fillText(sheetLabel, drawW / 2, drawH - 5 - gripH);
+};
+
+/**
+ * Dibuja las cotas de una cara (márgenes y gutters en azul, franjas sobrantes en naranja) con su medida.
+ */
+const drawDimensionLines = (ctx, layout, face, unit, scaleFactor, i18n) => {
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = '9px Arial';
+    ctx.textAlign = 'center';
+    buildDimensionLines(layout, face).forEach(line => {
+        const color = line.kind === 'waste' ? '#ea580c' : '#2563eb';
+        const [x1, y1, x2, y2] = [line.x1, line.y1, line.x2, line.y2].map(value => value * scaleFactor);
+        const horizontal = y1 === y2;
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        // Topes perpendiculares en ambos extremos
+        [[x1, y1], [x2, y2]].forEach(([x, y]) => {
+            ctx.moveTo(horizontal ? x : x - 3, horizontal ? y - 3 : y);
+            ctx.lineTo(horizontal ? x : x + 3, horizontal ? y + 3 : y);
+        });
+        ctx.stroke();
+        ctx.fillStyle = color;
+        ctx.fillText(i18n.length(line.value, unit), (x1 + x2) / 2 + (horizontal ? 0 : 4), (y1 + y2) / 2 + (horizontal ? -3 : 3));
+    });
+    ctx.restore();
+};
+
+/**
+ * Dibuja las reglas de una cara: la horizontal sobre el borde de Cola (desde la escuadra, a la izquierda)
+ * y la vertical a la izquierda (desde la Pinza, abajo).
+ */
+const drawRulers = (ctx, layout, unit, scaleFactor, decimal) => {
+    const drawW = layout.sheetW * scaleFactor;
+    const drawH = layout.sheetH * scaleFactor;
+    ctx.save();
+    ctx.fillStyle = '#f9fafb';
+    ctx.fillRect(0, -RULER_SIZE, drawW, RULER_SIZE);
+    ctx.fillRect(-RULER_SIZE, 0, RULER_SIZE, drawH);
+    ctx.strokeStyle = '#6b7280';
+    ctx.fillStyle = '#374151';
+    ctx.lineWidth = 1;
+    ctx.font = '8px Arial';
+    ctx.beginPath();
+    ctx.textAlign = 'left';
+    buildRulerTicks(layout.sheetW, unit, scaleFactor).forEach(({ at, label }) => {
+        const x = at * scaleFactor;
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, label ? -RULER_SIZE * 0.6 : -RULER_SIZE * 0.3);
+        if (label) ctx.fillText(localizeNumbers(label, decimal), x + 2, -RULER_SIZE + 8);
+    });
+    ctx.textAlign = 'right';
+    buildRulerTicks(layout.sheetH, unit, scaleFactor).forEach(({ at, label }) => {
+        const y = drawH - at * scaleFactor;
+        ctx.moveTo(0, y);
+        ctx.lineTo(label ? -RULER_SIZE * 0.6 : -RULER_SIZE * 0.3, y);
+        if (label) ctx.fillText(localizeNumbers(label, decimal), -2, y - 2);
+    });
+    ctx.stroke();
+    ctx.restore();
+};
+
+/**
+ * Distribución del croquis en el canvas: las caras a dibujar (tiro y, en dos caras, retiro) con su origen
+ * en px, la escala (px por pulgada) y el tamaño del canvas. Con reglas se reserva una franja arriba y a la izquierda.
+ */
+const getSketchGeometry = (layout, showRulers) => {
+    const faces = [{ pieces: layout.pieces, blocks: layout.blocks, folds: layout.folds, grip: layout.grip, tail: layout.tail }];
+    if (layout.backPieces) {
+        // Al voltear de cabeza la Cola del tiro es la Pinza del retiro
+        const swapEdges = layout.flipAxis === 'y';
+        faces.push({
+            pieces: layout.backPieces,
+            blocks: layout.backBlocks,
+            folds: layout.backFolds,
+            grip: swapEdges ? layout.tail : layout.grip,
+            tail: swapEdges ? layout.grip : layout.tail,
+        });
+    }
+    const titleH = faces.length > 1 ? DUPLEX_TITLE_HEIGHT : 0;
+    const rulerSize = showRulers ? RULER_SIZE : 0;
+
+    // Escala para que las caras (y sus reglas) quepan en MAX_CANVAS_WIDTH
+    const scaleFactor = (MAX_CANVAS_WIDTH - (faces.length - 1) * DUPLEX_FACE_GAP - faces.length * rulerSize) / (faces.length * layout.sheetW);
+    const faceW = layout.sheetW * scaleFactor;
+    const stride = faceW + rulerSize + DUPLEX_FACE_GAP;
+    return {
+        faces: faces.map((face, index) => ({ ...face, originX: index * stride + rulerSize, originY: titleH + rulerSize })),
+        scaleFactor,
+        faceW,
+        titleH,
+        width: faces.length * (faceW + rulerSize) + (faces.length - 1) * DUPLEX_FACE_GAP,
+        height: titleH + rulerSize + layout.sheetH * scaleFactor,
+    };
+};
+
+/**
+ * Convierte la posición del puntero a px del canvas (el canvas puede mostrarse reducido por CSS).
+ */
+const toCanvasPoint = (canvas, event) => {
+    const rect = canvas.getBoundingClientRect();
+    const scaleX = rect.width > 0 ? canvas.width / rect.width : 1;
+    const scaleY = rect.height > 0 ? canvas.height / rect.height : 1;
+    return { x: (event.clientX - rect.left) * scaleX, y: (event.clientY - rect.top) * scaleY, left: event.clientX - rect.left, top: event.clientY - rect.top };
+};
+
+/**
+ * Componente para dibujar el Croquis de Corte. En impresión a dos caras dibuja el tiro y, a la derecha,
+ * el retiro tal como queda al voltear el pliego.
+ * Es interactivo: zoom con la rueda del mouse o pellizcando, desplazamiento arrastrando, y al pasar sobre
+ * una pieza muestra su fila/columna y su distancia a la pinza y a la escuadra. Las cotas y reglas son opcionales.
+ */
+const LayoutCanvas = ({ layout, unit }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const canvasRef = useRef(null);
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const [showDimensions, setShowDimensions] = useState(false);
+  const [showRulers, setShowRulers] = useState(false);
+  const [hover, setHover] = useState(null); // { left, top, lines } del tooltip
+  const pointersRef = useRef(new Map()); // Punteros presionados (arrastre o pellizco), por pointerId
+  const geometry = useMemo(() => getSketchGeometry(layout, showRulers), [layout, showRulers]);
+
+  // Volver a la vista completa cuando cambia el layout o el tamaño del croquis
+  useEffect(() => {
+    setView(DEFAULT_VIEW);
+    setHover(null);
+  }, [layout, showRulers]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || layout.total === 0 || layout.error) return;
 
+    const ctx = canvas.getContext('2d');
+    canvas.width = geometry.width;
+    canvas.height = geometry.height;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(view.zoom, 0, 0, view.zoom, view.x, view.y);
+
+    geometry.faces.forEach((face, index) => {
+      ctx.save();
+      ctx.translate(face.originX, face.originY);
+      drawSheetFace(ctx, layout, face, unit, geometry.scaleFactor, i18n);
+      if (showDimensions) drawDimensionLines(ctx, layout, face, unit, geometry.scaleFactor, i18n);
+      if (showRulers) drawRulers(ctx, layout, unit, geometry.scaleFactor, i18n.decimal);
+      ctx.restore();
+      if (geometry.titleH > 0) {
+        ctx.fillStyle = '#374151';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(t(index === 0 ? 'Tiro (Frente)' : (layout.flipAxis === 'y' ? 'Retiro (volteado de cabeza)' : 'Retiro (volteado de lado)')), face.originX + geometry.faceW / 2, 13);
+      }
+    });
+  }, [layout, unit, geometry, view, showDimensions, showRulers, i18n, t]);
+
+  // Zoom con la rueda: el listener no es pasivo para evitar que la página se desplace
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const point = toCanvasPoint(canvas, event);
+      setView(current => zoomAt(current, event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, point.x, point.y, canvas.width, canvas.height));
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  // Pieza bajo el puntero y texto del tooltip
+  const updateHover = (point) => {
+    const x = (point.x - view.x) / view.zoom;
+    const y = (point.y - view.y) / view.zoom;
+    const fmt = (value) => i18n.length(value, unit);
+    for (const face of geometry.faces) {
+      const piece = findPieceAt(face.pieces, (x - face.originX) / geometry.scaleFactor, (y - face.originY) / geometry.scaleFactor);
+      if (piece) {
+        const { row, column, offsetX, offsetY } = describePiece(face.pieces, piece, layout.sheetH);
+        const name = piece.page !== undefined
+          ? t('Página {page}', { page: piece.page })
+          : (piece.label !== undefined ? `${t(piece.side === 'back' ? 'R' : 'F')}${piece.label}` : t('Pieza'));
+        setHover({
+          left: point.left,
+          top: point.top,
+          lines: [
+            t('{name} — Fila {row}, Columna {column}', { name, row, column }),
+            `${fmt(piece.w)} x ${fmt(piece.h)}`,
+            t('Desde la pinza: {value}', { value: fmt(offsetY) }),
+            t('Desde la escuadra: {value}', { value: fmt(offsetX) }),
+            ...(piece.creep > 0 ? [t('Creep: {value}', { value: fmt(piece.creep) })] : []),
+          ],
+        });
+        return;
+      }
+    }
+    setHover(null);
+  };
+
+  const handlePointerDown = (event) => {
+    const canvas = canvasRef.current;
+    if (canvas.setPointerCapture) canvas.setPointerCapture(event.pointerId);
+    pointersRef.current.set(event.pointerId, toCanvasPoint(canvas, event));
+    setHover(null);
+  };
+
+  const handlePointerMove = (event) => {
+    const canvas = canvasRef.current;
+    const point = toCanvasPoint(canvas, event);
+    const pointers = pointersRef.current;
+    const previous = pointers.get(event.pointerId);
+    if (!previous) {
+      if (event.pointerType !== 'touch') updateHover(point);
+      return;
+    }
+    const other = [...pointers.entries()].find(([id]) => id !== event.pointerId);
+    pointers.set(event.pointerId, point);
+    if (other) {
+      // Pellizco: zoom según el cambio de distancia entre los dos dedos, centrado entre ellos
+      const [, fixed] = other;
+      const before = Math.hypot(previous.x - fixed.x, previous.y - fixed.y);
+      const after = Math.hypot(point.x - fixed.x, point.y - fixed.y);
+      if (before > 0) {
+        setView(current => zoomAt(current, after / before, (point.x + fixed.x) / 2, (point.y + fixed.y) / 2, canvas.width, canvas.height));
+      }
+    } else {
+      // Arrastre: desplazar la vista
+      setView(current => clampView({ ...current, x: current.x + point.x - previous.x, y: current.y + point.y - previous.y }, canvas.width, canvas.height));
+    }
+  };
+
+  const handlePointerUp = (event) => {
+    pointersRef.current.delete(event.pointerId);
+  };
+
+  const zoomCenter = (factor) => {
+    setView(current => zoomAt(current, factor, geometry.width / 2, geometry.height / 2, geometry.width, geometry.height));
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2 text-sm text-gray-600 no-print">
+        <div className="flex items-center space-x-1">
+          <button onClick={() => zoomCenter(1 / ZOOM_STEP)} disabled={view.zoom <= MIN_ZOOM} className="w-7 h-7 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50" aria-label={t('Alejar')}>−</button>
+          <span className="w-12 text-center">{Math.round(view.zoom * 100)}%</span>
+          <button onClick={() => zoomCenter(ZOOM_STEP)} disabled={view.zoom >= MAX_ZOOM} className="w-7 h-7 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50" aria-label={t('Acercar')}>+</button>
+          <button onClick={() => setView(DEFAULT_VIEW)} disabled={view.zoom === MIN_ZOOM} className="px-2 h-7 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50">{t('Ajustar')}</button>
+        </div>
+        <div className="flex items-center space-x-3">
+          <label className="flex items-center space-x-1">
+            <input type="checkbox" checked={showDimensions} onChange={e => setShowDimensions(e.target.checked)} className="accent-indigo-600" />
+            <span>{t('Cotas')}</span>
+          </label>
+          <label className="flex items-center space-x-1">
+            <input type="checkbox" checked={showRulers} onChange={e => setShowRulers(e.target.checked)} className="accent-indigo-600" />
+            <span>{t('Reglas')}</span>
+          </label>
+        </div>
+      </div>
+      <div className="relative flex justify-center items-center p-2 border border-gray-200 rounded-lg bg-gray-100">
+        <canvas
+          ref={canvasRef}
+          role="img"
+          aria-label={t('Croquis del pliego')}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onPointerLeave={() => setHover(null)}
+          className={`max-w-full h-auto rounded-lg shadow-inner border border-gray-300 touch-none ${view.zoom > MIN_ZOOM ? 'cursor-grab' : ''}`}
+        />
+        {hover && (
+          <div
+            role="tooltip"
+            className="absolute pointer-events-none bg-gray-800 text-white text-xs rounded px-2 py-1 shadow-lg whitespace-nowrap no-print"
+            style={{ left: hover.left + 20, top: hover.top + 20 }}
+          >
+            {hover.lines.map(line => <div key={line}>{line}</div>)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Pila de un paso de corte en el idioma de la interfaz ("Pliego › Tira A › Columna B").
+ */
+const translateStackLabel = (label, t) => label
+  .split(' › ')
+  .map(part => part.replace(/^(Pliego|Tira|Columna)\b/, word => t(word)))
+  .join(' › ');
+
+/**
+ * Panel de la Secuencia de Corte: lista paso a paso los cortes de guillotina con la medida de escuadra
+ * y un diagrama que resalta el corte actual. La tabla se imprime junto con el reporte.
+ */
+const CutSequencePanel = ({ layout, unit }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const steps = useMemo(() => calculateCutSequence(layout), [layout]);
+  const [currentStep, setCurrentStep] = useState(0);
+
+  // Volver al primer paso cuando cambia el layout
+  useEffect(() => {
+    setCurrentStep(0);
   }, [layout]);
 
+  if (steps.length === 0) return null;
+  const step = steps[Math.min(currentStep, steps.length - 1)];
+
   return (
-    <div className="flex justify-center items-center p-2 border border-gray-200 rounded-lg bg-gray-100">
-        <canvas ref={canvasRef} className="max-w-full h-auto rounded-lg shadow-inner border border-gray-300" />
-        
+    <div className="mt-8 bg-white p-6 rounded-xl shadow-lg no-print">
+      <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-4">
+        {t('Secuencia de Corte ({count} pasos)', { count: steps.length })}
+      </h2>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b text-gray-600">
+                <th className="p-1 text-left">#</th>
+                <th className="p-1 text-left">{t('Pila')}</th>
+                <th className="p-1 text-left">{t('Acción')}</th>
+                <th className="p-1 text-left">{t('Giro')}</th>
+                <th className="p-1 text-right">{t('Escuadra')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {steps.map((s, index) => (
+                <tr
+                  key={s.number}
+                  onClick={() => setCurrentStep(index)}
+                  className={`border-b cursor-pointer ${index === currentStep ? 'bg-red-50 font-semibold' : 'hover:bg-gray-50'}`}
+                >
+                  <td className="p-1">{s.number}</td>
+                  <td className="p-1">{translateStackLabel(s.stackLabel, t)}{s.count > 1 ? ` (x${s.count})` : ''}</td>
+                  <td className={`p-1 ${s.kind === 'gutter' ? 'text-orange-600' : ''}`}>{t(s.action)}</td>
+                  <td className="p-1 text-gray-500">{s.turn ? t(s.turn) : '-'}</td>
+                  <td className="p-1 text-right font-mono">{s.kind === 'note' ? '-' : i18n.length(s.gauge, unit)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="no-print">
+          <CutStepCanvas layout={layout} step={step} />
+          <div className="flex justify-between items-center mt-4">
+            <button
+              onClick={() => setCurrentStep(Math.max(0, currentStep - 1))}
+              disabled={currentStep === 0}
+              className="px-4 py-2 rounded-lg font-semibold bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50"
+            >
+              {t('◀ Anterior')}
+            </button>
+            <span className="text-sm text-gray-600">
+              {t('Paso {number}: {action} — Escuadra {gauge}', { number: step.number, action: t(step.action), gauge: i18n.length(step.gauge, unit) })}
+            </span>
+            <button
+              onClick={() => setCurrentStep(Math.min(steps.length - 1, currentStep + 1))}
+              disabled={currentStep === steps.length - 1}
+              className="px-4 py-2 rounded-lg font-semibold bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50"
+            >
+              {t('Siguiente ▶')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Diagrama de un paso de corte: el pliego con las piezas, la pila que se está cortando (azul)
+ * y la línea del corte actual (rojo).
+ */
+const CutStepCanvas = ({ layout, step }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+
+    const scaleFactor = MAX_CANVAS_WIDTH / layout.sheetW;
+    const drawW = layout.sheetW * scaleFactor;
+    const drawH = layout.sheetH * scaleFactor;
+    canvas.width = drawW;
+    canvas.height = drawH;
+    ctx.clearRect(0, 0, drawW, drawH);
+
+    // Pliego y piezas (atenuados)
+    ctx.strokeStyle = '#9ca3af';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(0, 0, drawW, drawH);
+    ctx.fillStyle = 'rgba(52, 211, 153, 0.25)';
+    layout.pieces.forEach(p => {
+      ctx.fillRect(p.x * scaleFactor, p.y * scaleFactor, p.w * scaleFactor, p.h * scaleFactor);
+      ctx.strokeRect(p.x * scaleFactor, p.y * scaleFactor, p.w * scaleFactor, p.h * scaleFactor);
+    });
+
+    // Pila que se está cortando
+    const { x0, y0, x1, y1 } = step.rect;
+    ctx.strokeStyle = '#2563eb'; // Azul
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x0 * scaleFactor, y0 * scaleFactor, (x1 - x0) * scaleFactor, (y1 - y0) * scaleFactor);
+
+    // Línea del corte actual
+    if (step.position !== null) {
+      ctx.strokeStyle = '#dc2626'; // Rojo
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      if (step.axis === 'y') {
+        ctx.moveTo(x0 * scaleFactor, step.position * scaleFactor);
+        ctx.lineTo(x1 * scaleFactor, step.position * scaleFactor);
+      } else {
+        ctx.moveTo(step.position * scaleFactor, y0 * scaleFactor);
+        ctx.lineTo(step.position * scaleFactor, y1 * scaleFactor);
+      }
+      ctx.stroke();
+    }
+  }, [layout, step]);
+
+  return (
+    <div className="flex justify-center items-center p-2 border border-gray-200 rounded-lg bg-gray-100">
+        <canvas ref={canvasRef} className="max-w-full h-auto rounded-lg shadow-inner border border-gray-300" />
+    </div>
+  );
+};
+
+/**
+ * Ranking de layouts alternativos del trabajo: piezas, cortes de guillotina, desperdicio y mayor sobrante.
+ * "Ver" muestra el layout en el croquis y "Fijar" lo agrega (hasta MAX_PINNED_CANDIDATES) a la comparación
+ * lado a lado con miniaturas.
+ */
+const LayoutCandidatesPanel = ({ candidates, sheetW, sheetH, unit, shownId, pinnedIds, onShow, onTogglePin }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const fmt = (inches) => i18n.length(inches, unit);
+  const describeArrangement = ({ layout, strips }) => {
+    const orientation = t(layout.rotated ? 'Rotado' : 'Normal');
+    const extra = layout.mixed
+      ? t(' + {count} rotadas ({strips})', { count: layout.extraPieces, strips: strips.map(({ cols, rows }) => `${cols} x ${rows}`).join(' + ') })
+      : '';
+    return `${orientation} ${layout.fitW} x ${layout.fitH}${extra}`;
+  };
+  const describeOffcut = ({ largestOffcut }) => (largestOffcut
+    ? `${fmt(largestOffcut.w)} x ${fmt(largestOffcut.h)} (${t(WASTE_SIDE_LABELS[largestOffcut.side])})`
+    : '-');
+  const pinned = pinnedIds.map(id => candidates.find(candidate => candidate.id === id)).filter(Boolean);
+
+  return (
+    <div className="mt-8 bg-white p-6 rounded-xl shadow-lg no-print">
+      <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-4">
+        {t('Layouts Alternativos')}
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {t('Ordenados por piezas, luego por menos cortes y por el sobrante más grande. Fije hasta {count} para compararlos lado a lado.', { count: MAX_PINNED_CANDIDATES })}
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-gray-600">
+              <th className="p-1 text-left">#</th>
+              <th className="p-1 text-right">{t('Piezas')}</th>
+              <th className="p-1 text-left">{t('Disposición')}</th>
+              <th className="p-1 text-right">{t('Cortes')}</th>
+              <th className="p-1 text-right">{t('Desperdicio')}</th>
+              <th className="p-1 text-right">{t('Mayor Sobrante')}</th>
+              <th className="p-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {candidates.map(candidate => {
+              const isPinned = pinnedIds.includes(candidate.id);
+              return (
+                <tr
+                  key={candidate.id}
+                  className={`border-b ${candidate.id === shownId ? 'bg-indigo-50 font-semibold' : ''}`}
+                >
+                  <td className="p-1">{candidate.rank}</td>
+                  <td className="p-1 text-right">{candidate.total}</td>
+                  <td className="p-1">{describeArrangement(candidate)}</td>
+                  <td className="p-1 text-right">{candidate.cuts}</td>
+                  <td className="p-1 text-right">{i18n.number(candidate.wastePct, 1)}%</td>
+                  <td className="p-1 text-right">{describeOffcut(candidate)}</td>
+                  <td className="p-1 text-right whitespace-nowrap space-x-2">
+                    <button
+                      onClick={() => onShow(candidate)}
+                      className="px-2 py-1 rounded bg-indigo-600 text-white text-xs hover:bg-indigo-700"
+                    >
+                      {t('Ver')}
+                    </button>
+                    <button
+                      onClick={() => onTogglePin(candidate.id)}
+                      disabled={!isPinned && pinnedIds.length >= MAX_PINNED_CANDIDATES}
+                      className="px-2 py-1 rounded bg-gray-200 text-gray-700 text-xs hover:bg-gray-300 disabled:opacity-50"
+                    >
+                      {t(isPinned ? 'Quitar' : 'Fijar')}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {pinned.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-6">
+          {pinned.map(candidate => (
+            <div key={candidate.id} className="border border-gray-200 rounded-lg p-3 space-y-2" aria-label={t('Comparación #{rank}', { rank: candidate.rank })}>
+              <h3 className="font-semibold text-gray-700">{t('#{rank} — {count} piezas', { rank: candidate.rank, count: candidate.total })}</h3>
+              <LayoutThumbnail layout={candidate.layout} sheetW={sheetW} sheetH={sheetH} />
+              <p className="text-sm text-gray-600">{describeArrangement(candidate)}</p>
+              <p className="text-sm flex justify-between"><span className="text-gray-600">{t('Cortes:')}</span><span>{candidate.cuts}</span></p>
+              <p className="text-sm flex justify-between"><span className="text-gray-600">{t('Desperdicio:')}</span><span>{i18n.number(candidate.wastePct, 1)}%</span></p>
+              <p className="text-sm flex justify-between"><span className="text-gray-600">{t('Mayor Sobrante:')}</span><span>{describeOffcut(candidate)}</span></p>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => onShow(candidate)}
+                  className="flex-1 px-2 py-1 rounded bg-indigo-600 text-white text-xs hover:bg-indigo-700"
+                >
+                  {t('Ver')}
+                </button>
+                <button
+                  onClick={() => onTogglePin(candidate.id)}
+                  className="flex-1 px-2 py-1 rounded bg-gray-200 text-gray-700 text-xs hover:bg-gray-300"
+                >
+                  {t('Quitar')}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Miniatura de un layout alternativo: el pliego con sus piezas (en naranja, las rotadas de los sobrantes).
+ * `maxSize` es la medida (pulgadas) que ocupa THUMBNAIL_WIDTH; al comparar pliegos distintos se usa la misma
+ * en todas las miniaturas para que conserven su proporción.
+ */
+const LayoutThumbnail = ({ layout, sheetW, sheetH, maxSize = Math.max(sheetW, sheetH) }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+
+    const scaleFactor = THUMBNAIL_WIDTH / maxSize;
+    canvas.width = sheetW * scaleFactor;
+    canvas.height = sheetH * scaleFactor;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = '#f3f4f6';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = '#6b7280';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(0, 0, canvas.width, canvas.height);
+    layout.pieces.forEach(p => {
+      ctx.fillStyle = p.rotated !== layout.rotated ? '#fb923c' : '#34d399';
+      ctx.fillRect(p.x * scaleFactor, p.y * scaleFactor, p.w * scaleFactor, p.h * scaleFactor);
+      ctx.strokeRect(p.x * scaleFactor, p.y * scaleFactor, p.w * scaleFactor, p.h * scaleFactor);
+    });
+  }, [layout, sheetW, sheetH, maxSize]);
+
+  return (
+    <div className="flex justify-center p-2 border border-gray-200 rounded-lg bg-gray-100">
+      <canvas ref={canvasRef} className="max-w-full h-auto" />
+    </div>
+  );
+};
+
+/**
+ * Valor de un campo de HISTORY_FIELDS de un cálculo del historial, tal como se escribió y en su unidad.
+ */
+const describeHistoryValue = (field, values, presses, i18n) => {
+  const { t } = i18n;
+  const value = values[field.key];
+  const length = (text) => `${localizeInput(text, i18n.decimal)} ${t(UNITS[values.unit].abbr)}`;
+  if (field.kind === 'mode') return t(JOB_MODE_OPTIONS[historyMode(values)]);
+  if (field.key === 'shape') return t(SHAPE_OPTIONS[value] || value);
+  if (field.key === 'duplex') return DUPLEX_OPTIONS[value] ? t(DUPLEX_OPTIONS[value].label) : value;
+  if (field.key === 'alignment') return t(ALIGNMENT_OPTIONS[value] || value);
+  if (field.key === 'binding') return t(BINDING_OPTIONS[value] || value);
+  if (field.key === 'pressId') {
+    const profile = presses.find(entry => entry.id === value);
+    return value ? (profile ? profile.name : value) : t('Sin prensa');
+  }
+  if (field.kind === 'items') {
+    return (value || []).map(item => `${item.name}: ${localizeInput(item.width, i18n.decimal)} x ${length(item.height)} (${item.quantity})`).join('; ') || '—';
+  }
+  if (value === undefined || value === '') return '—';
+  if (field.kind === 'repeats') return `${localizeInput(value, i18n.decimal)} (${t(REPEAT_INPUT_OPTIONS[values.repeatInput])})`;
+  return field.kind === 'length' ? length(value) : value;
+};
+
+/**
+ * Panel del Historial de Cálculos: cada cálculo de la sesión con su pliego, piezas y desperdicio.
+ * "Ver" vuelve a mostrar un cálculo (como Deshacer y Rehacer) y al marcar dos o más se comparan lado a lado:
+ * miniaturas, piezas, desperdicio y los valores del trabajo, resaltando los que cambian.
+ */
+const CalculationHistoryPanel = ({ history, unit, presses, onRestore }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [compareIds, setCompareIds] = useState([]);
+  const fmt = (inches) => i18n.length(inches, unit);
+
+  const toggleCompare = (id) => {
+    setCompareIds(ids => (ids.includes(id) ? ids.filter(compared => compared !== id) : [...ids, id]));
+  };
+  // Las entradas comparadas, en orden de cálculo (las descartadas por el límite del historial se ignoran)
+  const compared = history.entries.filter(entry => compareIds.includes(entry.id));
+  const fields = comparedFields(compared);
+  const changed = changedFields(compared);
+  const maxSize = Math.max(...compared.map(({ layout }) => Math.max(layout.sheetW, layout.sheetH) || 0));
+  const describeWaste = (entry) => (entry.wastePct === null ? '—' : `${i18n.number(entry.wastePct, 1)}%`);
+
+  return (
+    <div className="mt-8 bg-white p-6 rounded-xl shadow-lg no-print">
+      <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-4">
+        {t('Historial de Cálculos')}
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {t('Cada cálculo de la sesión queda en el historial. Marque dos o más para compararlos lado a lado.')}
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-gray-600">
+              <th className="p-1"></th>
+              <th className="p-1 text-left">#</th>
+              <th className="p-1 text-left">{t('Hora')}</th>
+              <th className="p-1 text-left">{t('Modo')}</th>
+              <th className="p-1 text-left">{t('Pliego')}</th>
+              <th className="p-1 text-right">{t('Piezas')}</th>
+              <th className="p-1 text-right">{t('Desperdicio')}</th>
+              <th className="p-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {history.entries.map((entry, index) => ({ entry, index })).reverse().map(({ entry, index }) => (
+              <tr key={entry.id} className={`border-b ${index === history.index ? 'bg-indigo-50 font-semibold' : ''}`}>
+                <td className="p-1">
+                  <input
+                    type="checkbox"
+                    checked={compareIds.includes(entry.id)}
+                    onChange={() => toggleCompare(entry.id)}
+                    aria-label={t('Comparar cálculo #{number}', { number: entry.number })}
+                    className="accent-indigo-600"
+                  />
+                </td>
+                <td className="p-1">{entry.number}</td>
+                <td className="p-1 text-gray-500">{entry.time.toLocaleTimeString(i18n.locale)}</td>
+                <td className="p-1">{t(JOB_MODE_OPTIONS[historyMode(entry.values)])}</td>
+                <td className="p-1">{fmt(entry.layout.sheetW)} x {fmt(entry.layout.sheetH)}</td>
+                <td className="p-1 text-right">{entry.layout.error ? '—' : entry.layout.total}</td>
+                <td className="p-1 text-right">{describeWaste(entry)}</td>
+                <td className="p-1 text-right whitespace-nowrap">
+                  {index === history.index ? (
+                    <span className="text-xs text-indigo-600">{t('● Mostrado')}</span>
+                  ) : (
+                    <button
+                      onClick={() => onRestore(index)}
+                      className="px-2 py-1 rounded bg-indigo-600 text-white text-xs hover:bg-indigo-700"
+                    >
+                      {t('Ver')}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {compared.length >= 2 && (
+        <div className="overflow-x-auto mt-6" aria-label={t('Comparación de cálculos')}>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="p-2"></th>
+                {compared.map(entry => (
+                  <th key={entry.id} className="p-2 text-center font-semibold text-gray-700">#{entry.number}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-b">
+                <td className="p-2"></td>
+                {compared.map(entry => (
+                  <td key={entry.id} className="p-2 align-top">
+                    {entry.layout.error
+                      ? <p className="text-xs text-red-600">{i18n.message(entry.layout.error)}</p>
+                      : <LayoutThumbnail layout={entry.layout} sheetW={entry.layout.sheetW} sheetH={entry.layout.sheetH} maxSize={maxSize} />}
+                  </td>
+                ))}
+              </tr>
+              <tr className="border-b">
+                <th className="p-2 text-left text-gray-600">{t('Piezas')}</th>
+                {compared.map(entry => (
+                  <td key={entry.id} className="p-2 text-center font-semibold">{entry.layout.error ? '—' : entry.layout.total}</td>
+                ))}
+              </tr>
+              <tr className="border-b">
+                <th className="p-2 text-left text-gray-600">{t('Desperdicio')}</th>
+                {compared.map(entry => (
+                  <td key={entry.id} className="p-2 text-center">{describeWaste(entry)}</td>
+                ))}
+              </tr>
+              {fields.map(field => (
+                <tr key={field.key} className={`border-b ${changed.has(field.key) ? 'bg-yellow-50' : ''}`}>
+                  <th className={`p-2 text-left ${changed.has(field.key) ? 'text-yellow-800' : 'text-gray-600'}`}>{t(field.label)}</th>
+                  {compared.map(entry => (
+                    <td
+                      key={entry.id}
+                      className={`p-2 text-center ${changed.has(field.key) ? 'font-semibold text-yellow-800' : 'text-gray-500'}`}
+                    >
+                      {describeHistoryValue(field, entry.values, presses, i18n)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-400 mt-2">{t('Resaltados: los valores que cambian entre los cálculos comparados.')}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Editor de la lista de artes para un trabajo combinado (gang-run): medidas, cantidad y si puede rotarse.
+ */
+const GangItemsEditor = ({ items, onItemsChange }) => {
+  const { t } = useI18n();
+  const updateItem = (id, field, value) => {
+    onItemsChange(items.map(item => (item.id === id ? { ...item, [field]: value } : item)));
+  };
+  const removeItem = (id) => onItemsChange(items.filter(item => item.id !== id));
+  const addItem = () => {
+    onItemsChange([...items, { id: `item-${Date.now()}`, name: t('Arte {number}', { number: items.length + 1 }), width: '', height: '', quantity: '', canRotate: true }]);
+  };
+
+  return (
+    <div className="space-y-3">
+      {items.map((item, index) => (
+        <div key={item.id} className="p-2 border border-gray-200 rounded-lg space-y-2">
+          <div className="flex items-center space-x-2">
+            <span className="inline-block w-3 h-3 rounded-sm flex-shrink-0" style={{ backgroundColor: ITEM_COLORS[index % ITEM_COLORS.length] }} />
+            <input
+              type="text"
+              value={item.name}
+              onChange={e => updateItem(item.id, 'name', e.target.value)}
+              className="flex-1 min-w-0 p-1 border border-gray-300 rounded-lg text-sm"
+            />
+            <button
+              onClick={() => removeItem(item.id)}
+              className="text-red-500 hover:text-red-700 font-bold px-2"
+              title={t('Eliminar arte')}
+            >
+              ×
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <InputGroup label={t('Ancho')} value={item.width} onChange={value => updateItem(item.id, 'width', value)} />
+            <InputGroup label={t('Largo')} value={item.height} onChange={value => updateItem(item.id, 'height', value)} />
+            <InputGroup label={t('Cantidad')} value={item.quantity} onChange={value => updateItem(item.id, 'quantity', value)} />
+            <label className="flex items-center space-x-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={item.canRotate}
+                onChange={e => updateItem(item.id, 'canRotate', e.target.checked)}
+                className="accent-indigo-600"
+              />
+              <span>{t('Puede rotar')}</span>
+            </label>
+          </div>
+        </div>
+      ))}
+      <button
+        onClick={addItem}
+        className="w-full p-2 rounded-lg border border-dashed border-indigo-400 text-indigo-600 font-semibold hover:bg-indigo-50 transition duration-200"
+      >
+        {t('+ Agregar Arte')}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Selector de presets de un tipo (arte, pliego o márgenes): aplica el preset elegido a los campos
+ * o guarda los valores actuales como un preset nuevo.
+ */
+const PresetPicker = ({ kind, presets, unit, onApply, onSave }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState('');
+  const options = presets.filter(preset => preset.kind === kind);
+
+  const describe = (preset) => PRESET_KINDS[kind].fields
+    .map(field => parseDimension(preset.values[field]))
+    .map(value => (Number.isNaN(value) ? '-' : i18n.number(value * UNITS[unit].factor, UNITS[unit].decimals)))
+    .join(kind === 'margins' ? ' / ' : ' x ');
+
+  const handleSave = () => {
+    if (!name.trim()) return;
+    onSave(kind, name.trim());
+    setName('');
+    setNaming(false);
+  };
+
+  return (
+    <div className="flex items-center space-x-2 text-sm">
+      {naming ? (
+        <>
+          <input
+            type="text"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            onKeyDown={e => e.key === 'Enter' && handleSave()}
+            placeholder={t('Nombre del preset de {kind}', { kind: t(PRESET_KINDS[kind].label).toLowerCase() })}
+            className="flex-1 min-w-0 p-1 border border-gray-300 rounded-lg text-sm"
+            autoFocus
+          />
+          <button onClick={handleSave} className="px-2 py-1 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700">
+            {t('Guardar')}
+          </button>
+          <button onClick={() => setNaming(false)} className="px-2 py-1 text-gray-500 hover:text-gray-700">
+            {t('Cancelar')}
+          </button>
+        </>
+      ) : (
+        <>
+          <select
+            value=""
+            onChange={e => {
+              const preset = options.find(option => option.id === e.target.value);
+              if (preset) onApply(preset);
+            }}
+            className="flex-1 min-w-0 p-1 border border-gray-300 rounded-lg text-sm text-gray-600"
+          >
+            <option value="">{t('Presets de {kind}…', { kind: t(PRESET_KINDS[kind].label) })}</option>
+            {options.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.name} ({describe(preset)})</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setNaming(true)}
+            className="px-2 py-1 rounded-lg border border-indigo-300 text-indigo-600 font-semibold hover:bg-indigo-50"
+            title={t('Guardar los valores actuales como preset')}
+          >
+            {t('+ Preset')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Panel del Catálogo de Pliegos: permite editar la lista de pliegos disponibles y
+ * muestra una tabla ordenable con el resultado del cálculo para cada uno.
+ */
+const SheetCatalogPanel = ({ catalog, onCatalogChange, unit, quantity, onQuantityChange, results, onRank, onSelectSheet }) => {
+  const i18n = useI18n();
+  const { t, decimal } = i18n;
+  const [sortKey, setSortKey] = useState('usedPct');
+  const [sortAsc, setSortAsc] = useState(false);
+
+  const updateEntry = (id, field, value) => {
+    onCatalogChange(catalog.map(entry => (entry.id === id ? { ...entry, [field]: value } : entry)));
+  };
+  const removeEntry = (id) => onCatalogChange(catalog.filter(entry => entry.id !== id));
+  const addEntry = () => {
+    onCatalogChange([...catalog, { id: `sheet-${Date.now()}`, name: t('Nuevo Pliego'), width: '', height: '' }]);
+  };
+
+  const handleSort = (key) => {
+    if (key === sortKey) {
+      setSortAsc(!sortAsc);
+    } else {
+      setSortKey(key);
+      setSortAsc(key === 'name' || key === 'wasteArea' || key === 'sheetsNeeded');
+    }
+  };
+
+  // El pliego recomendado es el de mayor aprovechamiento de área (en empate, el de más piezas)
+  const recommendedId = useMemo(() => {
+    if (!results) return null;
+    const valid = results.filter(row => !row.error);
+    if (valid.length === 0) return null;
+    return valid.reduce((best, row) => (
+      row.usedPct > best.usedPct || (row.usedPct === best.usedPct && row.total > best.total) ? row : best
+    )).id;
+  }, [results]);
+
+  const sortedResults = useMemo(() => {
+    if (!results) return [];
+    return [...results].sort((a, b) => {
+      // Las filas con error siempre van al final
+      if (!!a.error !== !!b.error) return a.error ? 1 : -1;
+      const valueA = a[sortKey] ?? Infinity;
+      const valueB = b[sortKey] ?? Infinity;
+      const diff = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+      return sortAsc ? diff : -diff;
+    });
+  }, [results, sortKey, sortAsc]);
+
+  const columns = [
+    { key: 'name', label: t('Pliego') },
+    { key: 'total', label: t('Piezas/Pliego') },
+    { key: 'usedPct', label: t('% Área Utilizada') },
+    { key: 'wasteArea', label: t('Desperdicio ({unit}²)', { unit: t(UNITS[unit].abbr) }) },
+    { key: 'sheetsNeeded', label: t('Pliegos Necesarios') },
+  ];
+
+  return (
+    <div className="mt-8 bg-white p-6 rounded-xl shadow-lg no-print">
+      <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-4">
+        {t('Catálogo de Pliegos')}
+      </h2>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Editor del catálogo */}
+        <div className="space-y-2 col-span-1">
+          {catalog.map(entry => (
+            <div key={entry.id} className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={entry.name}
+                onChange={e => updateEntry(entry.id, 'name', e.target.value)}
+                className="flex-1 min-w-0 p-1 border border-gray-300 rounded-lg text-sm"
+              />
+              <input
+                type="text"
+                inputMode="decimal"
+                value={localizeInput(entry.width, decimal)}
+                onChange={e => updateEntry(entry.id, 'width', delocalizeInput(e.target.value, decimal))}
+                className="w-16 p-1 border border-gray-300 rounded-lg text-right text-sm"
+              />
+              <span className="text-gray-400 text-sm">x</span>
+              <input
+                type="text"
+                inputMode="decimal"
+                value={localizeInput(entry.height, decimal)}
+                onChange={e => updateEntry(entry.id, 'height', delocalizeInput(e.target.value, decimal))}
+                className="w-16 p-1 border border-gray-300 rounded-lg text-right text-sm"
+              />
+              <button
+                onClick={() => removeEntry(entry.id)}
+                className="text-red-500 hover:text-red-700 font-bold px-2"
+                title={t('Eliminar pliego')}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={addEntry}
+            className="w-full p-2 rounded-lg border border-dashed border-indigo-400 text-indigo-600 font-semibold hover:bg-indigo-50 transition duration-200"
+          >
+            {t('+ Agregar Pliego')}
+          </button>
+          <div className="pt-4">
+            <InputGroup
+              label={t('Cantidad Requerida')}
+              value={quantity}
+              onChange={onQuantityChange}
+              description={t('Piezas a producir.')}
+            />
+          </div>
+          <button
+            onClick={onRank}
+            className="w-full p-3 rounded-lg font-semibold transition duration-200 shadow-md bg-indigo-600 text-white hover:bg-indigo-700"
+          >
+            {t('Buscar Mejor Pliego')}
+          </button>
+        </div>
+
+        {/* Tabla de resultados */}
+        <div className="col-span-1 lg:col-span-2 overflow-x-auto">
+          {results ? (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-gray-600">
+                  {columns.map(col => (
+                    <th
+                      key={col.key}
+                      onClick={() => handleSort(col.key)}
+                      className="p-2 text-left cursor-pointer select-none hover:text-indigo-600"
+                    >
+                      {col.label}{sortKey === col.key ? (sortAsc ? ' ▲' : ' ▼') : ''}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sortedResults.map(row => (
+                  <tr
+                    key={row.id}
+                    onClick={() => !row.error && onSelectSheet(row)}
+                    className={`border-b ${row.error ? 'text-gray-400' : 'cursor-pointer hover:bg-indigo-50'} ${row.id === recommendedId ? 'bg-green-50 font-semibold' : ''}`}
+                  >
+                    <td className="p-2">
+                      {row.name} ({i18n.length(row.sheetW, unit)} x {i18n.length(row.sheetH, unit)})
+                      {row.id === recommendedId && <span className="ml-2 text-green-600">{t('★ Recomendado')}</span>}
+                    </td>
+                    {row.error ? (
+                      <td className="p-2" colSpan={4}>{i18n.message(row.error)}</td>
+                    ) : (
+                      <>
+                        <td className="p-2">{row.total}</td>
+                        <td className="p-2">{i18n.fixed(row.usedPct, 1)}%</td>
+                        <td className="p-2">{i18n.area(row.wasteArea, unit)}</td>
+                        <td className="p-2">{row.sheetsNeeded ?? '-'}</td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="flex justify-center items-center h-full p-6 text-center text-gray-500 bg-gray-100 rounded-lg border border-dashed">
+              {t('Pulse "Buscar Mejor Pliego" para comparar todos los pliegos del catálogo. Haga clic en una fila para cargarla en el croquis.')}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Panel del Modo Lote: recibe los trabajos pegados desde una hoja de cálculo o importados de un CSV,
+ * muestra una fila de resultado por trabajo (con los errores marcados en rojo) y exporta la tabla como CSV.
+ */
+const BatchPanel = ({ unit, results, onRun, onExport }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [text, setText] = useState('');
+  const fileInputRef = useRef(null);
+  const fmt = (value) => i18n.length(value, unit);
+  const errorCount = results ? results.rows.filter(row => row.error).length : 0;
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Permite volver a importar el mismo archivo
+    if (!file) return;
+    const content = await file.text();
+    setText(content);
+    onRun(content);
+  };
+
+  return (
+    <div className="mt-8 bg-white p-6 rounded-xl shadow-lg no-print">
+      <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-4">
+        {t('Modo Lote')}
+      </h2>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Trabajos pegados o importados */}
+        <div className="space-y-2 col-span-1">
+          <textarea
+            value={text}
+            onChange={e => setText(e.target.value)}
+            rows={8}
+            placeholder="nombre,ancho,largo,ancho_pliego,largo_pliego,margen,gutter,pinza,cola,sangrado,cantidad"
+            aria-label={t('Trabajos del lote')}
+            className="w-full p-2 border border-gray-300 rounded-lg text-sm font-mono"
+          />
+          <p className="text-xs text-gray-400">
+            {t('Una fila por trabajo, con las medidas en {unit}. Columnas: {columns}.', { unit: t(UNITS[unit].label), columns: BATCH_COLUMNS.map(column => column.headers[0]).join(', ') })}
+            {' '}{t('Sin encabezados se leen en ese orden; las celdas vacías toman los valores del formulario.')}
+          </p>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => onRun(text)}
+              className="flex-1 p-2 rounded-lg font-semibold transition duration-200 shadow-md bg-indigo-600 text-white hover:bg-indigo-700"
+            >
+              {t('Calcular Lote')}
+            </button>
+            <button
+              onClick={() => fileInputRef.current.click()}
+              className="flex-1 bg-white text-gray-700 border border-gray-400 p-2 rounded-lg font-semibold hover:bg-gray-100 transition duration-200 text-sm"
+            >
+              {t('Importar CSV')}
+            </button>
+            <input ref={fileInputRef} type="file" accept="text/csv,.csv,.tsv,.txt" onChange={handleFile} className="hidden" />
+          </div>
+        </div>
+
+        {/* Tabla de resultados */}
+        <div className="col-span-1 lg:col-span-2 overflow-x-auto">
+          {results && results.error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 p-3 rounded">
+              <p>{i18n.message(results.error)}</p>
+            </div>
+          )}
+          {results && results.rows.length > 0 && (
+            <>
+              <div className="flex justify-between items-center mb-2">
+                <p className="text-sm text-gray-600">
+                  {t('{count} trabajos', { count: results.rows.length })}{errorCount > 0 ? t(', {count} con error', { count: errorCount }) : ''}
+                </p>
+                <button
+                  onClick={onExport}
+                  className="bg-white text-gray-700 border border-gray-400 px-3 py-1 rounded-lg font-semibold hover:bg-gray-100 transition duration-200 text-sm"
+                >
+                  {t('Exportar CSV')}
+                </button>
+              </div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-gray-600">
+                    <th className="p-2 text-left">{t('Trabajo')}</th>
+                    <th className="p-2 text-left">{t('Arte')}</th>
+                    <th className="p-2 text-left">{t('Pliego')}</th>
+                    <th className="p-2 text-right">{t('Cantidad')}</th>
+                    <th className="p-2 text-right">{t('Piezas/Pliego')}</th>
+                    <th className="p-2 text-left">{t('Orientación')}</th>
+                    <th className="p-2 text-right">{t('Pliegos')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.rows.map(row => (
+                    <tr key={row.id} className={`border-b ${row.error ? 'bg-red-50 text-red-700' : ''}`}>
+                      <td className="p-2">{batchJobName(row, t)}</td>
+                      <td className="p-2">{fmt(row.cutW)} x {fmt(row.cutH)}</td>
+                      <td className="p-2">{fmt(row.sheetW)} x {fmt(row.sheetH)}</td>
+                      <td className="p-2 text-right">{row.quantity}</td>
+                      {row.error ? (
+                        <td className="p-2" colSpan={3}>⚠ {i18n.message(row.error)}</td>
+                      ) : (
+                        <>
+                          <td className="p-2 text-right font-semibold">{row.total}</td>
+                          <td className={`p-2 ${row.rotated ? 'text-orange-500' : 'text-blue-500'}`}>
+                            {t(row.rotated ? 'Rotado' : 'Normal')}{row.mixed ? ` + ${t('Mixto')}` : ''} ({row.fitW} x {row.fitH})
+                          </td>
+                          <td className="p-2 text-right">{row.sheetsNeeded ?? '-'}</td>
+                        </>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+          {!results && (
+            <div className="flex justify-center items-center h-full p-6 text-center text-gray-500 bg-gray-100 rounded-lg border border-dashed">
+              {t('Pegue las celdas de una hoja de cálculo o importe un CSV y pulse "Calcular Lote" para optimizar todos los trabajos a la vez.')}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Croquis de la orden de trabajo: la plantilla de buildExportShapes en SVG, a tamaño real si el pliego cabe en
+ * maxW x maxH (pulgadas impresas) o reducido a la escala 1:N que se indica al pie. Textos y trazos conservan su tamaño impreso.
+ */
+const WorkOrderSketch = ({ layout, unit, maxW, maxH }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const scale = chooseSketchScale(layout.sheetW, layout.sheetH, maxW, maxH);
+  // Puntos impresos a unidades del dibujo (pulgadas del pliego)
+  const size = (points) => (points / POINTS_PER_INCH) * scale;
+  const dash = `${size(3)} ${size(2)}`;
+
+  return (
+    <figure className="my-2">
+      <svg
+        width={`${layout.sheetW / scale}in`}
+        height={`${layout.sheetH / scale}in`}
+        viewBox={`0 0 ${layout.sheetW} ${layout.sheetH}`}
+        className="mx-auto"
+      >
+        {buildExportShapes(layout, unit, i18n).map((shape, index) => {
+          if (shape.type === 'rect') {
+            return (
+              <rect
+                key={index}
+                x={shape.x} y={shape.y} width={shape.w} height={shape.h} rx={shape.rx} ry={shape.ry}
+                fill={shape.fill || 'none'}
+                stroke={shape.stroke}
+                strokeWidth={shape.stroke ? size(shape.lineWidth) : undefined}
+                strokeDasharray={shape.dash ? dash : undefined}
+              />
+            );
+          }
+          if (shape.type === 'line') {
+            return (
+              <line
+                key={index}
+                x1={shape.x1} y1={shape.y1} x2={shape.x2} y2={shape.y2}
+                stroke={shape.stroke}
+                strokeWidth={size(shape.lineWidth)}
+                strokeDasharray={shape.dash ? dash : undefined}
+              />
+            );
+          }
+          return (
+            <text key={index} x={shape.x} y={shape.y} fontSize={size(shape.size)} fontFamily="Helvetica, Arial, sans-serif" textAnchor={shape.anchor} fill={shape.fill}>
+              {shape.text}
+            </text>
+          );
+        })}
+      </svg>
+      <figcaption className="text-center text-xs mt-1">
+        {scale === 1 ? t('Escala 1:1 (tamaño real)') : t('Escala 1:{scale}', { scale: i18n.number(scale, 1) })} — {i18n.length(layout.sheetW, unit)} x {i18n.length(layout.sheetH, unit)}
+      </figcaption>
+    </figure>
+  );
+};
+
+/**
+ * Resumen de una línea de un layout para la orden de trabajo, según el modo (pliego, combinado, rollo o libro),
+ * en el idioma de `i18n`.
+ */
+const describeWorkOrderLayout = (layout, unit, i18n) => {
+  const { t } = i18n;
+  const fmt = (value) => i18n.length(value, unit);
+  if (layout.gang) return t('{total} piezas de {items} artes por pliego', { total: layout.total, items: layout.items.length });
+  if (layout.roll) {
+    return t('{total} etiquetas por repetición: {lanes} carriles x {around} alrededor, cilindro de {repeat}', {
+      total: layout.total, lanes: layout.fitW, around: layout.fitH, repeat: fmt(layout.repeat),
+    });
+  }
+  const orientation = t(layout.rotated ? 'rotado' : 'normal');
+  if (layout.signatureMode) {
+    const signatures = layout.signatures.map(({ pages, count }) => `${count} x ${pages} pp`).join(' + ');
+    return t('Signatura de {pages} páginas ({columns} x {rows} por cara, {orientation}): {signatures}, {sheets} pliegos por ejemplar', {
+      pages: layout.signature.pages, columns: layout.fitW, rows: layout.fitH, orientation, signatures, sheets: layout.sheets,
+    });
+  }
+  const duplex = layout.duplex && layout.duplex !== 'simplex' ? ` — ${t(DUPLEX_OPTIONS[layout.duplex].label)}` : '';
+  const extra = layout.mixed ? t(' + {count} en sobrantes', { count: layout.extraPieces }) : '';
+  return `${t('{total} piezas por pliego: {columns} x {rows} {orientation}', { total: layout.total, columns: layout.fitW, rows: layout.fitH, orientation })}${extra}${t(', arte de {width} x {height}', { width: fmt(layout.cutW), height: fmt(layout.cutH) })}${duplex}`;
+};
+
+/**
+ * Tabla de dos columnas (concepto y valor) de la orden de trabajo.
+ */
+const WorkOrderTable = ({ rows }) => (
+  <table className="w-full border-collapse text-sm">
+    <tbody>
+      {rows.map(([label, value]) => (
+        <tr key={label}>
+          <th className="border border-gray-400 p-1 text-left font-semibold w-1/3">{label}</th>
+          <td className="border border-gray-400 p-1">{value}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+/**
+ * Orden de trabajo impresa (solo visible al imprimir), en la hoja elegida: datos del trabajo y del cliente,
+ * producción (cantidad, arranque y merma, pliegos a sacar), el layout con su croquis a escala, la tabla de márgenes
+ * y gutters, y el área de firmas y control de calidad. Los layouts alternativos fijados y la secuencia de corte
+ * van en hojas aparte. `alternatives` son filas de rankLayoutCandidates y `composeLayout` les agrega los datos del pliego.
+ */
+const WorkOrder = ({ layout, unit, order, pressName, quantity, jobCost, rollLength, alternatives, composeLayout }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const valid = Boolean(layout) && !layout.error && layout.total > 0;
+  const cutSteps = useMemo(() => (
+    valid && order.includeCutPlan && !layout.roll && !layout.signatureMode && (!layout.shape || layout.shape === 'rectangle')
+      ? calculateCutSequence(layout)
+      : []
+  ), [valid, layout, order.includeCutPlan]);
+
+  if (!valid) {
+    return <div className="print-only">{t('Calcule un layout antes de imprimir la orden de trabajo.')}</div>;
+  }
+
+  const fmt = (value) => i18n.length(value, unit);
+  const area = printableArea(order.paper);
+  const parent = layout.parent && !layout.parent.error ? layout.parent : null;
+
+  const grain = layout.sheetGrain ? ` (${t(layout.sheetGrain === 'long' ? 'fibra larga' : 'fibra corta')})` : '';
+  const infoRows = [
+    [t('Trabajo'), order.jobName || '—'],
+    [t('Cliente'), order.customer || '—'],
+    [t('Fecha de Entrega'), order.dueDate || '—'],
+    [t('Papel'), order.stock || '—'],
+    layout.roll
+      ? [t('Web'), fmt(layout.sheetW)]
+      : [t('Pliego'), `${fmt(layout.sheetW)} x ${fmt(layout.sheetH)}${grain}`],
+    [t('Prensa'), pressName || t('Sin prensa')],
+  ];
+  const productionRows = layout.roll
+    ? [
+        [t('Cantidad'), t('{count} etiquetas', { count: quantity })],
+        [t('Repeticiones'), rollLength ? rollLength.impressions : '—'],
+        [t('Largo del Rollo'), rollLength ? `${i18n.fixed(rollLength.rollLength * METERS_PER_INCH, 1)} m (${fmt(rollLength.rollLength)})` : '—'],
+      ]
+    : [
+        [t('Cantidad'), t(layout.signatureMode ? '{count} ejemplares' : '{count} piezas', { count: jobCost ? jobCost.pieces : quantity })],
+        [t('Pliegos Netos'), jobCost ? jobCost.netSheets : '—'],
+        [t('Arranque + Merma'), jobCost ? jobCost.spoilage : '—'],
+        [t('Pliegos a Sacar'), jobCost ? jobCost.pressSheets : '—'],
+        ...(parent && jobCost ? [[
+          t('Pliegos Madre ({width} x {height})', { width: fmt(parent.parentW), height: fmt(parent.parentH) }),
+          t('{count} ({sheets} pliegos c/u)', { count: jobCost.parentSheets, sheets: parent.sheetsPerParent }),
+        ]] : []),
+      ];
+  const marginRows = layout.roll
+    ? [
+        [t('Refile de Matriz'), fmt(layout.lateralMargin)],
+        [t('Gap entre Carriles'), fmt(layout.gutterX)],
+        [t('Gap Real en Avance'), fmt(layout.gapAround)],
+      ]
+    : [
+        [t('Margen Lateral'), fmt(layout.lateralMargin)],
+        [t('Gutter Horizontal'), fmt(layout.gutterX ?? layout.gutter)],
+        [t('Gutter Vertical'), fmt(layout.gutterY ?? layout.gutter)],
+        [t('Pinza'), fmt(layout.grip)],
+        [t('Cola'), fmt(layout.tail)],
+        [t('Sangrado'), `${fmt(layout.bleed || 0)}${layout.singleCut ? t(' (corte sencillo)') : ''}`],
+      ];
+
+  return (
+    <div className="print-only work-order text-black">
+      <header className="flex justify-between items-end border-b-2 border-black pb-2 mb-3">
+        <div>
+          <h1 className="text-2xl font-bold">{t('Orden de Trabajo')}</h1>
+          <p className="text-lg">{order.jobName || t('Trabajo sin nombre')}</p>
+        </div>
+        <p className="text-sm">{t('Impresa: {date}', { date: i18n.date(new Date()) })}</p>
+      </header>
+
+      <section className="grid grid-cols-2 gap-4 mb-3">
+        <WorkOrderTable rows={infoRows} />
+        <WorkOrderTable rows={productionRows} />
+      </section>
+
+      <section className="mb-3">
+        <h2 className="font-bold border-b border-black mb-1">{t('Layout')}</h2>
+        <p className="text-sm">{describeWorkOrderLayout(layout, unit, i18n)}</p>
+        <WorkOrderSketch layout={layout} unit={unit} maxW={area.width} maxH={area.height * 0.45} />
+      </section>
+
+      <section className="grid grid-cols-2 gap-4 mb-3">
+        <div>
+          <h2 className="font-bold border-b border-black mb-1">{t(layout.roll ? 'Refile y Gaps' : 'Márgenes y Gutters')}</h2>
+          <WorkOrderTable rows={marginRows} />
+        </div>
+        <div>
+          <h2 className="font-bold border-b border-black mb-1">{t('Notas')}</h2>
+          <p className="text-sm whitespace-pre-wrap border border-gray-400 p-1 min-h-[4rem]">{order.notes || ' '}</p>
+        </div>
+      </section>
+
+      <section>
+        <h2 className="font-bold border-b border-black mb-1">{t('Control de Calidad')}</h2>
+        <div className="grid grid-cols-4 gap-2 text-sm mb-4">
+          {['Registro', 'Color contra prueba', 'Medidas de corte', 'Cantidad contada'].map(check => (
+            <span key={check}>☐ {t(check)}</span>
+          ))}
+        </div>
+        <div className="grid grid-cols-4 gap-4 text-sm">
+          {['Preparó', 'Prensista', 'Control de Calidad', 'Entregó'].map(role => (
+            <div key={role} className="pt-8 border-b border-black text-center">
+              <span className="block translate-y-5 text-xs">{t(role)}</span>
+            </div>
+          ))}
+        </div>
+      </section>
+
+      {/* Layouts alternativos fijados, uno por hoja */}
+      {alternatives.map(candidate => {
+        const alternative = composeLayout(candidate.layout);
+        return (
+          <section key={candidate.id} className="print-page-break">
+            <h2 className="font-bold border-b border-black mb-1">{t('Layout Alternativo #{rank}', { rank: candidate.rank })}</h2>
+            <p className="text-sm">{describeWorkOrderLayout(alternative, unit, i18n)} — {t('{count} cortes', { count: candidate.cuts })}</p>
+            <WorkOrderSketch layout={alternative} unit={unit} maxW={area.width} maxH={area.height - 1} />
+          </section>
+        );
+      })}
+
+      {/* Secuencia de corte para el operador de guillotina, en hoja aparte */}
+      {cutSteps.length > 0 && (
+        <div className="print-page-break">
+          <h2 className="font-bold border-b border-black mb-1">{t('Secuencia de Corte ({count} pasos)', { count: cutSteps.length })}</h2>
+          <table className="w-full border-collapse text-sm">
+            <thead>
+              <tr>
+                <th className="border border-gray-400 p-1 text-left">#</th>
+                <th className="border border-gray-400 p-1 text-left">{t('Pila')}</th>
+                <th className="border border-gray-400 p-1 text-left">{t('Acción')}</th>
+                <th className="border border-gray-400 p-1 text-left">{t('Giro')}</th>
+                <th className="border border-gray-400 p-1 text-right">{t('Escuadra')}</th>
+                <th className="border border-gray-400 p-1 text-center">OK</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cutSteps.map(step => (
+                <tr key={step.number}>
+                  <td className="border border-gray-400 p-1">{step.number}</td>
+                  <td className="border border-gray-400 p-1">{translateStackLabel(step.stackLabel, t)}{step.count > 1 ? ` (x${step.count})` : ''}</td>
+                  <td className="border border-gray-400 p-1">{t(step.action)}</td>
+                  <td className="border border-gray-400 p-1">{step.turn ? t(step.turn) : '-'}</td>
+                  <td className="border border-gray-400 p-1 text-right font-mono">{step.kind === 'note' ? '-' : fmt(step.gauge)}</td>
+                  <td className="border border-gray-400 p-1 text-center">☐</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Panel de Perfiles de Prensa: lista de prensas y formulario para crear, editar o eliminar un perfil.
+ * Los perfiles se guardan en pulgadas; el formulario muestra las medidas en la unidad seleccionada.
+ */
+const PressProfilesPanel = ({ presses, unit, selectedId, onSave, onDelete }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [draft, setDraft] = useState(null); // Perfil en edición, con sus medidas en `draft.unit`
+
+  const fieldLabels = {
+    minWidth: t('Ancho Mínimo'), minHeight: t('Largo Mínimo'),
+    maxWidth: t('Ancho Máximo'), maxHeight: t('Largo Máximo'),
+    grip: t('Pinza Requerida'), tail: t('Cola (No Imprimible)'), side: t('Lateral (No Imprimible)'),
+  };
+
+  // Si cambia la unidad durante la edición, se convierten las medidas del borrador
+  useEffect(() => {
+    setDraft(current => (current && current.unit !== unit
+      ? { ...current, ...Object.fromEntries(PRESS_FIELDS.map(field => [field, convertInputValue(current[field], current.unit, unit)])), unit }
+      : current));
+  }, [unit]);
+
+  const editPress = (profile) => {
+    setDraft({ ...profile, ...Object.fromEntries(PRESS_FIELDS.map(field => [field, convertInputValue(profile[field], 'in', unit)])), unit });
+  };
+  const newPress = () => {
+    setDraft({ id: createId('press'), name: t('Nueva Prensa'), gripperEdge: 'long', ...Object.fromEntries(PRESS_FIELDS.map(field => [field, ''])), unit });
+  };
+  const handleSave = () => {
+    const { unit: draftUnit, ...profile } = draft;
+    onSave({ ...profile, ...Object.fromEntries(PRESS_FIELDS.map(field => [field, convertInputValue(draft[field], draftUnit, 'in')])) });
+    setDraft(null);
+  };
+  const handleDelete = () => {
+    onDelete(draft.id);
+    setDraft(null);
+  };
+
+  const describe = (profile) => {
+    const fmt = (value) => (parseDimension(value) ? i18n.length(parseDimension(value), unit) : '-');
+    return t(profile.gripperEdge === 'long'
+      ? '{min} a {max}, pinza {grip} en el lado largo'
+      : '{min} a {max}, pinza {grip} en el lado corto', {
+      min: `${fmt(profile.minWidth)} x ${fmt(profile.minHeight)}`,
+      max: `${fmt(profile.maxWidth)} x ${fmt(profile.maxHeight)}`,
+      grip: fmt(profile.grip),
+    });
+  };
+
+  return (
+    <div className="mt-8 bg-white p-6 rounded-xl shadow-lg no-print">
+      <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-4">
+        {t('Perfiles de Prensa')}
+      </h2>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Lista de prensas */}
+        <div className="space-y-2 col-span-1">
+          {presses.map(profile => (
+            <button
+              key={profile.id}
+              onClick={() => editPress(profile)}
+              className={`w-full text-left p-2 rounded-lg border transition duration-200 hover:bg-indigo-50 ${
+                draft && draft.id === profile.id ? 'border-indigo-500' : 'border-gray-200'
+              }`}
+            >
+              <span className="font-semibold text-gray-800">{profile.name}</span>
+              {profile.id === selectedId && <span className="ml-2 text-xs text-green-600">{t('● En uso')}</span>}
+              <span className="block text-xs text-gray-500">{describe(profile)}</span>
+            </button>
+          ))}
+          <button
+            onClick={newPress}
+            className="w-full p-2 rounded-lg border border-dashed border-indigo-400 text-indigo-600 font-semibold hover:bg-indigo-50 transition duration-200"
+          >
+            {t('+ Agregar Prensa')}
+          </button>
+        </div>
+
+        {/* Formulario de edición */}
+        <div className="col-span-1 lg:col-span-2">
+          {draft ? (
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <label className="text-sm font-medium text-gray-600 flex flex-col space-y-1">
+                  <span>{t('Nombre')}</span>
+                  <input
+                    type="text"
+                    value={draft.name}
+                    onChange={e => setDraft({ ...draft, name: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </label>
+                <label className="text-sm font-medium text-gray-600 flex flex-col space-y-1">
+                  <span>{t('Borde de Pinza')}</span>
+                  <select
+                    value={draft.gripperEdge}
+                    onChange={e => setDraft({ ...draft, gripperEdge: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-lg text-sm"
+                  >
+                    <option value="long">{t('Lado largo del pliego')}</option>
+                    <option value="short">{t('Lado corto del pliego')}</option>
+                  </select>
+                </label>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {PRESS_FIELDS.map(field => (
+                  <InputGroup
+                    key={field}
+                    label={fieldLabels[field]}
+                    value={draft[field]}
+                    onChange={value => setDraft({ ...draft, [field]: value })}
+                  />
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">
+                {t('Medidas en {unit}. El ancho del pliego es el borde de pinza; un máximo vacío no tiene límite.', { unit: t(UNITS[unit].label).toLowerCase() })}
+              </p>
+              <div className="flex space-x-4">
+                <button
+                  onClick={handleSave}
+                  disabled={!draft.name.trim()}
+                  className="flex-1 p-2 rounded-lg font-semibold transition duration-200 shadow-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300 disabled:text-gray-500"
+                >
+                  {t('Guardar Prensa')}
+                </button>
+                {presses.some(profile => profile.id === draft.id) && (
+                  <button
+                    onClick={handleDelete}
+                    className="p-2 px-4 rounded-lg font-semibold transition duration-200 border border-red-400 text-red-600 hover:bg-red-50"
+                  >
+                    {t('Eliminar')}
+                  </button>
+                )}
+                <button onClick={() => setDraft(null)} className="p-2 px-4 text-gray-500 hover:text-gray-700">
+                  {t('Cancelar')}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex justify-center items-center h-full p-6 text-center text-gray-500 bg-gray-100 rounded-lg border border-dashed">
+              {t('Seleccione una prensa para editar sus límites o agregue una nueva. Elija la prensa del trabajo en "Márgenes y Agarre".')}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Panel de la Biblioteca de Trabajos: guardar el trabajo actual con un nombre, buscar, cargar,
+ * duplicar y eliminar trabajos guardados, administrar los presets e importar/exportar la biblioteca en JSON.
+ */
+const JobLibraryPanel = ({ library, onSaveJob, onLoadJob, onDuplicateJob, onDeleteJob, onDeletePreset, onExport, onImport }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [jobName, setJobName] = useState('');
+  const [query, setQuery] = useState('');
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+  const fileInputRef = useRef(null);
+
+  const jobs = useMemo(() => searchJobs(library.jobs, query), [library.jobs, query]);
+  const nameExists = library.jobs.some(job => job.name === jobName.trim());
+
+  const handleSave = () => {
+    const name = jobName.trim();
+    if (!name) return;
+    onSaveJob(name);
+    setMessage({ type: 'success', text: t(nameExists ? 'Trabajo "{name}" actualizado.' : 'Trabajo "{name}" guardado.', { name }) });
+    setJobName('');
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Permite volver a importar el mismo archivo
+    if (!file) return;
+    try {
+      const imported = onImport(await file.text());
+      setMessage({ type: 'success', text: t('Se importaron {jobs} trabajos y {presets} presets.', { jobs: imported.jobs.length, presets: imported.presets.length }) });
+    } catch (error) {
+      setMessage({ type: 'error', text: i18n.message(error.message) });
+    }
+  };
+
+  // Resumen de un trabajo guardado, en su propia unidad
+  const summarize = ({ values }) => {
+    const abbr = UNITS[values.unit] ? t(UNITS[values.unit].abbr) : '';
+    const art = values.gangMode
+      ? t('{count} artes combinados', { count: (values.gangItems || []).length })
+      : `${values.cutWidth} x ${values.cutHeight}`;
+    return localizeNumbers(t('{art} en {sheet}', { art, sheet: `${values.sheetWidth} x ${values.sheetHeight} ${abbr}` }), i18n.decimal);
+  };
+
+  return (
+    <div className="mt-8 bg-white p-6 rounded-xl shadow-lg no-print">
+      <h2 className="text-xl font-semibold text-gray-700 border-b pb-2 mb-4">
+        {t('Biblioteca de Trabajos')}
+      </h2>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Guardar, importar y exportar */}
+        <div className="space-y-3 col-span-1">
+          <label className="text-sm font-medium text-gray-600 block">{t('Guardar trabajo actual')}</label>
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={jobName}
+              onChange={e => setJobName(e.target.value)}
+              onKeyDown={e => e.key === 'Enter' && handleSave()}
+              placeholder={t('Nombre del trabajo')}
+              className="flex-1 min-w-0 p-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <button
+              onClick={handleSave}
+              disabled={!jobName.trim()}
+              className="px-3 rounded-lg font-semibold transition duration-200 shadow-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300 disabled:text-gray-500"
+            >
+              {t(nameExists ? 'Actualizar' : 'Guardar')}
+            </button>
+          </div>
+          {message && (
+            <p className={`text-sm ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>{message.text}</p>
+          )}
+          <div className="flex space-x-2 pt-2">
+            <button
+              onClick={onExport}
+              className="flex-1 bg-white text-gray-700 border border-gray-400 p-2 rounded-lg font-semibold hover:bg-gray-100 transition duration-200 text-sm"
+            >
+              {t('Exportar JSON')}
+            </button>
+            <button
+              onClick={() => fileInputRef.current.click()}
+              className="flex-1 bg-white text-gray-700 border border-gray-400 p-2 rounded-lg font-semibold hover:bg-gray-100 transition duration-200 text-sm"
+            >
+              {t('Importar JSON')}
+            </button>
+            <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+          </div>
+
+          {/* Presets guardados, agrupados por tipo */}
+          <div className="pt-4 space-y-2">
+            <h3 className="text-sm font-semibold text-gray-600">{t('Presets')}</h3>
+            {Object.entries(PRESET_KINDS).map(([kind, { label }]) => (
+              <div key={kind}>
+                <p className="text-xs font-semibold text-gray-400 uppercase">{t(label)}</p>
+                {library.presets.filter(preset => preset.kind === kind).map(preset => (
+                  <div key={preset.id} className="flex items-center justify-between text-sm text-gray-700">
+                    <span className="truncate">{preset.name}</span>
+                    <button
+                      onClick={() => onDeletePreset(preset.id)}
+                      className="text-red-500 hover:text-red-700 font-bold px-2"
+                      title={t('Eliminar preset')}
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Lista de trabajos guardados */}
+        <div className="col-span-1 lg:col-span-2 space-y-3">
+          <input
+            type="search"
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            placeholder={t('Buscar trabajo por nombre…')}
+            className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+          />
+          {jobs.length > 0 ? (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-gray-600">
+                  <th className="p-2 text-left">{t('Trabajo')}</th>
+                  <th className="p-2 text-left">{t('Medidas')}</th>
+                  <th className="p-2 text-left">{t('Guardado')}</th>
+                  <th className="p-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {jobs.map(job => (
+                  <tr key={job.id} className="border-b">
+                    <td className="p-2 font-semibold text-gray-800">{job.name}</td>
+                    <td className="p-2 text-gray-600">{summarize(job)}</td>
+                    <td className="p-2 text-gray-500">{new Date(job.savedAt).toLocaleString(i18n.locale)}</td>
+                    <td className="p-2 text-right whitespace-nowrap space-x-2">
+                      <button onClick={() => onLoadJob(job)} className="text-indigo-600 hover:text-indigo-800 font-semibold">{t('Cargar')}</button>
+                      <button onClick={() => onDuplicateJob(job)} className="text-gray-600 hover:text-gray-800">{t('Duplicar')}</button>
+                      <button onClick={() => onDeleteJob(job.id)} className="text-red-500 hover:text-red-700">{t('Eliminar')}</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="p-6 text-center text-gray-500 bg-gray-100 rounded-lg border border-dashed">
+              {library.jobs.length === 0
+                ? t('Aún no hay trabajos guardados. Escriba un nombre y pulse "Guardar" para guardar el trabajo actual.')
+                : t('Ningún trabajo coincide con la búsqueda.')}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Componente para dibujar el primer nivel del croquis: los pliegos de prensa dentro del Pliego Madre.
+ */
+const ParentSheetCanvas = ({ parent }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !parent.layout) return;
+
+    const ctx = canvas.getContext('2d');
+
+    // Escala para que el pliego madre quepa en MAX_CANVAS_WIDTH
+    const scaleFactor = MAX_CANVAS_WIDTH / parent.parentW;
+    const drawW = parent.parentW * scaleFactor;
+    const drawH = parent.parentH * scaleFactor;
+
+    canvas.width = drawW;
+    canvas.height = drawH;
+    ctx.clearRect(0, 0, drawW, drawH);
+
+    // --- Dibujar el Refile (borde que se descarta) ---
+    ctx.fillStyle = 'rgba(107, 114, 128, 0.2)';
+    ctx.fillRect(0, 0, drawW, drawH);
+    ctx.strokeStyle = '#374151';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(0, 0, drawW, drawH);
+
+    // --- Dibujar los Pliegos de Prensa ---
+    ctx.lineWidth = 1;
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'center';
+    parent.layout.pieces.forEach((sheet, index) => {
+      const x = sheet.x * scaleFactor;
+      const y = sheet.y * scaleFactor;
+      const w = sheet.w * scaleFactor;
+      const h = sheet.h * scaleFactor;
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(x, y, w, h);
+      ctx.fillStyle = sheet.rotated ? 'rgba(251, 146, 60, 0.3)' : 'rgba(99, 102, 241, 0.2)'; // Naranja / Índigo
+      ctx.fillRect(x, y, w, h);
+      ctx.strokeStyle = '#4f46e5';
+      ctx.strokeRect(x, y, w, h);
+      ctx.fillStyle = '#374151';
+      ctx.fillText(`${index + 1}`, x + w / 2, y + h / 2 + 4);
+    });
+
+  }, [parent]);
+
+  return (
+    <div className="flex justify-center items-center p-2 border border-gray-200 rounded-lg bg-gray-100">
+        <canvas ref={canvasRef} className="max-w-full h-auto rounded-lg shadow-inner border border-gray-300" />
     </div>
-    
   );
 };
 
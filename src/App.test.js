@@ -1,8 +1,329 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+beforeAll(() => {
+  // jsdom no implementa canvas: un contexto falso que acepta cualquier llamada
+  HTMLCanvasElement.prototype.getContext = () => new Proxy({}, {
+    get: (target, key) => (key in target ? target[key] : () => ({})),
+    set: (target, key, value) => { target[key] = value; return true; },
+  });
+});
+
+// Cada cálculo actualiza la URL: se vuelve a la raíz para que las pruebas no dependan entre sí
+afterEach(() => {
+  window.history.replaceState(null, '', '/');
+});
+
+test('calculates the layout and shows the result', () => {
+  render(<App />);
+  expect(screen.getByText(/Ingrese los valores/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(screen.getByText('Total de Piezas:')).toBeInTheDocument();
+  expect(screen.getByText('Valores Actualizados')).toBeInTheDocument();
+});
+
+test('saves the current job and loads it back from the library', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText('Nombre del trabajo'), { target: { value: 'Volante Carta' } });
+  fireEvent.click(screen.getByText('Guardar'));
+  expect(screen.getByText('Trabajo "Volante Carta" guardado.')).toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('paper-cut-optimizer.library')).jobs[0].values.cutWidth).toBe('8.5');
+
+  fireEvent.click(screen.getByText('Cargar'));
+  expect(screen.getByText('Total de Piezas:')).toBeInTheDocument();
+});
+
+test('syncs the calculated scenario to the URL and restores it from a shared link', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(window.location.search).toMatch(/cw=8.5&ch=11.0&sw=17.0&sh=22.0/);
+  fireEvent.click(screen.getByText('Invertir Orientación'));
+  expect(window.location.search).toMatch(/o=inv$/);
+});
+
+test('goes back to the previous scenario without adding it to the calculation history', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  const firstSearch = window.location.search;
+  fireEvent.change(screen.getByDisplayValue('17.0'), { target: { value: '21' } });
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+
+  // Atrás: el navegador ya cambió la URL y avisa con popstate
+  window.history.replaceState(null, '', `/${firstSearch}`);
+  fireEvent(window, new PopStateEvent('popstate'));
+  expect(screen.getByDisplayValue('17.0')).toBeInTheDocument();
+  expect(screen.getByText('Valores Actualizados')).toBeInTheDocument();
+  expect(screen.getByLabelText('Comparar cálculo #2')).toBeInTheDocument();
+  expect(screen.queryByLabelText('Comparar cálculo #3')).not.toBeInTheDocument();
+});
+
+test('opens a shared link with the inverted layout already calculated', () => {
+  window.history.replaceState(null, '', '/?u=mm&cw=90&ch=50&sw=700&sh=1000&o=inv');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText('Visualizando Layout Invertido')).toBeInTheDocument();
+  expect(screen.getByText('Valores Actualizados')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('700')).toBeInTheDocument();
 });
+
+test('fills the margins from the selected press and reports sheets outside its range', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.change(screen.getByDisplayValue('Sin prensa'), { target: { value: 'press-1' } });
+  expect(screen.getByDisplayValue('0.394')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(screen.getByText(/toma el pliego por el lado largo/)).toBeInTheDocument();
+
+  // 20 x 14 cabe en la SM52 con la pinza en el lado largo
+  fireEvent.change(screen.getByDisplayValue('17.0'), { target: { value: '20' } });
+  fireEvent.change(screen.getByDisplayValue('22.0'), { target: { value: '14' } });
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(screen.queryByText(/Error:/)).not.toBeInTheDocument();
+  expect(screen.getByText('Total de Piezas:')).toBeInTheDocument();
+});
+
+test('keeps the artwork with the grain and warns before inverting against it', () => {
+  render(<App />);
+  // 11 x 8.5 en 17 x 22 (fibra larga vertical): rotado caben más, pero el ancho debe ir paralelo a la fibra
+  fireEvent.change(screen.getByDisplayValue('8.5'), { target: { value: '11' } });
+  fireEvent.change(screen.getByDisplayValue('11.0'), { target: { value: '8.5' } });
+  fireEvent.change(screen.getByDisplayValue('Sin requisito'), { target: { value: 'height' } });
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(screen.getByText('✔ A favor de la fibra')).toBeInTheDocument();
+  expect(screen.getByText('Normal (W x H)')).toBeInTheDocument();
+  expect(screen.getByText(/pondrá el arte contra la fibra/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Invertir Orientación ⚠'));
+  expect(screen.getByText('⚠ Contra la fibra')).toBeInTheDocument();
+});
+
+test('calculates a work-and-turn job and shows the plates and finished pieces', () => {
+  render(<App />);
+  fireEvent.change(screen.getByDisplayValue('8.5'), { target: { value: '4' } });
+  fireEvent.change(screen.getByDisplayValue('11.0'), { target: { value: '6' } });
+  fireEvent.change(screen.getByDisplayValue('Una cara'), { target: { value: 'turn' } });
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  // El método aparece en el selector y en el resultado
+  expect(screen.getAllByText('Voltear de lado')).toHaveLength(2);
+  expect(screen.getByText('Placas:')).toBeInTheDocument();
+  expect(screen.getByText(/^\d+ \(\d+ frentes \+ \d+ vueltas\)$/)).toBeInTheDocument();
+  expect(window.location.search).toContain('dx=turn');
+});
+
+test('zooms the sketch and describes the piece under the pointer', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  fireEvent.click(screen.getByLabelText('Acercar'));
+  expect(screen.getByText('125%')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Ajustar'));
+  expect(screen.getByText('100%')).toBeInTheDocument();
+
+  // Sin reglas ni zoom, la primera pieza empieza en el margen lateral y la cola (~11 px)
+  // jsdom no implementa PointerEvent: un MouseEvent con el mismo tipo llega al manejador de React
+  const sketch = screen.getByRole('img', { name: 'Croquis del pliego' });
+  fireEvent(sketch, new MouseEvent('pointermove', { bubbles: true, clientX: 14, clientY: 50 }));
+  expect(screen.getByRole('tooltip')).toHaveTextContent('Fila 2, Columna 1');
+  expect(screen.getByRole('tooltip')).toHaveTextContent('Desde la pinza: 10.625"');
+  expect(screen.getByRole('tooltip')).toHaveTextContent('Desde la escuadra: 0.375"');
+
+  // Las reglas ocupan una franja de 18 px a la izquierda: el mismo punto ya no cae sobre la pieza
+  fireEvent.click(screen.getByLabelText('Reglas'));
+  fireEvent(sketch, new MouseEvent('pointermove', { bubbles: true, clientX: 14, clientY: 50 }));
+  expect(screen.queryByRole('tooltip')).not.toBeInTheDocument();
+});
+
+test('centres the block on the sheet and lists the waste strips', () => {
+  render(<App />);
+  fireEvent.change(screen.getByDisplayValue('Contra la cola y el margen izquierdo'), { target: { value: 'center' } });
+  fireEvent.change(screen.getByLabelText('Gutter Vertical'), { target: { value: '0.25' } });
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(screen.getByText('Franjas Sobrantes (con márgenes):')).toBeInTheDocument();
+  expect(screen.getByText('Izquierda:')).toBeInTheDocument();
+  expect(screen.getByText('Derecha:')).toBeInTheDocument();
+  expect(window.location.search).toContain('al=center');
+  expect(window.location.search).toContain('gv=0.25');
+});
+
+test('ranks alternative layouts, pins up to three and shows one in the sketch', () => {
+  render(<App />);
+  fireEvent.change(screen.getByDisplayValue('8.5'), { target: { value: '4' } });
+  fireEvent.change(screen.getByDisplayValue('11.0'), { target: { value: '3' } });
+  fireEvent.change(screen.getByLabelText('Columnas Fijas'), { target: { value: '3' } });
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(screen.getByText('Layouts Alternativos')).toBeInTheDocument();
+  expect(window.location.search).toContain('nc=3');
+
+  const pinButtons = screen.getAllByRole('button', { name: 'Fijar' });
+  pinButtons.slice(0, 3).forEach(button => fireEvent.click(button));
+  expect(screen.getByLabelText('Comparación #1')).toBeInTheDocument();
+  expect(screen.getByLabelText('Comparación #3')).toBeInTheDocument();
+  expect(pinButtons[3]).toBeDisabled();
+
+  fireEvent.click(screen.getAllByRole('button', { name: 'Ver' })[1]);
+  expect(screen.getByText('Visualizando Layout Alternativo')).toBeInTheDocument();
+  expect(window.location.search).toMatch(/&o=alt&alt=/);
+  fireEvent.click(screen.getByText('Volver (Óptimo)'));
+  expect(screen.queryByText('Visualizando Layout Alternativo')).not.toBeInTheDocument();
+  expect(window.location.search).toMatch(/&o=opt$/);
+});
+
+test('opens a shared link with the alternative layout that was shown', () => {
+  const { unmount } = render(<App />);
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  fireEvent.click(screen.getAllByRole('button', { name: 'Ver' })[1]);
+  const link = window.location.search;
+  unmount();
+
+  render(<App />);
+  expect(screen.getByText('Visualizando Layout Alternativo')).toBeInTheDocument();
+  expect(screen.getByText('Valores Actualizados')).toBeInTheDocument();
+  expect(window.location.search).toBe(link);
+});
+
+test('tells apart alternatives that differ only in their rotated strips', () => {
+  render(<App />);
+  fireEvent.change(screen.getByDisplayValue('8.5'), { target: { value: '2' } });
+  fireEvent.change(screen.getByDisplayValue('11.0'), { target: { value: '3.5' } });
+  fireEvent.change(screen.getByDisplayValue('17.0'), { target: { value: '19.0' } });
+  fireEvent.change(screen.getByDisplayValue('22.0'), { target: { value: '25.0' } });
+  fireEvent.change(screen.getByLabelText('Margen Lateral'), { target: { value: '0.25' } });
+  fireEvent.change(screen.getByLabelText('Cola (Tail)'), { target: { value: '0.25' } });
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(screen.getByText('Normal 7 x 6 + 15 rotadas (1 x 11 + 4 x 1)')).toBeInTheDocument();
+  expect(screen.getByText('Normal 7 x 6 + 15 rotadas (1 x 10 + 5 x 1)')).toBeInTheDocument();
+});
+
+test('nests die-cut circles in staggered rows', () => {
+  render(<App />);
+  fireEvent.change(screen.getByDisplayValue('Rectángulo'), { target: { value: 'circle' } });
+  fireEvent.change(screen.getByLabelText('Diámetro'), { target: { value: '2' } });
+  expect(screen.queryByLabelText('Largo')).not.toBeInTheDocument();
+  fireEvent.change(screen.getByDisplayValue('Cuadrícula recta'), { target: { value: 'staggered' } });
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(screen.getByText('Troquel:')).toBeInTheDocument();
+  expect(screen.getByText(/^\d+ \/ \d+ piezas$/)).toBeInTheDocument();
+  expect(screen.queryByText(/Secuencia de Corte/)).not.toBeInTheDocument();
+  expect(window.location.search).toContain('fm=circle');
+  expect(window.location.search).toContain('ns=staggered');
+});
+
+test('lays out roll labels across the web and picks the cylinder', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Rollo'));
+  fireEvent.change(screen.getByDisplayValue('8.5'), { target: { value: '3' } });
+  fireEvent.change(screen.getByDisplayValue('11.0'), { target: { value: '2' } });
+  expect(screen.queryByText('Pinza (Grip)')).not.toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Cilindros Disponibles'), { target: { value: '96, 104' } });
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(screen.getByText('Etiquetas a lo Ancho (Carriles):')).toBeInTheDocument();
+  expect(screen.getByText('13" (104 dientes)')).toBeInTheDocument();
+  expect(screen.getByText('Largo del Rollo (1000 etiquetas):')).toBeInTheDocument();
+  expect(screen.queryByText('Costos y Cantidades')).not.toBeInTheDocument();
+  expect(window.location.search).toContain('rm=1');
+});
+
+test('imposes a booklet in signatures with page numbers and sheets per copy', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Libro'));
+  fireEvent.change(screen.getByDisplayValue('8.5'), { target: { value: '5.5' } });
+  fireEvent.change(screen.getByDisplayValue('11.0'), { target: { value: '8.5' } });
+  fireEvent.change(screen.getByDisplayValue('17.0'), { target: { value: '23' } });
+  fireEvent.change(screen.getByDisplayValue('22.0'), { target: { value: '35' } });
+  fireEvent.change(screen.getByLabelText('Páginas'), { target: { value: '22' } });
+  expect(screen.queryByLabelText('Gutter Vertical')).not.toBeInTheDocument();
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(screen.getByText('Páginas por Pliego:')).toBeInTheDocument();
+  expect(screen.getByText('24 (2 en blanco)')).toBeInTheDocument();
+  expect(screen.getByText('1 x 16 pp + 1 x 8 pp')).toBeInTheDocument();
+  expect(screen.getByText('Pliegos por Ejemplar:')).toBeInTheDocument();
+  // Desde la orden de trabajo los libros también se cotizan: pliegos y costo por ejemplar
+  expect(screen.getByText('Costo por Ejemplar:')).toBeInTheDocument();
+  expect(window.location.search).toContain('sg=1');
+  expect(window.location.search).toContain('pc=22');
+});
+
+test('calculates a batch of pasted jobs and flags the invalid rows', () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Trabajos del lote'), {
+    target: { value: 'nombre\tancho\tlargo\tpinza\tcola\nTarjeta\t3.5\t2\t\t\nSin ancho\t0\t2\t\t\nMárgenes\t3.5\t2\t12\t12' },
+  });
+  fireEvent.click(screen.getByText('Calcular Lote'));
+  expect(screen.getByText('3 trabajos, 2 con error')).toBeInTheDocument();
+  expect(screen.getByText('Tarjeta')).toBeInTheDocument();
+  expect(screen.getByText('⚠ Las dimensiones deben ser positivas.')).toBeInTheDocument();
+  expect(screen.getByText(/⚠ Los márgenes .* demasiado grandes/)).toBeInTheDocument();
+  expect(screen.getByText('Exportar CSV')).toBeInTheDocument();
+});
+
+test('prints a work order with the customer, a scaled sketch and the cutting plan', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  fireEvent.change(screen.getByLabelText('Cliente'), { target: { value: 'Imprenta del Centro' } });
+  fireEvent.change(screen.getByLabelText('Hoja'), { target: { value: 'tabloid' } });
+  expect(screen.getByText('Imprenta del Centro')).toBeInTheDocument();
+  expect(screen.getByText('Pliegos a Sacar')).toBeInTheDocument();
+  expect(screen.getByText(/^Escala 1:/)).toBeInTheDocument();
+  // El panel de la pantalla y la hoja de la orden de trabajo
+  expect(screen.getAllByText(/^Secuencia de Corte \(\d+ pasos\)$/)).toHaveLength(2);
+  fireEvent.click(screen.getByLabelText('Incluir secuencia de corte'));
+  expect(screen.getAllByText(/^Secuencia de Corte \(\d+ pasos\)$/)).toHaveLength(1);
+});
+
+test('switches the interface to English and writes decimals with a comma in Spain', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.change(screen.getByDisplayValue('Español (México)'), { target: { value: 'en-US' } });
+  fireEvent.click(screen.getByText('Calculate Optimization'));
+  expect(screen.getByText('Total Pieces:')).toBeInTheDocument();
+  expect(window.localStorage.getItem('paper-cut-optimizer.locale')).toBe('en-US');
+
+  fireEvent.change(screen.getByDisplayValue('English (US)'), { target: { value: 'es-ES' } });
+  expect(screen.getByDisplayValue('8,5')).toBeInTheDocument();
+  // Lo escrito con coma se guarda con punto: el enlace compartido no depende del idioma
+  fireEvent.change(screen.getByDisplayValue('8,5'), { target: { value: '5,5' } });
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(window.location.search).toMatch(/cw=5.5&/);
+  window.localStorage.clear();
+});
+
+test('flags a field typed with the decimal separator of another locale', () => {
+  window.localStorage.clear();
+  render(<App />);
+  const grip = screen.getByLabelText('Pinza (Grip)');
+  fireEvent.change(grip, { target: { value: '0,5' } });
+  expect(grip).toHaveAttribute('aria-invalid', 'true');
+  expect(screen.getByText('Valor no válido: use "." como separador decimal.')).toBeInTheDocument();
+  fireEvent.change(grip, { target: { value: '0.5' } });
+  expect(grip).toHaveAttribute('aria-invalid', 'false');
+  expect(screen.queryByText(/Valor no válido/)).not.toBeInTheDocument();
+});
+
+test('keeps every calculation to undo, redo and compare side by side', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  fireEvent.change(screen.getByDisplayValue('17.0'), { target: { value: '21' } });
+  fireEvent.change(screen.getByDisplayValue('22.0'), { target: { value: '27' } });
+  fireEvent.click(screen.getByText('Calcular Optimización'));
+  expect(screen.getByText('Historial de Cálculos')).toBeInTheDocument();
+
+  // Deshacer vuelve a los valores y al layout del primer cálculo sin agregar una entrada
+  // (ni en el historial de cálculos ni en el del navegador: solo se reemplaza la URL)
+  const browserEntries = window.history.length;
+  fireEvent.click(screen.getByText('↶ Deshacer'));
+  expect(screen.getByDisplayValue('17.0')).toBeInTheDocument();
+  expect(window.location.search).toMatch(/sw=17.0&sh=22.0/);
+  expect(window.history.length).toBe(browserEntries);
+  expect(screen.getByText('Valores Actualizados')).toBeInTheDocument();
+  expect(screen.getByText('↶ Deshacer')).toBeDisabled();
+  fireEvent.click(screen.getByText('Rehacer ↷'));
+  expect(screen.getByDisplayValue('21')).toBeInTheDocument();
+  expect(screen.getByText('Rehacer ↷')).toBeDisabled();
+
+  fireEvent.click(screen.getByLabelText('Comparar cálculo #1'));
+  fireEvent.click(screen.getByLabelText('Comparar cálculo #2'));
+  const comparison = within(screen.getByLabelText('Comparación de cálculos'));
+  expect(comparison.getByText('17.0 pulg')).toHaveClass('font-semibold');
+  expect(comparison.getByText('27 pulg')).toHaveClass('font-semibold');
+  expect(comparison.getAllByText('8.5 pulg')[0]).not.toHaveClass('font-semibold');
+});
+
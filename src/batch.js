@@ -0,0 +1,158 @@
+/**
+ * Modo lote: varios trabajos importados de un archivo CSV o pegados desde una hoja de cálculo, y la tabla
+ * de resultados exportada de vuelta como CSV. Las medidas se escriben en la unidad seleccionada.
+ */
+
+import { UNITS, parseLength, roundTo } from './engine/index.js';
+import { DEFAULT_LOCALE, createI18n } from './i18n';
+
+/**
+ * Columnas del lote: valor del trabajo y encabezados aceptados (en minúsculas, sin acentos, espacios, guiones
+ * ni guiones bajos). Si el texto no trae fila de encabezados, las columnas se leen en este orden.
+ * Las celdas vacías y las columnas que faltan toman el valor del formulario.
+ */
+export const BATCH_COLUMNS = [
+    { key: 'name', headers: ['nombre', 'trabajo', 'name', 'job'] },
+    { key: 'cutW', headers: ['ancho', 'anchoarte', 'width', 'cutwidth'] },
+    { key: 'cutH', headers: ['largo', 'largoarte', 'alto', 'height', 'length', 'cutheight'] },
+    { key: 'sheetW', headers: ['anchopliego', 'sheetwidth'] },
+    { key: 'sheetH', headers: ['largopliego', 'sheetheight', 'sheetlength'] },
+    { key: 'lateralMargin', headers: ['margen', 'margenlateral', 'margin'] },
+    { key: 'gutterX', headers: ['gutter', 'gutterhorizontal'] },
+    { key: 'gutterY', headers: ['guttervertical'] },
+    { key: 'grip', headers: ['pinza', 'grip'] },
+    { key: 'tail', headers: ['cola', 'tail'] },
+    { key: 'bleed', headers: ['sangrado', 'bleed'] },
+    { key: 'quantity', headers: ['cantidad', 'quantity', 'qty'] },
+];
+
+const LENGTH_KEYS = ['cutW', 'cutH', 'sheetW', 'sheetH', 'lateralMargin', 'gutterX', 'gutterY', 'grip', 'tail', 'bleed'];
+
+const normalizeHeader = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[\s_-]/g, '');
+
+// Separador del texto: el que más aparece en la primera línea (tabulador al pegar celdas, punto y coma o coma)
+const detectDelimiter = (line) => ['\t', ';', ','].reduce((best, delimiter) => (
+    line.split(delimiter).length > line.split(best).length ? delimiter : best
+));
+
+/**
+ * Separa el texto en filas de celdas. Admite celdas entre comillas dobles (con separadores, saltos de línea
+ * o comillas duplicadas dentro) y descarta las filas vacías.
+ */
+const splitRows = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            rows.push([...row, cell]);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    rows.push([...row, cell]);
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Lee los trabajos de un CSV o de celdas pegadas. Devuelve una lista de registros { row, name?, cutW?, ... }
+ * con el texto de cada celda (`row` es el número de trabajo, desde 1). Lanza un error si no hay trabajos.
+ */
+export const parseBatchText = (text) => {
+    const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+    const rows = splitRows(text, detectDelimiter(firstLine));
+    const headerKeys = rows.length > 0
+        ? rows[0].map(cell => (BATCH_COLUMNS.find(column => column.headers.includes(normalizeHeader(cell))) || {}).key)
+        : [];
+    const hasHeader = headerKeys.some(Boolean);
+    const keys = hasHeader ? headerKeys : BATCH_COLUMNS.map(column => column.key);
+
+    const records = rows.slice(hasHeader ? 1 : 0).map((cells, index) => {
+        const record = { row: index + 1 };
+        keys.forEach((key, column) => {
+            const value = (cells[column] || '').trim();
+            if (key && value !== '') record[key] = value;
+        });
+        return record;
+    });
+    if (records.length === 0) throw new Error('El lote no tiene trabajos.');
+    return records;
+};
+
+/**
+ * Convierte los registros del lote en trabajos numéricos para calculateBatch. `defaults` es el trabajo del
+ * formulario (en pulgadas) y `quantity` su cantidad: completan las celdas vacías. Sin gutter vertical,
+ * el gutter se usa en ambas direcciones. Las medidas se leen con el separador decimal `decimal`.
+ * Los trabajos sin nombre quedan con `name` vacío (ver batchJobName).
+ */
+export const buildBatchJobs = (records, unit, defaults, quantity, decimal = '.') => records.map(record => {
+    const job = { ...defaults };
+    LENGTH_KEYS.forEach(key => {
+        if (record[key] !== undefined) job[key] = parseLength(record[key], unit, decimal);
+    });
+    if (record.gutterX !== undefined && record.gutterY === undefined) job.gutterY = job.gutterX;
+    job.gutter = job.gutterX;
+    return {
+        ...job,
+        id: record.row,
+        name: record.name || '',
+        quantity: record.quantity !== undefined ? Math.max(0, parseInt(record.quantity, 10) || 0) : quantity,
+    };
+});
+
+/**
+ * Nombre de un trabajo del lote (o de su fila de resultados) para mostrarlo: el del archivo o, si no trae,
+ * "Trabajo N" en el idioma de `t` (ver createI18n).
+ */
+export const batchJobName = (row, t) => row.name || t('Trabajo {number}', { number: row.id });
+
+// Celda de CSV: entre comillas si trae el separador, comillas o salto de línea
+const csvCell = (value, delimiter) => {
+    const text = String(value);
+    return text.includes(delimiter) || /["\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Tabla de resultados del lote (filas de calculateBatch) como CSV, con las medidas en `unit`, en el idioma de
+ * `i18n` (ver createI18n): encabezados, orientación y errores traducidos, y su separador decimal. Los encabezados
+ * de las medidas son columnas de BATCH_COLUMNS en cualquier idioma, por lo que el archivo se puede volver a importar.
+ * Con coma decimal, las celdas se separan con punto y coma (como lo espera una hoja de cálculo en ese idioma).
+ */
+export const serializeBatchResults = (rows, unit, i18n = createI18n(DEFAULT_LOCALE)) => {
+    const { t, decimal } = i18n;
+    const delimiter = decimal === ',' ? ';' : ',';
+    const length = (inches) => roundTo(inches * UNITS[unit].factor, UNITS[unit].decimals).replace('.', decimal);
+    const lines = [
+        ['Nombre', 'Ancho', 'Largo', 'Ancho Pliego', 'Largo Pliego', 'Cantidad', 'Piezas por Pliego', 'Orientación', 'Columnas x Filas', 'Pliegos', 'Error'].map(header => t(header)),
+        ...rows.map(row => [
+            batchJobName(row, t),
+            length(row.cutW), length(row.cutH), length(row.sheetW), length(row.sheetH),
+            row.quantity,
+            row.total,
+            row.error ? '' : `${t(row.rotated ? 'Rotado' : 'Normal')}${row.mixed ? ` + ${t('Mixto')}` : ''}`,
+            row.error ? '' : `${row.fitW} x ${row.fitH}`,
+            row.sheetsNeeded ?? '',
+            row.error ? i18n.message(row.error) : '',
+        ]),
+    ];
+    return lines.map(cells => cells.map(cell => csvCell(cell, delimiter)).join(delimiter)).join('\n');
+};
@@ -0,0 +1,67 @@
+import { parseBatchText, buildBatchJobs, batchJobName, serializeBatchResults } from './batch';
+import { calculateBatch } from './engine/index.js';
+import { createI18n } from './i18n';
+
+const defaults = { cutW: 8.5, cutH: 11, sheetW: 17, sheetH: 22, lateralMargin: 0.25, gutter: 0, gutterX: 0, gutterY: 0, grip: 0.5, tail: 0.25, bleed: 0, shape: 'rectangle', duplex: 'simplex' };
+
+test('reads a CSV with headers in any order and fills empty cells from the form', () => {
+  const records = parseBatchText('Nombre,Cantidad,Ancho,Largo,Ancho Pliego,Largo Pliego\n"Tarjeta, mate",5000,3.5,2,,\n\nVolante,1000,5.5,8.5,23,35\n');
+  expect(records).toEqual([
+    { row: 1, name: 'Tarjeta, mate', quantity: '5000', cutW: '3.5', cutH: '2' },
+    { row: 2, name: 'Volante', quantity: '1000', cutW: '5.5', cutH: '8.5', sheetW: '23', sheetH: '35' },
+  ]);
+  const [card, flyer] = buildBatchJobs(records, 'in', defaults, 100);
+  expect(card).toMatchObject({ id: 1, name: 'Tarjeta, mate', quantity: 5000, cutW: 3.5, cutH: 2, sheetW: 17, grip: 0.5 });
+  expect(flyer).toMatchObject({ sheetW: 23, sheetH: 35 });
+});
+
+test('reads cells pasted from a spreadsheet without headers in the column order', () => {
+  const records = parseBatchText('Postal\t150\t100\t700\t1000\t5\t3\n');
+  const [job] = buildBatchJobs(records, 'mm', defaults, 250);
+  expect(job.name).toBe('Postal');
+  expect(job.cutW).toBeCloseTo(150 / 25.4);
+  expect(job.sheetH).toBeCloseTo(1000 / 25.4);
+  // El gutter sin gutter vertical se usa en ambas direcciones
+  expect(job.gutterX).toBeCloseTo(3 / 25.4);
+  expect(job.gutterY).toBeCloseTo(3 / 25.4);
+  expect(job.quantity).toBe(250);
+  expect(() => parseBatchText('\n  \n')).toThrow('El lote no tiene trabajos.');
+});
+
+test('exports the results table as CSV that can be imported again', () => {
+  const records = parseBatchText('nombre;ancho;largo;pinza;cola\nCarta;8.5;11;;\nSin ancho;0;11;;\nMárgenes;8.5;11;12;12');
+  const rows = calculateBatch(buildBatchJobs(records, 'in', defaults, 1000));
+  const csv = serializeBatchResults(rows, 'in');
+  const lines = csv.split('\n');
+  expect(lines[0]).toBe('Nombre,Ancho,Largo,Ancho Pliego,Largo Pliego,Cantidad,Piezas por Pliego,Orientación,Columnas x Filas,Pliegos,Error');
+  expect(lines[1]).toBe('Carta,8.5,11,17,22,1000,2,Normal + Mixto,1 x 1,500,');
+  expect(lines[2]).toMatch(/^Sin ancho,0,.*,Las dimensiones deben ser positivas\.$/);
+  expect(lines[3]).toMatch(/demasiado grandes/);
+  expect(parseBatchText(csv)[0]).toMatchObject({ name: 'Carta', cutW: '8.5', sheetH: '22', quantity: '1000' });
+});
+
+test('reads and writes the decimal comma with semicolon-separated cells', () => {
+  const records = parseBatchText('nombre;ancho;largo\nCarta;8,5;11');
+  const jobs = buildBatchJobs(records, 'in', defaults, 1000, ',');
+  expect(jobs[0].cutW).toBe(8.5);
+  const csv = serializeBatchResults(calculateBatch(jobs), 'in', createI18n('es-ES'));
+  expect(csv.split('\n')[1]).toBe('Carta;8,5;11;17;22;1000;2;Normal + Mixto;1 x 1;500;');
+  expect(buildBatchJobs(parseBatchText(csv), 'in', defaults, 0, ',')[0]).toMatchObject({ cutW: 8.5, sheetH: 22, quantity: 1000 });
+});
+
+test('names the unnamed jobs in the selected language', () => {
+  const jobs = buildBatchJobs(parseBatchText('nombre,ancho,largo\n,3.5,2'), 'in', defaults, 100);
+  expect(jobs[0].name).toBe('');
+  expect(batchJobName(jobs[0], createI18n('es-MX').t)).toBe('Trabajo 1');
+  expect(serializeBatchResults(calculateBatch(jobs), 'in', createI18n('en-US')).split('\n')[1]).toMatch(/^Job 1,3.5,2,/);
+});
+
+test('exports the CSV in the selected language and imports it back', () => {
+  const records = parseBatchText('nombre,ancho,largo,pinza,cola\nCarta,8.5,11,,\nMárgenes,8.5,11,12,12');
+  const rows = calculateBatch(buildBatchJobs(records, 'in', defaults, 1000));
+  const lines = serializeBatchResults(rows, 'in', createI18n('en-US')).split('\n');
+  expect(lines[0]).toBe('Name,Width,Length,Sheet Width,Sheet Length,Quantity,Pieces per Sheet,Orientation,Columns x Rows,Sheets,Error');
+  expect(lines[1]).toBe('Carta,8.5,11,17,22,1000,2,Normal + Mixed,1 x 1,500,');
+  expect(lines[2]).toMatch(/,The margins .* too large/);
+  expect(parseBatchText(lines.join('\n'))[0]).toMatchObject({ name: 'Carta', cutW: '8.5', cutH: '11', sheetW: '17', sheetH: '22', quantity: '1000' });
+});
@@ -0,0 +1,137 @@
+/**
+ * Historial de cálculos de la sesión: cada "Calcular Optimización" agrega una entrada con los valores del trabajo
+ * y el layout mostrado. Deshacer y Rehacer recorren las entradas sin borrarlas, y las entradas se pueden
+ * comparar lado a lado marcando los valores que cambian entre ellas.
+ */
+
+import { parseLength } from './engine/index.js';
+
+/**
+ * Entradas que se conservan; al pasar el límite se descartan las más antiguas.
+ */
+export const HISTORY_LIMIT = 30;
+
+// Tipos de trabajo que se imprimen en pliegos (con prensa, posición del bloque y pliego madre)
+const SHEET_MODES = ['single', 'gang', 'book'];
+
+/**
+ * Valores del trabajo que se muestran en la comparación. `kind` indica cómo se comparan:
+ * 'length' (medida en la unidad del trabajo, se compara en pulgadas), 'number', 'choice', 'mode'
+ * (tipo de trabajo: arte único, combinado, rollo o libro), 'items' (artes combinados) o 'repeats'
+ * (cilindros del rollo, en dientes o en repetición). `modes` limita un campo a los tipos de trabajo que lo usan.
+ */
+export const HISTORY_FIELDS = [
+    { key: 'mode', label: 'Modo', kind: 'mode' },
+    { key: 'cutWidth', label: 'Ancho del Arte', kind: 'length' },
+    { key: 'cutHeight', label: 'Largo del Arte', kind: 'length' },
+    { key: 'gangItems', label: 'Artes Combinados', kind: 'items', modes: ['gang'] },
+    { key: 'sheetWidth', label: 'Ancho del Pliego', kind: 'length' },
+    { key: 'sheetHeight', label: 'Largo del Pliego', kind: 'length' },
+    { key: 'pressId', label: 'Prensa', kind: 'choice', modes: SHEET_MODES },
+    { key: 'lateralMargin', label: 'Margen Lateral', kind: 'length' },
+    { key: 'gutter', label: 'Gutter Horizontal', kind: 'length' },
+    { key: 'gutterVertical', label: 'Gutter Vertical', kind: 'length' },
+    { key: 'grip', label: 'Pinza', kind: 'length' },
+    { key: 'tail', label: 'Cola', kind: 'length' },
+    { key: 'bleed', label: 'Sangrado', kind: 'length' },
+    { key: 'alignment', label: 'Posición del Bloque', kind: 'choice', modes: SHEET_MODES },
+    { key: 'shape', label: 'Forma', kind: 'choice' },
+    { key: 'duplex', label: 'Impresión', kind: 'choice' },
+    { key: 'webWidth', label: 'Ancho del Web', kind: 'length', modes: ['roll'] },
+    { key: 'edgeTrim', label: 'Refile de Matriz', kind: 'length', modes: ['roll'] },
+    { key: 'gapAcross', label: 'Gap entre Carriles', kind: 'length', modes: ['roll'] },
+    { key: 'gapAround', label: 'Gap en Avance', kind: 'length', modes: ['roll'] },
+    { key: 'repeats', label: 'Cilindros Disponibles', kind: 'repeats', modes: ['roll'] },
+    { key: 'pageCount', label: 'Páginas', kind: 'number', modes: ['book'] },
+    { key: 'binding', label: 'Encuadernación', kind: 'choice', modes: ['book'] },
+    { key: 'creep', label: 'Creep', kind: 'length', modes: ['book'] },
+    { key: 'parentWidth', label: 'Ancho Madre', kind: 'length', modes: SHEET_MODES },
+    { key: 'parentHeight', label: 'Largo Madre', kind: 'length', modes: SHEET_MODES },
+    { key: 'parentTrim', label: 'Refile', kind: 'length', modes: SHEET_MODES },
+    { key: 'quantity', label: 'Cantidad', kind: 'number' },
+];
+
+/**
+ * Historial vacío: `index` es la entrada que se está mostrando (-1 si no hay ninguna).
+ */
+export const createHistory = () => ({ entries: [], index: -1 });
+
+/**
+ * Tipo de trabajo de unos valores guardados: 'gang', 'roll', 'book' o 'single'.
+ */
+export const historyMode = (values) => {
+    if (values.gangMode) return 'gang';
+    if (values.rollMode) return 'roll';
+    if (values.signatureMode) return 'book';
+    return 'single';
+};
+
+// Valor comparable de un campo: las medidas en pulgadas (redondeadas) para que 17" y 431.8 mm sean iguales
+const comparableValue = (field, values) => {
+    const inches = (text) => parseLength(text, values.unit).toFixed(4);
+    if (field.kind === 'mode') return historyMode(values);
+    if (field.kind === 'length') return inches(values[field.key]);
+    if (field.kind === 'number') return String(parseFloat(values[field.key]) || 0);
+    if (field.kind === 'items') {
+        return JSON.stringify((values.gangItems || []).map(item => [
+            item.name, inches(item.width), inches(item.height), parseInt(item.quantity, 10) || 0, item.canRotate,
+        ]));
+    }
+    if (field.kind === 'repeats') {
+        // Los dientes no tienen unidad; las repeticiones son medidas en la unidad del trabajo
+        // Separados por comas, o por punto y coma con coma decimal (como en el cálculo del rollo)
+        const repeats = String(values.repeats).split(/\s*[,;]\s*/).filter(Boolean);
+        return `${values.repeatInput}:${repeats.map(text => (values.repeatInput === 'length' ? inches(text) : String(parseInt(text, 10) || 0))).join(',')}`;
+    }
+    return String(values[field.key]);
+};
+
+// Misma entrada: mismos valores del trabajo y misma orientación mostrada
+const sameEntry = (a, b) => a.layoutKey === b.layoutKey && JSON.stringify(a.values) === JSON.stringify(b.values);
+
+/**
+ * Agrega una entrada { id, values, layoutKey, ... } al final, numerada en orden (`number`, desde 1), y la deja
+ * como la mostrada. Si repite la entrada mostrada (por ejemplo, al volver a abrir el mismo enlace) no se agrega.
+ * Con más de HISTORY_LIMIT entradas se descartan las más antiguas.
+ */
+export const addHistoryEntry = (history, entry) => {
+    const current = history.entries[history.index];
+    if (current && sameEntry(current, entry)) return history;
+    const last = history.entries[history.entries.length - 1];
+    const entries = [...history.entries, { ...entry, number: last ? last.number + 1 : 1 }].slice(-HISTORY_LIMIT);
+    return { entries, index: entries.length - 1 };
+};
+
+/**
+ * Cambia el layout de la entrada mostrada (al invertir o ver un layout alternativo) sin agregar una entrada,
+ * para que Deshacer y Rehacer vuelvan al layout que se estaba viendo. `changes` es { layoutKey, layout, wastePct }.
+ */
+export const updateShownEntry = (history, changes) => {
+    if (!history.entries[history.index]) return history;
+    const entries = history.entries.map((entry, index) => (index === history.index ? { ...entry, ...changes } : entry));
+    return { ...history, entries };
+};
+
+/**
+ * Entrada a la que lleva Deshacer (`step` = -1) o Rehacer (`step` = 1), o null si no hay más entradas.
+ */
+export const historyTarget = (history, step) => {
+    const index = history.index + step;
+    return index >= 0 && index < history.entries.length ? index : null;
+};
+
+/**
+ * Campos de HISTORY_FIELDS que se comparan entre unas entradas: los comunes y los del tipo de trabajo
+ * de alguna de ellas (por ejemplo, el ancho del web solo si alguna es de rollo).
+ */
+export const comparedFields = (entries) => {
+    const modes = new Set(entries.map(entry => historyMode(entry.values)));
+    return HISTORY_FIELDS.filter(field => !field.modes || field.modes.some(mode => modes.has(mode)));
+};
+
+/**
+ * Claves de comparedFields cuyo valor no es igual en todas las entradas.
+ */
+export const changedFields = (entries) => new Set(comparedFields(entries)
+    .filter(field => new Set(entries.map(entry => comparableValue(field, entry.values))).size > 1)
+    .map(field => field.key));
@@ -0,0 +1,79 @@
+import { HISTORY_LIMIT, createHistory, addHistoryEntry, updateShownEntry, historyTarget, historyMode, comparedFields, changedFields } from './calcHistory';
+
+const values = { unit: 'in', cutWidth: '8.5', cutHeight: '11', sheetWidth: '17', sheetHeight: '22', grip: '0.5', tail: '0.25', shape: 'rectangle', duplex: 'simplex', quantity: '1000', gangMode: false, rollMode: false, signatureMode: false };
+const entry = (id, changes = {}, layoutKey = 'optimal') => ({ id, values: { ...values, ...changes }, layoutKey });
+
+test('adds every calculation and moves between them without dropping any', () => {
+  let history = createHistory();
+  expect(historyTarget(history, -1)).toBeNull();
+  history = addHistoryEntry(history, entry(1));
+  history = addHistoryEntry(history, entry(2, { sheetWidth: '19', sheetHeight: '25' }));
+  expect(history.index).toBe(1);
+  expect(historyTarget(history, 1)).toBeNull();
+  expect(historyTarget(history, -1)).toBe(0);
+
+  // Un cálculo nuevo después de deshacer se agrega al final; las entradas anteriores se conservan
+  history = addHistoryEntry({ ...history, index: 0 }, entry(3, { grip: '0.375' }));
+  expect(history.entries.map(item => item.id)).toEqual([1, 2, 3]);
+  expect(history.entries.map(item => item.number)).toEqual([1, 2, 3]);
+  expect(history.index).toBe(2);
+});
+
+test('ignores a repeated calculation and keeps only the newest entries', () => {
+  let history = addHistoryEntry(createHistory(), entry(1));
+  expect(addHistoryEntry(history, entry(2))).toBe(history);
+  expect(addHistoryEntry(history, entry(2, {}, 'inverted')).entries).toHaveLength(2);
+
+  for (let id = 2; id <= HISTORY_LIMIT + 5; id++) history = addHistoryEntry(history, entry(id, { quantity: String(id) }));
+  expect(history.entries).toHaveLength(HISTORY_LIMIT);
+  expect(history.entries[0]).toMatchObject({ id: 6, number: 6 });
+  expect(history.index).toBe(HISTORY_LIMIT - 1);
+});
+
+test('keeps the layout shown after inverting or viewing an alternative in the shown entry', () => {
+  expect(updateShownEntry(createHistory(), { layoutKey: 'inverted' })).toEqual(createHistory());
+  let history = addHistoryEntry(addHistoryEntry(createHistory(), entry(1)), entry(2, { grip: '0.375' }));
+  history = updateShownEntry({ ...history, index: 0 }, { layoutKey: 'candidate:A-2-3' });
+  expect(history.entries.map(item => item.layoutKey)).toEqual(['candidate:A-2-3', 'optimal']);
+  expect(history.index).toBe(0);
+});
+
+test('lists the fields that differ between the compared entries', () => {
+  const changed = changedFields([
+    entry(1),
+    entry(2, { sheetWidth: '19', sheetHeight: '25', grip: '0.375' }),
+    // Las mismas medidas en otra unidad no cuentan como cambio
+    entry(3, { unit: 'mm', cutWidth: '215.9', cutHeight: '279.4', sheetWidth: '431.8', sheetHeight: '558.8', grip: '12.7', tail: '6.35' }),
+  ]);
+  expect([...changed]).toEqual(['sheetWidth', 'sheetHeight', 'grip']);
+  expect([...changedFields([entry(1), entry(2, { rollMode: true, quantity: '1000.0' })])]).toEqual(['mode']);
+  expect(historyMode({ ...values, signatureMode: true })).toBe('book');
+});
+
+test('compares the inputs of roll, book and gang-run jobs', () => {
+  const roll = { rollMode: true, webWidth: '13', repeats: '96, 104', repeatInput: 'teeth' };
+  expect([...changedFields([entry(1, roll), entry(2, { ...roll, webWidth: '10', repeats: '96,112' })])]).toEqual(['webWidth', 'repeats']);
+  // Con coma decimal la lista se separa con punto y coma
+  expect([...changedFields([entry(1, { ...roll, repeats: '96; 104' }), entry(2, { ...roll, repeats: '96; 112' })])]).toEqual(['repeats']);
+  expect(changedFields([entry(1, roll), entry(2, { ...roll, repeats: '96; 104' })]).size).toBe(0);
+  const semicolons = { ...roll, repeatInput: 'length', repeats: '12; 16' };
+  expect([...changedFields([entry(1, semicolons), entry(2, { ...semicolons, repeats: '12; 20' })])]).toEqual(['repeats']);
+  // Los cilindros por repetición son medidas: 12" y 304.8 mm son el mismo cilindro
+  const byLength = { ...roll, repeatInput: 'length', repeats: '12' };
+  expect(changedFields([entry(1, byLength), entry(2, { ...byLength, unit: 'mm', repeats: '304.8', webWidth: '330.2', cutWidth: '215.9', cutHeight: '279.4', sheetWidth: '431.8', sheetHeight: '558.8', grip: '12.7', tail: '6.35' })]).size).toBe(0);
+
+  const book = { signatureMode: true, pageCount: '16', binding: 'saddle' };
+  expect([...changedFields([entry(1, book), entry(2, { ...book, pageCount: '24', binding: 'perfect', pressId: 'press-1' })])]).toEqual(['pressId', 'pageCount', 'binding']);
+
+  const items = [{ id: 'item-1', name: 'Tarjeta', width: '3.5', height: '2', quantity: '1000', canRotate: true }];
+  const gang = { gangMode: true, gangItems: items };
+  expect([...changedFields([entry(1, gang), entry(2, { ...gang, gangItems: [{ ...items[0], id: 'item-9' }] })])]).toEqual([]);
+  expect([...changedFields([entry(1, gang), entry(2, { ...gang, gangItems: [{ ...items[0], quantity: '2000' }], parentWidth: '25' })])]).toEqual(['gangItems', 'parentWidth']);
+
+  // Los campos de otro tipo de trabajo no se muestran ni se comparan
+  const keys = comparedFields([entry(1), entry(2)]).map(field => field.key);
+  expect(keys).toContain('alignment');
+  expect(keys).not.toContain('webWidth');
+  expect(keys).not.toContain('gangItems');
+  expect([...changedFields([entry(1, { webWidth: '13' }), entry(2, { webWidth: '10' })])]).toEqual([]);
+});
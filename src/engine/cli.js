@@ -0,0 +1,354 @@
+/**
+ * Lógica de la línea de comandos (sin acceso a archivos ni a la consola, para poder probarla).
+ * El ejecutable está en bin/paper-cut-optimizer.mjs.
+ */
+
+import { optimizeLayout, DUPLEX_METHODS, BLOCK_ALIGNMENTS } from './layout.js';
+import { DIE_SHAPES, NESTING_MODES, optimizeDieCutLayout } from './dieCut.js';
+import { gearRepeat, calculateRollLayout } from './roll.js';
+import { BINDING_TYPES, calculateSignatureLayout } from './signature.js';
+import { rankLayoutCandidates } from './planning.js';
+import { UNITS, parseDimension, parseLength, formatLength } from './units.js';
+
+export const HELP_TEXT = `Uso: paper-cut-optimizer [opciones]
+
+Calcula cuántas piezas caben en un pliego de prensa (y en un pliego madre, si se indica).
+
+Opciones:
+  --cut WxH            Medida del arte (ej. 8.5x11 u "8 1/2x11")
+  --sheet WxH          Medida del pliego de prensa (ej. 17x22)
+  --shape rectangle|rounded|circle|oval
+                       Forma del troquel (por defecto: rectangle); en el círculo el ancho de --cut
+                       es el diámetro
+  --radius N           Radio de las esquinas (forma rounded)
+  --die-spacing N      Separación mínima entre líneas de troquel (formas troqueladas)
+  --nesting grid|staggered
+                       Acomodo de las formas troqueladas: cuadrícula o filas escalonadas (por defecto: grid)
+  --margin N           Margen lateral (izquierda/derecha)
+  --gutter N           Espacio entre piezas (columnas y filas)
+  --gutter-x N         Espacio entre columnas (reemplaza a --gutter a lo ancho)
+  --gutter-y N         Espacio entre filas (reemplaza a --gutter a lo alto)
+  --align start|center|guide|gripper
+                       Posición del bloque: contra la cola y el margen izquierdo, centrado,
+                       contra la escuadra lateral o contra la pinza (por defecto: start)
+  --cols N             Fija las columnas del bloque principal y resuelve las filas
+  --rows N             Fija las filas del bloque principal y resuelve las columnas
+  --grip N             Pinza (margen inferior de agarre)
+  --tail N             Cola (margen superior)
+  --bleed N            Sangrado por lado de la pieza
+  --single-cut         Corte sencillo (sangrados compartidos, sin gutter)
+  --parent WxH         Pliego madre del que se cortan los pliegos de prensa
+  --parent-trim N      Refile por borde del pliego madre
+  --grain long|short   Fibra del pliego: larga o corta (por defecto: long)
+  --grain-parallel width|height
+                       Lado del arte que debe quedar paralelo a la fibra (por defecto: sin requisito)
+  --duplex simplex|sheetwise|turn|tumble
+                       Impresión a dos caras: tiro y retiro con dos placas, voltear de lado
+                       o voltear de cabeza (por defecto: simplex, una cara)
+  --web N              Ancho del web: calcula etiquetas en rollo (carriles y vueltas del cilindro)
+                       en lugar de un pliego
+  --repeats L1,L2,...  Repeticiones de los cilindros disponibles (modo rollo)
+  --teeth N1,N2,...    Cilindros disponibles por dientes del engrane (paso 1/8"; modo rollo)
+  --edge-trim N        Refile de matriz en cada borde del web
+  --gap-across N       Gap entre carriles (a lo ancho del web)
+  --gap-around N       Gap mínimo entre etiquetas en avance
+  --quantity N         Etiquetas pedidas, para el largo del rollo
+  --pages N            Páginas del folleto o libro: impone signaturas de 4, 8, 16 o 32 páginas
+                       (--cut es la página refilada)
+  --binding saddle|perfect
+                       Encuadernación: caballete (grapa) o rústica (por defecto: saddle)
+  --creep N            Creep por hoja encajada (caballete)
+  --alternatives N     Lista los N mejores layouts alternativos (piezas, cortes, desperdicio
+                       y mayor sobrante); solo a una cara
+  --unit in|mm|cm      Unidad de las medidas de entrada y del reporte (por defecto: in)
+  --input ARCHIVO      Lee el trabajo desde un archivo JSON ("-" para la entrada estándar)
+  --json               Imprime el resultado completo en JSON (medidas en pulgadas)
+  --help               Muestra esta ayuda
+
+Las opciones de la línea de comandos tienen prioridad sobre los valores del JSON.
+Claves del JSON: cutW, cutH, sheetW, sheetH, lateralMargin, gutter, gutterX, gutterY, grip, tail, bleed,
+singleCut, alignment, fixedCols, fixedRows, sheetGrain, grainParallel, duplex, alternatives, shape, cornerRadius,
+dieSpacing, nesting, webWidth, repeats, teeth, edgeTrim, gapAcross, gapAround, quantity, pageCount, binding, creep, parentW, parentH, parentTrim, unit.`;
+
+// Opciones con valor y la clave del trabajo a la que corresponden
+const VALUE_FLAGS = {
+    '--margin': 'lateralMargin',
+    '--gutter': 'gutter',
+    '--gutter-x': 'gutterX',
+    '--gutter-y': 'gutterY',
+    '--align': 'alignment',
+    '--cols': 'fixedCols',
+    '--rows': 'fixedRows',
+    '--grip': 'grip',
+    '--tail': 'tail',
+    '--bleed': 'bleed',
+    '--parent-trim': 'parentTrim',
+    '--unit': 'unit',
+    '--input': 'input',
+    '--grain': 'sheetGrain',
+    '--grain-parallel': 'grainParallel',
+    '--duplex': 'duplex',
+    '--alternatives': 'alternatives',
+    '--shape': 'shape',
+    '--radius': 'cornerRadius',
+    '--die-spacing': 'dieSpacing',
+    '--nesting': 'nesting',
+    '--web': 'webWidth',
+    '--repeats': 'repeats',
+    '--teeth': 'teeth',
+    '--edge-trim': 'edgeTrim',
+    '--gap-across': 'gapAcross',
+    '--gap-around': 'gapAround',
+    '--quantity': 'quantity',
+    '--pages': 'pageCount',
+    '--binding': 'binding',
+    '--creep': 'creep',
+};
+// Opciones con valor "ANCHOxLARGO" y las claves que completan
+const SIZE_FLAGS = {
+    '--cut': ['cutW', 'cutH'],
+    '--sheet': ['sheetW', 'sheetH'],
+    '--parent': ['parentW', 'parentH'],
+};
+// Opciones con un conjunto cerrado de valores y su valor por defecto
+const CHOICE_KEYS = {
+    sheetGrain: { values: ['long', 'short'], fallback: 'long' },
+    grainParallel: { values: ['any', 'width', 'height'], fallback: 'any' },
+    duplex: { values: DUPLEX_METHODS, fallback: 'simplex' },
+    alignment: { values: BLOCK_ALIGNMENTS, fallback: 'start' },
+    shape: { values: DIE_SHAPES, fallback: 'rectangle' },
+    nesting: { values: NESTING_MODES, fallback: 'grid' },
+    binding: { values: BINDING_TYPES, fallback: 'saddle' },
+};
+// Nombre de cada método de impresión a dos caras para el reporte
+const DUPLEX_LABELS = { sheetwise: 'tiro y retiro', turn: 'voltear de lado', tumble: 'voltear de cabeza' };
+const LENGTH_KEYS = ['cutW', 'cutH', 'sheetW', 'sheetH', 'lateralMargin', 'gutter', 'gutterX', 'gutterY', 'grip', 'tail', 'bleed', 'cornerRadius', 'dieSpacing', 'webWidth', 'edgeTrim', 'gapAcross', 'gapAround', 'creep', 'parentW', 'parentH', 'parentTrim'];
+// Cantidades enteras (0 = sin valor)
+const COUNT_KEYS = ['fixedCols', 'fixedRows', 'alternatives', 'quantity', 'pageCount'];
+// Medidas que, si no se indican, toman el valor de otra
+const LENGTH_FALLBACKS = { gutterX: 'gutter', gutterY: 'gutter' };
+// Nombre de cada lado del pliego para el reporte de franjas sobrantes
+const SIDE_LABELS = { left: 'izquierda', right: 'derecha', top: 'cola', bottom: 'pinza' };
+// Nombre de cada forma troquelada y de cada acomodo para el reporte
+const SHAPE_LABELS = { rounded: 'rectángulo redondeado', circle: 'círculo', oval: 'óvalo' };
+const NESTING_LABELS = { grid: 'cuadrícula', staggered: 'escalonado' };
+// Nombre de cada encuadernación para el reporte
+const BINDING_LABELS = { saddle: 'caballete', perfect: 'rústica' };
+
+/**
+ * Separa una lista "12, 13 1/2" (texto de la línea de comandos o arreglo del JSON) en sus valores.
+ */
+const splitList = (value) => (Array.isArray(value) ? value : String(value).split(/\s*[,;]\s*/)).filter(item => String(item).trim() !== '');
+
+/**
+ * Separa una medida "ANCHOxLARGO" (ej. "8 1/2x11") en sus dos partes.
+ */
+const splitSize = (flag, value) => {
+    const parts = String(value).split(/\s*[xX×]\s*/);
+    if (parts.length !== 2) throw new Error(`${flag} espera una medida ANCHOxLARGO, se recibió "${value}".`);
+    return parts;
+};
+
+/**
+ * Interpreta los argumentos de la línea de comandos. Devuelve { options, json, help };
+ * `options` conserva los valores como texto (se convierten en buildJob).
+ */
+export const parseCliArgs = (argv) => {
+    const options = {};
+    let json = false;
+    let help = false;
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '--json') {
+            json = true;
+        } else if (flag === '--help' || flag === '-h') {
+            help = true;
+        } else if (flag === '--single-cut') {
+            options.singleCut = true;
+        } else if (VALUE_FLAGS[flag] || SIZE_FLAGS[flag]) {
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`Falta el valor de ${flag}.`);
+            if (SIZE_FLAGS[flag]) {
+                const [w, h] = splitSize(flag, value);
+                options[SIZE_FLAGS[flag][0]] = w;
+                options[SIZE_FLAGS[flag][1]] = h;
+            } else {
+                options[VALUE_FLAGS[flag]] = value;
+            }
+        } else {
+            throw new Error(`Opción desconocida: ${flag}`);
+        }
+    }
+    return { options, json, help };
+};
+
+/**
+ * Convierte las opciones (de JSON y/o de la línea de comandos) en un trabajo numérico en pulgadas.
+ * Los valores numéricos del JSON se interpretan en la misma unidad que el texto.
+ */
+export const buildJob = (options) => {
+    const unit = options.unit || 'in';
+    if (!UNITS[unit]) throw new Error(`Unidad no válida: ${unit} (use in, mm o cm).`);
+
+    const job = { unit, singleCut: Boolean(options.singleCut) };
+    Object.entries(CHOICE_KEYS).forEach(([key, { values, fallback }]) => {
+        const value = options[key] ?? fallback;
+        if (!values.includes(value)) throw new Error(`Valor no válido para ${key}: "${value}" (use ${values.join(', ')}).`);
+        job[key] = value;
+    });
+    LENGTH_KEYS.forEach(key => {
+        const value = options[key];
+        if (value !== undefined && value !== '' && Number.isNaN(parseDimension(value))) {
+            throw new Error(`Valor no válido para ${key}: "${value}".`);
+        }
+        job[key] = value === undefined ? 0 : parseLength(value, unit);
+    });
+    COUNT_KEYS.forEach(key => {
+        const value = options[key] ?? 0;
+        if (!/^\d+$/.test(String(value).trim())) throw new Error(`Valor no válido para ${key}: "${value}" (use un número entero).`);
+        job[key] = Number(value);
+    });
+    // Cilindros del modo rollo: por repetición (en la unidad del trabajo) y por dientes del engrane
+    const repeats = splitList(options.repeats ?? []).map(value => {
+        if (Number.isNaN(parseDimension(value))) throw new Error(`Valor no válido para repeats: "${value}".`);
+        return parseLength(value, unit);
+    });
+    const teeth = splitList(options.teeth ?? []).map(value => {
+        if (!/^\d+$/.test(String(value).trim())) throw new Error(`Valor no válido para teeth: "${value}" (use un número entero).`);
+        return gearRepeat(Number(value));
+    });
+    job.repeats = [...repeats, ...teeth];
+    Object.entries(LENGTH_FALLBACKS).forEach(([key, fallbackKey]) => {
+        if (options[key] === undefined) job[key] = job[fallbackKey];
+    });
+    return job;
+};
+
+/**
+ * Ejecuta el optimizador y agrega `best`, el layout óptimo, para facilitar el uso desde scripts.
+ * Con `alternatives` (y a una cara) agrega también los mejores layouts alternativos (ver rankLayoutCandidates).
+ * Las formas troqueladas se calculan con optimizeDieCutLayout (a una cara y sin alternativas) y, con ancho de web,
+ * las etiquetas en rollo con calculateRollLayout y, con número de páginas, las signaturas con calculateSignatureLayout.
+ */
+export const runOptimizer = (job) => {
+    if (job.pageCount > 0) {
+        const result = calculateSignatureLayout(job);
+        return result.error ? result : { ...result, best: result[`layout${result.optimalKey}`], alternatives: null };
+    }
+    if (job.webWidth > 0) {
+        const result = calculateRollLayout(job);
+        return result.error ? result : { ...result, best: result[`layout${result.optimalKey}`], alternatives: null };
+    }
+    const dieCut = job.shape !== undefined && job.shape !== 'rectangle';
+    const result = dieCut ? optimizeDieCutLayout(job) : optimizeLayout(job);
+    if (result.error) return result;
+    const alternatives = !dieCut && job.alternatives > 0 && job.duplex === 'simplex' ? rankLayoutCandidates(job, job.alternatives) : null;
+    return { ...result, best: result[`layout${result.optimalKey}`], alternatives };
+};
+
+/**
+ * Reporte de texto de un trabajo en rollo: carriles, vueltas, cilindro elegido, rendimiento y largo del rollo.
+ */
+const formatRollReport = (result, unit) => {
+    const fmt = (value) => formatLength(value, unit);
+    const describe = (key) => {
+        const layout = result[`layout${key}`];
+        return `${layout.total} etiquetas por repetición — ${layout.rotated ? 'Rotada' : 'Normal'}, ${layout.fitW} carriles x ${layout.fitH} alrededor`;
+    };
+    const { best } = result;
+    const lines = [
+        `Web: ${fmt(result.webWidth)} — refile de matriz ${fmt(result.edgeTrim)}, gap entre carriles ${fmt(result.gapAcross)}`,
+        `Etiqueta: ${fmt(best.cutW)} x ${fmt(best.cutH)}`,
+        `Óptimo (${result.optimalKey}): ${describe(result.optimalKey)}`,
+        `Alternativo (${result.optimalKey === 'A' ? 'B' : 'A'}): ${describe(result.optimalKey === 'A' ? 'B' : 'A')}`,
+        `Cilindro: repetición ${fmt(best.repeat)}, gap real en avance ${fmt(best.gapAround)}`,
+        `Rendimiento: ${best.labelsPerMeter.toFixed(1)} etiquetas/m, ${best.labelsPerFoot.toFixed(1)} etiquetas/pie`,
+    ];
+    if (best.cylinders.length > 1) {
+        lines.push(`Cilindros: ${best.cylinders.map(c => `${fmt(c.repeat)} ${c.labelsPerRepeat} etiquetas (${c.labelsPerMeter.toFixed(1)}/m)`).join(', ')}`);
+    }
+    if (result.quantity > 0) {
+        lines.push(`Rollo: ${fmt(best.rollLength)} (${best.impressions} repeticiones) para ${result.quantity} etiquetas`);
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Reporte de texto de un folleto o libro: signatura elegida, signaturas y pliegos por ejemplar y creep.
+ */
+const formatSignatureReport = (result, unit) => {
+    const fmt = (value) => formatLength(value, unit);
+    const { best, signature } = result;
+    const blanks = result.blankPages > 0 ? ` (${result.blankPages} en blanco)` : '';
+    const lines = [
+        `Pliego: ${fmt(result.sheetW)} x ${fmt(result.sheetH)}`,
+        `Página: ${fmt(best.rotated ? best.cutH : best.cutW)} x ${fmt(best.rotated ? best.cutW : best.cutH)} — ${result.totalPages} páginas${blanks}, ${BINDING_LABELS[result.binding]}`,
+        `Signatura: ${signature.pages} páginas — ${best.rotated ? 'Rotada' : 'Normal'}, ${best.fitW} x ${best.fitH} por cara, ${fmt(best.flatW)} x ${fmt(best.flatH)} extendida`,
+        `Signaturas: ${result.signatures.map(({ pages, count }) => `${count} x ${pages} pp`).join(' + ')} — ${result.sheets} ${result.sheets === 1 ? 'pliego' : 'pliegos'} por ejemplar`,
+    ];
+    if (result.binding === 'saddle' && result.creep > 0) {
+        lines.push(`Creep: ${fmt(result.creep)} por hoja, máximo ${fmt(result.maxCreep)} en las páginas centrales`);
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Reporte de texto del resultado, con las medidas en la unidad del trabajo.
+ */
+export const formatReport = (result, unit) => {
+    if (result.error) return `Error: ${result.error}`;
+    if (result.roll) return formatRollReport(result, unit);
+    if (result.signatureMode) return formatSignatureReport(result, unit);
+    const fmt = (value) => formatLength(value, unit);
+    const describe = (key) => {
+        const layout = result[`layout${key}`];
+        const orientation = layout.rotated ? 'Rotado (H x W)' : 'Normal (W x H)';
+        const extra = layout.mixed ? ` + ${layout.extraPieces} en sobrantes` : '';
+        return `${layout.total} piezas — ${orientation}, ${layout.fitW} x ${layout.fitH}${extra}`;
+    };
+    const alternateKey = result.optimalKey === 'A' ? 'B' : 'A';
+
+    const lines = [
+        `Pliego: ${fmt(result.sheetW)} x ${fmt(result.sheetH)}`,
+        `Arte: ${fmt(result.best.cutW)} x ${fmt(result.best.cutH)}`,
+        `Óptimo (${result.optimalKey}): ${describe(result.optimalKey)}`,
+        `Alternativo (${alternateKey}): ${describe(alternateKey)}`,
+    ];
+    if (result.grainRotation !== null) {
+        const fiber = result.sheetGrain === 'long' ? 'larga' : 'corta';
+        const side = result.grainParallel === 'width' ? 'ancho' : 'largo';
+        lines.push(`Fibra: ${fiber}, paralela al ${side} del arte (el alternativo va contra la fibra)`);
+    }
+    if (result.gutterX !== result.gutterY) {
+        lines.push(`Gutter: ${fmt(result.gutterX)} entre columnas, ${fmt(result.gutterY)} entre filas`);
+    }
+    if (result.best.wasteStrips.length > 0) {
+        const strips = result.best.wasteStrips.map(strip => `${SIDE_LABELS[strip.side]} ${fmt(strip.w)} x ${fmt(strip.h)}`);
+        lines.push(`Sobrantes: ${strips.join(', ')}`);
+    }
+    if (result.shape && result.shape !== 'rectangle') {
+        const { grid, staggered } = result.nestingTotals;
+        const radius = result.shape === 'rounded' ? `, radio ${fmt(result.cornerRadius)}` : '';
+        lines.push(`Troquel: ${SHAPE_LABELS[result.shape]}${radius}, separación ${fmt(result.dieSpacing)}, acomodo ${NESTING_LABELS[result.nesting]} (cuadrícula ${grid}, escalonado ${staggered} piezas)`);
+    }
+    if (result.duplex && result.duplex !== 'simplex') {
+        lines.push(`Dos caras: ${DUPLEX_LABELS[result.duplex]}, ${result.plates} ${result.plates === 1 ? 'placa' : 'placas'} (piezas terminadas por pliego)`);
+    }
+    if (result.alternatives) {
+        lines.push('Alternativas:');
+        result.alternatives.forEach(({ rank, layout, cuts, wastePct, largestOffcut, strips }) => {
+            const extra = layout.mixed ? ` + ${layout.extraPieces} en sobrantes (${strips.map(({ cols, rows }) => `${cols} x ${rows}`).join(' + ')})` : '';
+            const offcut = largestOffcut ? `, mayor sobrante ${SIDE_LABELS[largestOffcut.side]} ${fmt(largestOffcut.w)} x ${fmt(largestOffcut.h)}` : '';
+            lines.push(`  ${rank}. ${layout.total} piezas — ${layout.rotated ? 'Rotado' : 'Normal'}, ${layout.fitW} x ${layout.fitH}${extra}; ${cuts} cortes, desperdicio ${wastePct.toFixed(1)} %${offcut}`);
+        });
+    }
+    if (result.parent) {
+        if (result.parent.error) {
+            lines.push(`Pliego madre: ${result.parent.error}`);
+        } else {
+            lines.push(`Pliego madre: ${fmt(result.parent.parentW)} x ${fmt(result.parent.parentH)} — ${result.parent.sheetsPerParent} pliegos, ${result.parent.sheetsPerParent * result.best.total} piezas`);
+        }
+    }
+    return lines.join('\n');
+};
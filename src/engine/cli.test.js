@@ -0,0 +1,113 @@
+import { parseCliArgs, buildJob, runOptimizer, formatReport } from './cli.js';
+
+test('parseCliArgs reads sizes, values and switches', () => {
+  const { options, json, help } = parseCliArgs(['--cut', '8 1/2x11', '--sheet', '17X22', '--gutter', '0.125', '--single-cut', '--json']);
+  expect(options).toEqual({ cutW: '8 1/2', cutH: '11', sheetW: '17', sheetH: '22', gutter: '0.125', singleCut: true });
+  expect(json).toBe(true);
+  expect(help).toBe(false);
+  expect(parseCliArgs(['-h']).help).toBe(true);
+});
+
+test('parseCliArgs rejects unknown flags and malformed values', () => {
+  expect(() => parseCliArgs(['--foo'])).toThrow(/desconocida/);
+  expect(() => parseCliArgs(['--cut'])).toThrow(/Falta el valor/);
+  expect(() => parseCliArgs(['--cut', '8.5'])).toThrow(/ANCHOxLARGO/);
+});
+
+test('buildJob converts every length to inches', () => {
+  const job = buildJob({ unit: 'mm', cutW: '215.9', cutH: 279.4, sheetW: '431.8', sheetH: '558.8' });
+  expect(job.cutW).toBeCloseTo(8.5);
+  expect(job.cutH).toBeCloseTo(11);
+  expect(job.gutter).toBe(0);
+  expect(() => buildJob({ unit: 'ft' })).toThrow(/Unidad no válida/);
+  expect(() => buildJob({ cutW: 'ocho' })).toThrow(/Valor no válido/);
+});
+
+test('runOptimizer and formatReport describe the best layout and the parent sheet', () => {
+  const result = runOptimizer(buildJob({ cutW: '8.5', cutH: '11', sheetW: '17', sheetH: '22', parentW: '35', parentH: '45' }));
+  expect(result.best.total).toBe(4);
+  const report = formatReport(result, 'in');
+  expect(report).toContain('Pliego: 17" x 22"');
+  expect(report).toContain('Óptimo (A): 4 piezas');
+  expect(report).toContain('Pliego madre: 35" x 45" — 4 pliegos, 16 piezas');
+  expect(formatReport(runOptimizer(buildJob({ cutW: '0' })), 'in')).toMatch(/^Error:/);
+});
+
+test('buildJob and formatReport handle the grain requirement', () => {
+  const { options } = parseCliArgs(['--cut', '11x8.5', '--sheet', '17x22', '--grain', 'short', '--grain-parallel', 'width']);
+  const job = buildJob(options);
+  expect(job).toMatchObject({ sheetGrain: 'short', grainParallel: 'width' });
+  expect(formatReport(runOptimizer(job), 'in')).toContain('Fibra: corta, paralela al ancho del arte');
+  expect(buildJob({})).toMatchObject({ sheetGrain: 'long', grainParallel: 'any' });
+  expect(() => buildJob({ grainParallel: 'diagonal' })).toThrow(/grainParallel/);
+});
+
+test('buildJob and formatReport handle duplex printing', () => {
+  const { options } = parseCliArgs(['--cut', '4x6', '--sheet', '17x22', '--duplex', 'turn']);
+  const result = runOptimizer(buildJob(options));
+  expect(result.plates).toBe(1);
+  expect(formatReport(result, 'in')).toContain('Dos caras: voltear de lado, 1 placa');
+  expect(buildJob({}).duplex).toBe('simplex');
+  expect(() => buildJob({ duplex: 'both' })).toThrow(/duplex/);
+});
+
+test('buildJob and formatReport handle separate gutters, alignment and waste strips', () => {
+  const { options } = parseCliArgs(['--cut', '4x3', '--sheet', '17x22', '--gutter', '0.25', '--gutter-y', '0', '--align', 'center']);
+  const job = buildJob(options);
+  expect(job).toMatchObject({ gutter: 0.25, gutterX: 0.25, gutterY: 0, alignment: 'center' });
+  const report = formatReport(runOptimizer(job), 'in');
+  expect(report).toContain('Gutter: 0.25" entre columnas, 0" entre filas');
+  expect(report).toMatch(/Sobrantes: izquierda .*, derecha /);
+  expect(() => buildJob({ alignment: 'top' })).toThrow(/alignment/);
+});
+
+test('buildJob and formatReport handle fixed columns and alternative layouts', () => {
+  const { options } = parseCliArgs(['--cut', '4x3', '--sheet', '17x22', '--gutter', '0.125', '--cols', '3', '--alternatives', '2']);
+  const job = buildJob(options);
+  expect(job).toMatchObject({ fixedCols: 3, fixedRows: 0, alternatives: 2 });
+  const result = runOptimizer(job);
+  expect(result.best.fitW).toBe(3);
+  expect(result.alternatives).toHaveLength(2);
+  const report = formatReport(result, 'in');
+  expect(report).toContain('Alternativas:');
+  expect(report).toMatch(/ {2}1\. \d+ piezas — .*; \d+ cortes, desperdicio [\d.]+ %, mayor sobrante /);
+  expect(runOptimizer(buildJob({ ...options, duplex: 'turn' })).alternatives).toBeNull();
+  expect(() => buildJob({ fixedRows: '2.5' })).toThrow(/fixedRows/);
+});
+
+test('buildJob and formatReport handle die-cut shapes and staggered nesting', () => {
+  const { options } = parseCliArgs(['--cut', '2x2', '--sheet', '17x22', '--margin', '0.25', '--grip', '0.5', '--tail', '0.25', '--shape', 'circle', '--die-spacing', '0.125', '--nesting', 'staggered']);
+  const job = buildJob(options);
+  expect(job).toMatchObject({ shape: 'circle', nesting: 'staggered', dieSpacing: 0.125, cornerRadius: 0 });
+  const result = runOptimizer(job);
+  expect(result.best.total).toBe(77);
+  expect(formatReport(result, 'in')).toContain('Troquel: círculo, separación 0.125", acomodo escalonado (cuadrícula 70, escalonado 77 piezas)');
+  expect(buildJob({}).shape).toBe('rectangle');
+  expect(() => buildJob({ shape: 'star' })).toThrow(/shape/);
+});
+
+test('buildJob and formatReport handle roll labels', () => {
+  const { options } = parseCliArgs(['--cut', '3x2', '--web', '13', '--edge-trim', '0.25', '--gap-across', '0.125', '--gap-around', '0.125', '--repeats', '12', '--teeth', '104', '--quantity', '10000']);
+  const job = buildJob(options);
+  expect(job).toMatchObject({ webWidth: 13, repeats: [12, 13], quantity: 10000 });
+  const result = runOptimizer(job);
+  expect(result.best).toMatchObject({ fitW: 4, fitH: 6, repeat: 13 });
+  const report = formatReport(result, 'in');
+  expect(report).toContain('Óptimo (A): 24 etiquetas por repetición — Normal, 4 carriles x 6 alrededor');
+  expect(report).toContain('Cilindro: repetición 13"');
+  expect(report).toContain('Rollo: 5421" (417 repeticiones) para 10000 etiquetas');
+  expect(buildJob({ repeats: [12, '13 1/2'] }).repeats).toEqual([12, 13.5]);
+  expect(() => buildJob({ teeth: '96.5' })).toThrow(/teeth/);
+});
+
+test('buildJob and formatReport handle booklet signatures', () => {
+  const { options } = parseCliArgs(['--cut', '5.5x8.5', '--sheet', '23x35', '--margin', '0.25', '--grip', '0.5', '--tail', '0.25', '--bleed', '0.125', '--pages', '22', '--creep', '0.004']);
+  const job = buildJob(options);
+  expect(job).toMatchObject({ pageCount: 22, binding: 'saddle', creep: 0.004 });
+  const report = formatReport(runOptimizer(job), 'in');
+  expect(report).toContain('Página: 5.5" x 8.5" — 24 páginas (2 en blanco), caballete');
+  expect(report).toContain('Signatura: 16 páginas — Normal, 4 x 2 por cara');
+  expect(report).toContain('Signaturas: 1 x 16 pp + 1 x 8 pp — 2 pliegos por ejemplar');
+  expect(report).toContain('Creep: 0.004" por hoja, máximo 0.02"');
+  expect(() => buildJob({ binding: 'spiral' })).toThrow(/binding/);
+});
@@ -0,0 +1,136 @@
+/**
+ * Programa de corte en guillotina para el operador, a partir de las piezas de un layout.
+ */
+
+const CUT_EPSILON = 1e-6;
+// Lado de la pila que queda contra la escuadra (back gauge), en grados, para calcular los giros
+const GAUGE_EDGE_ANGLE = { top: 0, right: 90, bottom: 180, left: 270 };
+
+/**
+ * Busca los espacios libres (líneas de corte posibles) entre las piezas a lo largo de un eje.
+ * Un espacio de ancho cero es un corte sencillo; uno con ancho (gutter/sangrado) es un doble corte.
+ */
+const findCutGaps = (pieces, axis) => {
+    const intervals = pieces
+        .map(p => (axis === 'y' ? [p.y, p.y + p.h] : [p.x, p.x + p.w]))
+        .sort((a, b) => a[0] - b[0]);
+    const gaps = [];
+    let currentEnd = intervals[0][1];
+    intervals.slice(1).forEach(([start, end]) => {
+        if (start >= currentEnd - CUT_EPSILON) gaps.push([currentEnd, Math.max(currentEnd, start)]);
+        currentEnd = Math.max(currentEnd, end);
+    });
+    return gaps;
+};
+
+/**
+ * Genera el programa de corte en guillotina para el layout mostrado: primero se refilan Pinza, Cola y
+ * márgenes laterales, luego se cortan las tiras y finalmente las piezas. El gutter se saca con doble corte.
+ * Las pilas idénticas (por ejemplo, todas las tiras de una cuadrícula) se cortan juntas una sola vez.
+ * Cada paso indica la medida de escuadra: la distancia entre la cuchilla y la escuadra (parte que se conserva).
+ */
+export const calculateCutSequence = (layout) => {
+    const steps = [];
+
+    const addStep = (stack, step) => {
+        const angle = GAUGE_EDGE_ANGLE[step.gaugeEdge];
+        const turnDegrees = stack.angle === null ? 0 : (angle - stack.angle + 360) % 360;
+        stack.angle = angle;
+        steps.push({
+            number: steps.length + 1,
+            stackLabel: stack.label,
+            count: stack.count,
+            turn: turnDegrees === 0 ? null : (turnDegrees === 180 ? 'Girar 180°' : 'Girar 90°'),
+            rect: { ...stack.rect },
+            ...step,
+        });
+    };
+
+    const signature = (rect, pieces) => [
+        (rect.x1 - rect.x0).toFixed(4), (rect.y1 - rect.y0).toFixed(4),
+        ...pieces
+            .map(p => `${(p.x - rect.x0).toFixed(4)},${(p.y - rect.y0).toFixed(4)},${p.w.toFixed(4)},${p.h.toFixed(4)},${p.itemIndex ?? ''}`)
+            .sort(),
+    ].join('|');
+
+    const processStack = (rect, pieces, count, label, isSheet) => {
+        const stack = { rect: { ...rect }, count, label, angle: null };
+
+        // 1. Refilar los sobrantes alrededor de las piezas (en el pliego: Pinza, Cola y márgenes laterales)
+        const bbox = {
+            x0: Math.min(...pieces.map(p => p.x)), x1: Math.max(...pieces.map(p => p.x + p.w)),
+            y0: Math.min(...pieces.map(p => p.y)), y1: Math.max(...pieces.map(p => p.y + p.h)),
+        };
+        const trims = [
+            { side: 'y1', name: isSheet ? 'Refilar Pinza' : 'Refilar sobrante inferior', axis: 'y', gaugeEdge: 'top', apply: () => ({ gauge: bbox.y1 - stack.rect.y0, position: bbox.y1 }) },
+            { side: 'y0', name: isSheet ? 'Refilar Cola' : 'Refilar sobrante superior', axis: 'y', gaugeEdge: 'bottom', apply: () => ({ gauge: stack.rect.y1 - bbox.y0, position: bbox.y0 }) },
+            { side: 'x0', name: isSheet ? 'Refilar Margen Izquierdo' : 'Refilar sobrante izquierdo', axis: 'x', gaugeEdge: 'right', apply: () => ({ gauge: stack.rect.x1 - bbox.x0, position: bbox.x0 }) },
+            { side: 'x1', name: isSheet ? 'Refilar Margen Derecho' : 'Refilar sobrante derecho', axis: 'x', gaugeEdge: 'left', apply: () => ({ gauge: bbox.x1 - stack.rect.x0, position: bbox.x1 }) },
+        ];
+        trims.forEach(trim => {
+            if (Math.abs(stack.rect[trim.side] - bbox[trim.side]) <= CUT_EPSILON) return;
+            const { gauge, position } = trim.apply();
+            addStep(stack, { kind: 'trim', action: trim.name, axis: trim.axis, gaugeEdge: trim.gaugeEdge, gauge, position });
+            stack.rect[trim.side] = bbox[trim.side];
+        });
+
+        if (pieces.length === 1) return;
+
+        // 2. Cortes de tiras (horizontales) y, cuando ya no hay tiras, cortes de piezas (verticales)
+        let axis = 'y';
+        let gaps = findCutGaps(pieces, 'y');
+        if (gaps.length === 0) {
+            axis = 'x';
+            gaps = findCutGaps(pieces, 'x');
+        }
+        if (gaps.length === 0) {
+            addStep(stack, { kind: 'note', action: 'Sin corte de guillotina posible para estas piezas', axis, gaugeEdge: 'bottom', gauge: 0, position: null });
+            return;
+        }
+
+        const start = axis === 'y' ? stack.rect.y0 : stack.rect.x0;
+        const end = axis === 'y' ? stack.rect.y1 : stack.rect.x1;
+        const gaugeEdge = axis === 'y' ? 'bottom' : 'right';
+        const cutName = axis === 'y' ? 'Corte de tira' : 'Corte de pieza';
+        const segments = [];
+        let segmentStart = start;
+        gaps.forEach(([a, b]) => {
+            addStep(stack, { kind: 'cut', action: cutName, axis, gaugeEdge, gauge: end - a, position: a });
+            if (b - a > CUT_EPSILON) {
+                addStep(stack, { kind: 'gutter', action: 'Doble corte (sacar gutter)', axis, gaugeEdge, gauge: end - b, position: b });
+            }
+            segments.push([segmentStart, a]);
+            segmentStart = b;
+        });
+        segments.push([segmentStart, end]);
+
+        // 3. Agrupar las pilas resultantes idénticas y cortarlas juntas
+        const groups = [];
+        segments.forEach(([s0, s1]) => {
+            const subRect = axis === 'y'
+                ? { x0: stack.rect.x0, x1: stack.rect.x1, y0: s0, y1: s1 }
+                : { x0: s0, x1: s1, y0: stack.rect.y0, y1: stack.rect.y1 };
+            const subPieces = pieces.filter(p => (axis === 'y'
+                ? p.y >= s0 - CUT_EPSILON && p.y + p.h <= s1 + CUT_EPSILON
+                : p.x >= s0 - CUT_EPSILON && p.x + p.w <= s1 + CUT_EPSILON));
+            if (subPieces.length === 0) return;
+            const key = signature(subRect, subPieces);
+            const group = groups.find(g => g.key === key);
+            if (group) {
+                group.count += 1;
+            } else {
+                groups.push({ key, rect: subRect, pieces: subPieces, count: 1 });
+            }
+        });
+        const noun = axis === 'y' ? 'Tira' : 'Columna';
+        groups.forEach((group, index) => {
+            const groupLabel = `${noun} ${groups.length > 1 ? String.fromCharCode(65 + index) : ''}`.trim();
+            processStack(group.rect, group.pieces, count * group.count, `${label} › ${groupLabel}`, false);
+        });
+    };
+
+    if (!layout || !layout.pieces || layout.pieces.length === 0) return steps;
+    processStack({ x0: 0, y0: 0, x1: layout.sheetW, y1: layout.sheetH }, layout.pieces, 1, 'Pliego', true);
+    return steps;
+};
+
@@ -0,0 +1,31 @@
+import { calculateCutSequence } from './cutSequence.js';
+import { calculateSheetLayout } from './layout.js';
+
+const sheetLayout = (job) => {
+  const result = calculateSheetLayout({ sheetW: 17, sheetH: 22, lateralMargin: 0, gutter: 0, grip: 0, tail: 0, ...job });
+  return { ...result[`layout${result.optimalKey}`], sheetW: result.sheetW, sheetH: result.sheetH };
+};
+
+test('trims the margins before cutting strips and pieces', () => {
+  const steps = calculateCutSequence(sheetLayout({ cutW: 8, cutH: 10, lateralMargin: 0.5, grip: 1, tail: 1 }));
+  expect(steps.slice(0, 4).map(s => s.action)).toEqual([
+    'Refilar Pinza', 'Refilar Cola', 'Refilar Margen Izquierdo', 'Refilar Margen Derecho',
+  ]);
+  expect(steps[0].gauge).toBe(21);
+  // 2 x 2 piezas: un corte de tira y luego un corte de pieza para las 2 tiras juntas
+  const cuts = steps.filter(s => s.kind === 'cut');
+  expect(cuts.map(s => [s.action, s.count])).toEqual([['Corte de tira', 1], ['Corte de pieza', 2]]);
+  expect(steps.map(s => s.number)).toEqual(steps.map((_, i) => i + 1));
+});
+
+test('removes the gutter with a double cut', () => {
+  const steps = calculateCutSequence(sheetLayout({ cutW: 8, cutH: 10, gutter: 0.25 }));
+  const gutterSteps = steps.filter(s => s.kind === 'gutter');
+  expect(gutterSteps.length).toBeGreaterThan(0);
+  gutterSteps.forEach(s => expect(s.action).toBe('Doble corte (sacar gutter)'));
+});
+
+test('returns no steps without pieces', () => {
+  expect(calculateCutSequence(null)).toEqual([]);
+  expect(calculateCutSequence({ pieces: [], sheetW: 17, sheetH: 22 })).toEqual([]);
+});
@@ -0,0 +1,210 @@
+/**
+ * Formas troqueladas (círculos, óvalos y rectángulos redondeados) y su acomodo en el pliego:
+ * en cuadrícula recta o en filas escalonadas (hexagonal), donde cada fila se corre media pieza
+ * para encajar entre las piezas de la fila anterior. Todas las medidas están en pulgadas.
+ */
+
+import { calculateFit, calculateSheetLayout, calculateParentLayout, calculateWasteStrips, alignLayout } from './layout.js';
+
+/**
+ * Formas del arte: rectángulo (sin troquel especial), rectángulo con esquinas redondeadas, círculo y óvalo.
+ * En el círculo el ancho del arte es el diámetro.
+ */
+export const DIE_SHAPES = ['rectangle', 'rounded', 'circle', 'oval'];
+
+/**
+ * Acomodos de las piezas: cuadrícula recta o filas escalonadas (hexagonal).
+ */
+export const NESTING_MODES = ['grid', 'staggered'];
+
+// Lados del polígono con el que se aproxima el óvalo para medir distancias
+const OVAL_SEGMENTS = 720;
+// Iteraciones de la bisección del paso entre filas escalonadas
+const PITCH_ITERATIONS = 50;
+
+/**
+ * Área de la forma troquelada de w x h (con `radius` de esquina en el rectángulo redondeado).
+ */
+export const calculateShapeArea = (shape, w, h, radius = 0) => {
+    if (shape === 'circle' || shape === 'oval') return (Math.PI * w * h) / 4;
+    if (shape === 'rounded') return w * h - (4 - Math.PI) * radius * radius;
+    return w * h;
+};
+
+// Distancia de (x, y) a un segmento
+const segmentDistance = (x, y, [ax, ay], [bx, by]) => {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const t = Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / (dx * dx + dy * dy)));
+    return Math.hypot(x - ax - t * dx, y - ay - t * dy);
+};
+
+/**
+ * Distancia de un punto (x, y) al borde de la forma de w x h centrada en el origen (negativa si el punto está dentro).
+ * El rectángulo y el círculo son rectángulos redondeados (radio 0 y radio igual a medio diámetro); el óvalo se
+ * aproxima con un polígono de OVAL_SEGMENTS lados.
+ */
+const shapeDistance = (shape, w, h, radius, x, y) => {
+    if (shape === 'oval') {
+        const points = Array.from({ length: OVAL_SEGMENTS }, (_, i) => {
+            const angle = (2 * Math.PI * i) / OVAL_SEGMENTS;
+            return [(w / 2) * Math.cos(angle), (h / 2) * Math.sin(angle)];
+        });
+        const distance = Math.min(...points.map((point, i) => segmentDistance(x, y, point, points[(i + 1) % points.length])));
+        return (2 * x / w) ** 2 + (2 * y / h) ** 2 < 1 ? -distance : distance;
+    }
+    const r = shape === 'circle' ? w / 2 : (shape === 'rounded' ? radius : 0);
+    const qx = Math.abs(x) - (w / 2 - r);
+    const qy = Math.abs(y) - (h / 2 - r);
+    return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - r;
+};
+
+/**
+ * Paso vertical entre filas escalonadas de piezas de w x h separadas por `spacing` entre troqueles,
+ * con cada fila corrida medio paso horizontal (w + spacing) / 2.
+ *
+ * Dos copias de una forma convexa y simétrica desplazadas un vector v quedan a la distancia de v a la forma
+ * al doble de tamaño: se busca (por bisección) el menor desplazamiento vertical que deja `spacing` entre ellas.
+ * Las filas de la misma fase (una de por medio) tampoco pueden tocarse: el paso es al menos (h + spacing) / 2.
+ */
+export const staggeredRowPitch = (shape, w, h, radius, spacing) => {
+    const dx = (w + spacing) / 2;
+    let low = 0;
+    let high = h + spacing;
+    for (let i = 0; i < PITCH_ITERATIONS; i++) {
+        const mid = (low + high) / 2;
+        if (shapeDistance(shape, 2 * w, 2 * h, 2 * radius, dx, mid) >= spacing) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    return Math.max(high, (h + spacing) / 2);
+};
+
+/**
+ * Filas escalonadas a lo ancho de un área de usableW x usableH: las filas pares empiezan contra el borde
+ * y las impares corridas medio paso. Devuelve { total, perRow, rows, pitch, positions } con las posiciones
+ * (esquina superior izquierda) relativas al origen del área.
+ */
+const buildStaggeredRows = (usableW, usableH, w, h, shape, radius, spacing) => {
+    const pitchX = w + spacing;
+    const pitchY = staggeredRowPitch(shape, w, h, radius, spacing);
+    // Number.EPSILON para corregir problemas de precisión de coma flotante (como en calculateFit)
+    const rows = usableH >= h ? Math.floor((usableH - h) / pitchY + Number.EPSILON) + 1 : 0;
+    const perRow = [calculateFit(usableW, w, spacing), calculateFit(usableW - pitchX / 2, w, spacing)];
+    const positions = [];
+    for (let row = 0; row < rows; row++) {
+        const offset = row % 2 === 0 ? 0 : pitchX / 2;
+        for (let i = 0; i < perRow[row % 2]; i++) positions.push({ x: offset + i * pitchX, y: row * pitchY });
+    }
+    return { total: positions.length, perRow: perRow[0], rows, pitch: pitchY, positions };
+};
+
+/**
+ * Layout escalonado de una orientación de la pieza (w x h) en el área útil. Se prueban las filas escalonadas
+ * a lo ancho (`staggerAxis` 'x') y a lo alto ('y', columnas escalonadas) y se conserva la que da más piezas.
+ */
+const buildStaggeredLayout = (area, w, h, rotated, shape, radius, spacing) => {
+    const across = buildStaggeredRows(area.usableW, area.usableH, w, h, shape, radius, spacing);
+    // Columnas escalonadas: las mismas filas en el área traspuesta
+    const along = buildStaggeredRows(area.usableH, area.usableW, h, w, shape, radius, spacing);
+    const staggerAxis = along.total > across.total ? 'y' : 'x';
+    const best = staggerAxis === 'x' ? across : along;
+    const pieces = best.positions.map(({ x, y }) => ({
+        x: area.originX + (staggerAxis === 'x' ? x : y),
+        y: area.originY + (staggerAxis === 'x' ? y : x),
+        w,
+        h,
+        rotated,
+    }));
+
+    return {
+        total: best.total,
+        fitW: staggerAxis === 'x' ? best.perRow : best.rows,
+        fitH: staggerAxis === 'x' ? best.rows : best.perRow,
+        rotated,
+        cutW: w,
+        cutH: h,
+        mixed: false,
+        extraPieces: 0,
+        blocks: [],
+        pieces,
+        staggerAxis,
+        rowPitch: best.pitch,
+    };
+};
+
+/**
+ * Calcula los layouts A (normal) y B (rotado) de un arte troquelado. Además de los valores de calculateSheetLayout
+ * recibe `shape` (uno de DIE_SHAPES), `cornerRadius` (rectángulo redondeado), `dieSpacing` (separación mínima entre
+ * líneas de troquel) y `nesting` (uno de NESTING_MODES).
+ *
+ * La separación entre troqueles reemplaza al gutter y es al menos el doble del sangrado, para que el sangrado de
+ * una pieza no invada a su vecina. En cuadrícula se usa calculateSheetLayout (con sobrantes rotados); en filas
+ * escalonadas las piezas no forman bloques. Cada pieza lleva `shape` y `cornerRadius` para el croquis y
+ * `nestingTotals` compara las piezas del layout óptimo en ambos acomodos.
+ */
+export const calculateDieCutLayout = (job) => {
+    const { shape = 'rectangle', nesting = 'grid', cornerRadius = 0, dieSpacing = 0, cutW: CW, bleed: BL = 0, alignment = 'start' } = job;
+    const CH = shape === 'circle' ? CW : job.cutH;
+    const radius = shape === 'rounded' ? cornerRadius : 0;
+    const spacing = Math.max(dieSpacing, 2 * BL);
+    const die = { shape, nesting, cornerRadius: radius, dieSpacing: spacing, bleed: BL };
+
+    // La cuadrícula valida el trabajo y aporta el área útil, la fibra y los datos del pliego
+    const grid = calculateSheetLayout({ ...job, cutH: CH, gutter: spacing, gutterX: spacing, gutterY: spacing, bleed: 0, singleCut: false });
+    if (grid.error) return { ...grid, ...die };
+    if (radius < 0 || 2 * radius > Math.min(CW, CH)) {
+        return { ...grid, ...die, optimalKey: null, error: "El radio de esquina no puede ser mayor que la mitad del lado menor del arte." };
+    }
+
+    const { sheetW: SW, sheetH: SH, lateralMargin: LM, grip, tail, grainRotation: requiredRotation } = grid;
+    const area = { usableW: SW - 2 * LM, usableH: SH - grip - tail, originX: LM, originY: tail };
+    const pieceArea = calculateShapeArea(shape, CW, CH, radius);
+    const finish = (layout) => {
+        const pieces = layout.pieces.map(p => ({ ...p, shape, cornerRadius: radius }));
+        return { ...layout, pieces, pieceArea, wasteStrips: calculateWasteStrips(pieces, SW, SH, BL) };
+    };
+
+    const staggered = {
+        layoutA: {
+            ...alignLayout(buildStaggeredLayout(area, CW, CH, false, shape, radius, spacing), area, alignment),
+            grainViolation: requiredRotation === true,
+        },
+        layoutB: {
+            ...alignLayout(buildStaggeredLayout(area, CH, CW, true, shape, radius, spacing), area, alignment),
+            grainViolation: requiredRotation === false,
+        },
+    };
+    const staggeredKey = requiredRotation === null
+        ? (staggered.layoutA.total >= staggered.layoutB.total ? 'A' : 'B')
+        : (requiredRotation ? 'B' : 'A');
+
+    const chosen = nesting === 'staggered' ? { ...staggered, optimalKey: staggeredKey } : grid;
+    return {
+        ...grid,
+        layoutA: finish(chosen.layoutA),
+        layoutB: finish(chosen.layoutB),
+        optimalKey: chosen.optimalKey,
+        ...die,
+        gutter: spacing,
+        nestingTotals: {
+            grid: grid[`layout${grid.optimalKey}`].total,
+            staggered: staggered[`layout${staggeredKey}`].total,
+        },
+    };
+};
+
+/**
+ * Equivalente de optimizeLayout para artes troquelados: layouts A/B y, si se indica un pliego madre, cuántos
+ * pliegos de prensa salen de cada uno.
+ */
+export const optimizeDieCutLayout = ({ parentW = 0, parentH = 0, parentTrim = 0, ...job }) => {
+    const result = calculateDieCutLayout(job);
+    if (result.error) return result;
+    const parent = parentW > 0 && parentH > 0
+        ? calculateParentLayout(parentW, parentH, parentTrim, job.sheetW, job.sheetH)
+        : null;
+    return { ...result, parent };
+};
@@ -0,0 +1,61 @@
+import { calculateShapeArea, staggeredRowPitch, calculateDieCutLayout, optimizeDieCutLayout } from './dieCut.js';
+
+const job = {
+  cutW: 2, cutH: 2, sheetW: 17, sheetH: 22,
+  lateralMargin: 0.25, grip: 0.5, tail: 0.25, shape: 'circle', dieSpacing: 0.125,
+};
+const optimal = (result) => result[`layout${result.optimalKey}`];
+
+describe('shape geometry', () => {
+  test('measures the area of each shape', () => {
+    expect(calculateShapeArea('circle', 2, 2)).toBeCloseTo(Math.PI);
+    expect(calculateShapeArea('oval', 4, 2)).toBeCloseTo(2 * Math.PI);
+    expect(calculateShapeArea('rounded', 3, 2, 0.5)).toBeCloseTo(6 - (4 - Math.PI) * 0.25);
+    expect(calculateShapeArea('rectangle', 3, 2)).toBe(6);
+  });
+
+  test('nests staggered rows by the shape outline', () => {
+    // Círculos tangentes: filas a sqrt(3)/2 del paso entre centros
+    expect(staggeredRowPitch('circle', 1, 1, 0, 0)).toBeCloseTo(Math.sqrt(3) / 2, 6);
+    expect(staggeredRowPitch('circle', 1, 1, 0, 0.2)).toBeCloseTo(1.2 * Math.sqrt(3) / 2, 6);
+    expect(staggeredRowPitch('oval', 2, 1, 0, 0)).toBeCloseTo(Math.sqrt(3) / 2, 4);
+    // Los rectángulos no encajan entre sí: el paso es el de la cuadrícula
+    expect(staggeredRowPitch('rectangle', 2, 1, 0, 0.1)).toBeCloseTo(1.1, 6);
+  });
+});
+
+describe('calculateDieCutLayout', () => {
+  test('fits more circles in staggered rows than in a straight grid', () => {
+    const grid = calculateDieCutLayout({ ...job, nesting: 'grid' });
+    const staggered = calculateDieCutLayout({ ...job, nesting: 'staggered' });
+    expect(optimal(grid).total).toBe(70);
+    expect(optimal(staggered)).toMatchObject({ total: 77, fitW: 7, fitH: 11, staggerAxis: 'x', blocks: [] });
+    expect(staggered.nestingTotals).toEqual({ grid: 70, staggered: 77 });
+    expect(optimal(staggered).pieces[0]).toMatchObject({ shape: 'circle', cornerRadius: 0 });
+    expect(optimal(staggered).pieceArea).toBeCloseTo(Math.PI);
+  });
+
+  test('keeps the die spacing between every pair of staggered circles', () => {
+    const { pieces } = optimal(calculateDieCutLayout({ ...job, nesting: 'staggered' }));
+    const centers = pieces.map(p => [p.x + p.w / 2, p.y + p.h / 2]);
+    const closest = Math.min(...centers.flatMap(([x1, y1], i) => centers.slice(i + 1).map(([x2, y2]) => Math.hypot(x2 - x1, y2 - y1))));
+    expect(closest).toBeGreaterThanOrEqual(2.125 - 1e-9);
+    expect(pieces.every(p => p.x >= 0.25 && p.x + p.w <= 16.75 && p.y >= 0.25 && p.y + p.h <= 21.5)).toBe(true);
+  });
+
+  test('widens the spacing to fit the bleed of both neighbours', () => {
+    const result = calculateDieCutLayout({ ...job, dieSpacing: 0, bleed: 0.125 });
+    expect(result).toMatchObject({ dieSpacing: 0.25, gutter: 0.25, bleed: 0.125 });
+  });
+
+  test('rejects a corner radius larger than half the shorter side', () => {
+    const result = calculateDieCutLayout({ ...job, shape: 'rounded', cutH: 1, cornerRadius: 0.75 });
+    expect(result.error).toMatch(/radio de esquina/);
+    expect(calculateDieCutLayout({ ...job, shape: 'rounded', cutH: 1, cornerRadius: 0.5 }).error).toBeNull();
+  });
+
+  test('adds the parent sheet like optimizeLayout', () => {
+    const result = optimizeDieCutLayout({ ...job, parentW: 35, parentH: 45, parentTrim: 0 });
+    expect(result.parent.sheetsPerParent).toBe(4);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Trabajos combinados (gang-run): varios artes con su cantidad en un mismo pliego, con cortes de guillotina.
+ */
+
+import { sheetGrainAxis, grainRotation, calculateWasteStrips } from './layout.js';
+
+/**
+ * Empaqueta piezas en un rectángulo usando solo cortes de guillotina (lista de rectángulos libres,
+ * "best area fit" y división por el eje sobrante más corto). Las medidas de las piezas ya incluyen el gutter.
+ * Devuelve las piezas colocadas o null si alguna no cabe.
+ */
+export const packGuillotine = (usableW, usableH, pieces) => {
+    let freeRects = [{ x: 0, y: 0, w: usableW, h: usableH }];
+    const placed = [];
+
+    for (const piece of pieces) {
+        const orientations = [{ w: piece.w, h: piece.h, rotated: false }];
+        if (piece.canRotate && piece.w !== piece.h) orientations.push({ w: piece.h, h: piece.w, rotated: true });
+
+        let best = null;
+        freeRects.forEach((rect, index) => {
+            orientations.forEach(o => {
+                if (o.w <= rect.w + Number.EPSILON && o.h <= rect.h + Number.EPSILON) {
+                    const score = rect.w * rect.h - o.w * o.h;
+                    if (!best || score < best.score) best = { index, score, ...o };
+                }
+            });
+        });
+        if (!best) return null;
+
+        const rect = freeRects[best.index];
+        placed.push({ x: rect.x, y: rect.y, w: best.w, h: best.h, rotated: best.rotated, itemIndex: piece.itemIndex });
+
+        // División de guillotina: el sobrante más grande conserva el lado completo del rectángulo libre
+        const restW = rect.w - best.w;
+        const restH = rect.h - best.h;
+        const splits = restW < restH
+            ? [{ x: rect.x + best.w, y: rect.y, w: restW, h: best.h }, { x: rect.x, y: rect.y + best.h, w: rect.w, h: restH }]
+            : [{ x: rect.x + best.w, y: rect.y, w: restW, h: rect.h }, { x: rect.x, y: rect.y + best.h, w: best.w, h: restH }];
+        freeRects = [
+            ...freeRects.slice(0, best.index),
+            ...splits.filter(r => r.w > Number.EPSILON && r.h > Number.EPSILON),
+            ...freeRects.slice(best.index + 1),
+        ];
+    }
+    return placed;
+};
+
+/**
+ * Calcula un trabajo combinado (gang-run): varios artes con su cantidad en un mismo pliego.
+ * Busca la menor cantidad de pliegos S para la que caben ceil(cantidad / S) piezas de cada arte,
+ * empaquetadas con cortes de guillotina. `items` trae valores numéricos en pulgadas:
+ * [{ name, width, height, quantity, canRotate }]; `job` trae el pliego, márgenes, gutter, sangrado y fibra.
+ * Con requisito de fibra, todas las piezas van en la orientación que exige la fibra (no se rotan libremente).
+ */
+export const calculateGangLayout = (items, { sheetW: SW, sheetH: SH, lateralMargin: LM, gutter = 0, gutterX = gutter, gutterY = gutter, grip, tail, bleed: BL = 0, sheetGrain = 'long', grainParallel = 'any' }) => {
+    // Las celdas se rotan al empaquetar, por lo que se usa un solo gutter: el mayor de los dos
+    const GT = Math.max(gutterX, gutterY);
+    const requiredRotation = grainRotation(SW, SH, sheetGrain, grainParallel);
+    const base = {
+        gang: true, items, sheets: 0, total: 0, pieces: [], blocks: [], rotated: false, error: null,
+        sheetGrain, grainParallel, grainAxis: sheetGrainAxis(SW, SH, sheetGrain), grainRotation: requiredRotation,
+    };
+
+    if (SW <= 0 || SH <= 0 || items.length === 0 || items.some(item => item.width <= 0 || item.height <= 0 || item.quantity <= 0)) {
+        return { ...base, error: "Las dimensiones y cantidades de todos los artes deben ser positivas." };
+    }
+    if (tail + grip >= SH || 2 * LM >= SW) {
+        return { ...base, error: "Los márgenes o pinza/cola son demasiado grandes para el pliego." };
+    }
+
+    // Área útil ampliada por un gutter para que cada pieza pueda ocupar (celda + gutter)
+    const usableW = SW - 2 * LM + GT;
+    const usableH = SH - tail - grip + GT;
+    const cells = items.map(item => (requiredRotation
+        ? { w: item.height + 2 * BL + GT, h: item.width + 2 * BL + GT }
+        : { w: item.width + 2 * BL + GT, h: item.height + 2 * BL + GT }));
+    const canRotate = (item) => item.canRotate && requiredRotation === null;
+
+    const tryPack = (sheets) => {
+        const pieces = [];
+        items.forEach((item, itemIndex) => {
+            const count = Math.ceil(item.quantity / sheets);
+            for (let n = 0; n < count; n++) pieces.push({ ...cells[itemIndex], canRotate: canRotate(item), itemIndex });
+        });
+        // Primero las piezas más grandes
+        pieces.sort((a, b) => Math.max(b.w, b.h) - Math.max(a.w, a.h) || b.w * b.h - a.w * a.h);
+        return packGuillotine(usableW, usableH, pieces);
+    };
+
+    // Con una pieza de cada arte por pliego se obtiene el máximo de pliegos; si ni así cabe, no hay solución
+    let high = Math.max(...items.map(item => item.quantity));
+    let bestPlacement = tryPack(high);
+    if (!bestPlacement) {
+        return { ...base, error: "Los artes no caben juntos en el pliego (ni una pieza de cada uno)." };
+    }
+
+    // Búsqueda binaria de la menor cantidad de pliegos, partiendo de la cota inferior por área
+    const neededArea = cells.reduce((sum, cell, i) => sum + cell.w * cell.h * items[i].quantity, 0);
+    let low = Math.max(1, Math.ceil(neededArea / (usableW * usableH)));
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        const placement = tryPack(mid);
+        if (placement) {
+            high = mid;
+            bestPlacement = placement;
+        } else {
+            low = mid + 1;
+        }
+    }
+    const sheets = high;
+
+    // Coordenadas reales: origen después de la Cola y el Margen Izquierdo; cada pieza se reduce a su caja de corte
+    const pieces = bestPlacement.map(p => ({
+        x: LM + p.x + BL,
+        y: tail + p.y + BL,
+        w: p.w - GT - 2 * BL,
+        h: p.h - GT - 2 * BL,
+        rotated: p.rotated !== Boolean(requiredRotation),
+        itemIndex: p.itemIndex,
+    }));
+
+    const results = items.map((item, itemIndex) => {
+        const perSheet = pieces.filter(p => p.itemIndex === itemIndex).length;
+        return { ...item, perSheet, produced: perSheet * sheets, overs: perSheet * sheets - item.quantity };
+    });
+
+    return { ...base, items: results, sheets, total: pieces.length, pieces, wasteStrips: calculateWasteStrips(pieces, SW, SH, BL) };
+};
+
@@ -0,0 +1,45 @@
+import { packGuillotine, calculateGangLayout } from './gang.js';
+
+const job = { sheetW: 17, sheetH: 22, lateralMargin: 0, gutter: 0, grip: 0, tail: 0 };
+
+describe('packGuillotine', () => {
+  test('packs pieces that exactly fill the area', () => {
+    const pieces = Array.from({ length: 4 }, (_, itemIndex) => ({ w: 5, h: 5, itemIndex }));
+    expect(packGuillotine(10, 10, pieces)).toHaveLength(4);
+  });
+
+  test('rotates pieces only when allowed', () => {
+    expect(packGuillotine(10, 4, [{ w: 4, h: 10, itemIndex: 0 }])).toBeNull();
+    const placed = packGuillotine(10, 4, [{ w: 4, h: 10, canRotate: true, itemIndex: 0 }]);
+    expect(placed[0]).toMatchObject({ x: 0, y: 0, w: 10, h: 4, rotated: true });
+  });
+});
+
+describe('calculateGangLayout', () => {
+  test('finds the fewest sheets that cover every quantity', () => {
+    const items = [
+      { name: 'A', width: 8.5, height: 11, quantity: 1000, canRotate: true },
+      { name: 'B', width: 8.5, height: 11, quantity: 500, canRotate: true },
+    ];
+    const result = calculateGangLayout(items, job);
+    // Caben 4 piezas por pliego, pero con menos de 500 pliegos harían falta 3 + 2 = 5 piezas por pliego
+    expect(result.error).toBeNull();
+    expect(result.sheets).toBe(500);
+    result.items.forEach(item => expect(item.produced).toBeGreaterThanOrEqual(item.quantity));
+    expect(result.items.map(item => item.perSheet)).toEqual([2, 1]);
+  });
+
+  test('keeps every piece in the orientation the grain requires', () => {
+    const items = [{ name: 'Tapa', width: 6, height: 9, quantity: 10, canRotate: true }];
+    // Fibra larga vertical: el ancho paralelo a la fibra obliga a rotar todas las piezas
+    const result = calculateGangLayout(items, { ...job, sheetGrain: 'long', grainParallel: 'width' });
+    expect(result.grainRotation).toBe(true);
+    result.pieces.forEach(p => expect(p).toMatchObject({ rotated: true, w: 9, h: 6 }));
+  });
+
+  test('reports items that cannot share the sheet', () => {
+    const items = [{ name: 'A', width: 20, height: 30, quantity: 10, canRotate: true }];
+    expect(calculateGangLayout(items, job).error).toMatch(/no caben/);
+    expect(calculateGangLayout([], job).error).toMatch(/positivas/);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * API pública del optimizador de corte. Es JavaScript puro (sin React ni DOM),
+ * por lo que se usa tanto desde la aplicación como desde Node (ver bin/paper-cut-optimizer.mjs).
+ */
+
+export {
+    calculateFit,
+    buildBestLayout,
+    BLOCK_ALIGNMENTS,
+    calculateWasteStrips,
+    sheetGrainAxis,
+    grainRotation,
+    calculateSheetLayout,
+    calculateLayoutCandidates,
+    calculateParentLayout,
+    DUPLEX_METHODS,
+    calculateDuplexLayout,
+    optimizeLayout,
+} from './layout.js';
+export { DIE_SHAPES, NESTING_MODES, calculateShapeArea, staggeredRowPitch, calculateDieCutLayout, optimizeDieCutLayout } from './dieCut.js';
+export { GEAR_PITCH, gearRepeat, calculateRollLength, calculateRollLayout } from './roll.js';
+export { BINDING_TYPES, SIGNATURE_SIZES, GRIND_OFF, foldSignature, calculateSignatureLayout } from './signature.js';
+export { packGuillotine, calculateGangLayout } from './gang.js';
+export { rankSheetCatalog, calculateBatch, rankLayoutCandidates, calculateJobCost, calculateSheetWaste } from './planning.js';
+export { calculateCutSequence } from './cutSequence.js';
+export { checkPressLimits } from './press.js';
+export { UNITS, parseDimension, parseLength, roundTo, formatNumber, formatLength, formatArea, convertInputValue } from './units.js';
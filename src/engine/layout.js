@@ -0,0 +1,503 @@
+/**
+ * Motor de cálculo del layout: cuántas piezas caben en un pliego (normal, rotado o mixto)
+ * y cuántos pliegos de prensa salen de un pliego madre. Todas las medidas están en pulgadas.
+ */
+
+/**
+ * Calcula cuántas piezas (N) caben en una dimensión, considerando el gutter entre ellas.
+ */
+export const calculateFit = (usableLength, pieceLength, gutterLength) => {
+    if (pieceLength + gutterLength <= 0 || usableLength <= 0) return 0;
+    // Number.EPSILON para corregir problemas de precisión de coma flotante.
+    return Math.floor((usableLength + gutterLength) / (pieceLength + gutterLength) + Number.EPSILON);
+};
+
+/**
+ * Eje de la fibra en el pliego ('x' = horizontal, 'y' = vertical) según su dirección de fibra:
+ * 'long' (fibra larga, paralela al lado largo) o 'short' (fibra corta, paralela al lado corto).
+ */
+export const sheetGrainAxis = (sheetW, sheetH, sheetGrain) => ((sheetGrain === 'short') === (sheetW >= sheetH) ? 'y' : 'x');
+
+/**
+ * Orientación que exige la fibra: false si las piezas deben ir normales (W x H), true si deben ir rotadas
+ * y null si el trabajo no exige dirección de fibra. `grainParallel` es el lado del arte que debe quedar
+ * paralelo a la fibra: 'width' | 'height' | 'any'.
+ */
+export const grainRotation = (sheetW, sheetH, sheetGrain, grainParallel) => {
+    if (grainParallel !== 'width' && grainParallel !== 'height') return null;
+    // Sin rotar, el ancho del arte va a lo largo del eje x del pliego
+    const axis = sheetGrainAxis(sheetW, sheetH, sheetGrain);
+    return (grainParallel === 'width') === (axis === 'y');
+};
+
+/**
+ * Genera un bloque (cuadrícula uniforme) de piezas con sus coordenadas en pulgadas,
+ * medidas desde la esquina superior izquierda del pliego. `gutterX` separa las columnas y `gutterY` las filas.
+ */
+export const buildBlock = (x, y, cols, rows, pieceW, pieceH, gutterX, gutterY, rotated) => {
+    const pieces = [];
+    for (let i = 0; i < cols; i++) {
+        for (let j = 0; j < rows; j++) {
+            pieces.push({ x: x + i * (pieceW + gutterX), y: y + j * (pieceH + gutterY), w: pieceW, h: pieceH, rotated });
+        }
+    }
+    return { block: { x, y, cols, rows, w: pieceW, h: pieceH, gutterX, gutterY, rotated }, pieces };
+};
+
+/**
+ * Enumera los planes de layout con un bloque principal en una orientación y los sobrantes
+ * (franja derecha e inferior) rellenados con piezas en la orientación contraria: primero la cuadrícula uniforme
+ * máxima y luego cada bloque principal, de mayor a menor, con los dos órdenes de corte de guillotina
+ * (primero vertical o primero horizontal). Con `allowMixed` en false solo se devuelve la cuadrícula uniforme.
+ *
+ * `fixed` ({ cols, rows }, 0 = libre) fija las columnas o filas del bloque principal; si no caben en el área
+ * el único plan es uno vacío. Cada plan es { total, cols, rows, strips: [{ x, y, cols, rows }] }.
+ */
+const enumerateLayoutPlans = (area, mainW, mainH, allowMixed = true, fixed = {}) => {
+    const { usableW, usableH, gutter = 0, gutterX: GX = gutter, gutterY: GY = gutter } = area;
+    const fitCols = calculateFit(usableW, mainW, GX);
+    const fitRows = calculateFit(usableH, mainH, GY);
+    const { cols: fixedCols = 0, rows: fixedRows = 0 } = fixed;
+    if (fixedCols > fitCols || fixedRows > fitRows) return [{ total: 0, cols: 0, rows: 0, strips: [] }];
+    const maxCols = fixedCols || fitCols;
+    const maxRows = fixedRows || fitRows;
+    // Dimensiones de la pieza en la orientación contraria (para los sobrantes)
+    const altW = mainH;
+    const altH = mainW;
+
+    const plans = [{ total: maxCols * maxRows, cols: maxCols, rows: maxRows, strips: [] }];
+
+    // Se recorre de mayor a menor para que, en caso de empate, se prefiera el bloque principal más grande
+    for (let cols = maxCols; allowMixed && cols >= (fixedCols || 1); cols--) {
+        for (let rows = maxRows; rows >= (fixedRows || 1); rows--) {
+            // Espacio sobrante a la derecha y abajo del bloque principal (incluye el gutter de separación)
+            const restW = usableW - cols * (mainW + GX);
+            const restH = usableH - rows * (mainH + GY);
+            const blockW = cols * (mainW + GX) - GX;
+            const blockH = rows * (mainH + GY) - GY;
+
+            // Opción 1: Corte vertical primero (franja derecha a todo lo alto, franja inferior bajo el bloque)
+            // Opción 2: Corte horizontal primero (franja inferior a todo lo ancho, franja derecha junto al bloque)
+            const options = [
+                { right: { w: restW, h: usableH }, bottom: { w: blockW, h: restH } },
+                { right: { w: restW, h: blockH }, bottom: { w: usableW, h: restH } },
+            ];
+
+            for (const { right, bottom } of options) {
+                const strips = [];
+                if (right.w > 0) {
+                    strips.push({
+                        x: cols * (mainW + GX), y: 0,
+                        cols: calculateFit(right.w, altW, GX), rows: calculateFit(right.h, altH, GY),
+                    });
+                }
+                if (bottom.h > 0) {
+                    strips.push({
+                        x: 0, y: rows * (mainH + GY),
+                        cols: calculateFit(bottom.w, altW, GX), rows: calculateFit(bottom.h, altH, GY),
+                    });
+                }
+                const total = cols * rows + strips.reduce((sum, s) => sum + s.cols * s.rows, 0);
+                plans.push({ total, cols, rows, strips: strips.filter(s => s.cols * s.rows > 0) });
+            }
+        }
+    }
+    return plans;
+};
+
+/**
+ * Construye los bloques y las piezas (con sus coordenadas reales) de un plan de enumerateLayoutPlans.
+ */
+const buildPlannedLayout = (area, mainW, mainH, rotated, plan) => {
+    const { gutter = 0, gutterX: GX = gutter, gutterY: GY = gutter, originX, originY } = area;
+    const main = buildBlock(originX, originY, plan.cols, plan.rows, mainW, mainH, GX, GY, rotated);
+    const blocks = [main.block];
+    const pieces = [...main.pieces];
+    plan.strips.forEach(s => {
+        const strip = buildBlock(originX + s.x, originY + s.y, s.cols, s.rows, mainH, mainW, GX, GY, !rotated);
+        blocks.push(strip.block);
+        pieces.push(...strip.pieces);
+    });
+
+    return {
+        total: plan.total,
+        fitW: plan.cols,
+        fitH: plan.rows,
+        rotated,
+        cutW: mainW,
+        cutH: mainH,
+        mixed: blocks.length > 1,
+        extraPieces: plan.total - plan.cols * plan.rows, // Piezas en orientación contraria en los sobrantes
+        blocks,
+        pieces,
+    };
+};
+
+/**
+ * Encuentra el mejor layout con un bloque principal en una orientación y los sobrantes
+ * (franja derecha e inferior) rellenados con piezas en la orientación contraria.
+ * Se prueban los dos órdenes de corte de guillotina: primero vertical o primero horizontal.
+ * Con `allowMixed` en false solo se usa la cuadrícula uniforme (todas las piezas en la misma orientación),
+ * y `fixed` ({ cols, rows }) fija las columnas o filas del bloque principal (ver enumerateLayoutPlans).
+ *
+ * `area` describe el espacio disponible: { usableW, usableH, gutterX, gutterY, originX, originY }
+ * (con `gutter` se usa el mismo espacio entre columnas y entre filas).
+ */
+export const buildBestLayout = (area, mainW, mainH, rotated, allowMixed = true, fixed = {}) => {
+    // En caso de empate se conserva el primer plan (la cuadrícula uniforme o el bloque principal más grande)
+    const best = enumerateLayoutPlans(area, mainW, mainH, allowMixed, fixed)
+        .reduce((current, plan) => (plan.total > current.total ? plan : current));
+    return buildPlannedLayout(area, mainW, mainH, rotated, best);
+};
+
+/**
+ * Posiciones del bloque de piezas en el área útil:
+ * - start: contra la Cola y el margen izquierdo (los sobrantes quedan a la derecha y hacia la Pinza).
+ * - center: centrado en el área útil.
+ * - guide: contra la escuadra lateral (izquierda), centrado a lo alto.
+ * - gripper: contra la Pinza (abajo), centrado a lo ancho.
+ */
+export const BLOCK_ALIGNMENTS = ['start', 'center', 'guide', 'gripper'];
+
+// Tolerancia (pulgadas) para no reportar franjas sobrantes sin ancho real
+const WASTE_EPSILON = 0.001;
+
+/**
+ * Desplaza las piezas y bloques de un layout (calculado desde el origen del área) según la posición elegida.
+ * 'tail' (contra la Cola, centrado a lo ancho) solo se usa internamente para la mitad superior en voltear de cabeza.
+ * También lo usa el acomodo escalonado de formas troqueladas (dieCut.js).
+ */
+export const alignLayout = (layout, area, alignment) => {
+    if (alignment === 'start' || layout.pieces.length === 0) return layout;
+    const freeW = area.usableW - (Math.max(...layout.pieces.map(p => p.x + p.w)) - area.originX);
+    const freeH = area.usableH - (Math.max(...layout.pieces.map(p => p.y + p.h)) - area.originY);
+    const dx = alignment === 'guide' ? 0 : freeW / 2;
+    const dy = alignment === 'gripper' ? freeH : (alignment === 'tail' ? 0 : freeH / 2);
+    const shift = (rect) => ({ ...rect, x: rect.x + dx, y: rect.y + dy });
+    return { ...layout, blocks: layout.blocks.map(shift), pieces: layout.pieces.map(shift) };
+};
+
+/**
+ * Franjas sobrantes del pliego alrededor de las piezas (con su sangrado), tal como quedan al refilar:
+ * primero las laterales a todo lo alto y luego la superior (Cola) e inferior (Pinza) a lo ancho de las piezas.
+ * Incluyen los márgenes. Devuelve [{ side: 'left' | 'right' | 'top' | 'bottom', x, y, w, h }] en pulgadas.
+ */
+export const calculateWasteStrips = (pieces, sheetW, sheetH, bleed = 0) => {
+    if (pieces.length === 0) return [];
+    const minX = Math.min(...pieces.map(p => p.x)) - bleed;
+    const maxX = Math.max(...pieces.map(p => p.x + p.w)) + bleed;
+    const minY = Math.min(...pieces.map(p => p.y)) - bleed;
+    const maxY = Math.max(...pieces.map(p => p.y + p.h)) + bleed;
+    return [
+        { side: 'left', x: 0, y: 0, w: minX, h: sheetH },
+        { side: 'right', x: maxX, y: 0, w: sheetW - maxX, h: sheetH },
+        { side: 'top', x: minX, y: 0, w: maxX - minX, h: minY },
+        { side: 'bottom', x: minX, y: maxY, w: maxX - minX, h: sheetH - maxY },
+    ].filter(strip => strip.w > WASTE_EPSILON && strip.h > WASTE_EPSILON);
+};
+
+/**
+ * Valida un trabajo sobre un pliego de prensa y prepara lo común a calculateSheetLayout y
+ * calculateLayoutCandidates: el área útil, el tamaño de celda de cada pieza, la conversión de celdas en cajas
+ * de corte, la orientación exigida por la fibra y los datos del resultado. Con un trabajo inválido devuelve { error }
+ * con el resultado de error.
+ */
+const prepareSheetJob = ({ cutW: CW, cutH: CH, sheetW: SW, sheetH: SH, lateralMargin: LM, gutter: GT = 0, gutterX: GX = GT, gutterY: GY = GT, grip, tail, bleed: BL = 0, singleCut = false, sheetGrain = 'long', grainParallel = 'any', alignment = 'start', fixedCols = 0, fixedRows = 0 }) => {
+    // NOTA IMPORTANTE: Para la imprenta, la Pinza (Grip) típicamente va en la parte de abajo (Tail)
+    // y la Cola (Tail) va en la parte de arriba (Grip).
+    // Se ha invertido el uso de las variables G y T para reflejar esto en la UI y el cálculo:
+    // G = Margen Superior (Cola)
+    // T = Margen Inferior (Pinza o Grip)
+    const T_calc = grip;  // Pinza (Grip) se usa como Margen Inferior
+    const G_calc = tail;  // Cola (Tail) se usa como Margen Superior
+
+    // Asegurar dimensiones positivas y margen mínimo
+    if (CW <= 0 || CH <= 0 || SW <= 0 || SH <= 0) {
+      return { error: { optimalKey: null, error: "Las dimensiones deben ser positivas.", sheetW: SW, sheetH: SH, grip: T_calc, lateralMargin: LM, gutter: GT, tail: G_calc, bleed: BL, singleCut } };
+    }
+    // Verificación de espacio mínimo disponible (Ancho: 2*LM; Alto: G_calc + T_calc)
+    if (G_calc + T_calc >= SH || 2 * LM >= SW) {
+        return { error: { optimalKey: null, error: "Los márgenes o pinza/cola son demasiado grandes para el pliego.", sheetW: SW, sheetH: SH, grip: T_calc, lateralMargin: LM, gutter: GT, tail: G_calc, bleed: BL, singleCut } };
+    }
+
+    // 1. Área Útil para el tendido de piezas (excluyendo márgenes exteriores)
+    const effectiveW = SW - 2 * LM;     // Ancho utilizable
+    const effectiveH = SH - G_calc - T_calc; // Alto utilizable (entre Cola y Pinza)
+
+    // 2. Parámetros del área útil para el tendido (origen: después de la Cola y el Margen Izquierdo)
+    // En corte sencillo el sangrado solo se reserva en el contorno del área; en corte doble va en cada pieza.
+    const area = singleCut
+        ? { usableW: effectiveW - 2 * BL, usableH: effectiveH - 2 * BL, gutterX: 0, gutterY: 0, originX: LM + BL, originY: G_calc + BL }
+        : { usableW: effectiveW, usableH: effectiveH, gutterX: GX, gutterY: GY, originX: LM, originY: G_calc };
+    const cellSize = (length) => (singleCut ? length : length + 2 * BL);
+
+    // Ubica el bloque y convierte las celdas calculadas (cajas de sangrado en corte doble) en cajas de corte
+    const toTrimBoxes = (layout, trimW, trimH) => {
+        const inset = singleCut ? 0 : BL;
+        const aligned = alignLayout(layout, area, alignment);
+        const pieces = aligned.pieces.map(p => ({ ...p, x: p.x + inset, y: p.y + inset, w: p.w - 2 * inset, h: p.h - 2 * inset }));
+        return {
+            ...aligned,
+            cutW: trimW,
+            cutH: trimH,
+            pieces,
+            wasteStrips: calculateWasteStrips(pieces, SW, SH, BL),
+        };
+    };
+
+    // Orientación exigida por la fibra (null si no hay requisito): la orientación permitida no lleva sobrantes rotados
+    const requiredRotation = grainRotation(SW, SH, sheetGrain, grainParallel);
+    const grain = { sheetGrain, grainParallel, grainAxis: sheetGrainAxis(SW, SH, sheetGrain), grainRotation: requiredRotation };
+
+    // Orientaciones de la pieza: A (normal, W x H) y B (rotada 90 grados, H x W), con su celda y su caja de corte
+    const orientations = {
+        A: { rotated: false, mainW: cellSize(CW), mainH: cellSize(CH), trimW: CW, trimH: CH },
+        B: { rotated: true, mainW: cellSize(CH), mainH: cellSize(CW), trimW: CH, trimH: CW },
+    };
+
+    // Los valores de grip y tail devueltos son los originales para fines de visualización en la UI
+    const summary = {
+        sheetW: SW, sheetH: SH,
+        grip, 
+        lateralMargin: LM, 
+        gutter: GT, 
+        gutterX: GX,
+        gutterY: GY,
+        tail,
+        bleed: BL,
+        singleCut,
+        alignment,
+        fixedCols,
+        fixedRows,
+        ...grain,
+        error: null
+    };
+
+    return { area, orientations, toTrimBoxes, requiredRotation, fixed: { cols: fixedCols, rows: fixedRows }, summary };
+};
+
+/**
+ * Calcula los layouts A (normal) y B (rotado) de un trabajo sobre un pliego de prensa.
+ * Recibe valores numéricos en pulgadas: { cutW, cutH, sheetW, sheetH, lateralMargin, gutter, grip, tail, bleed, singleCut }.
+ * `gutterX` (entre columnas) y `gutterY` (entre filas) reemplazan a `gutter` en cada dirección, y `alignment`
+ * (uno de BLOCK_ALIGNMENTS) ubica el bloque en el área útil. Cada layout trae sus franjas sobrantes (`wasteStrips`).
+ * `fixedCols` y `fixedRows` (0 = libre) fijan las columnas o filas del bloque principal y el resto se resuelve solo.
+ *
+ * Con sangrado (bleed), cada pieza ocupa su caja de sangrado (corte + 2 * bleed) y el gutter separa las cajas de sangrado
+ * (corte doble). En corte sencillo las piezas comparten el sangrado: las cajas de corte se tocan y solo el contorno
+ * de cada bloque lleva sangrado, por lo que el gutter no se aplica.
+ * Las piezas devueltas siempre describen la caja de corte (Trim Box).
+ *
+ * Con dirección de fibra (`sheetGrain` 'long' | 'short' y `grainParallel` 'width' | 'height'), el layout óptimo es
+ * siempre el de la orientación a favor de la fibra, sin sobrantes rotados; el otro se marca con `grainViolation`.
+ */
+export const calculateSheetLayout = (job) => {
+    const sheet = prepareSheetJob(job);
+    if (sheet.error) return sheet.error;
+    const { area, orientations: { A, B }, toTrimBoxes, requiredRotation, fixed, summary } = sheet;
+
+    // --- Opción A: Bloque principal W x H (Normal), sobrantes rotados ---
+    const layoutA = {
+        ...toTrimBoxes(buildBestLayout(area, A.mainW, A.mainH, false, requiredRotation !== false, fixed), A.trimW, A.trimH),
+        grainViolation: requiredRotation === true,
+    };
+
+    // --- Opción B: Bloque principal H x W (Rotado 90 grados), sobrantes en orientación normal ---
+    const layoutB = {
+        ...toTrimBoxes(buildBestLayout(area, B.mainW, B.mainH, true, requiredRotation !== true, fixed), B.trimW, B.trimH),
+        grainViolation: requiredRotation === false,
+    };
+
+    // 3. Seleccionar la mejor opción (con requisito de fibra, la orientación a favor de la fibra)
+    const optimalKey = requiredRotation === null
+        ? (layoutA.total >= layoutB.total ? 'A' : 'B')
+        : (requiredRotation ? 'B' : 'A');
+
+    // Se devuelven ambos layouts para permitir la inversión manual.
+    return { layoutA, layoutB, optimalKey, ...summary };
+};
+
+/**
+ * Layouts alternativos de un trabajo a una cara: todas las combinaciones de bloque principal y sobrantes
+ * de ambas orientaciones (solo la orientación a favor de la fibra, sin sobrantes rotados, si el trabajo la exige),
+ * sin repetidos y ordenados de más a menos piezas. Devuelve el resultado de calculateSheetLayout con
+ * `candidates` (como máximo `limit` layouts, cada uno con un `id` estable) en lugar de los layouts A/B.
+ */
+export const calculateLayoutCandidates = (job, limit = 40) => {
+    const sheet = prepareSheetJob(job);
+    if (sheet.error) return { ...sheet.error, candidates: [] };
+    const { area, orientations, toTrimBoxes, requiredRotation, fixed, summary } = sheet;
+
+    const plans = Object.entries(orientations)
+        .filter(([, { rotated }]) => requiredRotation === null || rotated === requiredRotation)
+        .flatMap(([key, orientation]) => enumerateLayoutPlans(area, orientation.mainW, orientation.mainH, requiredRotation === null, fixed)
+            .filter(plan => plan.total > 0)
+            .map(plan => ({
+                id: [key, plan.cols, plan.rows, ...plan.strips.map(s => `${s.x}:${s.y}:${s.cols}x${s.rows}`)].join('-'),
+                orientation,
+                plan,
+            })));
+
+    // Orden estable: a igual cantidad de piezas se conserva el orden de enumeración (A antes que B)
+    const seen = new Set();
+    const unique = plans
+        .filter(({ id }) => !seen.has(id) && seen.add(id))
+        .sort((a, b) => b.plan.total - a.plan.total)
+        .slice(0, limit);
+
+    const candidates = unique.map(({ id, orientation: { rotated, mainW, mainH, trimW, trimH }, plan }) => ({
+        id,
+        ...toTrimBoxes(buildPlannedLayout(area, mainW, mainH, rotated, plan), trimW, trimH),
+        grainViolation: false,
+    }));
+    return { candidates, ...summary };
+};
+
+/**
+ * Calcula cuántos pliegos de prensa salen de un pliego madre (stock), probando ambas orientaciones
+ * y rellenando los sobrantes con pliegos rotados. El refile se descuenta en cada borde del pliego madre.
+ */
+export const calculateParentLayout = (parentW, parentH, trim, sheetW, sheetH) => {
+    const base = { parentW, parentH, trim, sheetsPerParent: 0, layout: null, error: null };
+    if (2 * trim >= parentW || 2 * trim >= parentH) {
+        return { ...base, error: "El refile es demasiado grande para el pliego madre." };
+    }
+
+    const area = { usableW: parentW - 2 * trim, usableH: parentH - 2 * trim, gutter: 0, originX: trim, originY: trim };
+    const normal = buildBestLayout(area, sheetW, sheetH, false);
+    const rotated = buildBestLayout(area, sheetH, sheetW, true);
+    const layout = normal.total >= rotated.total ? normal : rotated;
+
+    if (layout.total === 0) {
+        return { ...base, error: "El pliego de prensa no cabe en el pliego madre." };
+    }
+    return { ...base, sheetsPerParent: layout.total, layout };
+};
+
+
+/**
+ * Métodos de impresión: una cara, tiro y retiro con placas distintas (sheetwise),
+ * voltear de lado (work-and-turn) y voltear de cabeza (work-and-tumble).
+ */
+export const DUPLEX_METHODS = ['simplex', 'sheetwise', 'turn', 'tumble'];
+
+// Refleja una pieza o un bloque al voltear el pliego: 'x' = de lado (izquierda/derecha), 'y' = de cabeza (arriba/abajo)
+const mirrorRect = (rect, w, h, axis, sheetW, sheetH) => (axis === 'x'
+    ? { ...rect, x: sheetW - rect.x - w }
+    : { ...rect, y: sheetH - rect.y - h });
+const mirrorPiece = (piece, axis, sheetW, sheetH) => mirrorRect(piece, piece.w, piece.h, axis, sheetW, sheetH);
+const mirrorBlock = (block, axis, sheetW, sheetH) => mirrorRect(
+    block,
+    block.cols * block.w + (block.cols - 1) * block.gutterX,
+    block.rows * block.h + (block.rows - 1) * block.gutterY,
+    axis, sheetW, sheetH,
+);
+
+/**
+ * Calcula el layout de un trabajo impreso por ambas caras (`duplex` en el trabajo, uno de DUPLEX_METHODS).
+ *
+ * - sheetwise: el layout normal; el retiro usa otra placa con las vueltas reflejadas (se voltea de lado).
+ * - turn: la placa lleva frentes en una mitad y vueltas reflejadas en la otra; el pliego se voltea de lado
+ *   y conserva el borde de pinza.
+ * - tumble: igual, con las mitades arriba y abajo; el pliego se voltea de cabeza y la Cola pasa a ser la Pinza
+ *   del retiro, por lo que ambos bordes reservan el mayor de Pinza y Cola.
+ *
+ * Cada pieza lleva `side` ('front' | 'back') y `label` (número de pieza): la vuelta R3 respalda al frente F3.
+ * `backPieces`/`backBlocks` describen el retiro tal como se ve al voltear el pliego. `total` son las piezas
+ * terminadas (ambas caras) por pliego. Con 'simplex' equivale a calculateSheetLayout.
+ */
+export const calculateDuplexLayout = (job) => {
+    const {
+        duplex = 'simplex', sheetW: SW, sheetH: SH, lateralMargin: LM, gutter: GT = 0, gutterX: GX = GT, gutterY: GY = GT,
+        grip, tail, bleed: BL = 0, singleCut = false, sheetGrain = 'long', alignment = 'start',
+    } = job;
+    if (duplex === 'simplex') return calculateSheetLayout(job);
+
+    const flipAxis = duplex === 'tumble' ? 'y' : 'x';
+    const numbered = (pieces) => pieces.map((p, i) => ({ ...p, side: 'front', label: i + 1 }));
+
+    if (duplex === 'sheetwise') {
+        const result = calculateSheetLayout(job);
+        if (result.error) return { ...result, duplex };
+        const withBacks = (layout) => {
+            const pieces = numbered(layout.pieces);
+            return {
+                ...layout,
+                pieces,
+                backPieces: pieces.map(p => ({ ...mirrorPiece(p, flipAxis, SW, SH), side: 'back' })),
+                backBlocks: layout.blocks.map(b => mirrorBlock(b, flipAxis, SW, SH)),
+            };
+        };
+        return { ...result, layoutA: withBacks(result.layoutA), layoutB: withBacks(result.layoutB), duplex, plates: 2, flipAxis };
+    }
+
+    // Voltear de lado o de cabeza: se calcula la mitad de los frentes en un pliego virtual y se refleja.
+    // Entre las dos mitades queda un gutter (en corte sencillo, el sangrado de cada mitad).
+    const centerGap = singleCut ? 0 : (duplex === 'turn' ? GX : GY);
+    const edge = Math.max(grip, tail); // Con tumble, ambos bordes son Pinza en alguna pasada
+    const half = duplex === 'turn'
+        ? { sheetW: SW / 2 - LM - centerGap / 2, sheetH: SH, lateralMargin: 0, grip, tail, offsetX: LM, offsetY: 0 }
+        : { sheetW: SW, sheetH: SH / 2 - edge - centerGap / 2, lateralMargin: LM, grip: 0, tail: 0, offsetX: 0, offsetY: edge };
+    const margins = duplex === 'turn' ? { grip, tail } : { grip: edge, tail: edge };
+
+    // Validación con el pliego completo (dimensiones y márgenes efectivos) y luego con la mitad
+    const full = calculateSheetLayout({ ...job, ...margins });
+    if (full.error) return { ...full, duplex };
+    if (half.sheetW <= 0 || half.sheetH <= 0) {
+        return { ...full, optimalKey: null, duplex, error: "Los márgenes o pinza/cola son demasiado grandes para el pliego." };
+    }
+
+    // La fibra del pliego virtual debe correr en el mismo eje que la del pliego real
+    const grainAxis = sheetGrainAxis(SW, SH, sheetGrain);
+    const halfGrain = (grainAxis === 'x') === (half.sheetW >= half.sheetH) ? 'long' : 'short';
+    // En la mitad superior de voltear de cabeza, "contra la pinza" es contra la Cola (la Pinza del retiro)
+    const halfAlignment = duplex === 'tumble' && alignment === 'gripper' ? 'tail' : alignment;
+    const result = calculateSheetLayout({ ...job, ...half, sheetGrain: halfGrain, alignment: halfAlignment });
+
+    const place = (layout) => {
+        const shift = (rect) => ({ ...rect, x: rect.x + half.offsetX, y: rect.y + half.offsetY });
+        const fronts = numbered(layout.pieces.map(shift));
+        const backs = fronts.map(p => ({ ...mirrorPiece(p, flipAxis, SW, SH), side: 'back' }));
+        const frontBlocks = layout.blocks.map(shift);
+        const pieces = [...fronts, ...backs];
+        const blocks = [...frontBlocks, ...frontBlocks.map(b => mirrorBlock(b, flipAxis, SW, SH))];
+        return {
+            ...layout,
+            total: pieces.length,
+            fitW: duplex === 'turn' ? 2 * layout.fitW : layout.fitW,
+            fitH: duplex === 'tumble' ? 2 * layout.fitH : layout.fitH,
+            extraPieces: 2 * layout.extraPieces,
+            blocks,
+            pieces,
+            wasteStrips: calculateWasteStrips(pieces, SW, SH, BL),
+            // La misma placa imprime el retiro: al voltear, cada frente queda respaldado por su vuelta
+            backPieces: pieces,
+            backBlocks: blocks,
+        };
+    };
+
+    return {
+        ...result,
+        layoutA: place(result.layoutA),
+        layoutB: place(result.layoutB),
+        sheetW: SW, sheetH: SH,
+        lateralMargin: LM,
+        ...margins,
+        sheetGrain, grainAxis, alignment,
+        duplex, plates: 1, flipAxis,
+    };
+};
+
+/**
+ * Punto de entrada del optimizador: calcula los layouts A/B del trabajo (a una o dos caras) y, si se indica un pliego madre
+ * ({ parentW, parentH, parentTrim }), cuántos pliegos de prensa salen de cada uno.
+ * Todas las medidas son numéricas y en pulgadas; las piezas devueltas incluyen sus coordenadas en el pliego.
+ */
+export const optimizeLayout = ({ parentW = 0, parentH = 0, parentTrim = 0, ...job }) => {
+    const result = calculateDuplexLayout(job);
+    if (result.error) return result;
+    const parent = parentW > 0 && parentH > 0
+        ? calculateParentLayout(parentW, parentH, parentTrim, job.sheetW, job.sheetH)
+        : null;
+    return { ...result, parent };
+};
@@ -0,0 +1,299 @@
+import { calculateFit, buildBestLayout, sheetGrainAxis, grainRotation, calculateSheetLayout, calculateLayoutCandidates, calculateDuplexLayout, calculateParentLayout, calculateWasteStrips, optimizeLayout } from './layout.js';
+
+const job = {
+  cutW: 8.5, cutH: 11, sheetW: 17, sheetH: 22,
+  lateralMargin: 0, gutter: 0, grip: 0, tail: 0,
+};
+
+describe('calculateFit', () => {
+  test('counts pieces with gutters between them but not at the ends', () => {
+    // 3 piezas de 5 + 2 gutters de 1 = 17
+    expect(calculateFit(17, 5, 1)).toBe(3);
+    expect(calculateFit(16.99, 5, 1)).toBe(2);
+  });
+
+  test('uses Number.EPSILON to absorb floating point error', () => {
+    // 0.3 / 0.1 === 2.9999999999999996 en coma flotante
+    expect(0.3 / 0.1).toBeLessThan(3);
+    expect(calculateFit(0.3, 0.1, 0)).toBe(3);
+  });
+
+  test('returns 0 for empty or negative space and zero-sized pieces', () => {
+    expect(calculateFit(0, 1, 0)).toBe(0);
+    expect(calculateFit(-2, 1, 0.125)).toBe(0);
+    expect(calculateFit(10, 0, 0)).toBe(0);
+  });
+});
+
+describe('buildBestLayout', () => {
+  test('returns a uniform grid with piece coordinates from the origin', () => {
+    const area = { usableW: 10, usableH: 4, gutter: 0, originX: 1, originY: 2 };
+    const layout = buildBestLayout(area, 5, 2, false);
+    expect(layout).toMatchObject({ total: 4, fitW: 2, fitH: 2, mixed: false, extraPieces: 0 });
+    expect(layout.pieces).toContainEqual({ x: 1, y: 2, w: 5, h: 2, rotated: false });
+    expect(layout.pieces).toContainEqual({ x: 6, y: 4, w: 5, h: 2, rotated: false });
+  });
+
+  test('fills the leftover strip with rotated pieces', () => {
+    const area = { usableW: 12, usableH: 11, gutter: 0, originX: 0, originY: 0 };
+    const layout = buildBestLayout(area, 4, 3, false);
+    // Uniforme: 3 x 3 = 9 piezas (sobra una franja de 12 x 2); el mixto aprovecha los sobrantes y llega a 11
+    expect(layout.total).toBe(11);
+    expect(layout.mixed).toBe(true);
+    expect(layout.pieces).toHaveLength(11);
+    expect(layout.pieces.filter(p => p.rotated)).toHaveLength(layout.extraPieces);
+  });
+
+  test('never places pieces outside the area or overlapping', () => {
+    const area = { usableW: 16.25, usableH: 21.125, gutter: 0.125, originX: 0.375, originY: 0.375 };
+    const { pieces } = buildBestLayout(area, 3.5, 2, false);
+    pieces.forEach(p => {
+      expect(p.x).toBeGreaterThanOrEqual(area.originX);
+      expect(p.y).toBeGreaterThanOrEqual(area.originY);
+      expect(p.x + p.w).toBeLessThanOrEqual(area.originX + area.usableW + 1e-9);
+      expect(p.y + p.h).toBeLessThanOrEqual(area.originY + area.usableH + 1e-9);
+    });
+    pieces.forEach((a, i) => pieces.slice(i + 1).forEach(b => {
+      const overlap = a.x < b.x + b.w - 1e-9 && b.x < a.x + a.w - 1e-9 && a.y < b.y + b.h - 1e-9 && b.y < a.y + a.h - 1e-9;
+      expect(overlap).toBe(false);
+    }));
+  });
+});
+
+describe('calculateSheetLayout', () => {
+  test('picks the orientation with more pieces', () => {
+    // 11 x 8.5 en 17 x 22: normal solo caben 3 (con una pieza rotada en el sobrante), rotado caben 4
+    const result = calculateSheetLayout({ ...job, cutW: 11, cutH: 8.5 });
+    expect(result.error).toBeNull();
+    expect(result.layoutA.total).toBe(3);
+    expect(result.layoutB.total).toBe(4);
+    expect(result.optimalKey).toBe('B');
+  });
+
+  test('reports non-positive dimensions', () => {
+    expect(calculateSheetLayout({ ...job, cutW: 0 }).error).toMatch(/positivas/);
+    expect(calculateSheetLayout({ ...job, sheetH: -1 }).error).toMatch(/positivas/);
+  });
+
+  test('reports margins larger than the sheet', () => {
+    expect(calculateSheetLayout({ ...job, grip: 12, tail: 10 }).error).toMatch(/demasiado grandes/);
+    expect(calculateSheetLayout({ ...job, lateralMargin: 8.5 }).error).toMatch(/demasiado grandes/);
+  });
+
+  test('places the grid after the tail and the lateral margin', () => {
+    const result = calculateSheetLayout({ ...job, cutW: 4, cutH: 5, lateralMargin: 0.5, tail: 0.25, grip: 0.5 });
+    const layout = result[`layout${result.optimalKey}`];
+    expect(Math.min(...layout.pieces.map(p => p.x))).toBe(0.5);
+    expect(Math.min(...layout.pieces.map(p => p.y))).toBe(0.25);
+  });
+
+  test('adds bleed on every piece with double cut', () => {
+    // Caja de sangrado de 4.5 x 5.5: sin sangrado caben 4 columnas en 17, con sangrado solo 3
+    expect(calculateSheetLayout({ ...job, cutW: 4, cutH: 5 }).layoutA.fitW).toBe(4);
+    const result = calculateSheetLayout({ ...job, cutW: 4, cutH: 5, bleed: 0.25 });
+    expect(result.layoutA.fitW).toBe(3);
+    expect(result.layoutA.pieces[0]).toMatchObject({ x: 0.25, y: 0.25, w: 4, h: 5 });
+  });
+
+  test('shares bleed between pieces with single cut', () => {
+    const result = calculateSheetLayout({ ...job, cutW: 4, cutH: 5, bleed: 0.125, gutter: 0.25, singleCut: true });
+    // 17 - 2 * 0.125 = 16.75 -> 4 columnas de 4 sin gutter
+    expect(result.layoutA.fitW).toBe(4);
+    expect(result.layoutA.pieces[1].x - result.layoutA.pieces[0].x).toBeCloseTo(0);
+  });
+});
+
+describe('gutters and block alignment', () => {
+  test('uses separate gutters between columns and between rows', () => {
+    const result = calculateSheetLayout({ ...job, cutW: 5, cutH: 5, gutterX: 1, gutterY: 0 });
+    expect(result).toMatchObject({ gutterX: 1, gutterY: 0 });
+    expect(result.layoutA).toMatchObject({ fitW: 3, fitH: 4 });
+    expect(result.layoutA.blocks[0]).toMatchObject({ gutterX: 1, gutterY: 0 });
+    expect([...new Set(result.layoutA.pieces.map(p => p.x))]).toEqual([0, 6, 12]);
+    expect([...new Set(result.layoutA.pieces.map(p => p.y))]).toEqual([0, 5, 10, 15]);
+    // Sin gutterX/gutterY se usa el gutter en ambas direcciones
+    expect(calculateSheetLayout({ ...job, cutW: 5, cutH: 5, gutter: 1 }).layoutA).toMatchObject({ fitW: 3, fitH: 3 });
+  });
+
+  test('places the block by the chosen alignment', () => {
+    // 4 x 3 piezas de 4 x 7 ocupan 16 x 21: sobra 1 a lo ancho y 1 a lo alto
+    const origin = (alignment) => {
+      const { layoutA } = calculateSheetLayout({ ...job, cutW: 4, cutH: 7, alignment });
+      return [layoutA.blocks[0].x, layoutA.blocks[0].y];
+    };
+    expect(origin('start')).toEqual([0, 0]);
+    expect(origin('center')).toEqual([0.5, 0.5]);
+    expect(origin('guide')).toEqual([0, 0.5]);
+    expect(origin('gripper')).toEqual([0.5, 1]);
+  });
+
+  test('reports the waste strips around the block', () => {
+    const { layoutA } = calculateSheetLayout({ ...job, cutW: 4, cutH: 7, alignment: 'center' });
+    expect(layoutA.wasteStrips).toEqual([
+      { side: 'left', x: 0, y: 0, w: 0.5, h: 22 },
+      { side: 'right', x: 16.5, y: 0, w: 0.5, h: 22 },
+      { side: 'top', x: 0.5, y: 0, w: 16, h: 0.5 },
+      { side: 'bottom', x: 0.5, y: 21.5, w: 16, h: 0.5 },
+    ]);
+    // El sangrado es parte de la pieza y no del sobrante
+    expect(calculateWasteStrips([{ x: 1, y: 1, w: 15, h: 20 }], 17, 22, 1)).toEqual([]);
+  });
+
+  test('keeps work-and-tumble fronts and backs against their own gripper', () => {
+    const result = calculateDuplexLayout({ ...job, cutW: 4, cutH: 3, grip: 0.5, tail: 0.5, duplex: 'tumble', alignment: 'gripper' });
+    const pieces = result[`layout${result.optimalKey}`].pieces;
+    expect(Math.min(...pieces.filter(p => p.side === 'front').map(p => p.y))).toBeCloseTo(0.5);
+    expect(Math.max(...pieces.filter(p => p.side === 'back').map(p => p.y + p.h))).toBeCloseTo(21.5);
+    expect(result.alignment).toBe('gripper');
+  });
+});
+
+describe('alternative layouts', () => {
+  const small = { ...job, cutW: 4, cutH: 3, lateralMargin: 0.25, gutter: 0.125, grip: 0.5, tail: 0.25 };
+
+  test('fixes the columns or rows of the main block and solves the rest', () => {
+    const result = calculateSheetLayout({ ...small, fixedCols: 3 });
+    expect(result.layoutA).toMatchObject({ fitW: 3, total: 25 });
+    expect(result.layoutB.fitW).toBe(3);
+    expect(result.fixedCols).toBe(3);
+    expect(calculateSheetLayout({ ...small, fixedRows: 2 }).layoutA.fitH).toBe(2);
+    // Más filas de las que caben: no hay layout posible
+    expect(calculateSheetLayout({ ...small, fixedRows: 9 }).layoutA.total).toBe(0);
+  });
+
+  test('lists distinct candidates of both orientations from most to fewest pieces', () => {
+    const { candidates, error } = calculateLayoutCandidates(small);
+    expect(error).toBeNull();
+    expect(candidates[0].total).toBe(calculateSheetLayout(small).layoutA.total);
+    expect(new Set(candidates.map(c => c.id)).size).toBe(candidates.length);
+    expect(candidates.some(c => c.rotated)).toBe(true);
+    expect(candidates.every((c, i) => i === 0 || c.total <= candidates[i - 1].total)).toBe(true);
+    expect(candidates.every(c => c.pieces.length === c.total && c.wasteStrips.length > 0)).toBe(true);
+  });
+
+  test('keeps only the orientation with the grain, without rotated strips', () => {
+    const { candidates } = calculateLayoutCandidates({ ...small, sheetGrain: 'short', grainParallel: 'width' });
+    expect(candidates.length).toBeGreaterThan(0);
+    expect(candidates.every(c => !c.rotated && !c.mixed)).toBe(true);
+  });
+
+  test('returns no candidates for an invalid job', () => {
+    expect(calculateLayoutCandidates({ ...small, cutW: 0 })).toMatchObject({ candidates: [], error: expect.any(String) });
+  });
+});
+
+describe('grain direction', () => {
+  test('finds the grain axis of the sheet', () => {
+    expect(sheetGrainAxis(25, 38, 'long')).toBe('y');
+    expect(sheetGrainAxis(38, 25, 'long')).toBe('x');
+    expect(sheetGrainAxis(25, 38, 'short')).toBe('x');
+  });
+
+  test('derives the orientation the grain requires', () => {
+    // Fibra larga vertical en 17 x 22: el largo del arte debe ir vertical, sin rotar
+    expect(grainRotation(17, 22, 'long', 'height')).toBe(false);
+    expect(grainRotation(17, 22, 'long', 'width')).toBe(true);
+    expect(grainRotation(17, 22, 'short', 'width')).toBe(false);
+    expect(grainRotation(17, 22, 'long', 'any')).toBeNull();
+  });
+
+  test('picks the orientation with the grain even when the other fits more pieces', () => {
+    // Sin requisito gana el rotado (4 contra 3 piezas)
+    const free = calculateSheetLayout({ ...job, cutW: 11, cutH: 8.5 });
+    expect(free.optimalKey).toBe('B');
+    expect(free.grainRotation).toBeNull();
+
+    const result = calculateSheetLayout({ ...job, cutW: 11, cutH: 8.5, sheetGrain: 'short', grainParallel: 'width' });
+    expect(result.optimalKey).toBe('A');
+    expect(result.grainAxis).toBe('x');
+    expect(result.layoutA).toMatchObject({ grainViolation: false, mixed: false, total: 2 });
+    expect(result.layoutB.grainViolation).toBe(true);
+    expect(result.layoutA.pieces.every(p => !p.rotated)).toBe(true);
+  });
+});
+
+describe('calculateDuplexLayout', () => {
+  const mirroredX = (piece, SW) => SW - piece.x - piece.w;
+
+  test('simplex is the single-sided layout', () => {
+    expect(calculateDuplexLayout({ ...job, duplex: 'simplex' })).toEqual(calculateSheetLayout(job));
+  });
+
+  test('sheetwise keeps the layout and mirrors the backs for a second plate', () => {
+    const result = calculateDuplexLayout({ ...job, duplex: 'sheetwise' });
+    const layout = result.layoutA;
+    expect(result).toMatchObject({ duplex: 'sheetwise', plates: 2, flipAxis: 'x' });
+    expect(layout.total).toBe(4);
+    expect(layout.pieces.map(p => p.label)).toEqual([1, 2, 3, 4]);
+    layout.pieces.forEach((front, i) => {
+      const back = layout.backPieces[i];
+      expect(back).toMatchObject({ side: 'back', label: front.label, y: front.y });
+      expect(back.x).toBeCloseTo(mirroredX(front, 17));
+    });
+  });
+
+  test('work-and-turn doubles the half-sheet layout on a single plate', () => {
+    const turnJob = { ...job, cutW: 4, cutH: 6, gutter: 0.25, lateralMargin: 0.5 };
+    const result = calculateDuplexLayout({ ...turnJob, duplex: 'turn' });
+    // Mitad: 17 / 2 - 0.5 de margen - 0.125 de medio gutter
+    const half = calculateSheetLayout({ ...turnJob, sheetW: 7.875, lateralMargin: 0 });
+    const layout = result[`layout${result.optimalKey}`];
+    expect(result).toMatchObject({ plates: 1, flipAxis: 'x', sheetW: 17, lateralMargin: 0.5 });
+    expect(layout.total).toBe(2 * half[`layout${half.optimalKey}`].total);
+
+    const fronts = layout.pieces.filter(p => p.side === 'front');
+    const backs = layout.pieces.filter(p => p.side === 'back');
+    expect(fronts).toHaveLength(layout.total / 2);
+    fronts.forEach(front => {
+      expect(front.x).toBeGreaterThanOrEqual(0.5);
+      expect(front.x + front.w).toBeLessThanOrEqual(17 / 2 - 0.125 + 1e-9);
+      const back = backs.find(p => p.label === front.label);
+      expect(back.x).toBeCloseTo(mirroredX(front, 17));
+    });
+    expect(layout.backPieces).toBe(layout.pieces);
+  });
+
+  test('work-and-tumble reserves the larger of grip and tail on both edges', () => {
+    const result = calculateDuplexLayout({ ...job, cutW: 4, cutH: 3, grip: 0.5, tail: 0.25, duplex: 'tumble' });
+    const layout = result[`layout${result.optimalKey}`];
+    expect(result).toMatchObject({ plates: 1, flipAxis: 'y', grip: 0.5, tail: 0.5 });
+    layout.pieces.filter(p => p.side === 'front').forEach(front => {
+      expect(front.y).toBeGreaterThanOrEqual(0.5);
+      expect(front.y + front.h).toBeLessThanOrEqual(11 + 1e-9);
+      const back = layout.pieces.find(p => p.side === 'back' && p.label === front.label);
+      expect(back.y).toBeCloseTo(22 - front.y - front.h);
+      expect(back.x).toBeCloseTo(front.x);
+    });
+  });
+
+  test('keeps the real grain direction on the half sheet', () => {
+    const result = calculateDuplexLayout({ ...job, cutW: 4, cutH: 6, grainParallel: 'height', duplex: 'turn' });
+    expect(result.grainAxis).toBe('y');
+    expect(result[`layout${result.optimalKey}`].pieces.every(p => !p.rotated)).toBe(true);
+  });
+
+  test('reports margins that leave no room for the half sheet', () => {
+    expect(calculateDuplexLayout({ ...job, lateralMargin: 8.4, gutter: 0.5, duplex: 'turn' }).error).toMatch(/márgenes/);
+    expect(calculateDuplexLayout({ ...job, cutW: 0, duplex: 'tumble' }).error).toMatch(/positivas/);
+  });
+});
+
+describe('calculateParentLayout', () => {
+  test('counts press sheets per parent sheet with rotation and trim', () => {
+    const parent = calculateParentLayout(35, 45, 0.25, 17, 22);
+    expect(parent.error).toBeNull();
+    expect(parent.sheetsPerParent).toBe(4);
+  });
+
+  test('reports a press sheet that does not fit', () => {
+    expect(calculateParentLayout(10, 10, 0, 17, 22).error).toMatch(/no cabe/);
+    expect(calculateParentLayout(10, 10, 5, 1, 1).error).toMatch(/refile/);
+  });
+});
+
+describe('optimizeLayout', () => {
+  test('includes the parent stage only when a parent sheet is given', () => {
+    expect(optimizeLayout(job).parent).toBeNull();
+    expect(optimizeLayout({ ...job, parentW: 35, parentH: 45 }).parent.sheetsPerParent).toBe(4);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Planificación del trabajo: comparación de pliegos del catálogo, layouts alternativos y costos de papel.
+ */
+
+import { calculateDuplexLayout, calculateLayoutCandidates } from './layout.js';
+import { calculateDieCutLayout, calculateShapeArea } from './dieCut.js';
+import { calculateCutSequence } from './cutSequence.js';
+
+/**
+ * Ejecuta el cálculo de layout contra cada pliego del catálogo y devuelve una fila por pliego con
+ * piezas por pliego, porcentaje de área utilizada, área de desperdicio y pliegos necesarios para la cantidad.
+ * `job` contiene los valores numéricos del trabajo (las dimensiones del pliego se reemplazan por las del catálogo)
+ * y `sheets` la lista de pliegos en pulgadas: [{ id, name, sheetW, sheetH }].
+ * Con un arte troquelado (`shape` distinto de 'rectangle') se usa calculateDieCutLayout y el área de la forma.
+ */
+export const rankSheetCatalog = (sheets, job, quantity) => {
+    const dieCut = job.shape && job.shape !== 'rectangle';
+    const calculate = dieCut ? calculateDieCutLayout : calculateDuplexLayout;
+    const pieceArea = dieCut
+        ? calculateShapeArea(job.shape, job.cutW, job.shape === 'circle' ? job.cutW : job.cutH, job.cornerRadius)
+        : job.cutW * job.cutH;
+    return sheets.map(({ id, name, sheetW, sheetH }) => {
+        const result = calculate({ ...job, sheetW, sheetH });
+        const best = result.error ? null : result[`layout${result.optimalKey}`];
+        const total = best ? best.total : 0;
+        const sheetArea = sheetW * sheetH;
+        const usedArea = total * pieceArea;
+
+        return {
+            id,
+            name,
+            sheetW,
+            sheetH,
+            total,
+            usedPct: sheetArea > 0 ? (usedArea / sheetArea) * 100 : 0,
+            wasteArea: Math.max(0, sheetArea - usedArea),
+            sheetsNeeded: total > 0 && quantity > 0 ? Math.ceil(quantity / total) : null,
+            error: result.error || (total === 0 ? "El arte no cabe en este pliego." : null),
+        };
+    });
+};
+
+/**
+ * Calcula un lote de trabajos (modo lote): `jobs` es una lista de { id, name, quantity, ...job } con los valores
+ * numéricos de cada trabajo. Devuelve una fila por trabajo con su layout óptimo (piezas por pliego, orientación,
+ * columnas x filas) y los pliegos necesarios para la cantidad; los trabajos inválidos o que no caben traen `error`.
+ */
+export const calculateBatch = (jobs) => jobs.map(({ id, name, quantity, ...job }) => {
+    const dieCut = job.shape && job.shape !== 'rectangle';
+    const result = (dieCut ? calculateDieCutLayout : calculateDuplexLayout)(job);
+    const best = result.error ? null : result[`layout${result.optimalKey}`];
+    const total = best ? best.total : 0;
+
+    return {
+        id,
+        name,
+        cutW: job.cutW,
+        cutH: job.cutH,
+        sheetW: job.sheetW,
+        sheetH: job.sheetH,
+        quantity,
+        total,
+        rotated: best ? best.rotated : false,
+        mixed: best ? best.mixed : false,
+        fitW: best ? best.fitW : 0,
+        fitH: best ? best.fitH : 0,
+        sheetsNeeded: total > 0 && quantity > 0 ? Math.ceil(quantity / total) : null,
+        error: result.error || (total === 0 ? "El arte no cabe en el pliego." : null),
+    };
+});
+
+/**
+ * Compara los layouts alternativos de un trabajo a una cara (ver calculateLayoutCandidates) y devuelve los `limit`
+ * mejores con sus métricas: piezas, cortes de guillotina (pasos del programa de corte), porcentaje de desperdicio
+ * y el mayor sobrante reutilizable. Se ordenan por piezas, luego menos cortes y luego el sobrante más grande,
+ * porque con una pieza menos a veces se gana en cortes o en un sobrante aprovechable.
+ * Cada fila es { id, rank, layout, total, cuts, wastePct, largestOffcut: { side, w, h } | null, strips }.
+ * `strips` son las tiras de piezas rotadas en los sobrantes ([{ cols, rows }]): dos alternativas con las mismas
+ * piezas, cortes y sobrante pueden diferir solo en cómo se reparten esas tiras, y sin ellas se verían iguales.
+ */
+export const rankLayoutCandidates = (job, limit = 5) => {
+    const { candidates, ...summary } = calculateLayoutCandidates(job);
+    if (summary.error) return [];
+    const sheetArea = summary.sheetW * summary.sheetH;
+
+    return candidates
+        .map(layout => {
+            const steps = calculateCutSequence({ ...summary, ...layout });
+            const largestOffcut = layout.wasteStrips.reduce(
+                (largest, strip) => (!largest || strip.w * strip.h > largest.w * largest.h ? strip : largest),
+                null,
+            );
+            return {
+                id: layout.id,
+                layout,
+                total: layout.total,
+                cuts: steps.filter(step => step.kind !== 'note').length,
+                wastePct: sheetArea > 0 ? (1 - (layout.total * job.cutW * job.cutH) / sheetArea) * 100 : 0,
+                largestOffcut: largestOffcut && { side: largestOffcut.side, w: largestOffcut.w, h: largestOffcut.h },
+                strips: layout.blocks.slice(1).map(({ cols, rows }) => ({ cols, rows })),
+            };
+        })
+        .sort((a, b) => b.total - a.total
+            || a.cuts - b.cuts
+            || (b.largestOffcut ? b.largestOffcut.w * b.largestOffcut.h : 0) - (a.largestOffcut ? a.largestOffcut.w * a.largestOffcut.h : 0))
+        .slice(0, limit)
+        .map((row, index) => ({ ...row, rank: index + 1 }));
+};
+
+/**
+ * Calcula la planificación de cantidades y el costo de papel a partir del layout mostrado.
+ * El precio se aplica al pliego que se compra: el Pliego Madre si está definido, si no el pliego de prensa.
+ * `priceBasis` es 'sheet' (precio por pliego) o 'thousand' (precio por millar de pliegos).
+ * En un libro (calculateSignatureLayout) la cantidad son ejemplares y cada uno lleva `sheets` pliegos.
+ */
+export const calculateJobCost = (layout, { quantity, spoilageSheets, spoilagePct, price, priceBasis }) => {
+    if (!layout || layout.error || layout.total <= 0) return null;
+
+    // Cantidad total de piezas y área neta de las piezas requeridas
+    const pieces = layout.gang ? layout.items.reduce((sum, item) => sum + item.quantity, 0) : quantity;
+    // Los artes troquelados traen el área de su forma (`pieceArea`); cada hoja del libro son dos páginas
+    const piecesArea = layout.gang
+        ? layout.items.reduce((sum, item) => sum + item.quantity * item.width * item.height, 0)
+        : quantity * (layout.signatureMode ? layout.totalPages / 2 : 1) * (layout.pieceArea ?? layout.cutW * layout.cutH);
+    if (pieces <= 0) return null;
+
+    // Pliegos de prensa: netos + arranque (fijo) + merma (porcentaje sobre los netos)
+    const netSheets = layout.gang ? layout.sheets : (layout.signatureMode ? quantity * layout.sheets : Math.ceil(quantity / layout.total));
+    const spoilage = spoilageSheets + Math.ceil(netSheets * spoilagePct / 100);
+    const pressSheets = netSheets + spoilage;
+
+    // Pliegos a pedir: madres si hay segundo nivel, si no los mismos pliegos de prensa
+    const parent = layout.parent && !layout.parent.error ? layout.parent : null;
+    const parentSheets = parent ? Math.ceil(pressSheets / parent.sheetsPerParent) : null;
+    const purchasedSheets = parent ? parentSheets : pressSheets;
+    const purchasedArea = purchasedSheets * (parent ? parent.parentW * parent.parentH : layout.sheetW * layout.sheetH);
+
+    const pricePerSheet = priceBasis === 'thousand' ? price / 1000 : price;
+    const totalCost = purchasedSheets * pricePerSheet;
+
+    return {
+        pieces,
+        netSheets,
+        spoilage,
+        pressSheets,
+        parentSheets,
+        totalCost,
+        costPerPiece: totalCost / pieces,
+        wastePct: purchasedArea > 0 ? (1 - piecesArea / purchasedArea) * 100 : 0,
+    };
+};
+
+
+/**
+ * Porcentaje del área del pliego (en rollo, de la repetición del web) que no ocupan las piezas del layout mostrado,
+ * o null si el layout no tiene piezas. En un libro se cuentan las páginas de una cara; en un trabajo combinado,
+ * el área de cada pieza.
+ */
+export const calculateSheetWaste = (layout) => {
+    if (!layout || layout.error || layout.total <= 0) return null;
+    const sheetArea = layout.sheetW * layout.sheetH;
+    const usedArea = layout.gang
+        ? layout.pieces.reduce((sum, piece) => sum + piece.w * piece.h, 0)
+        : (layout.signatureMode ? layout.total / 2 : layout.total) * (layout.pieceArea ?? layout.cutW * layout.cutH);
+    return sheetArea > 0 ? Math.max(0, 1 - usedArea / sheetArea) * 100 : 0;
+};
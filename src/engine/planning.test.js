@@ -0,0 +1,100 @@
+import { rankSheetCatalog, calculateBatch, rankLayoutCandidates, calculateJobCost, calculateSheetWaste } from './planning.js';
+import { calculateSheetLayout } from './layout.js';
+
+const job = { cutW: 8.5, cutH: 11, lateralMargin: 0, gutter: 0, grip: 0, tail: 0 };
+
+test('rankSheetCatalog returns pieces, usage and sheets needed per catalog sheet', () => {
+  const sheets = [
+    { id: 'a', name: 'Doble carta', sheetW: 17, sheetH: 22 },
+    { id: 'b', name: 'Chico', sheetW: 5, sheetH: 5 },
+  ];
+  const [large, small] = rankSheetCatalog(sheets, job, 1000);
+  expect(large).toMatchObject({ id: 'a', total: 4, sheetsNeeded: 250, error: null });
+  expect(large.usedPct).toBeCloseTo(100);
+  expect(small).toMatchObject({ total: 0, sheetsNeeded: null });
+  expect(small.error).toMatch(/no cabe/);
+});
+
+test('calculateBatch optimizes every job and flags the invalid ones', () => {
+  const sheet = { sheetW: 17, sheetH: 22 };
+  const [letter, cards, margins, empty, large] = calculateBatch([
+    { id: 1, name: 'Carta', quantity: 1000, ...job, ...sheet },
+    { id: 2, name: 'Tarjetas', quantity: 5000, ...job, ...sheet, cutW: 2, cutH: 3.5 },
+    { id: 3, name: 'Márgenes', quantity: 100, ...job, ...sheet, grip: 12, tail: 12 },
+    { id: 4, name: 'Sin ancho', quantity: 100, ...job, ...sheet, cutW: 0 },
+    { id: 5, name: 'Grande', quantity: 100, ...job, ...sheet, cutW: 30 },
+  ]);
+  expect(letter).toMatchObject({ id: 1, name: 'Carta', total: 4, fitW: 2, fitH: 2, rotated: false, sheetsNeeded: 250, error: null });
+  const cardsLayout = calculateSheetLayout({ ...job, ...sheet, cutW: 2, cutH: 3.5 });
+  expect(cards).toMatchObject({ total: cardsLayout[`layout${cardsLayout.optimalKey}`].total, mixed: cardsLayout[`layout${cardsLayout.optimalKey}`].mixed });
+  expect(cards.sheetsNeeded).toBe(Math.ceil(5000 / cards.total));
+  expect(margins.error).toMatch(/demasiado grandes/);
+  expect(empty.error).toMatch(/positivas/);
+  expect(large).toMatchObject({ total: 0, sheetsNeeded: null, error: 'El arte no cabe en el pliego.' });
+});
+
+test('rankLayoutCandidates ranks by pieces, then fewer cuts, then the largest offcut', () => {
+  const small = { ...job, cutW: 4, cutH: 3, sheetW: 17, sheetH: 22, lateralMargin: 0.25, gutter: 0.125, grip: 0.5, tail: 0.25 };
+  const rows = rankLayoutCandidates(small, 4);
+  expect(rows).toHaveLength(4);
+  expect(rows.map(row => row.rank)).toEqual([1, 2, 3, 4]);
+  expect(rows[0]).toMatchObject({ total: 26, cuts: 29, largestOffcut: { side: 'bottom' } });
+  expect(rows[0].wastePct).toBeCloseTo((1 - (26 * 12) / (17 * 22)) * 100);
+  rows.slice(1).forEach((row, i) => {
+    const previous = rows[i];
+    expect(row.total < previous.total || (row.total === previous.total && row.cuts >= previous.cuts)).toBe(true);
+  });
+  expect(rankLayoutCandidates({ ...small, cutW: 0 })).toEqual([]);
+});
+
+test('rankLayoutCandidates lists the rotated strips so no two rows look the same', () => {
+  const cards = { ...job, cutW: 2, cutH: 3.5, sheetW: 19, sheetH: 25, lateralMargin: 0.25, gutter: 0.125, grip: 0.5, tail: 0.25 };
+  const rows = rankLayoutCandidates(cards, 8);
+  // Los lugares 2 y 3 tienen las mismas piezas, cortes y sobrante; solo cambian las tiras rotadas
+  expect(rows[1]).toMatchObject({ total: 57, cuts: 58, strips: [{ cols: 1, rows: 11 }, { cols: 4, rows: 1 }] });
+  expect(rows[2]).toMatchObject({ total: 57, cuts: 58, strips: [{ cols: 1, rows: 10 }, { cols: 5, rows: 1 }] });
+  const looks = rows.map(({ total, cuts, largestOffcut, layout, strips }) => JSON.stringify([total, cuts, largestOffcut, layout.rotated, layout.fitW, layout.fitH, strips]));
+  expect(new Set(looks).size).toBe(rows.length);
+});
+
+test('rankSheetCatalog nests die-cut shapes and measures their real area', () => {
+  const circles = { ...job, cutW: 2, cutH: 2, shape: 'circle', nesting: 'staggered', dieSpacing: 0 };
+  const [row] = rankSheetCatalog([{ id: 'a', name: 'Doble carta', sheetW: 17, sheetH: 22 }], circles, 1000);
+  const [grid] = rankSheetCatalog([{ id: 'a', name: 'Doble carta', sheetW: 17, sheetH: 22 }], { ...circles, nesting: 'grid' }, 1000);
+  expect(row.total).toBeGreaterThan(grid.total);
+  expect(row.usedPct).toBeCloseTo((row.total * Math.PI) / (17 * 22) * 100);
+});
+
+test('calculateJobCost adds spoilage and prices the purchased sheet', () => {
+  const result = calculateSheetLayout({ ...job, sheetW: 17, sheetH: 22 });
+  const layout = { ...result[`layout${result.optimalKey}`], sheetW: 17, sheetH: 22, parent: null };
+  const cost = calculateJobCost(layout, { quantity: 1000, spoilageSheets: 50, spoilagePct: 3, price: 200, priceBasis: 'thousand' });
+  // 250 netos + 50 de arranque + 8 de merma (3 % redondeado hacia arriba)
+  expect(cost).toMatchObject({ netSheets: 250, spoilage: 58, pressSheets: 308, parentSheets: null });
+  expect(cost.totalCost).toBeCloseTo(61.6);
+  expect(cost.costPerPiece).toBeCloseTo(0.0616);
+
+  const withParent = calculateJobCost(
+    { ...layout, parent: { parentW: 35, parentH: 45, sheetsPerParent: 4, error: null } },
+    { quantity: 1000, spoilageSheets: 50, spoilagePct: 3, price: 1, priceBasis: 'sheet' },
+  );
+  expect(withParent.parentSheets).toBe(77);
+  expect(withParent.totalCost).toBe(77);
+});
+
+test('calculateJobCost counts the sheets of every signature per booklet copy', () => {
+  const booklet = { signatureMode: true, sheets: 2, totalPages: 24, total: 16, cutW: 5.5, cutH: 8.5, sheetW: 23, sheetH: 35, parent: null };
+  const cost = calculateJobCost(booklet, { quantity: 500, spoilageSheets: 20, spoilagePct: 2, price: 1, priceBasis: 'sheet' });
+  expect(cost).toMatchObject({ pieces: 500, netSheets: 1000, spoilage: 40, pressSheets: 1040 });
+  expect(cost.costPerPiece).toBeCloseTo(1040 / 500);
+  expect(cost.wastePct).toBeCloseTo((1 - (500 * 12 * 5.5 * 8.5) / (1040 * 23 * 35)) * 100);
+});
+
+test('calculateSheetWaste measures the sheet area left without pieces', () => {
+  expect(calculateSheetWaste({ total: 4, cutW: 8.5, cutH: 11, sheetW: 17, sheetH: 22 })).toBeCloseTo(0);
+  expect(calculateSheetWaste({ total: 2, cutW: 8.5, cutH: 11, sheetW: 17, sheetH: 22 })).toBeCloseTo(50);
+  // Libro: 16 páginas en el tiro y el retiro son 8 por cara
+  expect(calculateSheetWaste({ signatureMode: true, total: 16, cutW: 5.5, cutH: 8.5, sheetW: 23, sheetH: 35 })).toBeCloseTo((1 - (8 * 5.5 * 8.5) / (23 * 35)) * 100);
+  expect(calculateSheetWaste({ gang: true, total: 2, pieces: [{ w: 4, h: 5 }, { w: 2, h: 5 }], sheetW: 10, sheetH: 10 })).toBeCloseTo(70);
+  expect(calculateSheetWaste({ total: 0, error: 'El arte no cabe en el pliego.' })).toBeNull();
+});
@@ -0,0 +1,51 @@
+/**
+ * Perfiles de prensa: límites de tamaño de pliego, pinza requerida y bordes no imprimibles.
+ */
+
+import { formatLength } from './units.js';
+
+// Tolerancia (pulgadas) para absorber el redondeo de los valores convertidos entre unidades
+const PRESS_TOLERANCE = 0.001;
+
+/**
+ * Verifica que el trabajo se pueda imprimir en la prensa. El Ancho del Pliego es el borde de pinza
+ * (la Pinza va abajo, a lo ancho), por lo que debe coincidir con el lado que toma la prensa.
+ * `press` trae valores numéricos en pulgadas:
+ * { name, minSheetW, minSheetH, maxSheetW, maxSheetH, grip, tail, side, gripperEdge: 'long' | 'short' }.
+ * Devuelve el mensaje de error o null si el trabajo cumple con la prensa.
+ */
+export const checkPressLimits = (press, { sheetW, sheetH, grip, tail, lateralMargin }, unit = 'in') => {
+    const fmt = (value) => formatLength(value, unit);
+
+    if (press.gripperEdge === 'long' && sheetW < sheetH - PRESS_TOLERANCE) {
+        return `La prensa ${press.name} toma el pliego por el lado largo: el Ancho del Pliego debe ser el lado largo.`;
+    }
+    if (press.gripperEdge === 'short' && sheetW > sheetH + PRESS_TOLERANCE) {
+        return `La prensa ${press.name} toma el pliego por el lado corto: el Ancho del Pliego debe ser el lado corto.`;
+    }
+    const exceedsW = sheetW > press.maxSheetW + PRESS_TOLERANCE;
+    const exceedsH = sheetH > press.maxSheetH + PRESS_TOLERANCE;
+    if ((exceedsW || exceedsH) && Number.isFinite(press.maxSheetW) && Number.isFinite(press.maxSheetH)) {
+        return `El pliego (${fmt(sheetW)} x ${fmt(sheetH)}) excede el máximo de la prensa ${press.name} (${fmt(press.maxSheetW)} x ${fmt(press.maxSheetH)}).`;
+    }
+    // Un máximo sin límite (Infinity) no se muestra: solo se reporta el lado que excede el suyo
+    if (exceedsW) {
+        return `El Ancho del Pliego (${fmt(sheetW)}) excede el máximo de la prensa ${press.name} (${fmt(press.maxSheetW)}).`;
+    }
+    if (exceedsH) {
+        return `El Largo del Pliego (${fmt(sheetH)}) excede el máximo de la prensa ${press.name} (${fmt(press.maxSheetH)}).`;
+    }
+    if (sheetW < press.minSheetW - PRESS_TOLERANCE || sheetH < press.minSheetH - PRESS_TOLERANCE) {
+        return `El pliego (${fmt(sheetW)} x ${fmt(sheetH)}) es menor que el mínimo de la prensa ${press.name} (${fmt(press.minSheetW)} x ${fmt(press.minSheetH)}).`;
+    }
+    if (grip < press.grip - PRESS_TOLERANCE) {
+        return `La Pinza es menor que la requerida por la prensa ${press.name} (${fmt(press.grip)}).`;
+    }
+    if (tail < press.tail - PRESS_TOLERANCE) {
+        return `La Cola es menor que el borde no imprimible de la prensa ${press.name} (${fmt(press.tail)}).`;
+    }
+    if (lateralMargin < press.side - PRESS_TOLERANCE) {
+        return `El Margen Lateral es menor que el borde no imprimible de la prensa ${press.name} (${fmt(press.side)}).`;
+    }
+    return null;
+};
@@ -0,0 +1,38 @@
+import { checkPressLimits } from './press.js';
+
+// Prensa offset que toma el pliego por el lado largo (medidas en pulgadas)
+const press = {
+  name: 'SM52', gripperEdge: 'long',
+  minSheetW: 5.71, minSheetH: 4.13, maxSheetW: 20.47, maxSheetH: 14.57,
+  grip: 0.394, tail: 0.197, side: 0.197,
+};
+const job = { sheetW: 18, sheetH: 12, grip: 0.5, tail: 0.25, lateralMargin: 0.25 };
+
+test('accepts a job within the press limits', () => {
+  expect(checkPressLimits(press, job)).toBeNull();
+  // Redondeo de la conversión a mm (0.394" = 10.0076 mm, escrito como 10.008)
+  expect(checkPressLimits(press, { ...job, grip: 10.008 / 25.4 })).toBeNull();
+});
+
+test('requires the gripper edge on the side the press takes', () => {
+  expect(checkPressLimits(press, { ...job, sheetW: 12, sheetH: 18 })).toMatch(/lado largo/);
+  expect(checkPressLimits({ ...press, gripperEdge: 'short' }, job)).toMatch(/lado corto/);
+});
+
+test('reports sheets outside the press range in the selected unit', () => {
+  expect(checkPressLimits(press, { ...job, sheetW: 22 }, 'mm')).toBe(
+    'El pliego (558.8 mm x 304.8 mm) excede el máximo de la prensa SM52 (519.9 mm x 370.1 mm).',
+  );
+  expect(checkPressLimits(press, { ...job, sheetW: 5, sheetH: 4 })).toMatch(/menor que el mínimo/);
+  // Un máximo vacío (sin límite) no aparece en el mensaje: solo el lado que excede el suyo
+  const open = { ...press, maxSheetW: Infinity, maxSheetH: 20 };
+  expect(checkPressLimits(open, { ...job, sheetW: 25, sheetH: 22 })).toBe('El Largo del Pliego (22") excede el máximo de la prensa SM52 (20").');
+  expect(checkPressLimits({ ...open, maxSheetW: 20, maxSheetH: Infinity }, { ...job, sheetW: 25, sheetH: 22 })).toBe('El Ancho del Pliego (25") excede el máximo de la prensa SM52 (20").');
+  expect(checkPressLimits({ ...open, maxSheetH: Infinity }, { ...job, sheetW: 25, sheetH: 22 })).toBeNull();
+});
+
+test('requires the gripper margin and the non-printable edges', () => {
+  expect(checkPressLimits(press, { ...job, grip: 0.25 })).toMatch(/Pinza/);
+  expect(checkPressLimits(press, { ...job, tail: 0.125 })).toMatch(/Cola/);
+  expect(checkPressLimits(press, { ...job, lateralMargin: 0 })).toMatch(/Margen Lateral/);
+});
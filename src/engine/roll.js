@@ -0,0 +1,145 @@
+/**
+ * Etiquetas en rollo (flexografía): el sustrato es un web de ancho fijo y el largo de cada impresión es la
+ * repetición del cilindro porta-placa. Las etiquetas se acomodan en carriles a lo ancho del web (across)
+ * y en vueltas a lo largo de la repetición (around). Todas las medidas están en pulgadas.
+ */
+
+import { calculateFit, buildBlock, calculateWasteStrips } from './layout.js';
+
+/**
+ * Paso circular de los engranes de cilindro más comunes en flexografía (1/8"): la repetición es dientes x paso.
+ */
+export const GEAR_PITCH = 0.125;
+
+const INCHES_PER_FOOT = 12;
+const INCHES_PER_METER = 1000 / 25.4;
+
+/**
+ * Repetición (circunferencia de impresión) de un cilindro con `teeth` dientes y engranes de paso `pitch`.
+ */
+export const gearRepeat = (teeth, pitch = GEAR_PITCH) => teeth * pitch;
+
+/**
+ * Etiquetas alrededor de un cilindro de repetición `repeat`, con `across` carriles. El gap en avance se repite
+ * entre todas las etiquetas de la vuelta, incluida la última contra la primera de la vuelta siguiente,
+ * y el sobrante se reparte entre ellas: `gapAround` es el gap real.
+ */
+const calculateCylinder = (repeat, labelH, gapAround, across) => {
+    // Con N etiquetas hay N gaps en la vuelta: es calculateFit sobre la repetición menos un gap
+    const around = calculateFit(repeat - gapAround, labelH, gapAround);
+    const labelsPerInch = around > 0 ? (across * around) / repeat : 0;
+    return {
+        repeat,
+        around,
+        gapAround: around > 0 ? repeat / around - labelH : repeat,
+        labelsPerRepeat: across * around,
+        labelsPerFoot: labelsPerInch * INCHES_PER_FOOT,
+        labelsPerMeter: labelsPerInch * INCHES_PER_METER,
+    };
+};
+
+/**
+ * Vueltas del cilindro (`impressions`) y largo del rollo (`rollLength`, en pulgadas) para `quantity` etiquetas
+ * con un layout de calculateRollLayout. El rollo impreso es un número entero de repeticiones.
+ */
+export const calculateRollLength = ({ total, repeat }, quantity) => {
+    const impressions = total > 0 ? Math.ceil(quantity / total) : 0;
+    return { impressions, rollLength: impressions * repeat };
+};
+
+/**
+ * Layout de una orientación de la etiqueta (labelW a lo ancho del web, labelH en avance) con el cilindro que da
+ * más etiquetas por metro lineal (a igualdad, la repetición más corta). Los carriles se centran en el web y cada
+ * etiqueta queda centrada en su paso, con medio gap a cada lado de la repetición.
+ */
+const buildRollLayout = (labelW, labelH, rotated, { webWidth, edgeTrim, gapAcross, gapAround, repeats, quantity }) => {
+    const across = calculateFit(webWidth - 2 * edgeTrim, labelW, gapAcross);
+    const cylinders = repeats.map(repeat => calculateCylinder(repeat, labelH, gapAround, across));
+    const best = cylinders.reduce((current, cylinder) => {
+        if (cylinder.labelsPerFoot !== current.labelsPerFoot) return cylinder.labelsPerFoot > current.labelsPerFoot ? cylinder : current;
+        return cylinder.repeat < current.repeat ? cylinder : current;
+    });
+
+    const total = best.labelsPerRepeat;
+    const lanesW = across * (labelW + gapAcross) - gapAcross;
+    const { block, pieces } = total > 0
+        ? buildBlock((webWidth - lanesW) / 2, best.gapAround / 2, across, best.around, labelW, labelH, gapAcross, best.gapAround, rotated)
+        : { block: null, pieces: [] };
+
+    return {
+        total,
+        fitW: across,
+        fitH: best.around,
+        rotated,
+        cutW: labelW,
+        cutH: labelH,
+        mixed: false,
+        extraPieces: 0,
+        blocks: block ? [block] : [],
+        pieces,
+        // Solo el refile de matriz a los lados: en avance el web es continuo
+        wasteStrips: calculateWasteStrips(pieces, webWidth, best.repeat).filter(strip => strip.side === 'left' || strip.side === 'right'),
+        grainViolation: false,
+        repeat: best.repeat,
+        gapAround: best.gapAround,
+        labelsPerFoot: best.labelsPerFoot,
+        labelsPerMeter: best.labelsPerMeter,
+        ...calculateRollLength({ total, repeat: best.repeat }, quantity),
+        cylinders,
+    };
+};
+
+/**
+ * Calcula los layouts A (etiqueta normal, su ancho a lo ancho del web) y B (rotada) de un trabajo en rollo:
+ * { cutW, cutH, webWidth, edgeTrim, gapAcross, gapAround, repeats, quantity }. `edgeTrim` es el refile de matriz
+ * mínimo en cada borde del web, `repeats` las repeticiones de los cilindros disponibles (ver gearRepeat) y
+ * `quantity` las etiquetas pedidas. El layout óptimo es el de más etiquetas por metro lineal. Con `shape` y
+ * `cornerRadius` (ver DIE_SHAPES) las piezas llevan la forma del troquel; los gaps separan las líneas de troquel.
+ *
+ * Cada layout trae, además de los valores de calculateSheetLayout, el cilindro elegido (`repeat` y el gap real en
+ * avance `gapAround`), `labelsPerFoot`/`labelsPerMeter`, las vueltas (`impressions`) y el largo del rollo
+ * (`rollLength`) para la cantidad, y la comparación de todos los cilindros (`cylinders`).
+ * El resultado usa el web como pliego (ancho del web x repetición del layout óptimo) sin pinza ni cola.
+ */
+export const calculateRollLayout = (job) => {
+    const { shape = 'rectangle', cornerRadius = 0, cutW: CW, webWidth = 0, edgeTrim = 0, gapAcross = 0, gapAround = 0, repeats = [], quantity = 0 } = job;
+    const CH = shape === 'circle' ? CW : job.cutH;
+    const radius = shape === 'rounded' ? cornerRadius : 0;
+    const summary = {
+        roll: true,
+        shape, cornerRadius: radius,
+        webWidth, edgeTrim, gapAcross, gapAround, repeats, quantity,
+        sheetW: webWidth, sheetH: 0,
+        grip: 0, tail: 0,
+        lateralMargin: edgeTrim,
+        gutter: gapAcross, gutterX: gapAcross, gutterY: gapAround,
+        bleed: 0,
+        singleCut: false,
+        alignment: 'center',
+        grainAxis: null, grainRotation: null,
+        error: null,
+    };
+
+    if (CW <= 0 || CH <= 0 || webWidth <= 0) {
+        return { ...summary, optimalKey: null, error: "Las dimensiones deben ser positivas." };
+    }
+    if (2 * edgeTrim >= webWidth) {
+        return { ...summary, optimalKey: null, error: "El refile de matriz es demasiado grande para el ancho del web." };
+    }
+    if (repeats.length === 0 || repeats.some(repeat => !(repeat > 0))) {
+        return { ...summary, optimalKey: null, error: "Indique al menos una repetición de cilindro válida." };
+    }
+    if (2 * radius > Math.min(CW, CH)) {
+        return { ...summary, optimalKey: null, error: "El radio de esquina no puede ser mayor que la mitad del lado menor del arte." };
+    }
+
+    const web = { webWidth, edgeTrim, gapAcross, gapAround, repeats, quantity };
+    const withShape = (layout) => (shape === 'rectangle'
+        ? layout
+        : { ...layout, pieces: layout.pieces.map(p => ({ ...p, shape, cornerRadius: radius })) });
+    const layoutA = withShape(buildRollLayout(CW, CH, false, web));
+    const layoutB = withShape(buildRollLayout(CH, CW, true, web));
+    const optimalKey = layoutA.labelsPerFoot >= layoutB.labelsPerFoot ? 'A' : 'B';
+
+    return { layoutA, layoutB, optimalKey, ...summary, sheetH: (optimalKey === 'A' ? layoutA : layoutB).repeat };
+};
@@ -0,0 +1,65 @@
+import { GEAR_PITCH, gearRepeat, calculateRollLength, calculateRollLayout } from './roll.js';
+
+const job = {
+  cutW: 3, cutH: 2, webWidth: 13, edgeTrim: 0.25, gapAcross: 0.125, gapAround: 0.125,
+  repeats: [gearRepeat(96), gearRepeat(104)], quantity: 10000,
+};
+
+test('gearRepeat multiplies the teeth by the gear pitch', () => {
+  expect(GEAR_PITCH).toBe(0.125);
+  expect(gearRepeat(96)).toBe(12);
+  expect(gearRepeat(80, 0.1)).toBeCloseTo(8);
+});
+
+describe('calculateRollLayout', () => {
+  test('picks the cylinder with the most labels per linear foot', () => {
+    const result = calculateRollLayout(job);
+    expect(result).toMatchObject({ roll: true, optimalKey: 'A', sheetW: 13, sheetH: 13, error: null });
+    const { layoutA } = result;
+    expect(layoutA).toMatchObject({ fitW: 4, fitH: 6, total: 24, repeat: 13, impressions: 417, rollLength: 417 * 13 });
+    expect(layoutA.gapAround).toBeCloseTo(13 / 6 - 2);
+    expect(layoutA.labelsPerFoot).toBeCloseTo(24 / 13 * 12);
+    expect(layoutA.labelsPerMeter).toBeCloseTo(24 / 13 * 1000 / 25.4);
+    expect(layoutA.cylinders.map(c => c.around)).toEqual([5, 6]);
+    // Rotada: 5 carriles de 2" y 4 vueltas de 3" en el cilindro de 13"
+    expect(result.layoutB).toMatchObject({ rotated: true, fitW: 5, fitH: 4, total: 20, repeat: 13 });
+  });
+
+  test('rounds the roll length up to whole repeats', () => {
+    expect(calculateRollLength({ total: 24, repeat: 13 }, 48)).toEqual({ impressions: 2, rollLength: 26 });
+    expect(calculateRollLength({ total: 24, repeat: 13 }, 49)).toEqual({ impressions: 3, rollLength: 39 });
+    expect(calculateRollLength({ total: 0, repeat: 13 }, 49)).toEqual({ impressions: 0, rollLength: 0 });
+  });
+
+  test('centres the lanes on the web and reports the matrix trim', () => {
+    const { layoutA } = calculateRollLayout(job);
+    expect(layoutA.pieces[0].x).toBeCloseTo(0.3125);
+    expect(layoutA.pieces[0].y).toBeCloseTo(layoutA.gapAround / 2);
+    expect(layoutA.wasteStrips.map(s => s.side)).toEqual(['left', 'right']);
+    expect(layoutA.wasteStrips[1].w).toBeCloseTo(0.3125);
+  });
+
+  test('prefers the shorter repeat when two cylinders give the same yield', () => {
+    const { layoutA } = calculateRollLayout({ ...job, gapAround: 0, repeats: [8, 4] });
+    expect(layoutA).toMatchObject({ repeat: 4, fitH: 2 });
+  });
+
+  test('returns an empty layout when the label does not fit the web', () => {
+    const { layoutA } = calculateRollLayout({ ...job, cutW: 14, cutH: 14 });
+    expect(layoutA).toMatchObject({ total: 0, pieces: [], blocks: [], impressions: 0, rollLength: 0 });
+  });
+
+  test('labels every piece with the die shape', () => {
+    const result = calculateRollLayout({ ...job, shape: 'circle', cutW: 2, cutH: 5 });
+    expect(result.layoutA).toMatchObject({ cutW: 2, cutH: 2, fitW: 5 });
+    expect(result.layoutA.pieces.every(p => p.shape === 'circle')).toBe(true);
+    expect(calculateRollLayout({ ...job, shape: 'rounded', cornerRadius: 1.5 }).error).toMatch(/radio de esquina/);
+  });
+
+  test('rejects invalid webs and repeats', () => {
+    expect(calculateRollLayout({ ...job, webWidth: 0 }).error).toMatch(/positivas/);
+    expect(calculateRollLayout({ ...job, edgeTrim: 6.5 }).error).toMatch(/refile de matriz/);
+    expect(calculateRollLayout({ ...job, repeats: [] }).error).toMatch(/repetición/);
+    expect(calculateRollLayout({ ...job, repeats: [12, 0] }).optimalKey).toBeNull();
+  });
+});
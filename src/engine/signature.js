@@ -0,0 +1,269 @@
+/**
+ * Imposición de folletos y libros por signaturas: el pliego se imprime por ambas caras (tiro y retiro con
+ * dos placas) y se dobla en ángulo recto hasta formar un cuadernillo de 4, 8, 16 o 32 páginas.
+ * Todas las medidas están en pulgadas.
+ */
+
+import { alignLayout, calculateWasteStrips } from './layout.js';
+
+/**
+ * Encuadernaciones: 'saddle' (caballete o grapa: las signaturas se encajan una dentro de otra) y
+ * 'perfect' (rústica o hot-melt: las signaturas se apilan y el lomo se fresa).
+ */
+export const BINDING_TYPES = ['saddle', 'perfect'];
+
+/**
+ * Tamaños de signatura (páginas por pliego), del mayor al menor.
+ */
+export const SIGNATURE_SIZES = [32, 16, 8, 4];
+
+/**
+ * Material que se fresa del lomo en la encuadernación rústica; se reserva en cada pliegue de lomo.
+ */
+export const GRIND_OFF = 0.125;
+
+// Páginas por cara de cada signatura (columnas x filas) y orden de los pliegues en ángulo recto:
+// 'x' dobla la mitad izquierda sobre la derecha y 'y' la mitad superior sobre la inferior. El último pliegue es el lomo.
+const FOLD_SCHEMES = {
+    4: { cols: 2, rows: 1, folds: ['x'] },
+    8: { cols: 2, rows: 2, folds: ['y', 'x'] },
+    16: { cols: 4, rows: 2, folds: ['x', 'y', 'x'] },
+    32: { cols: 4, rows: 4, folds: ['y', 'x', 'y', 'x'] },
+};
+
+/**
+ * Dobla una signatura de `pages` páginas y devuelve { cols, rows, cells, creases }. Cada celda
+ * { col, row, front, back, headDown } trae la página local (1..pages) de cada cara, vista desde esa cara
+ * (el retiro, volteado de lado), y si la página va de cabeza en el pliego. `creases` son los pliegues
+ * { axis, at, spine } con `at` en celdas desde la izquierda (axis 'x') o desde arriba ('y').
+ *
+ * Se simula el doblez con el retiro hacia arriba: la hoja de arriba del cuadernillo lleva las páginas 1 y 2,
+ * la siguiente la 3 y la 4, y así hasta la última.
+ */
+export const foldSignature = (pages) => {
+    const { cols, rows, folds } = FOLD_SCHEMES[pages];
+    let size = { x: cols, y: rows };
+    let layers = 1;
+    let panels = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) panels.push({ col, row, x: col, y: row, z: 0, flipped: false, headDown: false });
+    }
+
+    const creases = [];
+    const foldCount = { x: 0, y: 0 };
+    folds.forEach((axis, index) => {
+        const half = size[axis] / 2;
+        // Pliegues en el pliego extendido: múltiplos impares del ancho de la mitad doblada
+        foldCount[axis] += 1;
+        const step = (axis === 'x' ? cols : rows) / 2 ** foldCount[axis];
+        for (let at = step; at < (axis === 'x' ? cols : rows); at += 2 * step) {
+            creases.push({ axis, at, spine: index === folds.length - 1 });
+        }
+        // La mitad que se dobla queda encima, en orden inverso y volteada (de cabeza si el pliegue es horizontal)
+        panels = panels.map(panel => {
+            if (panel[axis] >= half) return { ...panel, [axis]: panel[axis] - half };
+            return {
+                ...panel,
+                [axis]: half - 1 - panel[axis],
+                z: 2 * layers - 1 - panel.z,
+                flipped: !panel.flipped,
+                headDown: axis === 'y' ? !panel.headDown : panel.headDown,
+            };
+        });
+        size = { ...size, [axis]: half };
+        layers *= 2;
+    });
+
+    const cells = panels.map(({ col, row, z, flipped, headDown }) => {
+        const leaf = layers - 1 - z;
+        // Cara que queda hacia arriba en el cuadernillo (impar) y hacia abajo (par)
+        const [up, down] = [2 * leaf + 1, 2 * leaf + 2];
+        return { col, row, front: flipped ? up : down, back: flipped ? down : up, headDown };
+    });
+    return { cols, rows, cells, creases };
+};
+
+/**
+ * Página del libro (1..totalPages) que lleva la página local `page` de la signatura número `index`
+ * (0 = la primera) de `pages` páginas, con `before` páginas en las signaturas anteriores.
+ * En caballete las signaturas se encajan: cada una lleva páginas del principio y del final del libro.
+ */
+const bookPage = (binding, page, pages, before, totalPages) => {
+    if (binding === 'perfect') return before + page;
+    const outer = before / 2;
+    return page <= pages / 2 ? outer + page : totalPages - outer - (pages - page);
+};
+
+/**
+ * Desplazamiento de creep (hacia el lomo) de una página en caballete: cada hoja encajada empuja hacia afuera
+ * a las interiores `creep` pulgadas. Las páginas 1, 2 y las dos últimas van en la hoja exterior.
+ */
+const creepShift = (page, totalPages, creep) => Math.floor((Math.min(page, totalPages + 1 - page) - 1) / 2) * creep;
+
+/**
+ * Signaturas del libro: las mayores posibles de `size` páginas y el resto con signaturas menores.
+ * Devuelve [{ pages, count }].
+ */
+const splitSignatures = (totalPages, size) => {
+    let rest = totalPages;
+    return SIGNATURE_SIZES.filter(pages => pages <= size).flatMap(pages => {
+        const count = Math.floor(rest / pages);
+        rest -= count * pages;
+        return count > 0 ? [{ pages, count }] : [];
+    });
+};
+
+/**
+ * Layout de una signatura sobre el pliego, rotada 90 grados o no. Las páginas se tocan en los pliegues
+ * (se refilan al doblar), salvo en el lomo de la rústica, donde se reserva GRIND_OFF; el sangrado rodea
+ * a la signatura extendida. Devuelve null si no cabe en el área útil.
+ */
+const buildSignatureLayout = (scheme, numbering, page, area, sheet, rotated) => {
+    const { cols, rows, cells, creases } = scheme;
+    const { pageW, pageH, bleed, grind, alignment } = page;
+    // Posición de cada columna con las reservas de lomo a su izquierda
+    const spineCols = creases.filter(c => c.axis === 'x' && c.spine).map(c => c.at);
+    const colX = (col) => bleed + col * pageW + spineCols.filter(at => at <= col).length * grind;
+    const flatW = colX(cols) + bleed;
+    const flatH = rows * pageH + 2 * bleed;
+    const [footprintW, footprintH] = rotated ? [flatH, flatW] : [flatW, flatH];
+    if (footprintW > area.usableW || footprintH > area.usableH) return null;
+
+    // Rota 90 grados en sentido horario un rectángulo de la signatura extendida (la cabeza arriba pasa a la derecha)
+    const place = ({ x, y, w, h }) => (rotated
+        ? { x: area.originX + flatH - y - h, y: area.originY + x, w: h, h: w }
+        : { x: area.originX + x, y: area.originY + y, w, h });
+    const headOf = (headDown) => {
+        if (!rotated) return headDown ? 'down' : 'up';
+        return headDown ? 'left' : 'right';
+    };
+
+    // Tiro visto de frente: las columnas de la simulación (vistas desde el retiro) se reflejan
+    const pieces = cells.map(cell => ({
+        ...place({ x: colX(cols - 1 - cell.col), y: bleed + cell.row * pageH, w: pageW, h: pageH }),
+        rotated,
+        side: 'front',
+        ...numbering(cell.front),
+        head: headOf(cell.headDown),
+        backPage: numbering(cell.back),
+    }));
+    const creaseLines = creases.map(({ axis, at, spine }) => {
+        const line = axis === 'x'
+            ? { x: colX(at) - (spine ? grind / 2 : 0), y: bleed, w: 0, h: rows * pageH }
+            : { x: bleed, y: bleed + at * pageH, w: colX(cols) - bleed, h: 0 };
+        return { ...place(line), spine };
+    });
+
+    // Posición del bloque (BLOCK_ALIGNMENTS): se alinean las páginas y los pliegues las acompañan
+    const aligned = alignLayout({ pieces, blocks: [] }, area, alignment);
+    const dx = pieces.length > 0 ? aligned.pieces[0].x - pieces[0].x : 0;
+    const dy = pieces.length > 0 ? aligned.pieces[0].y - pieces[0].y : 0;
+    const shift = (rect) => ({ ...rect, x: rect.x + dx, y: rect.y + dy });
+
+    const fronts = aligned.pieces.map(({ backPage, ...piece }) => piece);
+    const folds = creaseLines.map(shift);
+    // Retiro tal como se ve al voltear el pliego de lado: cada página respalda a la del tiro en la posición reflejada
+    const mirrorX = (rect) => ({ ...rect, x: sheet.sheetW - rect.x - rect.w });
+    const backPieces = aligned.pieces.map(({ backPage, ...piece }) => ({
+        ...mirrorX(piece),
+        side: 'back',
+        page: backPage.page,
+        creep: backPage.creep,
+        head: piece.head === 'left' ? 'right' : (piece.head === 'right' ? 'left' : piece.head),
+    }));
+
+    return {
+        total: cols * rows * 2,
+        fitW: rotated ? rows : cols,
+        fitH: rotated ? cols : rows,
+        rotated,
+        cutW: rotated ? pageH : pageW,
+        cutH: rotated ? pageW : pageH,
+        mixed: false,
+        extraPieces: 0,
+        blocks: [],
+        pieces: fronts,
+        backPieces,
+        backBlocks: [],
+        folds,
+        backFolds: folds.map(mirrorX),
+        wasteStrips: calculateWasteStrips(fronts, sheet.sheetW, sheet.sheetH, bleed),
+        grainViolation: false,
+        flatW: footprintW,
+        flatH: footprintH,
+    };
+};
+
+/**
+ * Calcula la imposición de un folleto o libro: { cutW, cutH (página refilada), pageCount, binding (uno de
+ * BINDING_TYPES), creep, sheetW, sheetH, lateralMargin, grip, tail, bleed, alignment }.
+ *
+ * Se elige la mayor signatura (SIGNATURE_SIZES) que cabe en el área útil del pliego, normal (layout A) o rotada
+ * 90 grados (layout B), sin superar las páginas del libro; las páginas se completan con blancas hasta un múltiplo
+ * de 4 y el resto del libro se arma con signaturas menores. Cada signatura se imprime en su propio pliego.
+ *
+ * Los layouts muestran la primera signatura: cada página lleva su número en el libro (`page`), la dirección de
+ * su cabeza en el pliego (`head`: 'up' | 'down' | 'left' | 'right') y, en caballete, su desplazamiento de
+ * creep hacia el lomo; `folds` son los pliegues ({ x, y, w, h, spine }, con w o h en 0) del tiro y `backFolds`
+ * los del retiro. Devuelve también `signatures` ([{ pages, count }]), `sheets` (pliegos por ejemplar),
+ * `blankPages` y `maxCreep`.
+ */
+export const calculateSignatureLayout = (job) => {
+    const {
+        cutW: PW, cutH: PH, pageCount = 0, binding = 'saddle', creep = 0,
+        sheetW: SW, sheetH: SH, lateralMargin: LM = 0, grip = 0, tail = 0, bleed: BL = 0, alignment = 'start',
+    } = job;
+    const totalPages = Math.ceil(pageCount / 4) * 4;
+    const summary = {
+        signatureMode: true,
+        sheetW: SW, sheetH: SH,
+        grip, tail, lateralMargin: LM,
+        gutter: 0, gutterX: 0, gutterY: 0,
+        bleed: BL,
+        singleCut: false,
+        alignment,
+        grainAxis: null, grainRotation: null,
+        duplex: 'sheetwise', plates: 2, flipAxis: 'x',
+        pageCount, totalPages, blankPages: totalPages - pageCount, binding, creep,
+        error: null,
+    };
+
+    if (PW <= 0 || PH <= 0 || SW <= 0 || SH <= 0) {
+        return { ...summary, optimalKey: null, error: "Las dimensiones deben ser positivas." };
+    }
+    if (grip + tail >= SH || 2 * LM >= SW) {
+        return { ...summary, optimalKey: null, error: "Los márgenes o pinza/cola son demasiado grandes para el pliego." };
+    }
+    if (!Number.isInteger(pageCount) || pageCount < 4) {
+        return { ...summary, optimalKey: null, error: "El libro debe tener al menos 4 páginas." };
+    }
+
+    // Área útil entre los márgenes (la Cola arriba y la Pinza abajo, como en calculateSheetLayout)
+    const area = { usableW: SW - 2 * LM, usableH: SH - grip - tail, originX: LM, originY: tail };
+    const page = { pageW: PW, pageH: PH, bleed: BL, grind: binding === 'perfect' ? GRIND_OFF : 0, alignment };
+
+    for (const size of SIGNATURE_SIZES.filter(pages => pages <= totalPages)) {
+        const scheme = foldSignature(size);
+        const numbering = (local) => {
+            const number = bookPage(binding, local, size, 0, totalPages);
+            return { page: number, creep: binding === 'saddle' ? creepShift(number, totalPages, creep) : 0 };
+        };
+        const layoutA = buildSignatureLayout(scheme, numbering, page, area, summary, false);
+        const layoutB = buildSignatureLayout(scheme, numbering, page, area, summary, true);
+        if (!layoutA && !layoutB) continue;
+
+        const empty = { total: 0, fitW: 0, fitH: 0, rotated: false, mixed: false, extraPieces: 0, blocks: [], pieces: [], wasteStrips: [], grainViolation: false };
+        const signatures = splitSignatures(totalPages, size);
+        return {
+            ...summary,
+            layoutA: layoutA || { ...empty, cutW: PW, cutH: PH },
+            layoutB: layoutB || { ...empty, rotated: true, cutW: PH, cutH: PW },
+            optimalKey: layoutA ? 'A' : 'B',
+            signature: { pages: size, cols: scheme.cols, rows: scheme.rows },
+            signatures,
+            sheets: signatures.reduce((sum, { count }) => sum + count, 0),
+            maxCreep: binding === 'saddle' ? (totalPages / 4 - 1) * creep : 0,
+        };
+    }
+    return { ...summary, optimalKey: null, error: "Ni una signatura de 4 páginas cabe en el pliego con sus márgenes." };
+};
@@ -0,0 +1,84 @@
+import { GRIND_OFF, foldSignature, calculateSignatureLayout } from './signature.js';
+
+const job = {
+  cutW: 5.5, cutH: 8.5, pageCount: 22, binding: 'saddle', creep: 0.004,
+  sheetW: 23, sheetH: 35, lateralMargin: 0.25, grip: 0.5, tail: 0.25, bleed: 0.125,
+};
+// Páginas de una cara por filas, de izquierda a derecha (el tiro se ve reflejado respecto de la simulación)
+const sideGrid = ({ cols, rows, cells }, side) => Array.from({ length: rows }, (_, row) => Array.from({ length: cols }, (_, col) => {
+  const cell = cells.find(c => c.row === row && c.col === (side === 'front' ? cols - 1 - col : col));
+  return `${cell[side]}${cell.headDown ? 'v' : ''}`;
+}));
+
+describe('foldSignature', () => {
+  test('imposes the classic 4 and 8 page signatures', () => {
+    expect(sideGrid(foldSignature(4), 'front')).toEqual([['4', '1']]);
+    expect(sideGrid(foldSignature(4), 'back')).toEqual([['2', '3']]);
+    expect(sideGrid(foldSignature(8), 'front')).toEqual([['5v', '4v'], ['8', '1']]);
+    expect(sideGrid(foldSignature(8), 'back')).toEqual([['3v', '6v'], ['2', '7']]);
+  });
+
+  test('backs every page with the next one and pairs pages across the spine', () => {
+    [4, 8, 16, 32].forEach(pages => {
+      const scheme = foldSignature(pages);
+      const front = sideGrid(scheme, 'front').map(row => row.map(value => parseInt(value, 10)));
+      scheme.cells.forEach(cell => expect(Math.min(cell.front, cell.back) % 2).toBe(1));
+      scheme.cells.forEach(cell => expect(Math.abs(cell.front - cell.back)).toBe(1));
+      scheme.creases.filter(c => c.spine).forEach(({ at }) => {
+        front.forEach(row => expect(row[at - 1] + row[at]).toBe(pages + 1));
+      });
+    });
+  });
+});
+
+describe('calculateSignatureLayout', () => {
+  test('chooses the largest signature that fits and splits the book', () => {
+    expect(calculateSignatureLayout({ ...job, pageCount: 64 }).signature.pages).toBe(32);
+    const result = calculateSignatureLayout(job);
+    expect(result).toMatchObject({
+      optimalKey: 'A', totalPages: 24, blankPages: 2, sheets: 2, duplex: 'sheetwise', plates: 2, error: null,
+      signature: { pages: 16, cols: 4, rows: 2 },
+      signatures: [{ pages: 16, count: 1 }, { pages: 8, count: 1 }],
+    });
+    expect(result.layoutA.total).toBe(16);
+    expect(result.layoutA.pieces).toHaveLength(8);
+    expect(result.layoutA.backPieces).toHaveLength(8);
+    expect(result.maxCreep).toBeCloseTo(5 * 0.004);
+  });
+
+  test('numbers nested saddle-stitched signatures from both ends of the book', () => {
+    const { layoutA } = calculateSignatureLayout(job);
+    const pages = [...layoutA.pieces, ...layoutA.backPieces].map(p => p.page).sort((a, b) => a - b);
+    expect(pages).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 17, 18, 19, 20, 21, 22, 23, 24]);
+    const first = layoutA.pieces.find(p => p.page === 1);
+    expect(first).toMatchObject({ head: 'up', creep: 0 });
+    expect(layoutA.pieces.find(p => p.page === 20)).toMatchObject({ head: 'down' });
+    expect(layoutA.pieces.find(p => p.page === 20).creep).toBeCloseTo(0.008);
+  });
+
+  test('reserves the grind-off at the spine folds of perfect-bound signatures', () => {
+    const saddle = calculateSignatureLayout(job).layoutA;
+    const perfect = calculateSignatureLayout({ ...job, binding: 'perfect', pageCount: 24 });
+    expect(perfect.signature.pages).toBe(16);
+    expect(perfect.layoutA.flatW - saddle.flatW).toBeCloseTo(2 * GRIND_OFF);
+    expect(perfect.layoutA.folds.filter(f => f.spine)).toHaveLength(2);
+    expect(perfect.maxCreep).toBe(0);
+    const pages = perfect.layoutA.pieces.map(p => p.page).sort((a, b) => a - b);
+    expect(pages).toEqual([1, 4, 5, 8, 9, 12, 13, 16]);
+  });
+
+  test('rotates the signature when it only fits across the sheet', () => {
+    const result = calculateSignatureLayout({ ...job, sheetW: 18.5, sheetH: 23 });
+    expect(result).toMatchObject({ optimalKey: 'B', layoutA: { total: 0 } });
+    expect(result.layoutB).toMatchObject({ rotated: true, fitW: 2, fitH: 4 });
+    expect(result.layoutB.pieces.every(p => p.head === 'left' || p.head === 'right')).toBe(true);
+  });
+
+  test('falls back to smaller signatures and rejects impossible books', () => {
+    expect(calculateSignatureLayout({ ...job, sheetW: 12, sheetH: 10 }).signature.pages).toBe(4);
+    expect(calculateSignatureLayout({ ...job, pageCount: 8 }).signature.pages).toBe(8);
+    expect(calculateSignatureLayout({ ...job, pageCount: 2 }).error).toMatch(/al menos 4 páginas/);
+    expect(calculateSignatureLayout({ ...job, sheetW: 10, sheetH: 8 }).error).toMatch(/signatura/);
+    expect(calculateSignatureLayout({ ...job, grip: 20, tail: 20 }).error).toMatch(/márgenes/);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unidades de medida y conversión de los valores escritos por el usuario.
+ */
+
+/**
+ * Unidades de medida disponibles. Todo el cálculo interno se hace en pulgadas;
+ * `factor` convierte de pulgadas a la unidad y `decimals` define el redondeo al mostrar resultados.
+ */
+export const UNITS = {
+    in: { label: 'Pulgadas', abbr: 'pulg', symbol: '"', factor: 1, decimals: 3 },
+    mm: { label: 'Milímetros', abbr: 'mm', symbol: ' mm', factor: 25.4, decimals: 1 },
+    cm: { label: 'Centímetros', abbr: 'cm', symbol: ' cm', factor: 2.54, decimals: 2 },
+};
+// Decimales extra al convertir los valores escritos entre unidades, para no perder precisión en idas y vueltas
+const INPUT_EXTRA_DECIMALS = 2;
+
+/**
+ * Interpreta un valor escrito por el usuario: decimales ("8.5", ".375"), fracciones ("3/8")
+ * y números mixtos ("8 1/2" o "8-1/2"). Con `decimal` = ',' también admite la coma decimal ("8,5").
+ * Devuelve NaN si el texto no es válido.
+ */
+export const parseDimension = (text, decimal = '.') => {
+    const value = String(text).trim().split(decimal).join('.');
+    let match = value.match(/^(\d*\.?\d+)$/);
+    if (match) return parseFloat(match[1]);
+    match = value.match(/^(\d+)\/(\d+)$/);
+    if (match) return Number(match[2]) > 0 ? Number(match[1]) / Number(match[2]) : NaN;
+    match = value.match(/^(\d+)(?:\s+|-)(\d+)\/(\d+)$/);
+    if (match) return Number(match[3]) > 0 ? Number(match[1]) + Number(match[2]) / Number(match[3]) : NaN;
+    return NaN;
+};
+
+/**
+ * Convierte un valor escrito en la unidad seleccionada a pulgadas (no negativo; 0 si no es válido).
+ */
+export const parseLength = (text, unit, decimal = '.') => Math.max(0, parseDimension(text, decimal) || 0) / UNITS[unit].factor;
+
+/**
+ * Redondea un número a la cantidad de decimales indicada, sin ceros sobrantes.
+ */
+export const roundTo = (value, decimals) => String(Number(value.toFixed(decimals)));
+
+/**
+ * Redondea un número como roundTo y lo escribe con el separador decimal indicado ('.' o ',').
+ */
+export const formatNumber = (value, decimals, decimal = '.') => roundTo(value, decimals).replace('.', decimal);
+
+/**
+ * Muestra una longitud (en pulgadas) en la unidad seleccionada con su símbolo. Ej.: 8.5" / 215.9 mm (215,9 mm con coma decimal).
+ */
+export const formatLength = (inches, unit, decimal = '.') => `${formatNumber(inches * UNITS[unit].factor, UNITS[unit].decimals, decimal)}${UNITS[unit].symbol}`;
+
+/**
+ * Muestra un área (en pulgadas cuadradas) en la unidad seleccionada, sin símbolo.
+ */
+export const formatArea = (squareInches, unit, decimal = '.') => formatNumber(squareInches * UNITS[unit].factor ** 2, 2, decimal);
+
+/**
+ * Convierte el texto de un campo de una unidad a otra. Los campos vacíos o inválidos se dejan igual.
+ */
+export const convertInputValue = (text, fromUnit, toUnit) => {
+    const value = parseDimension(text);
+    if (Number.isNaN(value)) return text;
+    const converted = (value / UNITS[fromUnit].factor) * UNITS[toUnit].factor;
+    return roundTo(converted, UNITS[toUnit].decimals + INPUT_EXTRA_DECIMALS);
+};
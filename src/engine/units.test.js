@@ -0,0 +1,67 @@
+import { parseDimension, parseLength, roundTo, formatNumber, formatLength, formatArea, convertInputValue } from './units.js';
+
+describe('parseDimension', () => {
+  test('parses decimals, fractions and mixed numbers', () => {
+    expect(parseDimension('8.5')).toBe(8.5);
+    expect(parseDimension('.375')).toBe(0.375);
+    expect(parseDimension('3/8')).toBe(0.375);
+    expect(parseDimension('8 1/2')).toBe(8.5);
+    expect(parseDimension('8-1/2')).toBe(8.5);
+    expect(parseDimension('  11  ')).toBe(11);
+  });
+
+  test('returns NaN for invalid text and zero denominators', () => {
+    expect(parseDimension('')).toBeNaN();
+    expect(parseDimension('abc')).toBeNaN();
+    expect(parseDimension('1/0')).toBeNaN();
+    expect(parseDimension('8 1/0')).toBeNaN();
+    expect(parseDimension('-2')).toBeNaN();
+  });
+
+  test('accepts the decimal comma only when the locale uses it', () => {
+    expect(parseDimension('8,5')).toBeNaN();
+    expect(parseDimension('8,5', ',')).toBe(8.5);
+    expect(parseDimension('8.5', ',')).toBe(8.5);
+    expect(parseLength('215,9', 'mm', ',')).toBeCloseTo(8.5);
+  });
+});
+
+describe('parseLength', () => {
+  test('converts the typed value to inches', () => {
+    expect(parseLength('25.4', 'mm')).toBe(1);
+    expect(parseLength('5.08', 'cm')).toBeCloseTo(2);
+    expect(parseLength('8 1/2', 'in')).toBe(8.5);
+  });
+
+  test('returns 0 for empty or invalid values', () => {
+    expect(parseLength('', 'in')).toBe(0);
+    expect(parseLength('x', 'mm')).toBe(0);
+  });
+});
+
+describe('formatting', () => {
+  test('rounds without trailing zeros', () => {
+    expect(roundTo(8.5, 3)).toBe('8.5');
+    expect(roundTo(1 / 3, 2)).toBe('0.33');
+  });
+
+  test('formats lengths and areas in the selected unit', () => {
+    expect(formatLength(8.5, 'in')).toBe('8.5"');
+    expect(formatLength(8.5, 'mm')).toBe('215.9 mm');
+    expect(formatLength(1, 'cm')).toBe('2.54 cm');
+    expect(formatArea(1, 'cm')).toBe('6.45');
+  });
+
+  test('writes the decimal separator of the locale', () => {
+    expect(formatNumber(1 / 3, 2, ',')).toBe('0,33');
+    expect(formatLength(8.5, 'mm', ',')).toBe('215,9 mm');
+    expect(formatArea(1, 'cm', ',')).toBe('6,45');
+  });
+
+  test('converts input text between units and keeps invalid text', () => {
+    expect(convertInputValue('8 1/2', 'in', 'mm')).toBe('215.9');
+    expect(convertInputValue('215.9', 'mm', 'in')).toBe('8.5');
+    expect(convertInputValue('', 'in', 'mm')).toBe('');
+    expect(convertInputValue('abc', 'in', 'cm')).toBe('abc');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Idioma y formato de números de la interfaz. Los textos se escriben en español en el código y se traducen
+ * con el diccionario del idioma seleccionado (los que no tienen traducción se muestran en español).
+ * Los valores de los campos se guardan siempre con punto decimal; solo se muestran y escriben con el separador
+ * del idioma, por lo que los trabajos guardados y los enlaces compartidos no dependen del idioma.
+ */
+
+import { formatNumber, formatLength, formatArea } from './engine/index.js';
+import { ENGLISH } from './translations';
+
+export const LOCALE_STORAGE_KEY = 'paper-cut-optimizer.locale';
+
+/**
+ * Idiomas disponibles por código (que también da el formato de las fechas): nombre en su idioma, idioma de
+ * los textos y separador decimal con que se escriben y muestran los números.
+ */
+export const LOCALES = {
+    'es-MX': { label: 'Español (México)', language: 'es', decimal: '.' },
+    'es-ES': { label: 'Español (España)', language: 'es', decimal: ',' },
+    'en-US': { label: 'English (US)', language: 'en', decimal: '.' },
+};
+export const DEFAULT_LOCALE = 'es-MX';
+
+// Diccionario de cada idioma, indexado por el texto en español
+const DICTIONARIES = { es: {}, en: ENGLISH };
+
+// Inserta los valores `{nombre}` de un texto
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, key) => (params[key] !== undefined ? String(params[key]) : match));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Plantillas con valores de un diccionario como expresiones regulares, para reconocer los mensajes
+ * que ya vienen armados en español (errores del motor, como los de la prensa).
+ */
+const buildTemplates = (dictionary) => Object.keys(dictionary)
+    .filter(key => /\{\w+\}/.test(key))
+    .map(key => {
+        const names = [];
+        const source = key.split(/\{(\w+)\}/).map((part, index) => {
+            if (index % 2 === 0) return escapeRegExp(part);
+            names.push(part);
+            return '(.+?)';
+        }).join('');
+        return { key, names, pattern: new RegExp(`^${source}$`) };
+    });
+const TEMPLATES = { es: [], en: buildTemplates(ENGLISH) };
+
+/**
+ * Cambia el separador decimal de los números de un texto ya formateado con punto ("8.5 x 11" -> "8,5 x 11").
+ */
+export const localizeNumbers = (text, decimal) => (decimal === '.' ? text : text.replace(/(\d)\.(\d)/g, `$1${decimal}$2`));
+
+/**
+ * Valor de un campo para mostrarlo en el idioma (los valores se guardan con punto decimal). Con coma decimal,
+ * las comas que separan listas (cilindros "96, 104") se muestran como punto y coma.
+ */
+export const localizeInput = (text, decimal) => (decimal === '.' ? text : text.replace(/,/g, ';').replace(/\./g, decimal));
+
+/**
+ * Texto escrito en un campo convertido al formato guardado (punto decimal). Inverso de localizeInput.
+ */
+export const delocalizeInput = (text, decimal) => (decimal === '.' ? text : text.split(decimal).join('.'));
+
+/**
+ * Herramientas de un idioma de LOCALES para la interfaz:
+ * - t(texto, valores): traduce un texto del código e inserta sus valores `{nombre}`.
+ * - message(texto): traduce un mensaje ya armado en otro módulo (errores del motor o de la biblioteca).
+ * - number(valor, decimales), fixed(valor, decimales), length(pulgadas, unidad), area(pulgadas², unidad) y
+ *   date(fecha): números, medidas y fechas con el separador decimal y el formato del idioma.
+ */
+export const createI18n = (code) => {
+    const locale = LOCALES[code] ? code : DEFAULT_LOCALE;
+    const { language, decimal } = LOCALES[locale];
+    const dictionary = DICTIONARIES[language];
+
+    const t = (text, params = {}) => interpolate(dictionary[text] ?? text, params);
+    const message = (text) => {
+        if (!text) return text;
+        if (dictionary[text] !== undefined) return dictionary[text];
+        const template = TEMPLATES[language].find(({ pattern }) => pattern.test(text));
+        if (!template) return localizeNumbers(text, decimal);
+        const values = text.match(template.pattern).slice(1);
+        return localizeNumbers(t(template.key, Object.fromEntries(template.names.map((name, index) => [name, values[index]]))), decimal);
+    };
+
+    return {
+        locale,
+        language,
+        decimal,
+        t,
+        message,
+        number: (value, decimals) => formatNumber(value, decimals, decimal),
+        fixed: (value, decimals) => value.toFixed(decimals).replace('.', decimal),
+        length: (inches, unit) => formatLength(inches, unit, decimal),
+        area: (squareInches, unit) => formatArea(squareInches, unit, decimal),
+        date: (value) => value.toLocaleDateString(locale),
+    };
+};
+
+/**
+ * Lee el idioma guardado en el navegador (o el predeterminado si no hay uno válido).
+ */
+export const loadLocale = (storage = window.localStorage) => {
+    try {
+        const stored = storage.getItem(LOCALE_STORAGE_KEY);
+        return LOCALES[stored] ? stored : DEFAULT_LOCALE;
+    } catch (error) {
+        return DEFAULT_LOCALE;
+    }
+};
+
+/**
+ * Guarda el idioma seleccionado. Los errores del almacenamiento (modo privado, cuota) se ignoran.
+ */
+export const saveLocale = (locale, storage = window.localStorage) => {
+    try {
+        storage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+        // Sin almacenamiento: el idioma vuelve al predeterminado en la próxima visita
+    }
+};
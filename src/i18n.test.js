@@ -0,0 +1,51 @@
+import { LOCALE_STORAGE_KEY, DEFAULT_LOCALE, createI18n, localizeInput, delocalizeInput, loadLocale, saveLocale } from './i18n';
+
+test('translates the interface texts and fills in their values', () => {
+  const english = createI18n('en-US');
+  expect(english.t('Calcular Optimización')).toBe('Calculate Optimization');
+  expect(english.t('Paso {number}: {action} — Escuadra {gauge}', { number: 2, action: 'Strip cut', gauge: '5.5"' }))
+    .toBe('Step 2: Strip cut — Side guide 5.5"');
+  // Sin traducción el texto se muestra en español
+  expect(english.t('Texto sin traducir')).toBe('Texto sin traducir');
+  expect(createI18n('es-MX').t('Secuencia de Corte ({count} pasos)', { count: 4 })).toBe('Secuencia de Corte (4 pasos)');
+  expect(createI18n('xx').locale).toBe(DEFAULT_LOCALE);
+});
+
+test('translates messages built by the engine and writes their decimals in the locale', () => {
+  const press = 'El pliego (17.5" x 22") excede el máximo de la prensa SM52 (14.5" x 20.5").';
+  expect(createI18n('en-US').message(press)).toBe('The sheet (17.5" x 22") exceeds the maximum of the SM52 press (14.5" x 20.5").');
+  expect(createI18n('es-ES').message(press)).toBe('El pliego (17,5" x 22") excede el máximo de la prensa SM52 (14,5" x 20,5").');
+  expect(createI18n('en-US').message('El Largo del Pliego (22") excede el máximo de la prensa SM52 (20").')).toBe('The Sheet Length (22") exceeds the maximum of the SM52 press (20").');
+  expect(createI18n('en-US').message('Las dimensiones deben ser positivas.')).toBe('Dimensions must be positive.');
+  expect(createI18n('en-US').message(null)).toBe(null);
+});
+
+test('formats numbers and lengths with the decimal separator of the locale', () => {
+  const spain = createI18n('es-ES');
+  expect(spain.length(8.5, 'in')).toBe('8,5"');
+  expect(spain.fixed(12.345, 2)).toBe('12,35');
+  expect(spain.number(33.333, 1)).toBe('33,3');
+  expect(createI18n('en-US').length(8.5, 'in')).toBe('8.5"');
+});
+
+test('shows the stored field values in the locale and stores what is typed with a dot', () => {
+  expect(localizeInput('8.5', ',')).toBe('8,5');
+  expect(localizeInput('96, 104.5', ',')).toBe('96; 104,5');
+  expect(delocalizeInput('8,5', ',')).toBe('8.5');
+  expect(delocalizeInput(localizeInput('8 1/2', ','), ',')).toBe('8 1/2');
+  expect(localizeInput('8.5', '.')).toBe('8.5');
+});
+
+test('remembers the selected locale and ignores unknown or unavailable storage', () => {
+  const values = {};
+  const storage = { getItem: key => values[key] ?? null, setItem: (key, value) => { values[key] = value; } };
+  expect(loadLocale(storage)).toBe(DEFAULT_LOCALE);
+  saveLocale('en-US', storage);
+  expect(values[LOCALE_STORAGE_KEY]).toBe('en-US');
+  expect(loadLocale(storage)).toBe('en-US');
+  values[LOCALE_STORAGE_KEY] = 'fr-FR';
+  expect(loadLocale(storage)).toBe(DEFAULT_LOCALE);
+  const broken = { getItem: () => { throw new Error('SecurityError'); }, setItem: () => { throw new Error('QuotaExceededError'); } };
+  expect(loadLocale(broken)).toBe(DEFAULT_LOCALE);
+  expect(() => saveLocale('es-ES', broken)).not.toThrow();
+});
@@ -0,0 +1,206 @@
+/**
+ * Biblioteca de trabajos guardados, presets (artes, pliegos y juegos de márgenes) y perfiles de prensa,
+ * persistida en el almacenamiento local del navegador y exportable como archivo JSON.
+ *
+ * Los trabajos guardan los valores tal como se escribieron, junto con su unidad.
+ * Los presets y las prensas guardan sus medidas en pulgadas y se convierten a la unidad seleccionada al usarlos.
+ */
+
+export const LIBRARY_STORAGE_KEY = 'paper-cut-optimizer.library';
+const LIBRARY_FORMAT = 'paper-cut-optimizer-library';
+const LIBRARY_VERSION = 1;
+
+/**
+ * Tipos de preset y los campos que guarda cada uno.
+ */
+export const PRESET_KINDS = {
+    artwork: { label: 'Arte', fields: ['width', 'height'] },
+    sheet: { label: 'Pliego', fields: ['width', 'height'] },
+    margins: { label: 'Márgenes', fields: ['lateralMargin', 'gutter', 'gutterVertical', 'grip', 'tail', 'bleed'] },
+};
+
+// Campos de preset que, si faltan (presets anteriores), toman el valor de otro campo
+const PRESET_FIELD_FALLBACKS = { gutterVertical: 'gutter' };
+
+/**
+ * Presets iniciales de la biblioteca (pulgadas).
+ */
+export const DEFAULT_PRESETS = [
+    { id: 'preset-artwork-1', kind: 'artwork', name: 'Carta', values: { width: '8.5', height: '11' } },
+    { id: 'preset-artwork-2', kind: 'artwork', name: 'Media Carta', values: { width: '5.5', height: '8.5' } },
+    { id: 'preset-artwork-3', kind: 'artwork', name: 'Tarjeta de Presentación', values: { width: '3.5', height: '2' } },
+    { id: 'preset-artwork-4', kind: 'artwork', name: 'Postal', values: { width: '6', height: '4' } },
+    { id: 'preset-sheet-1', kind: 'sheet', name: 'Carta Doble', values: { width: '17', height: '22' } },
+    { id: 'preset-sheet-2', kind: 'sheet', name: 'Digital', values: { width: '12', height: '18' } },
+    { id: 'preset-sheet-3', kind: 'sheet', name: 'Digital Plus', values: { width: '13', height: '19' } },
+    { id: 'preset-margins-1', kind: 'margins', name: 'Offset Estándar', values: { lateralMargin: '0.375', gutter: '0.125', gutterVertical: '0.125', grip: '0.5', tail: '0.375', bleed: '0' } },
+    { id: 'preset-margins-2', kind: 'margins', name: 'Digital (Sin Pinza)', values: { lateralMargin: '0.25', gutter: '0.125', gutterVertical: '0.125', grip: '0.25', tail: '0.25', bleed: '0.125' } },
+];
+
+/**
+ * Medidas de un perfil de prensa (pulgadas). El ancho es el borde de pinza; `side` es el borde
+ * no imprimible a cada lado y `gripperEdge` indica qué lado del pliego toma la prensa ('long' | 'short').
+ */
+export const PRESS_FIELDS = ['minWidth', 'minHeight', 'maxWidth', 'maxHeight', 'grip', 'tail', 'side'];
+
+/**
+ * Perfiles de prensa iniciales (pulgadas).
+ */
+export const DEFAULT_PRESS_PROFILES = [
+    {
+        id: 'press-1', name: 'Heidelberg SM52', gripperEdge: 'long',
+        minWidth: '5.71', minHeight: '4.13', maxWidth: '20.47', maxHeight: '14.57', grip: '0.394', tail: '0.197', side: '0.197',
+    },
+    {
+        id: 'press-2', name: 'Heidelberg SM74', gripperEdge: 'long',
+        minWidth: '11.69', minHeight: '8.27', maxWidth: '29.13', maxHeight: '20.87', grip: '0.394', tail: '0.197', side: '0.197',
+    },
+    {
+        id: 'press-3', name: 'Prensa Digital 13x19', gripperEdge: 'short',
+        minWidth: '3.94', minHeight: '5.83', maxWidth: '13', maxHeight: '19.2', grip: '0.157', tail: '0.157', side: '0.157',
+    },
+];
+
+/**
+ * Genera un identificador único para un trabajo o preset.
+ */
+export const createId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Valida y normaliza el contenido de una biblioteca (del almacenamiento o de un archivo importado).
+ * Lanza un Error con un mensaje para el usuario si la estructura no es válida.
+ */
+export const normalizeLibrary = (data) => {
+    if (!isObject(data) || !Array.isArray(data.jobs) || !Array.isArray(data.presets)) {
+        throw new Error('El archivo no es una biblioteca de trabajos válida.');
+    }
+    if (data.version > LIBRARY_VERSION) {
+        throw new Error('La biblioteca fue creada con una versión más reciente de la aplicación.');
+    }
+    const jobs = data.jobs
+        .filter(job => isObject(job) && typeof job.name === 'string' && isObject(job.values))
+        .map(job => ({
+            id: typeof job.id === 'string' ? job.id : createId('job'),
+            name: job.name,
+            savedAt: typeof job.savedAt === 'string' ? job.savedAt : new Date().toISOString(),
+            values: job.values,
+        }));
+    const presets = data.presets
+        .filter(preset => isObject(preset) && PRESET_KINDS[preset.kind] && typeof preset.name === 'string' && isObject(preset.values))
+        .map(preset => ({
+            id: typeof preset.id === 'string' ? preset.id : createId('preset'),
+            kind: preset.kind,
+            name: preset.name,
+            values: Object.fromEntries(PRESET_KINDS[preset.kind].fields.map(field => (
+                [field, String(preset.values[field] ?? preset.values[PRESET_FIELD_FALLBACKS[field]] ?? '')]
+            ))),
+        }));
+    // Las bibliotecas anteriores a los perfiles de prensa no traen `presses`
+    const presses = (Array.isArray(data.presses) ? data.presses : [])
+        .filter(press => isObject(press) && typeof press.name === 'string')
+        .map(press => ({
+            id: typeof press.id === 'string' ? press.id : createId('press'),
+            name: press.name,
+            gripperEdge: press.gripperEdge === 'short' ? 'short' : 'long',
+            ...Object.fromEntries(PRESS_FIELDS.map(field => [field, String(press[field] ?? '')])),
+        }));
+    return { jobs, presets, presses };
+};
+
+/**
+ * Lee la biblioteca del almacenamiento local. Si no existe o está dañada, devuelve una biblioteca
+ * vacía con los presets iniciales.
+ */
+export const loadLibrary = (storage = window.localStorage) => {
+    try {
+        const stored = storage.getItem(LIBRARY_STORAGE_KEY);
+        if (stored) {
+            const data = JSON.parse(stored);
+            const library = normalizeLibrary(data);
+            // Biblioteca guardada antes de los perfiles de prensa: se agregan los iniciales
+            return Array.isArray(data.presses) ? library : { ...library, presses: DEFAULT_PRESS_PROFILES };
+        }
+    } catch (error) {
+        // Almacenamiento no disponible o contenido inválido: se empieza de nuevo
+    }
+    return { jobs: [], presets: DEFAULT_PRESETS, presses: DEFAULT_PRESS_PROFILES };
+};
+
+/**
+ * Guarda la biblioteca en el almacenamiento local. Devuelve false si el navegador no lo permite
+ * (modo privado, cuota excedida).
+ */
+export const saveLibrary = (library, storage = window.localStorage) => {
+    try {
+        storage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify({ version: LIBRARY_VERSION, ...library }));
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Contenido del archivo JSON exportado para compartir la biblioteca.
+ */
+export const serializeLibrary = (library) => JSON.stringify({
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    exportedAt: new Date().toISOString(),
+    jobs: library.jobs,
+    presets: library.presets,
+    presses: library.presses,
+}, null, 2);
+
+/**
+ * Interpreta el texto de un archivo de biblioteca importado.
+ */
+export const parseLibraryFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('El archivo no es un JSON válido.');
+    }
+    if (isObject(data) && data.format !== undefined && data.format !== LIBRARY_FORMAT) {
+        throw new Error('El archivo no es una biblioteca de trabajos válida.');
+    }
+    return normalizeLibrary(data);
+};
+
+/**
+ * Agrega a la biblioteca los trabajos, presets y prensas importados. Los que tienen el mismo id se reemplazan.
+ */
+export const mergeLibraries = (current, imported) => {
+    const merge = (existing, incoming) => {
+        const incomingIds = new Set(incoming.map(entry => entry.id));
+        return [...existing.filter(entry => !incomingIds.has(entry.id)), ...incoming];
+    };
+    return {
+        jobs: merge(current.jobs, imported.jobs),
+        presets: merge(current.presets, imported.presets),
+        presses: merge(current.presses, imported.presses),
+    };
+};
+
+/**
+ * Filtra los trabajos por nombre (sin distinguir mayúsculas ni acentos), del más reciente al más antiguo.
+ */
+export const searchJobs = (jobs, query) => {
+    const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const term = normalize(query.trim());
+    return jobs
+        .filter(job => normalize(job.name).includes(term))
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+/**
+ * Crea una copia de un trabajo con un nombre que no se repita en la biblioteca.
+ */
+export const duplicateJob = (job, jobs) => {
+    const names = new Set(jobs.map(entry => entry.name));
+    let name = `${job.name} (copia)`;
+    for (let n = 2; names.has(name); n++) name = `${job.name} (copia ${n})`;
+    return { ...job, id: createId('job'), name, savedAt: new Date().toISOString() };
+};
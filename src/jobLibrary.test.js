@@ -0,0 +1,101 @@
+import {
+  LIBRARY_STORAGE_KEY,
+  DEFAULT_PRESETS,
+  DEFAULT_PRESS_PROFILES,
+  loadLibrary,
+  saveLibrary,
+  serializeLibrary,
+  parseLibraryFile,
+  mergeLibraries,
+  searchJobs,
+  duplicateJob,
+} from './jobLibrary';
+
+// Almacenamiento en memoria con la misma interfaz que localStorage
+const createStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+  };
+};
+
+const job = (id, name, savedAt = '2026-01-01T00:00:00.000Z') => ({ id, name, savedAt, values: { unit: 'in', cutWidth: '8.5' } });
+
+const emptyLibrary = { jobs: [], presets: DEFAULT_PRESETS, presses: DEFAULT_PRESS_PROFILES };
+
+test('loadLibrary starts with the default presets and presses and survives corrupt storage', () => {
+  expect(loadLibrary(createStorage())).toEqual(emptyLibrary);
+  expect(loadLibrary(createStorage({ [LIBRARY_STORAGE_KEY]: '{no es json' }))).toEqual(emptyLibrary);
+});
+
+test('loadLibrary adds the default presses to libraries saved before press profiles', () => {
+  const stored = JSON.stringify({ version: 1, jobs: [], presets: [] });
+  expect(loadLibrary(createStorage({ [LIBRARY_STORAGE_KEY]: stored })).presses).toEqual(DEFAULT_PRESS_PROFILES);
+});
+
+test('saveLibrary and loadLibrary round-trip jobs and presets', () => {
+  const storage = createStorage();
+  const library = { jobs: [job('job-1', 'Volante')], presets: DEFAULT_PRESETS.slice(0, 2), presses: DEFAULT_PRESS_PROFILES.slice(0, 1) };
+  expect(saveLibrary(library, storage)).toBe(true);
+  expect(loadLibrary(storage)).toEqual(library);
+  expect(saveLibrary(library, { setItem: () => { throw new Error('QuotaExceededError'); } })).toBe(false);
+});
+
+test('parseLibraryFile reads exported files and rejects anything else', () => {
+  const library = { jobs: [job('job-1', 'Volante')], presets: [], presses: DEFAULT_PRESS_PROFILES };
+  expect(parseLibraryFile(serializeLibrary(library))).toEqual(library);
+  // Un archivo sin prensas no reemplaza las de la biblioteca al importarlo
+  expect(parseLibraryFile('{"jobs": [], "presets": []}').presses).toEqual([]);
+  expect(() => parseLibraryFile('hola')).toThrow(/JSON válido/);
+  expect(() => parseLibraryFile('{"jobs": 3, "presets": []}')).toThrow(/biblioteca de trabajos válida/);
+  expect(() => parseLibraryFile('{"format": "otro", "jobs": [], "presets": []}')).toThrow(/biblioteca de trabajos válida/);
+});
+
+test('parseLibraryFile drops malformed entries and unknown preset kinds', () => {
+  const text = JSON.stringify({
+    jobs: [job('job-1', 'Volante'), { name: 'Sin valores' }, 'texto'],
+    presets: [
+      { id: 'p-1', kind: 'sheet', name: 'Tabloide', values: { width: 11, height: 17, extra: 1 } },
+      { id: 'p-2', kind: 'color', name: 'Rojo', values: {} },
+    ],
+  });
+  const library = parseLibraryFile(text);
+  expect(library.jobs.map(entry => entry.name)).toEqual(['Volante']);
+  expect(library.presets).toEqual([{ id: 'p-1', kind: 'sheet', name: 'Tabloide', values: { width: '11', height: '17' } }]);
+});
+
+test('parseLibraryFile uses the single gutter for both directions in older margin presets', () => {
+  const text = JSON.stringify({
+    jobs: [],
+    presets: [{ id: 'p-1', kind: 'margins', name: 'Anterior', values: { lateralMargin: '0.25', gutter: '0.2', grip: '0.5', tail: '0.25', bleed: '0' } }],
+  });
+  expect(parseLibraryFile(text).presets[0].values).toMatchObject({ gutter: '0.2', gutterVertical: '0.2' });
+});
+
+test('mergeLibraries appends imported entries and replaces those with the same id', () => {
+  const current = { jobs: [job('job-1', 'Volante'), job('job-2', 'Tarjeta')], presets: [], presses: DEFAULT_PRESS_PROFILES };
+  const imported = { jobs: [job('job-2', 'Tarjeta v2'), job('job-3', 'Postal')], presets: DEFAULT_PRESETS.slice(0, 1), presses: [] };
+  const merged = mergeLibraries(current, imported);
+  expect(merged.jobs.map(entry => entry.name)).toEqual(['Volante', 'Tarjeta v2', 'Postal']);
+  expect(merged.presets).toHaveLength(1);
+  expect(merged.presses).toEqual(DEFAULT_PRESS_PROFILES);
+});
+
+test('searchJobs ignores case and accents and sorts by most recent', () => {
+  const jobs = [
+    job('job-1', 'Catálogo Primavera', '2026-01-01T00:00:00.000Z'),
+    job('job-2', 'Volante', '2026-02-01T00:00:00.000Z'),
+    job('job-3', 'CATALOGO Otoño', '2026-03-01T00:00:00.000Z'),
+  ];
+  expect(searchJobs(jobs, 'catalogo').map(entry => entry.id)).toEqual(['job-3', 'job-1']);
+  expect(searchJobs(jobs, '  ').map(entry => entry.id)).toEqual(['job-3', 'job-2', 'job-1']);
+});
+
+test('duplicateJob picks a name that is not taken', () => {
+  const jobs = [job('job-1', 'Volante'), job('job-2', 'Volante (copia)')];
+  const copy = duplicateJob(jobs[0], jobs);
+  expect(copy.name).toBe('Volante (copia 2)');
+  expect(copy.id).not.toBe('job-1');
+  expect(copy.values).toEqual(jobs[0].values);
+});
@@ -0,0 +1,128 @@
+/**
+ * Enlaces para compartir: el trabajo completo y la orientación mostrada se codifican en la URL
+ * (query string), de modo que al abrir el enlace se restaura el mismo layout y croquis.
+ */
+
+import { UNITS, DUPLEX_METHODS, BLOCK_ALIGNMENTS, DIE_SHAPES, NESTING_MODES, BINDING_TYPES } from './engine/index.js';
+import { DEFAULT_LOCALE, createI18n } from './i18n';
+
+// Parámetro corto de la URL para cada valor del trabajo (mismos nombres que los trabajos guardados)
+const TEXT_PARAMS = {
+    cutWidth: 'cw',
+    cutHeight: 'ch',
+    sheetWidth: 'sw',
+    sheetHeight: 'sh',
+    lateralMargin: 'lm',
+    gutter: 'g',
+    gutterVertical: 'gv',
+    grip: 'gr',
+    tail: 't',
+    bleed: 'b',
+    fixedCols: 'nc',
+    fixedRows: 'nr',
+    cornerRadius: 'cr',
+    dieSpacing: 'ds',
+    webWidth: 'ww',
+    edgeTrim: 'et',
+    gapAcross: 'ga',
+    gapAround: 'gn',
+    repeats: 'rp',
+    pageCount: 'pc',
+    creep: 'cp',
+    parentWidth: 'pw',
+    parentHeight: 'ph',
+    parentTrim: 'pt',
+    quantity: 'q',
+    spoilageSheets: 'ss',
+    spoilagePct: 'sp',
+    paperPrice: 'pp',
+};
+const BOOLEAN_PARAMS = { singleCut: 'sc', gangMode: 'gm', rollMode: 'rm', signatureMode: 'sg' };
+// Valores con un conjunto cerrado de opciones
+const CHOICE_PARAMS = {
+    priceBasis: { param: 'pb', values: ['sheet', 'thousand'] },
+    sheetGrain: { param: 'fg', values: ['long', 'short'] },
+    grainParallel: { param: 'fr', values: ['any', 'width', 'height'] },
+    duplex: { param: 'dx', values: DUPLEX_METHODS },
+    alignment: { param: 'al', values: BLOCK_ALIGNMENTS },
+    shape: { param: 'fm', values: DIE_SHAPES },
+    nesting: { param: 'ns', values: NESTING_MODES },
+    repeatInput: { param: 'ri', values: ['teeth', 'length'] },
+    binding: { param: 'bd', values: BINDING_TYPES },
+};
+
+/**
+ * Clave del layout alternativo `id` (ver rankLayoutCandidates) para encodeShareLink y el historial de cálculos.
+ */
+export const candidateLayoutKey = (id) => `candidate:${id}`;
+
+/**
+ * Id del layout alternativo de una clave de candidateLayoutKey, o null si la clave es 'optimal' o 'inverted'.
+ */
+export const candidateId = (layoutKey) => (layoutKey.startsWith('candidate:') ? layoutKey.slice('candidate:'.length) : null);
+
+/**
+ * Convierte los valores del trabajo y el layout mostrado ('optimal' | 'inverted' | candidateLayoutKey) en un
+ * query string.
+ * Los artes combinados solo se incluyen en modo combinado.
+ */
+export const encodeShareLink = (values, layoutKey) => {
+    const params = new URLSearchParams();
+    params.set('u', values.unit);
+    Object.entries(TEXT_PARAMS).forEach(([key, param]) => params.set(param, values[key]));
+    Object.entries(BOOLEAN_PARAMS).forEach(([key, param]) => params.set(param, values[key] ? '1' : '0'));
+    Object.entries(CHOICE_PARAMS).forEach(([key, { param }]) => params.set(param, values[key]));
+    if (values.gangMode) {
+        params.set('items', JSON.stringify(values.gangItems.map(({ name, width, height, quantity, canRotate }) => [name, width, height, quantity, canRotate ? 1 : 0])));
+    }
+    const alternative = candidateId(layoutKey);
+    params.set('o', alternative ? 'alt' : (layoutKey === 'inverted' ? 'inv' : 'opt'));
+    if (alternative) params.set('alt', alternative);
+    return `?${params.toString()}`;
+};
+
+/**
+ * Lee un query string generado por encodeShareLink. Devuelve { values, layoutKey } con solo los valores
+ * válidos presentes en la URL, o null si la URL no describe un trabajo. Los artes combinados sin nombre
+ * se nombran "Arte N" con el traductor `t` (ver createI18n).
+ */
+export const decodeShareLink = (search, t = createI18n(DEFAULT_LOCALE).t) => {
+    const params = new URLSearchParams(search);
+    const values = {};
+
+    if (UNITS[params.get('u')]) values.unit = params.get('u');
+    Object.entries(TEXT_PARAMS).forEach(([key, param]) => {
+        if (params.has(param)) values[key] = params.get(param);
+    });
+    Object.entries(BOOLEAN_PARAMS).forEach(([key, param]) => {
+        if (params.has(param)) values[key] = params.get(param) === '1';
+    });
+    Object.entries(CHOICE_PARAMS).forEach(([key, { param, values: options }]) => {
+        if (options.includes(params.get(param))) values[key] = params.get(param);
+    });
+
+    if (params.has('items')) {
+        try {
+            const items = JSON.parse(params.get('items'));
+            if (Array.isArray(items) && items.length > 0 && items.every(Array.isArray)) {
+                values.gangItems = items.map(([name, width, height, quantity, canRotate], index) => ({
+                    id: `item-${index + 1}`,
+                    name: String(name ?? t('Arte {number}', { number: index + 1 })),
+                    width: String(width ?? ''),
+                    height: String(height ?? ''),
+                    quantity: String(quantity ?? ''),
+                    canRotate: Boolean(canRotate),
+                }));
+            }
+        } catch (error) {
+            // Artes ilegibles: se conservan los del formulario
+        }
+    }
+    if (values.gangMode && !values.gangItems) delete values.gangMode;
+
+    if (Object.keys(values).length === 0) return null;
+    const layoutKey = params.get('o') === 'alt' && params.get('alt')
+        ? candidateLayoutKey(params.get('alt'))
+        : (params.get('o') === 'inv' ? 'inverted' : 'optimal');
+    return { values, layoutKey };
+};
@@ -0,0 +1,61 @@
+import { encodeShareLink, decodeShareLink, candidateLayoutKey, candidateId } from './shareLink';
+import { createI18n } from './i18n';
+
+const values = {
+  unit: 'mm',
+  cutWidth: '90', cutHeight: '50', shape: 'oval', cornerRadius: '2', dieSpacing: '3', nesting: 'staggered', sheetWidth: '700', sheetHeight: '1000',
+  lateralMargin: '10', gutter: '3', gutterVertical: '5', grip: '12', tail: '10', bleed: '0', fixedCols: '3', fixedRows: '', singleCut: false, alignment: 'center',
+  gangMode: false, gangItems: [],
+  rollMode: false, webWidth: '330', edgeTrim: '3', gapAcross: '3', gapAround: '3', repeats: '304.8, 330.2', repeatInput: 'length',
+  signatureMode: false, pageCount: '16', binding: 'perfect', creep: '0.1',
+  parentWidth: '', parentHeight: '', parentTrim: '3',
+  quantity: '5000', spoilageSheets: '50', spoilagePct: '3', paperPrice: '0.8', priceBasis: 'sheet',
+  sheetGrain: 'short', grainParallel: 'height', duplex: 'tumble',
+};
+
+test('round-trips the job values and the displayed orientation', () => {
+  const search = encodeShareLink(values, 'inverted');
+  expect(search).toMatch(/^\?u=mm&cw=90&/);
+  const { gangItems, ...expected } = values;
+  expect(decodeShareLink(search)).toEqual({ values: expected, layoutKey: 'inverted' });
+  expect(decodeShareLink(encodeShareLink(values, 'optimal')).layoutKey).toBe('optimal');
+});
+
+test('round-trips the alternative layout shown', () => {
+  const key = candidateLayoutKey('A-7-6-14.875:0:1x11-0:21.75:4x1');
+  const search = encodeShareLink(values, key);
+  expect(search).toMatch(/&o=alt&alt=A-7-6/);
+  expect(decodeShareLink(search).layoutKey).toBe(key);
+  expect(candidateId(key)).toBe('A-7-6-14.875:0:1x11-0:21.75:4x1');
+  expect(candidateId('inverted')).toBeNull();
+  // Sin el id del alternativo se abre el óptimo
+  expect(decodeShareLink('?cw=4&o=alt').layoutKey).toBe('optimal');
+});
+
+test('names the gang items without a name in the selected language', () => {
+  const search = `?gm=1&items=${encodeURIComponent('[[null,"3.5","2","100",1]]')}`;
+  expect(decodeShareLink(search).values.gangItems[0].name).toBe('Arte 1');
+  expect(decodeShareLink(search, createI18n('en-US').t).values.gangItems[0].name).toBe('Artwork 1');
+});
+
+test('keeps fractions and gang items readable after encoding', () => {
+  const gang = {
+    ...values,
+    unit: 'in',
+    cutWidth: '8 1/2',
+    gangMode: true,
+    gangItems: [{ id: 'item-9', name: 'Tarjeta & Co', width: '3.5', height: '2', quantity: '1000', canRotate: false }],
+  };
+  const { values: decoded } = decodeShareLink(encodeShareLink(gang, 'optimal'));
+  expect(decoded.cutWidth).toBe('8 1/2');
+  expect(decoded.gangMode).toBe(true);
+  expect(decoded.gangItems).toEqual([{ id: 'item-1', name: 'Tarjeta & Co', width: '3.5', height: '2', quantity: '1000', canRotate: false }]);
+});
+
+test('ignores unrelated or invalid parameters', () => {
+  expect(decodeShareLink('')).toBeNull();
+  expect(decodeShareLink('?utm_source=mail')).toBeNull();
+  expect(decodeShareLink('?u=ft&pb=gratis&fr=diagonal&cw=4')).toEqual({ values: { cutWidth: '4' }, layoutKey: 'optimal' });
+  // Modo combinado sin artes legibles: no se activa
+  expect(decodeShareLink('?gm=1&items=%5Bx&cw=4').values).toEqual({ cutWidth: '4' });
+});
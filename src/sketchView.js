@@ -0,0 +1,120 @@
+/**
+ * Geometría del croquis interactivo: zoom y desplazamiento de la vista, búsqueda de la pieza bajo el cursor,
+ * cotas de márgenes, gutters y sobrantes, y divisiones de las reglas. Sin acceso al canvas ni al DOM.
+ *
+ * La vista es { zoom, x, y }: el zoom y el desplazamiento (px del canvas) que se aplican al dibujo.
+ */
+
+import { UNITS, roundTo, calculateWasteStrips } from './engine/index.js';
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 8;
+export const DEFAULT_VIEW = { zoom: 1, x: 0, y: 0 };
+// Tolerancia (pulgadas) para ignorar cotas y sobrantes sin ancho real
+const DIMENSION_EPSILON = 0.001;
+// Separación mínima (px) entre los números de la regla
+const RULER_LABEL_SPACING = 40;
+
+/**
+ * Limita el zoom y el desplazamiento para que el pliego no salga del canvas (width x height px).
+ */
+export const clampView = ({ zoom, x, y }, width, height) => {
+    const z = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+    return {
+        zoom: z,
+        x: Math.min(0, Math.max(width * (1 - z), x)),
+        y: Math.min(0, Math.max(height * (1 - z), y)),
+    };
+};
+
+/**
+ * Aplica un factor de zoom manteniendo fijo el punto (px, py) del canvas (el cursor o el centro del pellizco).
+ */
+export const zoomAt = (view, factor, px, py, width, height) => {
+    const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom * factor));
+    const k = zoom / view.zoom;
+    return clampView({ zoom, x: px - (px - view.x) * k, y: py - (py - view.y) * k }, width, height);
+};
+
+/**
+ * Devuelve la pieza que contiene el punto (x, y) del pliego, en pulgadas, o null.
+ */
+export const findPieceAt = (pieces, x, y) => pieces.find(p => x >= p.x && x <= p.x + p.w && y >= p.y && y <= p.y + p.h) || null;
+
+/**
+ * Posición de una pieza para el operador: fila (contada desde la pinza) y columna (desde la escuadra lateral,
+ * a la izquierda), y la distancia de la pieza a la pinza (offsetY) y a la escuadra (offsetX), en pulgadas.
+ */
+export const describePiece = (pieces, piece, sheetH) => {
+    const key = (value) => Math.round(value * 10000) / 10000;
+    const fromGrip = (p) => sheetH - p.y - p.h;
+    const columns = [...new Set(pieces.map(p => key(p.x)))].sort((a, b) => a - b);
+    const rows = [...new Set(pieces.map(p => key(fromGrip(p))))].sort((a, b) => a - b);
+    return {
+        row: rows.indexOf(key(fromGrip(piece))) + 1,
+        column: columns.indexOf(key(piece.x)) + 1,
+        offsetX: piece.x,
+        offsetY: fromGrip(piece),
+    };
+};
+
+/**
+ * Cotas de una cara del pliego, en pulgadas: márgenes laterales, Cola y Pinza, los gutters del primer bloque
+ * y las franjas sobrantes entre las piezas (con su sangrado) y el borde del pliego (ver calculateWasteStrips).
+ * `face` trae { pieces, blocks, grip, tail } como en el croquis. Cada cota es
+ * { kind: 'margin' | 'gutter' | 'waste', x1, y1, x2, y2, value }.
+ */
+export const buildDimensionLines = (layout, face) => {
+    const { sheetW: SW, sheetH: SH, lateralMargin: LM } = layout;
+    const BLEED = layout.bleed || 0;
+    const lines = [];
+    const add = (kind, x1, y1, x2, y2) => {
+        const value = Math.hypot(x2 - x1, y2 - y1);
+        if (value > DIMENSION_EPSILON) lines.push({ kind, x1, y1, x2, y2, value });
+    };
+
+    add('margin', 0, SH / 2, LM, SH / 2);
+    add('margin', SW - LM, SH / 2, SW, SH / 2);
+    add('margin', SW * 0.75, 0, SW * 0.75, face.tail);
+    add('margin', SW * 0.75, SH - face.grip, SW * 0.75, SH);
+
+    const columnsBlock = face.blocks.find(block => block.cols > 1 && block.gutterX > 0);
+    if (columnsBlock) {
+        const y = columnsBlock.y + columnsBlock.h / 2;
+        add('gutter', columnsBlock.x + columnsBlock.w, y, columnsBlock.x + columnsBlock.w + columnsBlock.gutterX, y);
+    }
+    const rowsBlock = face.blocks.find(block => block.rows > 1 && block.gutterY > 0);
+    if (rowsBlock) {
+        const x = rowsBlock.x + rowsBlock.w / 2;
+        add('gutter', x, rowsBlock.y + rowsBlock.h, x, rowsBlock.y + rowsBlock.h + rowsBlock.gutterY);
+    }
+
+    // Sobrantes: a un cuarto del largo de la franja, para no encimarse con las cotas de los márgenes
+    calculateWasteStrips(face.pieces, SW, SH, BLEED).forEach(({ side, x, y, w, h }) => {
+        if (side === 'left' || side === 'right') {
+            add('waste', x, y + h / 4, x + w, y + h / 4);
+        } else {
+            add('waste', x + w / 4, y, x + w / 4, y + h);
+        }
+    });
+    return lines;
+};
+
+/**
+ * Divisiones de una regla de `length` pulgadas dibujada a `pxPerInch`, en la unidad seleccionada.
+ * Los números se espacian según el tamaño en pantalla; entre cada número hay una división sin número.
+ * Devuelve [{ at (pulgadas), label (texto o null) }].
+ */
+export const buildRulerTicks = (length, unit, pxPerInch) => {
+    const { factor } = UNITS[unit];
+    const base = unit === 'mm' ? 10 : 1;
+    const pxPerUnit = pxPerInch / factor;
+    const steps = [1, 2, 5, 10, 20, 50, 100].map(multiplier => multiplier * base);
+    const labelStep = steps.find(step => step * pxPerUnit >= RULER_LABEL_SPACING) ?? steps[steps.length - 1];
+    const tickStep = labelStep / 2;
+    const ticks = [];
+    for (let i = 0; i * tickStep <= length * factor + DIMENSION_EPSILON; i++) {
+        ticks.push({ at: (i * tickStep) / factor, label: i % 2 === 0 ? roundTo(i * tickStep, 2) : null });
+    }
+    return ticks;
+};
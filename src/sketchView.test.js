@@ -0,0 +1,52 @@
+import { clampView, zoomAt, findPieceAt, describePiece, buildDimensionLines, buildRulerTicks, DEFAULT_VIEW, MAX_ZOOM } from './sketchView';
+import { calculateSheetLayout } from './engine/index.js';
+
+// Cuadrícula de 3 x 6 piezas de 5 x 3, desde la Cola (arriba) hacia la Pinza
+const result = calculateSheetLayout({
+  cutW: 5, cutH: 3, sheetW: 17, sheetH: 22,
+  lateralMargin: 0.5, gutter: 0.25, grip: 0.5, tail: 0.375,
+  sheetGrain: 'short', grainParallel: 'width',
+});
+const layout = { ...result, ...result.layoutA };
+const face = { pieces: layout.pieces, blocks: layout.blocks, grip: layout.grip, tail: layout.tail };
+
+test('zooms around the given point and keeps the sheet inside the canvas', () => {
+  const zoomed = zoomAt(DEFAULT_VIEW, 2, 100, 50, 500, 400);
+  expect(zoomed).toEqual({ zoom: 2, x: -100, y: -50 });
+  // El punto bajo el cursor no se mueve
+  expect((100 - zoomed.x) / zoomed.zoom).toBe(100);
+  expect(zoomAt(zoomed, 100, 0, 0, 500, 400).zoom).toBe(MAX_ZOOM);
+  expect(zoomAt(zoomed, 0.1, 250, 200, 500, 400)).toEqual(DEFAULT_VIEW);
+  expect(clampView({ zoom: 2, x: 50, y: -900 }, 500, 400)).toEqual({ zoom: 2, x: 0, y: -400 });
+});
+
+test('finds the piece under the pointer and numbers rows from the gripper', () => {
+  const piece = findPieceAt(layout.pieces, 0.6, 19.5);
+  expect(piece).toMatchObject({ x: 0.5, y: 16.625 });
+  expect(describePiece(layout.pieces, piece, 22)).toEqual({ row: 1, column: 1, offsetX: 0.5, offsetY: 2.375 });
+  expect(findPieceAt(layout.pieces, 0.1, 0.1)).toBeNull();
+
+  const top = findPieceAt(layout.pieces, 6, 1);
+  expect(describePiece(layout.pieces, top, 22)).toMatchObject({ row: 6, column: 2, offsetX: 5.75 });
+});
+
+test('builds dimension lines for margins, gutters and waste strips', () => {
+  const lines = buildDimensionLines(layout, face);
+  const values = (kind) => lines.filter(line => line.kind === kind).map(line => Number(line.value.toFixed(4)));
+  expect(values('margin')).toEqual([0.5, 0.5, 0.375, 0.5]);
+  expect(values('gutter')).toEqual([0.25, 0.25]);
+  // Sobrantes hasta el borde del pliego: izquierda (margen), derecha (17 - 16), cola y pinza (22 - 19.625)
+  expect(values('waste')).toEqual([0.5, 1, 0.375, 2.375]);
+  expect(lines.every(line => line.value > 0)).toBe(true);
+});
+
+test('spaces the ruler labels by the drawn size', () => {
+  const inches = buildRulerTicks(17, 'in', 25);
+  expect(inches[0]).toEqual({ at: 0, label: '0' });
+  expect(inches[1].label).toBeNull();
+  expect(inches.filter(tick => tick.label).map(tick => tick.label).slice(0, 3)).toEqual(['0', '2', '4']);
+
+  const millimeters = buildRulerTicks(17, 'mm', 25);
+  expect(millimeters[2]).toEqual({ at: 50 / 25.4, label: '50' });
+  expect(millimeters[millimeters.length - 1].at).toBeLessThanOrEqual(17);
+});
@@ -0,0 +1,509 @@
+/**
+ * Traducción al inglés de los textos de la interfaz, indexada por el texto en español (ver i18n.js).
+ * Los textos con valores `{nombre}` conservan los mismos nombres en la traducción.
+ */
+
+export const ENGLISH = {
+    // Opciones del formulario
+    'Contra la cola y el margen izquierdo': 'Against the tail and the left margin',
+    'Centrado en el pliego': 'Centered on the sheet',
+    'Contra la escuadra lateral': 'Against the side guide',
+    'Contra la pinza': 'Against the gripper',
+    'Izquierda': 'Left',
+    'Derecha': 'Right',
+    'Cola': 'Tail',
+    'Pinza': 'Gripper',
+    'Rectángulo': 'Rectangle',
+    'Rectángulo redondeado': 'Rounded rectangle',
+    'Círculo': 'Circle',
+    'Óvalo': 'Oval',
+    'Cuadrícula recta': 'Straight grid',
+    'Filas escalonadas (hexagonal)': 'Staggered rows (hexagonal)',
+    'Dientes (paso 1/8")': 'Teeth (1/8" pitch)',
+    'Repetición': 'Repeat',
+    'Caballete (grapa)': 'Saddle stitch (staples)',
+    'Rústica (lomo fresado)': 'Perfect bound (milled spine)',
+    'Una cara': 'Single-sided',
+    'Solo tiro.': 'Front only.',
+    'Tiro y retiro': 'Sheetwise',
+    'Dos placas; el pliego se voltea de lado.': 'Two plates; the sheet is turned over sideways.',
+    'Voltear de lado': 'Work and turn',
+    'Una placa; frentes y vueltas lado a lado, misma pinza.': 'One plate; fronts and backs side by side, same gripper.',
+    'Voltear de cabeza': 'Work and tumble',
+    'Una placa; frentes arriba y vueltas abajo, la Cola pasa a ser la Pinza.': 'One plate; fronts on top and backs below, the Tail becomes the Gripper.',
+    'arriba': 'up',
+    'a la derecha': 'right',
+    'abajo': 'down',
+    'a la izquierda': 'left',
+    'Pulgadas': 'Inches',
+    'Milímetros': 'Millimeters',
+    'Centímetros': 'Centimeters',
+    'pulg': 'in',
+
+    // Plantilla exportada
+    'Pág. {page} (cabeza {head})': 'P. {page} (head {head})',
+    'Web: {web} — Repetición: {repeat}': 'Web: {web} — Repeat: {repeat}',
+    'Refile de matriz: {value}': 'Matrix trim: {value}',
+    'Cola: {value}': 'Tail: {value}',
+    'Pinza: {value}': 'Gripper: {value}',
+    'Pliego: {width} x {height}': 'Sheet: {width} x {height}',
+    'Margen lateral: {value}': 'Side margin: {value}',
+
+    // Formulario
+    'Optimizador de Corte de Pliego': 'Sheet Cutting Optimizer',
+    'Idioma': 'Language',
+    'Valor no válido: use "{decimal}" como separador decimal.': 'Invalid value: use "{decimal}" as the decimal separator.',
+    'Unidades': 'Units',
+    'Modo': 'Mode',
+    'Arte Único': 'Single Art',
+    'Combinado': 'Gang Run',
+    'Rollo': 'Roll',
+    'Libro': 'Book',
+    'Artes Combinados': 'Ganged Artwork',
+    'Dimensiones de la Etiqueta': 'Label Dimensions',
+    'Dimensiones de la Página': 'Page Dimensions',
+    'Dimensiones del Arte': 'Artwork Dimensions',
+    'Forma': 'Shape',
+    'Diámetro': 'Diameter',
+    'Ancho': 'Width',
+    'Largo': 'Length',
+    'Radio de Esquina': 'Corner Radius',
+    'Separación Troquel': 'Die Spacing',
+    'Mínima entre líneas de troquel.': 'Minimum between die lines.',
+    'Acomodo': 'Nesting',
+    'Páginas': 'Pages',
+    'Se completa a múltiplo de 4.': 'Rounded up to a multiple of 4.',
+    'Creep': 'Creep',
+    'Por hoja encajada.': 'Per nested sheet.',
+    'Encuadernación': 'Binding',
+    'Fibra Requerida': 'Required Grain',
+    'Sin requisito': 'No requirement',
+    'Paralela al ancho del arte': 'Parallel to the artwork width',
+    'Paralela al largo del arte': 'Parallel to the artwork length',
+    'Web y Cilindros': 'Web and Cylinders',
+    'Ancho del Web': 'Web Width',
+    'Refile de Matriz': 'Matrix Trim',
+    'Por borde del web.': 'Per web edge.',
+    'Gap entre Carriles': 'Gap between Lanes',
+    'A lo ancho.': 'Across.',
+    'Gap en Avance': 'Gap Around',
+    'Mínimo, alrededor.': 'Minimum, around.',
+    'Cantidad': 'Quantity',
+    'Etiquetas requeridas.': 'Labels required.',
+    'Cilindros por': 'Cylinders by',
+    'Cilindros Disponibles': 'Available Cylinders',
+    'Dientes de cada engrane, separados por comas.': 'Teeth of each gear, separated by commas.',
+    'Repetición de cada cilindro, separadas por comas.': 'Repeat of each cylinder, separated by commas.',
+    'Dimensiones del Pliego': 'Sheet Dimensions',
+    'Ancho Pliego': 'Sheet Width',
+    'Largo Pliego': 'Sheet Length',
+    'Fibra del Pliego': 'Sheet Grain',
+    'Ancho Madre': 'Parent Width',
+    'Largo Madre': 'Parent Length',
+    'Refile': 'Trim',
+    'Por borde.': 'Per edge.',
+    'Margen Lateral': 'Side Margin',
+    'Izq./Der.': 'Left/Right.',
+    'Gutter Horizontal': 'Horizontal Gutter',
+    'Entre columnas.': 'Between columns.',
+    'Gutter Vertical': 'Vertical Gutter',
+    'Entre filas.': 'Between rows.',
+    'Pinza (Grip)': 'Gripper (Grip)',
+    'Agarre inferior.': 'Bottom grip.',
+    'Cola (Tail)': 'Tail',
+    'Margen superior.': 'Top margin.',
+    'Sangrado (Bleed)': 'Bleed',
+    'Por lado de la pieza.': 'Per side of the piece.',
+    'Columnas Fijas': 'Fixed Columns',
+    'Vacío = automático.': 'Empty = automatic.',
+    'Filas Fijas': 'Fixed Rows',
+    'Arranque': 'Make-ready',
+    'Pliegos fijos.': 'Fixed sheets.',
+    'Merma (%)': 'Spoilage (%)',
+    'Sobre pliegos netos.': 'On net sheets.',
+    'Precio': 'Price',
+    'Cantidad Requerida': 'Required Quantity',
+    'Piezas a producir.': 'Pieces to produce.',
+    'Fibra larga (paralela al lado largo)': 'Long grain (parallel to the long side)',
+    'Fibra corta (paralela al lado corto)': 'Short grain (parallel to the short side)',
+    'Pliego Madre (Opcional)': 'Parent Sheet (Optional)',
+    'Márgenes y Agarre': 'Margins and Grip',
+    'Prensa': 'Press',
+    'Sin prensa': 'No press',
+    'Corte sencillo': 'Single cut',
+    'Sangrados compartidos, sin gutter.': 'Shared bleeds, no gutter.',
+    'Posición del Bloque': 'Block Position',
+    'Impresión': 'Printing',
+    'Calcular Optimización': 'Calculate Optimization',
+    'Valores Actualizados': 'Values Up to Date',
+
+    // Resultados
+    'Resultado de Optimización': 'Optimization Result',
+    'Páginas por Pliego:': 'Pages per Sheet:',
+    'Total de Piezas:': 'Total Pieces:',
+
+    // Textos de resultados y paneles
+    'Acción': 'Action',
+    'Acomodo:': 'Nesting:',
+    'Advertencia:': 'Warning:',
+    'Ajustar': 'Fit',
+    'Ajuste Horizontal:': 'Horizontal Fit:',
+    'Ajuste Vertical:': 'Vertical Fit:',
+    'Alrededor': 'Around',
+    'Arranque + Merma:': 'Make-ready + Spoilage:',
+    'Arte': 'Artwork',
+    'Base': 'Base',
+    'Borde de Pinza': 'Gripper Edge',
+    'Calcule un layout antes de imprimir la orden de trabajo.': 'Calculate a layout before printing the work order.',
+    'Cargar': 'Load',
+    'Cilindro': 'Cylinder',
+    'Cilindro:': 'Cylinder:',
+    'Control de Calidad': 'Quality Control',
+    'Cortes': 'Cuts',
+    'Cortes:': 'Cuts:',
+    'Costo Total del Papel:': 'Total Paper Cost:',
+    'Costos y Cantidades': 'Costs and Quantities',
+    'Cotas': 'Dimensions',
+    'Creep Máximo (páginas centrales):': 'Maximum Creep (center pages):',
+    'Cuadrícula / Escalonado:': 'Grid / Staggered:',
+    'Desperdicio': 'Waste',
+    'Desperdicio (Área):': 'Waste (Area):',
+    'Desperdicio:': 'Waste:',
+    'Dim. Arte Utilizado:': 'Artwork Size Used:',
+    'Dim. Etiqueta Utilizada:': 'Label Size Used:',
+    'Dim. Pliego Utilizado:': 'Sheet Size Used:',
+    'Disposición': 'Arrangement',
+    'Duplicar': 'Duplicate',
+    'Eliminar': 'Delete',
+    'Encuadernación:': 'Binding:',
+    'Error:': 'Error:',
+    'Escuadra': 'Guide',
+    'Etiq./m': 'Labels/m',
+    'Etiquetas Alrededor:': 'Labels Around:',
+    'Etiquetas a lo Ancho (Carriles):': 'Labels Across (Lanes):',
+    'Etiquetas por Metro Lineal:': 'Labels per Linear Meter:',
+    'Etiquetas por Pie Lineal:': 'Labels per Linear Foot:',
+    'Excedente': 'Overs',
+    'Fibra del Pliego:': 'Sheet Grain:',
+    'Franjas Sobrantes (con márgenes):': 'Waste Strips (with margins):',
+    'Gap Real en Avance:': 'Actual Gap Around:',
+    'Giro': 'Turn',
+    'Guardado': 'Saved',
+    'Guardar trabajo actual': 'Save current job',
+    'Hoja': 'Paper Size',
+    'Impresión:': 'Printing:',
+    'Incluir secuencia de corte': 'Include cutting sequence',
+    'Ingrese los valores y pulse "Calcular Optimización" para ver el resultado.': 'Enter the values and press "Calculate Optimization" to see the result.',
+    'Lado corto del pliego': 'Short side of the sheet',
+    'Lado largo del pliego': 'Long side of the sheet',
+    'Layout': 'Layout',
+    'Los datos han cambiado. Pulse "Calcular Optimización" para actualizar el resultado y el croquis.': 'The values have changed. Press "Calculate Optimization" to update the result and the sketch.',
+    'Mayor Sobrante': 'Largest Offcut',
+    'Mayor Sobrante:': 'Largest Offcut:',
+    'Medidas': 'Sizes',
+    'Nombre': 'Name',
+    'Notas': 'Notes',
+    'Orden de Trabajo': 'Work Order',
+    'Orientación': 'Orientation',
+    'Orientación de la Etiqueta:': 'Label Orientation:',
+    'Orientación de la Página:': 'Page Orientation:',
+    'Orientación del Arte:': 'Artwork Orientation:',
+    'Piezas': 'Pieces',
+    'Piezas Terminadas por Pliego:': 'Finished Pieces per Sheet:',
+    'Piezas en Sobrantes (Rotadas):': 'Pieces in Offcuts (Rotated):',
+    'Piezas por Pliego Madre:': 'Pieces per Parent Sheet:',
+    'Piezas/Pliego': 'Pieces/Sheet',
+    'Pila': 'Stack',
+    'Placas:': 'Plates:',
+    'Pliego': 'Sheet',
+    'Pliego Madre:': 'Parent Sheet:',
+    'Pliego de Prensa': 'Press Sheet',
+    'Pliegos': 'Sheets',
+    'Pliegos Madre a Pedir:': 'Parent Sheets to Order:',
+    'Pliegos Netos:': 'Net Sheets:',
+    'Pliegos a Imprimir:': 'Sheets to Print:',
+    'Pliegos de Prensa:': 'Press Sheets:',
+    'Pliegos por Ejemplar:': 'Sheets per Copy:',
+    'Pliegos por Pliego Madre:': 'Sheets per Parent Sheet:',
+    'Por millar': 'Per thousand',
+    'Por pliego': 'Per sheet',
+    'Presets': 'Presets',
+    'Producidas': 'Produced',
+    'Puede rotar': 'Can rotate',
+    'Páginas del Libro:': 'Book Pages:',
+    'Reglas': 'Rulers',
+    'Sangrado:': 'Bleed:',
+    'Separación entre Troqueles:': 'Die Spacing:',
+    'Signatura Extendida:': 'Flat Signature:',
+    'Signatura:': 'Signature:',
+    'Signaturas:': 'Signatures:',
+    'Trabajo': 'Job',
+    'Troquel:': 'Die:',
+    'Visualizando Layout Alternativo': 'Showing Alternative Layout',
+    'Visualizando Layout Invertido': 'Showing Inverted Layout',
+    'Web x Repetición:': 'Web x Repeat:',
+    'x Pliego': 'per Sheet',
+    'x Repetición': 'per Repeat',
+    '¡Bienvenido!': 'Welcome!',
+    '● En uso': '● In use',
+    '★ Recomendado': '★ Recommended',
+    '⚠ Contra la fibra': '⚠ Against the grain',
+    '✔ A favor de la fibra': '✔ With the grain',
+    'Rotada (H x W)': 'Rotated (H x W)',
+    'Rotado (H x W)': 'Rotated (H x W)',
+    'Normal (W x H)': 'Normal (W x H)',
+    '{teeth} dientes': '{teeth} teeth',
+    'Largo del Rollo ({count} etiquetas):': 'Roll Length ({count} labels):',
+    'pies': 'ft',
+    '{pages} páginas ({cols} x {rows} por cara)': '{pages} pages ({cols} x {rows} per side)',
+    '{count} en blanco': '{count} blank',
+    'Mixto': 'Mixed',
+    'Larga': 'Long',
+    'Corta': 'Short',
+    '↔ horizontal': '↔ horizontal',
+    '↕ vertical': '↕ vertical',
+    'Fibra Requerida (al ancho):': 'Required Grain (across the width):',
+    'Fibra Requerida (al largo):': 'Required Grain (along the length):',
+    'radio {value}': 'radius {value}',
+    '{grid} / {staggered} piezas': '{grid} / {staggered} pieces',
+    '{count} frentes + {count} vueltas': '{count} fronts + {count} backs',
+    'Corte Sencillo': 'Single Cut',
+    'Corte Doble': 'Double Cut',
+    'Ejemplares requeridos.': 'Copies required.',
+    'Piezas requeridas.': 'Pieces required.',
+    'Por pliego madre.': 'Per parent sheet.',
+    'Por pliego.': 'Per sheet.',
+    'Costo por Ejemplar:': 'Cost per Copy:',
+    'Costo por Pieza:': 'Cost per Piece:',
+    'Croquis de Corte': 'Cutting Sketch',
+    'Croquis del pliego': 'Sheet sketch',
+
+    // Croquis y orden de trabajo
+    'Pliego Madre: {width} x {height} ({count} pliegos)': 'Parent Sheet: {width} x {height} ({count} sheets)',
+    'Croquis disponible tras el cálculo.': 'Sketch available after calculating.',
+    'La orientación invertida va contra la fibra del pliego': 'The inverted orientation goes against the sheet grain',
+    'Invertir Orientación ⚠': 'Invert Orientation ⚠',
+    'Invertir Orientación': 'Invert Orientation',
+    'Volver (Óptimo)': 'Back (Optimal)',
+    '⚠ Invertir la orientación pondrá el arte contra la fibra del pliego.': '⚠ Inverting the orientation will put the artwork against the sheet grain.',
+    'El croquis muestra el pliego con la Pinza (rojo, inferior), la Cola (gris oscuro, superior) y los Márgenes Laterales (gris claro). Las piezas (caja de corte) se muestran en verde y el sangrado con línea punteada magenta; en layouts mixtos, las piezas rotadas en los sobrantes se muestran en naranja. El espacio entre ellas es el Gutter; las formas troqueladas se dibujan con su línea de troquel. Las flechas indican la dirección de la fibra (en rojo, las piezas contra la fibra). En impresión a dos caras se muestran el tiro y el retiro lado a lado, tal como se ve el pliego al voltearlo: la vuelta R1 respalda al frente F1 (en azul, las vueltas que comparten placa con los frentes). Use la rueda del mouse o pellizque para acercar, arrastre para desplazar y pase el cursor sobre una pieza para ver su fila, columna y distancia a la pinza y a la escuadra; las Cotas muestran márgenes, gutters y sobrantes (naranja). En modo rollo se dibuja una repetición del web: los carriles a lo ancho y los límites de la vuelta del cilindro con línea punteada. En modo libro cada página muestra su número girado hacia su cabeza (▲) en el tiro y el retiro, con los pliegues en línea punteada gris y el lomo en violeta.': 'The sketch shows the sheet with the Gripper (red, bottom), the Tail (dark gray, top) and the Side Margins (light gray). The pieces (trim box) are shown in green and the bleed with a dashed magenta line; in mixed layouts, the pieces rotated into the offcuts are shown in orange. The space between them is the Gutter; die-cut shapes are drawn with their die line. The arrows show the grain direction (in red, the pieces against the grain). In two-sided printing the front and the back are shown side by side, as the sheet looks when turned over: back B1 backs up front F1 (in blue, the backs that share a plate with the fronts). Use the mouse wheel or pinch to zoom, drag to pan and hover over a piece to see its row, column and distance to the gripper and to the side guide; the Dimensions show margins, gutters and offcuts (orange). In roll mode one repeat of the web is drawn: the lanes across and the limits of the cylinder turn with a dashed line. In book mode each page shows its number turned toward its head (▲) on the front and the back, with the folds as a dashed gray line and the spine in violet.',
+    'Cliente': 'Customer',
+    'Fecha de Entrega': 'Due Date',
+    'Papel': 'Stock',
+    'Carta (Letter)': 'Letter',
+    'A4': 'A4',
+    'Tabloide (11 x 17)': 'Tabloid (11 x 17)',
+    'Notas para el taller': 'Notes for the shop floor',
+    'Imprimir Orden de Trabajo': 'Print Work Order',
+    'Exportar SVG (Tamaño Real)': 'Export SVG (Actual Size)',
+    'Exportar PDF (Tamaño Real)': 'Export PDF (Actual Size)',
+
+    // Croquis
+    'Avance del web ↓': 'Web direction ↓',
+    'Cola (T)': 'Tail (T)',
+    'Pinza (G)': 'Gripper (G)',
+    'F': 'F',
+    'R': 'B',
+    'Fibra': 'Grain',
+    'Tiro (Frente)': 'Front',
+    'Retiro (volteado de cabeza)': 'Back (work and tumble)',
+    'Retiro (volteado de lado)': 'Back (work and turn)',
+    'Página {page}': 'Page {page}',
+    'Pieza': 'Piece',
+    '{name} — Fila {row}, Columna {column}': '{name} — Row {row}, Column {column}',
+    'Desde la pinza: {value}': 'From gripper: {value}',
+    'Desde la escuadra: {value}': 'From side guide: {value}',
+    'Creep: {value}': 'Creep: {value}',
+    'Alejar': 'Zoom out',
+    'Acercar': 'Zoom in',
+
+    // Secuencia de corte
+    'Tira': 'Strip',
+    'Columna': 'Column',
+    'Girar 180°': 'Turn 180°',
+    'Girar 90°': 'Turn 90°',
+    'Refilar Pinza': 'Trim gripper edge',
+    'Refilar Cola': 'Trim tail edge',
+    'Refilar Margen Izquierdo': 'Trim left margin',
+    'Refilar Margen Derecho': 'Trim right margin',
+    'Refilar sobrante inferior': 'Trim bottom offcut',
+    'Refilar sobrante superior': 'Trim top offcut',
+    'Refilar sobrante izquierdo': 'Trim left offcut',
+    'Refilar sobrante derecho': 'Trim right offcut',
+    'Sin corte de guillotina posible para estas piezas': 'No guillotine cut possible for these pieces',
+    'Corte de tira': 'Strip cut',
+    'Corte de pieza': 'Piece cut',
+    'Doble corte (sacar gutter)': 'Double cut (remove gutter)',
+    'Secuencia de Corte ({count} pasos)': 'Cutting Sequence ({count} steps)',
+    '◀ Anterior': '◀ Previous',
+    'Siguiente ▶': 'Next ▶',
+    'Paso {number}: {action} — Escuadra {gauge}': 'Step {number}: {action} — Side guide {gauge}',
+
+    // Layouts alternativos
+    ' + {count} rotadas ({strips})': ' + {count} rotated ({strips})',
+    'Layouts Alternativos': 'Alternative Layouts',
+    'Ordenados por piezas, luego por menos cortes y por el sobrante más grande. Fije hasta {count} para compararlos lado a lado.': 'Sorted by pieces, then by fewest cuts and by the largest offcut. Pin up to {count} to compare them side by side.',
+    'Ver': 'Show',
+    'Quitar': 'Unpin',
+    'Fijar': 'Pin',
+    'Comparación #{rank}': 'Comparison #{rank}',
+    '#{rank} — {count} piezas': '#{rank} — {count} pieces',
+
+    // Artes y presets
+    'Arte {number}': 'Artwork {number}',
+    'Eliminar arte': 'Remove artwork',
+    '+ Agregar Arte': '+ Add Artwork',
+    'Márgenes': 'Margins',
+    'Nombre del preset de {kind}': 'Name of the {kind} preset',
+    'Guardar': 'Save',
+    'Cancelar': 'Cancel',
+    'Presets de {kind}…': '{kind} presets…',
+    'Guardar los valores actuales como preset': 'Save the current values as a preset',
+    '+ Preset': '+ Preset',
+
+    // Catálogo de pliegos
+    'Nuevo Pliego': 'New Sheet',
+    '% Área Utilizada': '% Area Used',
+    'Desperdicio ({unit}²)': 'Waste ({unit}²)',
+    'Pliegos Necesarios': 'Sheets Needed',
+    'Catálogo de Pliegos': 'Sheet Catalog',
+    'Eliminar pliego': 'Remove sheet',
+    '+ Agregar Pliego': '+ Add Sheet',
+    'Buscar Mejor Pliego': 'Find Best Sheet',
+    'Pulse "Buscar Mejor Pliego" para comparar todos los pliegos del catálogo. Haga clic en una fila para cargarla en el croquis.': 'Press "Find Best Sheet" to compare every sheet in the catalog. Click a row to load it into the sketch.',
+
+    // Modo lote
+    'Modo Lote': 'Batch Mode',
+    'Trabajos del lote': 'Batch jobs',
+    'Trabajo {number}': 'Job {number}',
+    'Una fila por trabajo, con las medidas en {unit}. Columnas: {columns}.': 'One row per job, with measurements in {unit}. Columns: {columns}.',
+    'Sin encabezados se leen en ese orden; las celdas vacías toman los valores del formulario.': 'Without headers they are read in that order; empty cells take the form values.',
+    'Calcular Lote': 'Calculate Batch',
+    'Importar CSV': 'Import CSV',
+    '{count} trabajos': '{count} jobs',
+    ', {count} con error': ', {count} with errors',
+    'Exportar CSV': 'Export CSV',
+    'Pegue las celdas de una hoja de cálculo o importe un CSV y pulse "Calcular Lote" para optimizar todos los trabajos a la vez.': 'Paste cells from a spreadsheet or import a CSV and press "Calculate Batch" to optimize every job at once.',
+    'El lote no tiene trabajos.': 'The batch has no jobs.',
+    'Piezas por Pliego': 'Pieces per Sheet',
+    'Columnas x Filas': 'Columns x Rows',
+    'Error': 'Error',
+
+    // Orden de trabajo
+    'Escala 1:1 (tamaño real)': 'Scale 1:1 (actual size)',
+    'Escala 1:{scale}': 'Scale 1:{scale}',
+    '{total} piezas de {items} artes por pliego': '{total} pieces of {items} artworks per sheet',
+    '{total} etiquetas por repetición: {lanes} carriles x {around} alrededor, cilindro de {repeat}': '{total} labels per repeat: {lanes} lanes x {around} around, {repeat} cylinder',
+    'rotado': 'rotated',
+    'normal': 'normal',
+    'Signatura de {pages} páginas ({columns} x {rows} por cara, {orientation}): {signatures}, {sheets} pliegos por ejemplar': '{pages}-page signature ({columns} x {rows} per side, {orientation}): {signatures}, {sheets} sheets per copy',
+    ' + {count} en sobrantes': ' + {count} in offcuts',
+    '{total} piezas por pliego: {columns} x {rows} {orientation}': '{total} pieces per sheet: {columns} x {rows} {orientation}',
+    ', arte de {width} x {height}': ', {width} x {height} artwork',
+    'fibra larga': 'long grain',
+    'fibra corta': 'short grain',
+    'Web': 'Web',
+    '{count} etiquetas': '{count} labels',
+    'Repeticiones': 'Repeats',
+    'Largo del Rollo': 'Roll Length',
+    '{count} ejemplares': '{count} copies',
+    '{count} piezas': '{count} pieces',
+    'Pliegos Netos': 'Net Sheets',
+    'Arranque + Merma': 'Makeready + Spoilage',
+    'Pliegos a Sacar': 'Sheets to Run',
+    'Pliegos Madre ({width} x {height})': 'Parent Sheets ({width} x {height})',
+    '{count} ({sheets} pliegos c/u)': '{count} ({sheets} sheets each)',
+    'Gap Real en Avance': 'Actual Gap Around',
+    'Sangrado': 'Bleed',
+    ' (corte sencillo)': ' (single cut)',
+    'Trabajo sin nombre': 'Untitled job',
+    'Impresa: {date}': 'Printed: {date}',
+    'Refile y Gaps': 'Trim and Gaps',
+    'Márgenes y Gutters': 'Margins and Gutters',
+    'Registro': 'Registration',
+    'Color contra prueba': 'Color against proof',
+    'Medidas de corte': 'Cut dimensions',
+    'Cantidad contada': 'Quantity counted',
+    'Preparó': 'Prepared by',
+    'Prensista': 'Press operator',
+    'Entregó': 'Delivered by',
+    'Layout Alternativo #{rank}': 'Alternative Layout #{rank}',
+    '{count} cortes': '{count} cuts',
+
+    // Perfiles de prensa
+    'Ancho Mínimo': 'Minimum Width',
+    'Largo Mínimo': 'Minimum Length',
+    'Ancho Máximo': 'Maximum Width',
+    'Largo Máximo': 'Maximum Length',
+    'Pinza Requerida': 'Required Gripper',
+    'Cola (No Imprimible)': 'Tail (Non-printable)',
+    'Lateral (No Imprimible)': 'Side (Non-printable)',
+    'Nueva Prensa': 'New Press',
+    '{min} a {max}, pinza {grip} en el lado largo': '{min} to {max}, {grip} gripper on the long side',
+    '{min} a {max}, pinza {grip} en el lado corto': '{min} to {max}, {grip} gripper on the short side',
+    'Perfiles de Prensa': 'Press Profiles',
+    '+ Agregar Prensa': '+ Add Press',
+    'Medidas en {unit}. El ancho del pliego es el borde de pinza; un máximo vacío no tiene límite.': 'Measurements in {unit}. The sheet width is the gripper edge; an empty maximum has no limit.',
+    'Guardar Prensa': 'Save Press',
+    'Seleccione una prensa para editar sus límites o agregue una nueva. Elija la prensa del trabajo en "Márgenes y Agarre".': 'Select a press to edit its limits or add a new one. Choose the press for the job in "Margins and Gripper".',
+
+    // Biblioteca
+    'Trabajo "{name}" actualizado.': 'Job "{name}" updated.',
+    'Trabajo "{name}" guardado.': 'Job "{name}" saved.',
+    'Se importaron {jobs} trabajos y {presets} presets.': 'Imported {jobs} jobs and {presets} presets.',
+    '{count} artes combinados': '{count} ganged artworks',
+    '{art} en {sheet}': '{art} on {sheet}',
+    'Biblioteca de Trabajos': 'Job Library',
+    'Nombre del trabajo': 'Job name',
+    'Actualizar': 'Update',
+    'Exportar JSON': 'Export JSON',
+    'Importar JSON': 'Import JSON',
+    'Eliminar preset': 'Remove preset',
+    'Buscar trabajo por nombre…': 'Search jobs by name…',
+    'Aún no hay trabajos guardados. Escriba un nombre y pulse "Guardar" para guardar el trabajo actual.': 'No saved jobs yet. Type a name and press "Save" to save the current job.',
+    'Ningún trabajo coincide con la búsqueda.': 'No job matches the search.',
+    'El archivo no es una biblioteca de trabajos válida.': 'The file is not a valid job library.',
+    'La biblioteca fue creada con una versión más reciente de la aplicación.': 'The library was created with a newer version of the application.',
+    'El archivo no es un JSON válido.': 'The file is not valid JSON.',
+
+    // Mensajes del motor
+    'Las dimensiones deben ser positivas.': 'Dimensions must be positive.',
+    'Los márgenes o pinza/cola son demasiado grandes para el pliego.': 'The margins or gripper/tail are too large for the sheet.',
+    'El refile es demasiado grande para el pliego madre.': 'The trim is too large for the parent sheet.',
+    'El pliego de prensa no cabe en el pliego madre.': 'The press sheet does not fit on the parent sheet.',
+    'Las dimensiones y cantidades de todos los artes deben ser positivas.': 'The dimensions and quantities of every artwork must be positive.',
+    'Los artes no caben juntos en el pliego (ni una pieza de cada uno).': 'The artworks do not fit together on the sheet (not even one piece of each).',
+    'El refile de matriz es demasiado grande para el ancho del web.': 'The matrix trim is too large for the web width.',
+    'Indique al menos una repetición de cilindro válida.': 'Enter at least one valid cylinder repeat.',
+    'El radio de esquina no puede ser mayor que la mitad del lado menor del arte.': 'The corner radius cannot be larger than half the artwork\'s shorter side.',
+    'El libro debe tener al menos 4 páginas.': 'The book must have at least 4 pages.',
+    'Ni una signatura de 4 páginas cabe en el pliego con sus márgenes.': 'Not even a 4-page signature fits on the sheet with its margins.',
+    'El arte no cabe en este pliego.': 'The artwork does not fit on this sheet.',
+    'El arte no cabe en el pliego.': 'The artwork does not fit on the sheet.',
+    'La prensa {press} toma el pliego por el lado largo: el Ancho del Pliego debe ser el lado largo.': 'The {press} press takes the sheet by the long side: the Sheet Width must be the long side.',
+    'La prensa {press} toma el pliego por el lado corto: el Ancho del Pliego debe ser el lado corto.': 'The {press} press takes the sheet by the short side: the Sheet Width must be the short side.',
+    'El pliego ({sheet}) excede el máximo de la prensa {press} ({limit}).': 'The sheet ({sheet}) exceeds the maximum of the {press} press ({limit}).',
+    'El Ancho del Pliego ({sheet}) excede el máximo de la prensa {press} ({limit}).': 'The Sheet Width ({sheet}) exceeds the maximum of the {press} press ({limit}).',
+    'El Largo del Pliego ({sheet}) excede el máximo de la prensa {press} ({limit}).': 'The Sheet Length ({sheet}) exceeds the maximum of the {press} press ({limit}).',
+    'El pliego ({sheet}) es menor que el mínimo de la prensa {press} ({limit}).': 'The sheet ({sheet}) is smaller than the minimum of the {press} press ({limit}).',
+    'La Pinza es menor que la requerida por la prensa {press} ({value}).': 'The Gripper is smaller than the one required by the {press} press ({value}).',
+    'La Cola es menor que el borde no imprimible de la prensa {press} ({value}).': 'The Tail is smaller than the non-printable edge of the {press} press ({value}).',
+    'El Margen Lateral es menor que el borde no imprimible de la prensa {press} ({value}).': 'The Side Margin is smaller than the non-printable edge of the {press} press ({value}).',
+    'Normal': 'Normal',
+    'Rotado': 'Rotated',
+
+    // Historial de cálculos
+    '↶ Deshacer': '↶ Undo',
+    'Rehacer ↷': 'Redo ↷',
+    'Historial de Cálculos': 'Calculation History',
+    'Cada cálculo de la sesión queda en el historial. Marque dos o más para compararlos lado a lado.': 'Every calculation in the session stays in the history. Check two or more to compare them side by side.',
+    'Hora': 'Time',
+    'Comparar cálculo #{number}': 'Compare calculation #{number}',
+    '● Mostrado': '● Shown',
+    'Comparación de cálculos': 'Calculation comparison',
+    'Resaltados: los valores que cambian entre los cálculos comparados.': 'Highlighted: the values that change between the compared calculations.',
+    'Ancho del Arte': 'Artwork Width',
+    'Largo del Arte': 'Artwork Length',
+    'Ancho del Pliego': 'Sheet Width',
+    'Largo del Pliego': 'Sheet Length',
+};
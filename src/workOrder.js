@@ -0,0 +1,46 @@
+/**
+ * Orden de trabajo impresa: tamaños de hoja disponibles y escala del croquis para que el pliego quepa
+ * en el área imprimible. Las medidas están en pulgadas.
+ */
+
+/**
+ * Hojas de la orden de trabajo: nombre, tamaño para la regla @page y medidas (vertical).
+ */
+export const WORK_ORDER_PAPERS = {
+    letter: { label: 'Carta (Letter)', pageSize: 'Letter portrait', width: 8.5, height: 11 },
+    a4: { label: 'A4', pageSize: 'A4 portrait', width: 8.27, height: 11.69 },
+    tabloid: { label: 'Tabloide (11 x 17)', pageSize: '11in 17in', width: 11, height: 17 },
+};
+
+/**
+ * Margen de impresión de la orden en cada borde de la hoja.
+ */
+export const WORK_ORDER_MARGIN = 0.5;
+
+/**
+ * Regla @page de la orden de trabajo: tamaño de la hoja elegida y márgenes de impresión.
+ */
+export const printPageRule = (paper) => `@page {
+    size: ${WORK_ORDER_PAPERS[paper].pageSize};
+    margin: ${WORK_ORDER_MARGIN}in;
+}`;
+
+// Escalas 1:N del croquis impreso, de la mayor (tamaño real) a la menor
+const SKETCH_SCALES = [1, 2, 3, 4, 5, 6, 8, 10, 12, 15, 20, 25, 50];
+
+/**
+ * Área imprimible (ancho x alto) de una hoja de WORK_ORDER_PAPERS, descontando los márgenes.
+ */
+export const printableArea = (paper) => ({
+    width: WORK_ORDER_PAPERS[paper].width - 2 * WORK_ORDER_MARGIN,
+    height: WORK_ORDER_PAPERS[paper].height - 2 * WORK_ORDER_MARGIN,
+});
+
+/**
+ * Mayor escala 1:N (1 = tamaño real) a la que un pliego de sheetW x sheetH cabe en maxW x maxH.
+ * Si no cabe ni a la menor escala de la lista, se reduce lo necesario (N sin redondear).
+ */
+export const chooseSketchScale = (sheetW, sheetH, maxW, maxH) => (
+    SKETCH_SCALES.find(scale => sheetW / scale <= maxW && sheetH / scale <= maxH)
+    ?? Math.max(sheetW / maxW, sheetH / maxH)
+);
@@ -0,0 +1,21 @@
+import { WORK_ORDER_PAPERS, printableArea, printPageRule, chooseSketchScale } from './workOrder';
+
+test('printableArea removes the print margins from the paper size', () => {
+  expect(printableArea('letter')).toEqual({ width: 7.5, height: 10 });
+  expect(printableArea('tabloid')).toEqual({ width: 10, height: 16 });
+  expect(Object.keys(WORK_ORDER_PAPERS)).toEqual(['letter', 'a4', 'tabloid']);
+});
+
+test('printPageRule sizes the printed page to the chosen paper with the print margins', () => {
+  expect(printPageRule('tabloid')).toContain('size: 11in 17in;');
+  expect(printPageRule('a4')).toContain('size: A4 portrait;');
+  expect(printPageRule('letter')).toContain('margin: 0.5in;');
+});
+
+test('chooseSketchScale prints at true scale when the sheet fits and reduces it otherwise', () => {
+  expect(chooseSketchScale(7, 5, 7.5, 6)).toBe(1);
+  // 17 x 22 en 7.5 x 6: a 1:3 queda de 5.67 x 7.33 (no cabe), a 1:4 de 4.25 x 5.5
+  expect(chooseSketchScale(17, 22, 7.5, 6)).toBe(4);
+  expect(chooseSketchScale(28, 40, 10, 8)).toBe(5);
+  expect(chooseSketchScale(1000, 300, 7.5, 6)).toBeCloseTo(1000 / 7.5);
+});